@@ -10,6 +10,7 @@ import UsagePage from './pages/UsagePage';
 import NotebooksPage from './pages/NotebooksPage';
 import NotebookDetailPage from './pages/NotebookDetailPage';
 import SearchResultsPage from './pages/SearchResultsPage';
+import SavedSearchesPage from './pages/SavedSearchesPage';
 import './App.css';
 import './components/TextForm.css';
 
@@ -40,6 +41,7 @@ function App() {
         <nav>
           <Link to="/">Home</Link>
           <Link to="/search">Search</Link>
+          <Link to="/saved-searches">Saved Searches</Link>
           <Link to="/notebooks">Notebooks</Link>
           <Link to="/usage">Usage</Link>
         </nav>
@@ -48,6 +50,7 @@ function App() {
         <Routes>
           <Route path="/" element={<HomePage />} />
           <Route path="/search" element={<SearchResultsPage />} />
+          <Route path="/saved-searches" element={<SavedSearchesPage />} />
           <Route path="/documents/:id" element={<DocumentDetailPage />} />
           <Route path="/usage" element={<UsagePage />} />
           <Route path="/notebooks" element={<NotebooksPage />} />
@@ -1,20 +1,39 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import AddToNotebook from './AddToNotebook';
 import './AllItemsList.css';
 import './AddToNotebook.css';
 
+// Flattens the collection tree for a select box, indenting subcollections
+const flattenCollections = (collections, depth = 0) => collections.flatMap(collection => [
+  { id: collection.id, label: `${'\u00a0\u00a0'.repeat(depth)}${collection.name}` },
+  ...flattenCollections(collection.children, depth + 1),
+]);
+
 function AllItemsList() {
   const [allItems, setAllItems] = useState([]);
   const [error, setError] = useState('');
   const [modalOpenFor, setModalOpenFor] = useState(null); // Tracks which item's modal is open
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(10);
+  const [tags, setTags] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMode, setTagMode] = useState('all'); // all, any
+  const [collectionId, setCollectionId] = useState('');
 
-  const fetchAllItems = async () => {
+  const fetchAllItems = useCallback(async () => {
     try {
       setError('');
-      const response = await fetch('/api/documents');
+      const params = new URLSearchParams();
+      if (selectedTags.length > 0) {
+        params.set('tags', selectedTags.join(','));
+        params.set('tagMode', tagMode);
+      }
+      if (collectionId) {
+        params.set('collection', collectionId);
+      }
+      const response = await fetch(`/api/documents?${params}`);
       if (!response.ok) {
         throw new Error('Failed to fetch items');
       }
@@ -26,6 +45,19 @@ function AllItemsList() {
     } catch (err) {
       setError(err.message);
     }
+  }, [selectedTags, tagMode, collectionId]);
+
+  const fetchFilterOptions = async () => {
+    try {
+      const [tagsResponse, collectionsResponse] = await Promise.all([fetch('/api/tags'), fetch('/api/collections')]);
+      if (!tagsResponse.ok || !collectionsResponse.ok) {
+        throw new Error('Failed to fetch tags and collections');
+      }
+      setTags(await tagsResponse.json());
+      setCollections(flattenCollections(await collectionsResponse.json()));
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   useEffect(() => {
@@ -37,8 +69,17 @@ function AllItemsList() {
     return () => {
       window.removeEventListener('itemAdded', handleItemAdded);
     };
+  }, [fetchAllItems]);
+
+  useEffect(() => {
+    fetchFilterOptions();
   }, []);
 
+  const toggleTag = (name) => {
+    setSelectedTags(prev => (prev.includes(name) ? prev.filter(tag => tag !== name) : [...prev, name]));
+    setCurrentPage(1);
+  };
+
   // reset page if items change and current page is out of range
   useEffect(() => {
     const totalPages = Math.max(1, Math.ceil(allItems.length / itemsPerPage));
@@ -67,6 +108,48 @@ function AllItemsList() {
     <div className="all-items-container">
       <h2>All Items</h2>
       {error && <p className="error-message">{error}</p>}
+
+      {(tags.length > 0 || collections.length > 0) && (
+        <div className="item-filters">
+          {collections.length > 0 && (
+            <div className="collection-filter">
+              <label htmlFor="collectionFilter">Collection:</label>
+              <select
+                id="collectionFilter"
+                value={collectionId}
+                onChange={(e) => { setCollectionId(e.target.value); setCurrentPage(1); }}
+              >
+                <option value="">All</option>
+                {collections.map(collection => (
+                  <option key={collection.id} value={collection.id}>{collection.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {tags.length > 0 && (
+            <div className="tag-filter">
+              {tags.map(tag => (
+                <button
+                  key={tag.id}
+                  onClick={() => toggleTag(tag.name)}
+                  className={`tag-chip ${selectedTags.includes(tag.name) ? 'selected' : ''}`}
+                >
+                  {tag.name} <span className="tag-count">{tag.document_count}</span>
+                </button>
+              ))}
+              {selectedTags.length > 1 && (
+                <select value={tagMode} onChange={(e) => setTagMode(e.target.value)} aria-label="Tag match">
+                  <option value="all">Match all tags</option>
+                  <option value="any">Match any tag</option>
+                </select>
+              )}
+              {selectedTags.length > 0 && (
+                <button onClick={() => setSelectedTags([])} className="clear-filters-button">Clear</button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
       
       <div className="results-container">
         {allItems.length > 0 ? (
@@ -95,6 +178,19 @@ function AllItemsList() {
                     <div className="grid-cell" role="cell">{itemType}</div>
                     <div className="grid-cell" role="cell">
                       <Link to={`/documents/${item.id}`}>{item.title || item.file_path || item.source_url || 'Untitled'}</Link>
+                      {item.status && item.status !== 'ready' && (
+                        <span className={`status-badge status-${item.status}`}>{item.status}</span>
+                      )}
+                      {item.tags && item.tags.map(tag => (
+                        <button
+                          key={tag.id}
+                          onClick={() => toggleTag(tag.name)}
+                          className={`tag-chip ${selectedTags.includes(tag.name) ? 'selected' : ''}`}
+                          title={`Filter by "${tag.name}"`}
+                        >
+                          {tag.name}
+                        </button>
+                      ))}
                     </div>
                     <div className="grid-cell" role="cell">{new Date(item.created_at).toLocaleDateString()}</div>
                     <div className="grid-cell actions-cell" role="cell">
@@ -129,7 +225,11 @@ function AllItemsList() {
             })()}
           </div>
         ) : (
-          <p>No items found. Upload a file or add a URL to get started.</p>
+          <p>
+            {selectedTags.length > 0 || collectionId
+              ? 'No items match the selected filters.'
+              : 'No items found. Upload a file or add a URL to get started.'}
+          </p>
         )}
       </div>
 
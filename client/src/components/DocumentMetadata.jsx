@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import './DocumentMetadata.css';
+
+// Form fields, in display order
+const FIELDS = [
+  { name: 'published_date', label: 'Published', placeholder: 'YYYY, YYYY-MM or YYYY-MM-DD' },
+  { name: 'publisher', label: 'Publisher' },
+  { name: 'language', label: 'Language', placeholder: 'e.g. en or pt-BR' },
+  { name: 'doi', label: 'DOI', placeholder: '10.1000/xyz123' },
+  { name: 'isbn', label: 'ISBN' },
+];
+
+const toForm = (document) => ({
+  title: document.title || '',
+  authors: (document.authors || []).join('\n'),
+  published_date: document.published_date || '',
+  description: document.description || '',
+  language: document.language || '',
+  publisher: document.publisher || '',
+  doi: document.doi || '',
+  isbn: document.isbn || '',
+});
+
+function DocumentMetadata({ document, onUpdated }) {
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle, saving, error
+  const [error, setError] = useState(null);
+
+  const handleEdit = () => {
+    setForm(toForm(document));
+    setError(null);
+    setEditing(true);
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Only send what changed, so untouched fields keep following the extracted metadata
+    const original = toForm(document);
+    const changes = {};
+    for (const [name, value] of Object.entries(form)) {
+      if (value.trim() === original[name]) continue;
+      changes[name] = name === 'authors'
+        ? value.split('\n').map(author => author.trim()).filter(Boolean)
+        : value.trim() || null;
+    }
+    if (Object.keys(changes).length === 0) {
+      setEditing(false);
+      return;
+    }
+
+    setStatus('saving');
+    setError(null);
+    try {
+      const response = await fetch(`/api/documents/${document.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || 'Failed to save metadata');
+      }
+      setStatus('idle');
+      setEditing(false);
+      onUpdated();
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+      console.error('Save metadata error:', err);
+    }
+  };
+
+  if (editing) {
+    return (
+      <form className="metadata-form" onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="metadata-title">Title</label>
+          <input id="metadata-title" name="title" value={form.title} onChange={handleChange} required maxLength={255} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="metadata-authors">Authors (one per line)</label>
+          <textarea id="metadata-authors" name="authors" value={form.authors} onChange={handleChange} rows="3" />
+        </div>
+        <div className="form-group">
+          <label htmlFor="metadata-description">Description</label>
+          <textarea id="metadata-description" name="description" value={form.description} onChange={handleChange} rows="4" />
+        </div>
+        <div className="metadata-form-grid">
+          {FIELDS.map(field => (
+            <div className="form-group" key={field.name}>
+              <label htmlFor={`metadata-${field.name}`}>{field.label}</label>
+              <input
+                id={`metadata-${field.name}`}
+                name={field.name}
+                value={form[field.name]}
+                onChange={handleChange}
+                placeholder={field.placeholder}
+              />
+            </div>
+          ))}
+        </div>
+        {error && <p className="error-message">Error: {error}</p>}
+        <div className="metadata-form-actions">
+          <button type="submit" disabled={status === 'saving'}>{status === 'saving' ? 'Saving...' : 'Save'}</button>
+          <button type="button" onClick={() => setEditing(false)} disabled={status === 'saving'}>Cancel</button>
+        </div>
+      </form>
+    );
+  }
+
+  const details = FIELDS.filter(field => document[field.name]);
+
+  return (
+    <div className="document-metadata">
+      <h1>
+        {document.title}
+        <button onClick={handleEdit} className="edit-metadata-button">Edit Details</button>
+      </h1>
+      {document.authors && document.authors.length > 0 && (
+        <p className="metadata-authors">{document.authors.join('; ')}</p>
+      )}
+      {document.description && <p className="metadata-description">{document.description}</p>}
+      {details.length > 0 && (
+        <dl className="metadata-details">
+          {details.map(field => (
+            <React.Fragment key={field.name}>
+              <dt>{field.label}</dt>
+              <dd>
+                {field.name === 'doi' ? (
+                  <a href={`https://doi.org/${document.doi}`} target="_blank" rel="noopener noreferrer">{document.doi}</a>
+                ) : document[field.name]}
+              </dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+}
+
+export default DocumentMetadata;
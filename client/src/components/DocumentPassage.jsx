@@ -0,0 +1,34 @@
+import React, { useEffect, useRef } from 'react';
+import { splitHighlights } from '../utils/passages';
+import './DocumentPassage.css';
+
+function DocumentPassage({ content, passage, onClose }) {
+  const passageRef = useRef(null);
+
+  useEffect(() => {
+    passageRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [passage.start, passage.end]);
+
+  const start = Math.min(passage.start, content.length);
+  const end = Math.min(passage.end, content.length);
+
+  return (
+    <div className="document-passage">
+      <div className="document-passage-header">
+        <span>Showing the passage matched by your search.</span>
+        <button onClick={onClose}>Show formatted text</button>
+      </div>
+      <div className="document-passage-text">
+        {content.slice(0, start)}
+        <span ref={passageRef} className="document-passage-match">
+          {splitHighlights(content.slice(start, end), start, passage.highlights).map((part, index) => (
+            part.highlighted ? <mark key={index}>{part.text}</mark> : <React.Fragment key={index}>{part.text}</React.Fragment>
+          ))}
+        </span>
+        {content.slice(end)}
+      </div>
+    </div>
+  );
+}
+
+export default DocumentPassage;
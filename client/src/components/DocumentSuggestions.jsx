@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { waitForJob, formatJobProgress } from '../utils/jobs';
+import './DocumentSuggestions.css';
+
+const KIND_LABELS = { tag: 'Tags', category: 'Category', description: 'Description' };
+
+function DocumentSuggestions({ document, onUpdated }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [status, setStatus] = useState('loading'); // loading, idle, classifying, saving, error
+  const [error, setError] = useState(null);
+  const [job, setJob] = useState(null);
+
+  const fetchSuggestions = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/documents/${document.id}/suggestions`);
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || 'Failed to fetch suggestions');
+      }
+      const data = await response.json();
+      setSuggestions(data.suggestions);
+      setStatus('idle');
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+      console.error('Fetch suggestions error:', err);
+    }
+  }, [document.id]);
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, [fetchSuggestions, document.classified_at]);
+
+  const review = async (accept, reject) => {
+    setStatus('saving');
+    setError(null);
+    try {
+      const response = await fetch(`/api/documents/${document.id}/suggestions/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ accept, reject }),
+      });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || 'Failed to review suggestions');
+      }
+      const data = await response.json();
+      setSuggestions(data.suggestions);
+      setStatus('idle');
+      if (accept.length > 0) {
+        onUpdated();
+      }
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+      console.error('Review suggestions error:', err);
+    }
+  };
+
+  const handleSuggest = async () => {
+    setStatus('classifying');
+    setError(null);
+    setJob(null);
+    try {
+      const response = await fetch(`/api/documents/${document.id}/suggestions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || 'Failed to request suggestions');
+      }
+      const result = await response.json();
+      await waitForJob(result.jobId, setJob);
+      await fetchSuggestions();
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+      console.error('Request suggestions error:', err);
+    }
+  };
+
+  const allIds = suggestions.map(suggestion => suggestion.id);
+  // Only one category and one description can be accepted, so "Accept All" takes the first of each
+  const acceptAllIds = suggestions
+    .filter((suggestion, index) => suggestion.kind === 'tag'
+      || suggestions.findIndex(other => other.kind === suggestion.kind) === index)
+    .map(suggestion => suggestion.id);
+  const busy = status === 'saving' || status === 'classifying' || document.status !== 'ready';
+
+  return (
+    <div className="suggestions-section">
+      <h2>Suggestions</h2>
+
+      {status === 'classifying' && <p className="processing-message">Classifying: {formatJobProgress(job)}</p>}
+      {error && <p className="error-message">Error: {error}</p>}
+
+      {suggestions.length > 0 ? (
+        <>
+          {Object.entries(KIND_LABELS).map(([kind, label]) => {
+            const ofKind = suggestions.filter(suggestion => suggestion.kind === kind);
+            if (ofKind.length === 0) return null;
+            return (
+              <div key={kind} className="suggestion-group">
+                <h4>{label}</h4>
+                {ofKind.map(suggestion => (
+                  <span key={suggestion.id} className={`suggestion suggestion-${kind}`}>
+                    {suggestion.value}
+                    {suggestion.is_new && <span className="suggestion-new">new</span>}
+                    <button onClick={() => review([suggestion.id], [])} disabled={busy} title="Accept">&#10003;</button>
+                    <button onClick={() => review([], [suggestion.id])} disabled={busy} title="Reject">&times;</button>
+                  </span>
+                ))}
+              </div>
+            );
+          })}
+          <div className="suggestion-actions">
+            <button onClick={() => review(acceptAllIds, allIds.filter(id => !acceptAllIds.includes(id)))} disabled={busy}>
+              Accept All
+            </button>
+            <button onClick={() => review([], allIds)} disabled={busy}>Reject All</button>
+            <button onClick={handleSuggest} disabled={busy}>Suggest Again</button>
+          </div>
+        </>
+      ) : status !== 'loading' && (
+        <div className="suggestion-actions">
+          <p>{document.classified_at ? 'No pending suggestions.' : 'No suggestions yet.'}</p>
+          <button onClick={handleSuggest} disabled={busy}>Suggest Tags</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DocumentSuggestions;
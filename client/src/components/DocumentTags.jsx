@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import './DocumentTags.css';
+
+function DocumentTags({ document, onUpdated }) {
+  const [newTag, setNewTag] = useState('');
+  const [status, setStatus] = useState('idle'); // idle, saving, error
+  const [error, setError] = useState(null);
+
+  const updateTags = async (request) => {
+    setStatus('saving');
+    setError(null);
+    try {
+      const response = await request();
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error || 'Failed to update tags');
+      }
+      setStatus('idle');
+      onUpdated();
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+      console.error('Update tags error:', err);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    // Several tags can be added at once, separated by commas
+    const tags = newTag.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length === 0) return;
+
+    await updateTags(() => fetch(`/api/documents/${document.id}/tags`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags }),
+    }));
+    setNewTag('');
+  };
+
+  const handleRemove = (tagId) => {
+    updateTags(() => fetch(`/api/documents/${document.id}/tags/${tagId}`, { method: 'DELETE' }));
+  };
+
+  return (
+    <div className="document-tags">
+      <div className="document-tags-list">
+        {(document.tags || []).map(tag => (
+          <span key={tag.id} className="tag-chip">
+            {tag.name}
+            <button onClick={() => handleRemove(tag.id)} disabled={status === 'saving'} title="Remove tag">&times;</button>
+          </span>
+        ))}
+        <form onSubmit={handleAdd} className="add-tag-form">
+          <input
+            type="text"
+            value={newTag}
+            onChange={(e) => setNewTag(e.target.value)}
+            placeholder="Add tags, comma-separated"
+            maxLength={500}
+          />
+          <button type="submit" disabled={!newTag.trim() || status === 'saving'}>Add</button>
+        </form>
+      </div>
+      {document.category && <p className="document-collections">Category: {document.category}</p>}
+      {document.collections && document.collections.length > 0 && (
+        <p className="document-collections">
+          Collections: {document.collections.map(collection => collection.name).join(', ')}
+        </p>
+      )}
+      {error && <p className="error-message">Error: {error}</p>}
+    </div>
+  );
+}
+
+export default DocumentTags;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { waitForJob, formatJobProgress } from '../utils/jobs';
+import './DocumentVersions.css';
+
+function DocumentVersions({ document, onUpdated }) {
+  const [versions, setVersions] = useState([]);
+  const [status, setStatus] = useState('loading'); // loading, idle, updating, error
+  const [error, setError] = useState(null);
+  const [job, setJob] = useState(null);
+  const [file, setFile] = useState(null);
+  const [diff, setDiff] = useState(null);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/documents/${document.id}/versions`);
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || 'Failed to fetch versions');
+      }
+      const data = await response.json();
+      setVersions(data.versions);
+      setStatus('idle');
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+      console.error('Fetch versions error:', err);
+    }
+  }, [document.id]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  // Runs a request that adds a version, waiting for the background job if there is one
+  const updateDocument = async (request) => {
+    setStatus('updating');
+    setError(null);
+    setJob(null);
+    try {
+      const response = await request();
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || 'Failed to update document');
+      }
+      const result = await response.json();
+      if (result.jobId) {
+        await waitForJob(result.jobId, setJob);
+      }
+      setDiff(null);
+      setFile(null);
+      await fetchVersions();
+      onUpdated();
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+      console.error('Update document error:', err);
+    }
+  };
+
+  const handleUpload = () => {
+    const formData = new FormData();
+    formData.append('file', file);
+    updateDocument(() => fetch(`/api/documents/${document.id}/versions`, { method: 'POST', body: formData }));
+  };
+
+  const handleRefetch = () => {
+    updateDocument(() => fetch(`/api/documents/${document.id}/versions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({}),
+    }));
+  };
+
+  const handleRestore = (version) => {
+    if (window.confirm(`Restore version ${version}? Its content becomes a new version; nothing is deleted.`)) {
+      updateDocument(() => fetch(`/api/documents/${document.id}/versions/${version}/restore`, { method: 'POST' }));
+    }
+  };
+
+  const handleCompare = async (version) => {
+    try {
+      const response = await fetch(`/api/documents/${document.id}/diff?from=${version - 1}&to=${version}`);
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || 'Failed to compare versions');
+      }
+      setDiff(await response.json());
+    } catch (err) {
+      setError(err.message);
+      console.error('Compare versions error:', err);
+    }
+  };
+
+  const isUrl = Boolean(document.source_url);
+  const busy = status === 'updating' || document.status === 'pending' || document.status === 'processing';
+
+  return (
+    <div className="versions-section">
+      <h2>Versions</h2>
+
+      <div className="versions-actions">
+        {isUrl ? (
+          <button onClick={handleRefetch} disabled={busy}>Fetch Again</button>
+        ) : document.file_path && (
+          <>
+            <input type="file" onChange={(e) => setFile(e.target.files[0])} />
+            <button onClick={handleUpload} disabled={!file || busy}>Upload New Version</button>
+          </>
+        )}
+      </div>
+
+      {status === 'updating' && <p className="processing-message">Processing: {formatJobProgress(job)}</p>}
+      {error && <p className="error-message">Error: {error}</p>}
+
+      <ul className="versions-list">
+        {versions.map((version, index) => (
+          <li key={version.version_number}>
+            <span className="version-number">v{version.version_number}</span>
+            <span>{new Date(version.created_at).toLocaleString()}</span>
+            <span>{Number(version.char_count).toLocaleString()} characters</span>
+            {version.restored_from && <span>restored from v{version.restored_from}</span>}
+            {index === 0 && <span className="current-version">current</span>}
+            {version.has_file && (
+              <a href={`/api/documents/${document.id}/download?version=${version.version_number}`} download>Download</a>
+            )}
+            {version.version_number > 1 && (
+              <button onClick={() => handleCompare(version.version_number)}>Changes</button>
+            )}
+            {index > 0 && (
+              <button onClick={() => handleRestore(version.version_number)} disabled={busy}>Restore</button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {diff && (
+        <div className="version-diff">
+          <h3>
+            Changes from v{diff.from} to v{diff.to}: +{diff.additions} / -{diff.deletions} lines
+            <button onClick={() => setDiff(null)} title="Close">&times;</button>
+          </h3>
+          <pre>
+            {diff.changes.map((change, index) => (
+              <span key={index} className={`diff-${change.type}`}>{change.value}</span>
+            ))}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DocumentVersions;
@@ -1,15 +1,20 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { waitForJob, formatJobProgress } from '../utils/jobs';
 
 function FileUpload() {
   const [file, setFile] = useState(null);
-  const [status, setStatus] = useState('idle'); // idle, uploading, success, error
+  const [status, setStatus] = useState('idle'); // idle, uploading, processing, success, duplicate, error
   const [error, setError] = useState(null);
+  const [job, setJob] = useState(null);
+  const [duplicate, setDuplicate] = useState(null);
 
   const handleFileChange = (event) => {
     setFile(event.target.files[0]);
   };
 
-  const handleUpload = async () => {
+  // onDuplicate: 'new' stores the file even if the same file was uploaded before
+  const handleUpload = async (onDuplicate) => {
     if (!file) {
       setStatus('error');
       setError('Please select a file first.');
@@ -18,12 +23,14 @@ function FileUpload() {
 
     setStatus('uploading');
     setError(null);
+    setJob(null);
+    setDuplicate(null);
 
     const formData = new FormData();
     formData.append('file', file);
 
     try {
-      const response = await fetch('/api/documents', {
+      const response = await fetch(`/api/documents${onDuplicate ? `?onDuplicate=${onDuplicate}` : ''}`, {
         method: 'POST',
         body: formData,
       });
@@ -34,10 +41,17 @@ function FileUpload() {
       }
 
       const result = await response.json();
+      if (result.duplicate) {
+        setDuplicate(result);
+        setStatus('duplicate');
+        return;
+      }
+      // Show the pending item in the list right away, then wait for processing
+      window.dispatchEvent(new Event('itemAdded'));
+      setStatus('processing');
+      await waitForJob(result.jobId, setJob);
       setStatus('success');
-      console.log('Upload successful:', result);
-      // Reload the page to show the new item in the list
-      window.location.reload();
+      window.dispatchEvent(new Event('itemAdded'));
     } catch (err) {
       setStatus('error');
       setError(err.message);
@@ -49,11 +63,18 @@ function FileUpload() {
     <div className="file-upload">
       <h2>Upload a Document</h2>
       <input type="file" onChange={handleFileChange} />
-      <button onClick={handleUpload} disabled={status === 'uploading'}>
+      <button onClick={() => handleUpload()} disabled={status === 'uploading' || status === 'processing'}>
         {status === 'uploading' ? 'Uploading...' : 'Upload'}
       </button>
       
+      {status === 'processing' && <p className="processing-message">Processing: {formatJobProgress(job)}</p>}
       {status === 'success' && <p className="success-message">File uploaded successfully!</p>}
+      {status === 'duplicate' && (
+        <p className="duplicate-message">
+          This file is already in the repository as <Link to={`/documents/${duplicate.id}`}>{duplicate.title}</Link>.
+          <button onClick={() => handleUpload('new')}>Upload anyway</button>
+        </p>
+      )}
       {status === 'error' && <p className="error-message">Error: {error}</p>}
     </div>
   );
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+import { linkCitations } from '../utils/citations';
+import { passageLink } from '../utils/passages';
+import { fetchCompletionStream } from '../utils/streaming';
+import './NotebookChat.css';
+
+function AnswerSources({ sources, anchorPrefix }) {
+  if (!sources || sources.length === 0) return null;
+  return (
+    <ol className="answer-sources">
+      {sources.map(source => (
+        <li key={source.number} id={`${anchorPrefix}-${source.number}`} value={source.number}>
+          <Link to={passageLink(source.document_id, source)}>
+            {source.title}{source.page_number ? `, p. ${source.page_number}` : ''}
+          </Link>
+          <blockquote>{source.passage}</blockquote>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function describeContext(report) {
+  const { included, dropped } = report.passages;
+  const parts = [`${included.length} passage${included.length === 1 ? '' : 's'}, ${report.used_tokens} of ${report.budget_tokens} tokens`];
+  if (dropped.length > 0) {
+    const duplicates = dropped.filter(passage => passage.reason === 'duplicate').length;
+    parts.push(`${dropped.length} left out (${duplicates} repeated, ${dropped.length - duplicates} over budget)`);
+  }
+  if (report.notes.truncated) parts.push('notes shortened');
+  if (report.history.dropped > 0) parts.push(`${report.history.dropped} earlier messages left out`);
+  return `Context: ${parts.join('; ')}`;
+}
+
+function NotebookChat({ notebookId }) {
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null); // null for a new conversation, created with its first question
+  const [messages, setMessages] = useState([]);
+  const [status, setStatus] = useState('loading'); // loading, idle, error
+  const [error, setError] = useState(null);
+  const [question, setQuestion] = useState('');
+  const [pending, setPending] = useState(null); // { question, answer } while an answer streams in
+  const [sendError, setSendError] = useState(null);
+  const [contextReport, setContextReport] = useState(null); // { messageId, report } for the latest answer
+  const messagesEndRef = useRef(null);
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/notebooks/${notebookId}/conversations`);
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error || 'Failed to fetch conversations');
+      }
+      const data = await response.json();
+      setConversations(data);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      console.error('Fetch conversations error:', err);
+      return null;
+    }
+  }, [notebookId]);
+
+  useEffect(() => {
+    const loadConversations = async () => {
+      setStatus('loading');
+      const data = await fetchConversations();
+      // Continue the most recent conversation
+      setActiveId(data && data.length > 0 ? data[0].id : null);
+      setStatus(data ? 'idle' : 'error');
+    };
+    loadConversations();
+  }, [fetchConversations]);
+
+  useEffect(() => {
+    if (!activeId) {
+      setMessages([]);
+      return;
+    }
+    let ignore = false;
+    const fetchMessages = async () => {
+      try {
+        const response = await fetch(`/api/notebooks/${notebookId}/conversations/${activeId}`);
+        if (!response.ok) {
+          const errData = await response.json().catch(() => ({}));
+          throw new Error(errData.error || 'Failed to fetch the conversation');
+        }
+        const data = await response.json();
+        if (!ignore) setMessages(data.messages);
+      } catch (err) {
+        if (!ignore) setSendError(err.message);
+        console.error('Fetch conversation error:', err);
+      }
+    };
+    fetchMessages();
+    return () => {
+      ignore = true;
+    };
+  }, [notebookId, activeId]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ block: 'end' });
+  }, [messages, pending]);
+
+  const handleSelect = (e) => {
+    setSendError(null);
+    setActiveId(e.target.value ? Number(e.target.value) : null);
+  };
+
+  const handleNewConversation = () => {
+    setSendError(null);
+    setActiveId(null);
+  };
+
+  const handleDeleteConversation = async () => {
+    if (!window.confirm('Are you sure you want to delete this conversation?')) return;
+    try {
+      const response = await fetch(`/api/notebooks/${notebookId}/conversations/${activeId}`, {
+        method: 'DELETE',
+      });
+      if (!response.ok) {
+        throw new Error('Failed to delete the conversation');
+      }
+      const remaining = conversations.filter(conversation => conversation.id !== activeId);
+      setConversations(remaining);
+      setActiveId(remaining.length > 0 ? remaining[0].id : null);
+    } catch (err) {
+      setSendError(err.message);
+    }
+  };
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    const asked = question.trim();
+    if (!asked || pending) return;
+
+    setPending({ question: asked, answer: '' });
+    setQuestion('');
+    setSendError(null);
+
+    let conversationId = activeId;
+    try {
+      if (!conversationId) {
+        const response = await fetch(`/api/notebooks/${notebookId}/conversations`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({}),
+        });
+        if (!response.ok) {
+          const errData = await response.json().catch(() => ({}));
+          throw new Error(errData.error || 'Failed to start a conversation');
+        }
+        conversationId = (await response.json()).id;
+      }
+
+      const data = await fetchCompletionStream(`/api/notebooks/${notebookId}/conversations/${conversationId}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question: asked }),
+      }, text => setPending(prev => ({ ...prev, answer: prev.answer + text })));
+
+      setMessages(prev => (conversationId === activeId ? [...prev, ...data.messages] : data.messages));
+      setContextReport({ messageId: data.messages[data.messages.length - 1].id, report: data.context });
+      setActiveId(conversationId);
+      fetchConversations();
+    } catch (err) {
+      setSendError(err.message);
+      setQuestion(asked);
+      // Keep a conversation started for the question, so asking again continues it
+      if (conversationId && conversationId !== activeId) {
+        setActiveId(conversationId);
+        fetchConversations();
+      }
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (status === 'loading') return <p>Loading conversations...</p>;
+  if (status === 'error') return <div className="error-message">Error: {error}</div>;
+
+  return (
+    <div className="notebook-chat">
+      <div className="chat-header">
+        <select value={activeId || ''} onChange={handleSelect} disabled={Boolean(pending)}>
+          <option value="">New conversation</option>
+          {conversations.map(conversation => (
+            <option key={conversation.id} value={conversation.id}>
+              {conversation.title || 'Untitled conversation'}
+            </option>
+          ))}
+        </select>
+        <button onClick={handleNewConversation} disabled={!activeId || Boolean(pending)}>New</button>
+        <button onClick={handleDeleteConversation} disabled={!activeId || Boolean(pending)} className="delete-conversation-button">
+          Delete
+        </button>
+      </div>
+
+      <div className="chat-messages">
+        {messages.length === 0 && !pending && (
+          <p className="placeholder-text">Ask a question about your notes and grouped items. Follow-up questions can refer to earlier answers.</p>
+        )}
+        {messages.map(message => (
+          message.role === 'user' ? (
+            <div key={message.id} className="chat-message chat-question">{message.content}</div>
+          ) : (
+            <div key={message.id} className="chat-message chat-answer">
+              <ReactMarkdown>{linkCitations(message.content, message.sources || [], `source-${message.id}`)}</ReactMarkdown>
+              <AnswerSources sources={message.sources} anchorPrefix={`source-${message.id}`} />
+              {contextReport?.messageId === message.id && (
+                <p className="context-report">{describeContext(contextReport.report)}</p>
+              )}
+            </div>
+          )
+        ))}
+        {pending && (
+          <>
+            <div className="chat-message chat-question">{pending.question}</div>
+            <div className="chat-message chat-answer">
+              {pending.answer ? <ReactMarkdown>{pending.answer}</ReactMarkdown> : <p>Getting your answer...</p>}
+            </div>
+          </>
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {sendError && <div className="error-message">{sendError}</div>}
+      <form onSubmit={handleAsk} className="qna-form">
+        <textarea
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder={activeId ? 'Ask a follow-up question...' : 'Ask a question based on the content of your notes and grouped items...'}
+          className="chat-input"
+          rows="3"
+        />
+        <button type="submit" disabled={Boolean(pending)}>
+          {pending ? 'Thinking...' : 'Ask Question'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default NotebookChat;
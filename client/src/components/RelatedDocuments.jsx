@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import './RelatedDocuments.css';
+
+function RelatedDocuments({ document }) {
+  const [related, setRelated] = useState([]);
+  const [scope, setScope] = useState(''); // '', notebook:<id> or tag:<name>
+  const [status, setStatus] = useState('loading'); // loading, idle, error
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchRelated = async () => {
+      setStatus('loading');
+      setError(null);
+      const params = new URLSearchParams();
+      const [kind, value] = scope.split(/:(.*)/);
+      if (kind === 'notebook') params.set('notebook', value);
+      if (kind === 'tag') params.set('tags', value);
+      try {
+        const response = await fetch(`/api/documents/${document.id}/related?${params}`);
+        if (!response.ok) {
+          const errData = await response.json().catch(() => ({}));
+          throw new Error(errData.error || 'Failed to fetch related documents');
+        }
+        setRelated(await response.json());
+        setStatus('idle');
+      } catch (err) {
+        setStatus('error');
+        setError(err.message);
+        console.error('Fetch related documents error:', err);
+      }
+    };
+    fetchRelated();
+  }, [document.id, scope]);
+
+  const notebooks = document.notebooks || [];
+  const tags = document.tags || [];
+
+  return (
+    <div className="related-documents">
+      <div className="related-documents-header">
+        <h2>Related Documents</h2>
+        {(notebooks.length > 0 || tags.length > 0) && (
+          <select value={scope} onChange={(e) => setScope(e.target.value)}>
+            <option value="">All documents</option>
+            {notebooks.map(notebook => (
+              <option key={`notebook-${notebook.id}`} value={`notebook:${notebook.id}`}>In notebook: {notebook.title}</option>
+            ))}
+            {tags.map(tag => (
+              <option key={`tag-${tag.id}`} value={`tag:${tag.name}`}>Tagged: {tag.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      {status === 'loading' && <p>Loading...</p>}
+      {status === 'error' && <p className="error-message">Error: {error}</p>}
+      {status === 'idle' && related.length === 0 && <p>No related documents found.</p>}
+      {status === 'idle' && related.length > 0 && (
+        <ul className="related-documents-list">
+          {related.map(item => (
+            <li key={item.id}>
+              <Link to={`/documents/${item.id}`}>{item.title || 'Untitled'}</Link>
+              <span className="related-similarity">{Math.round(item.similarity * 100)}% similar</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default RelatedDocuments;
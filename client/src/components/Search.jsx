@@ -20,7 +20,7 @@ function Search() {
           type="text"
           value={query}
           onChange={(e) => setQuery(e.target.value)}
-          placeholder="Enter your search query..."
+          placeholder='Search, e.g. "exact phrase" -exclude type:pdf tag:reading after:2024-01-01'
         />
         <button type="submit">Search</button>
       </form>
@@ -1,18 +1,21 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 
 function TextForm() {
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
-  const [status, setStatus] = useState(''); // '', 'success', 'error'
+  const [status, setStatus] = useState(''); // '', 'success', 'duplicate', 'error'
   const [message, setMessage] = useState('');
+  const [duplicate, setDuplicate] = useState(null);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // onDuplicate: 'new' adds the text even if the same text was added before
+  const submitText = async (onDuplicate) => {
     setStatus('loading');
     setMessage('');
+    setDuplicate(null);
 
     try {
-      const response = await fetch('/api/texts', {
+      const response = await fetch(`/api/texts${onDuplicate ? `?onDuplicate=${onDuplicate}` : ''}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -25,6 +28,13 @@ function TextForm() {
         throw new Error(errData.error || 'Failed to add text block');
       }
 
+      const result = await response.json();
+      if (result.duplicate) {
+        setDuplicate(result);
+        setStatus('duplicate');
+        return;
+      }
+
       setStatus('success');
       setMessage('Text block added successfully!');
       setTitle('');
@@ -37,6 +47,11 @@ function TextForm() {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitText();
+  };
+
   return (
     <div className="text-form">
       <h2>Add a Text Block</h2>
@@ -65,6 +80,12 @@ function TextForm() {
           {status === 'loading' ? 'Adding...' : 'Add Text'}
         </button>
       </form>
+      {status === 'duplicate' && (
+        <p className="duplicate-message">
+          This text is already in the repository as <Link to={`/documents/${duplicate.id}`}>{duplicate.title}</Link>.
+          <button onClick={() => submitText('new')}>Add anyway</button>
+        </p>
+      )}
       {message && (
         <p className={status === 'success' ? 'success-message' : 'error-message'}>
           {message}
@@ -1,12 +1,16 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { waitForJob, formatJobProgress } from '../utils/jobs';
 
 function UrlForm() {
   const [url, setUrl] = useState('');
-  const [status, setStatus] = useState('idle'); // idle, submitting, success, error
+  const [status, setStatus] = useState('idle'); // idle, submitting, processing, success, duplicate, error
   const [error, setError] = useState(null);
+  const [job, setJob] = useState(null);
+  const [duplicate, setDuplicate] = useState(null);
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
+  // onDuplicate: 'new' adds the URL even if the same page was added before
+  const submitUrl = async (onDuplicate) => {
     if (!url) {
       setStatus('error');
       setError('Please enter a URL.');
@@ -15,9 +19,11 @@ function UrlForm() {
 
     setStatus('submitting');
     setError(null);
+    setJob(null);
+    setDuplicate(null);
 
     try {
-      const response = await fetch('/api/urls', {
+      const response = await fetch(`/api/urls${onDuplicate ? `?onDuplicate=${onDuplicate}` : ''}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -31,11 +37,18 @@ function UrlForm() {
       }
 
       const result = await response.json();
+      if (result.duplicate) {
+        setDuplicate(result);
+        setStatus('duplicate');
+        return;
+      }
+      setUrl(''); // Clear input once the URL is accepted
+      // Show the pending item in the list right away, then wait for scraping
+      window.dispatchEvent(new Event('itemAdded'));
+      setStatus('processing');
+      await waitForJob(result.jobId, setJob);
       setStatus('success');
-      setUrl(''); // Clear input on success
-      console.log('URL submitted successfully:', result);
-      // Reload the page to show the new item in the list
-      window.location.reload();
+      window.dispatchEvent(new Event('itemAdded'));
     } catch (err) {
       setStatus('error');
       setError(err.message);
@@ -43,6 +56,11 @@ function UrlForm() {
     }
   };
 
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    submitUrl();
+  };
+
   return (
     <div className="url-form">
       <h2>Add a URL</h2>
@@ -54,12 +72,19 @@ function UrlForm() {
           placeholder="https://example.com"
           required
         />
-        <button type="submit" disabled={status === 'submitting'}>
+        <button type="submit" disabled={status === 'submitting' || status === 'processing'}>
           {status === 'submitting' ? 'Adding...' : 'Add URL'}
         </button>
       </form>
       
+      {status === 'processing' && <p className="processing-message">Processing: {formatJobProgress(job)}</p>}
       {status === 'success' && <p className="success-message">URL added successfully!</p>}
+      {status === 'duplicate' && (
+        <p className="duplicate-message">
+          This page is already in the repository as <Link to={`/documents/${duplicate.id}`}>{duplicate.title}</Link>.
+          <button onClick={() => submitUrl('new')}>Add anyway</button>
+        </p>
+      )}
       {status === 'error' && <p className="error-message">Error: {error}</p>}
     </div>
   );
@@ -1,12 +1,23 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useParams, useSearchParams, Link, useNavigate } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
 import AddToNotebook from '../components/AddToNotebook';
+import DocumentMetadata from '../components/DocumentMetadata';
+import DocumentTags from '../components/DocumentTags';
+import DocumentSuggestions from '../components/DocumentSuggestions';
+import DocumentVersions from '../components/DocumentVersions';
+import DocumentPassage from '../components/DocumentPassage';
+import RelatedDocuments from '../components/RelatedDocuments';
+import { readPassage } from '../utils/passages';
+import { fetchCompletionStream } from '../utils/streaming';
 import './DocumentDetailPage.css';
 
 function DocumentDetailPage() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // A passage to show, when coming from a search result
+  const passage = readPassage(searchParams);
   const [document, setDocument] = useState(null);
   const [status, setStatus] = useState('loading'); // loading, success, error
   const [error, setError] = useState(null);
@@ -42,15 +53,10 @@ function DocumentDetailPage() {
 
   const handleGetSummary = async () => {
     setSummaryStatus('loading');
-    setSummary(null);
+    setSummary('');
     setSummaryError(null);
     try {
-      const response = await fetch(`/api/documents/${id}/summary`);
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || 'Failed to fetch summary');
-      }
-      const data = await response.json();
+      const data = await fetchCompletionStream(`/api/documents/${id}/summary`, {}, text => setSummary(prev => prev + text));
       setSummary(data.summary);
       setSummaryStatus('success');
     } catch (err) {
@@ -62,22 +68,16 @@ function DocumentDetailPage() {
 
   const handleGetAnalysis = async (type) => {
     setAnalysisStatus(prev => ({ ...prev, [type]: 'loading' }));
-    setAnalysis(prev => ({ ...prev, [type]: null }));
+    setAnalysis(prev => ({ ...prev, [type]: '' }));
     setAnalysisError(prev => ({ ...prev, [type]: null }));
 
     try {
-      const response = await fetch(`/api/documents/${id}/analyze`, {
+      const data = await fetchCompletionStream(`/api/documents/${id}/analyze`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ type }),
-      });
-
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || `Failed to fetch ${type}`);
-      }
+      }, text => setAnalysis(prev => ({ ...prev, [type]: prev[type] + text })));
 
-      const data = await response.json();
       setAnalysis(prev => ({ ...prev, [type]: data.result }));
       setAnalysisStatus(prev => ({ ...prev, [type]: 'success' }));
     } catch (err) {
@@ -104,6 +104,18 @@ function DocumentDetailPage() {
     }
   };
 
+  const handleDocumentUpdated = async () => {
+    try {
+      const response = await fetch(`/api/documents/${id}`);
+      if (!response.ok) {
+        throw new Error('Failed to reload document');
+      }
+      setDocument(await response.json());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleRemoveFromNotebook = async (notebookId) => {
     if (window.confirm('Are you sure you want to remove this document from the notebook?')) {
       try {
@@ -147,6 +159,12 @@ function DocumentDetailPage() {
   const isFile = !document.source_url;
   const isPdf = document.mime_type === 'application/pdf' || (document.source_url && document.source_url.toLowerCase().endsWith('.pdf'));
 
+  // Pages recognized by OCR carry the engine's confidence (0-100)
+  const ocrPages = (document.page_offsets || []).filter(page => page.ocr);
+  const ocrConfidence = ocrPages.length > 0
+    ? Math.round(ocrPages.reduce((sum, page) => sum + page.confidence, 0) / ocrPages.length)
+    : null;
+
   let pdfUrl = null;
   if (isPdf) {
     if (document.source_url) {
@@ -161,10 +179,18 @@ function DocumentDetailPage() {
     <div className="document-detail-container">
       <Link to="/" className="back-link">&larr; Back to All Items</Link>
 
+      <DocumentMetadata document={document} onUpdated={handleDocumentUpdated} />
+      <DocumentTags document={document} onUpdated={handleDocumentUpdated} />
+      <DocumentSuggestions document={document} onUpdated={handleDocumentUpdated} />
+
       <div className="document-meta">
         <p>Document ID: {document.id}</p>
         <p>Created at: {new Date(document.created_at).toLocaleString()}</p>
         <p>Updated at: {new Date(document.updated_at).toLocaleString()}</p>
+        {document.status && document.status !== 'ready' && <p>Status: {document.status}</p>}
+        {ocrConfidence !== null && (
+          <p>Text recognized by OCR on {ocrPages.length} page{ocrPages.length === 1 ? '' : 's'} (average confidence {ocrConfidence}%)</p>
+        )}
         {document.source_url && <p>Source: <a href={document.source_url} target="_blank" rel="noopener noreferrer">{document.source_url}</a></p>}
       </div>
 
@@ -239,28 +265,35 @@ function DocumentDetailPage() {
       {document.content && (
         <div className="content-section">
           <h2>Extracted Content</h2>
-          <div className="extracted-content-markdown">
-            <ReactMarkdown>{document.content}</ReactMarkdown>
-          </div>
+          {passage ? (
+            <DocumentPassage content={document.content} passage={passage} onClose={() => setSearchParams({})} />
+          ) : (
+            <div className="extracted-content-markdown">
+              <ReactMarkdown>{document.content}</ReactMarkdown>
+            </div>
+          )}
         </div>
       )}
 
+      <DocumentVersions document={document} onUpdated={handleDocumentUpdated} />
+      <RelatedDocuments document={document} />
+
       <div className="analysis-section">
         <h2>AI Analysis</h2>
         <div className="analysis-buttons">
           <button onClick={handleGetSummary} disabled={summaryStatus === 'loading'}>
             {summaryStatus === 'loading' ? 'Generating Summary...' : 'Generate Summary'}
           </button>
-          <button onClick={() => handleGetAnalysis('toc')} disabled={analysisStatus.toc === 'loading'}>
-            {analysisStatus.toc === 'loading' ? 'Generating ToC...' : 'Generate Table of Contents'}
+          <button onClick={() => handleGetAnalysis('table_of_contents')} disabled={analysisStatus.table_of_contents === 'loading'}>
+            {analysisStatus.table_of_contents === 'loading' ? 'Generating ToC...' : 'Generate Table of Contents'}
           </button>
-          <button onClick={() => handleGetAnalysis('insights')} disabled={analysisStatus.insights === 'loading'}>
-            {analysisStatus.insights === 'loading' ? 'Generating Insights...' : 'Generate Key Insights'}
+          <button onClick={() => handleGetAnalysis('key_insights')} disabled={analysisStatus.key_insights === 'loading'}>
+            {analysisStatus.key_insights === 'loading' ? 'Generating Insights...' : 'Generate Key Insights'}
           </button>
         </div>
 
         {summaryStatus === 'error' && <div className="error-message">Summary Error: {summaryError}</div>}
-        {summaryStatus === 'success' && summary && (
+        {summaryStatus !== 'error' && summary && (
           <div className="summary-content">
             <h3>Summary</h3>
             <ReactMarkdown>{summary}</ReactMarkdown>
@@ -270,9 +303,9 @@ function DocumentDetailPage() {
         {Object.keys(analysisStatus).map(type => (
           <div key={type}>
             {analysisStatus[type] === 'error' && <div className="error-message">{type} Error: {analysisError[type]}</div>}
-            {analysisStatus[type] === 'success' && analysis[type] && (
+            {analysisStatus[type] !== 'error' && analysis[type] && (
               <div className="analysis-result-content">
-                <h3>{type === 'toc' ? 'Table of Contents' : 'Key Insights'}</h3>
+                <h3>{type === 'table_of_contents' ? 'Table of Contents' : 'Key Insights'}</h3>
                 <div className="markdown-content">
                   <ReactMarkdown>{analysis[type]}</ReactMarkdown>
                 </div>
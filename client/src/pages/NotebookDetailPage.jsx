@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
+import NotebookChat from '../components/NotebookChat';
 import './NotebookDetailPage.css';
 
 function NotebookDetailPage() {
@@ -11,10 +12,6 @@ function NotebookDetailPage() {
   const [isEditing, setIsEditing] = useState(false);
   const [editedContent, setEditedContent] = useState('');
   const textareaRef = useRef(null);
-  const [question, setQuestion] = useState('');
-  const [answer, setAnswer] = useState('');
-  const [queryStatus, setQueryStatus] = useState('idle'); // idle, loading, success, error
-  const [queryError, setQueryError] = useState('');
 
   const fetchNotebook = useCallback(async () => {
     setStatus('loading');
@@ -78,35 +75,6 @@ function NotebookDetailPage() {
     }
   };
 
-  const handleAskQuestion = async (e) => {
-    e.preventDefault();
-    if (!question.trim()) return;
-
-    setQueryStatus('loading');
-    setAnswer('');
-    setQueryError('');
-
-    try {
-      const response = await fetch(`/api/notebooks/${id}/query`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ question }),
-      });
-
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || 'Failed to get an answer');
-      }
-
-      const data = await response.json();
-      setAnswer(data.answer);
-      setQueryStatus('success');
-    } catch (err) {
-      setQueryError(err.message);
-      setQueryStatus('error');
-    }
-  };
-
   if (status === 'loading') return <div>Loading notebook...</div>;
   if (status === 'error') return <div className="error-message">Error: {error}</div>;
 
@@ -172,29 +140,7 @@ function NotebookDetailPage() {
         {/* Right Column: Q&A */}
         <div className="qna-section layout-column">
           <h2>Ask a Question</h2>
-          <form onSubmit={handleAskQuestion} className="qna-form">
-            <textarea
-              value={question}
-              onChange={(e) => setQuestion(e.target.value)}
-              placeholder="Ask a question based on the content of your notes and grouped items..."
-              className="notes-textarea"
-              rows="3"
-            />
-            <button type="submit" disabled={queryStatus === 'loading'}>
-              {queryStatus === 'loading' ? 'Thinking...' : 'Ask Question'}
-            </button>
-          </form>
-
-          {queryStatus === 'loading' && <p>Getting your answer...</p>}
-          {queryStatus === 'error' && <div className="error-message">{queryError}</div>}
-          {queryStatus === 'success' && answer && (
-            <div className="answer-section">
-              <h3>Answer</h3>
-              <div className="content-box">
-                <ReactMarkdown>{answer}</ReactMarkdown>
-              </div>
-            </div>
-          )}
+          <NotebookChat notebookId={id} />
         </div>
       </div>
     </div>
@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { savedSearchLink } from '../utils/savedSearches';
+import './SavedSearchesPage.css';
+
+const MATCH_LABELS = { keyword: 'Keywords', semantic: 'Meaning' };
+
+function SavedSearchesPage() {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [showRead, setShowRead] = useState(false);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setError('');
+      const [searchesResponse, matchesResponse] = await Promise.all([
+        fetch('/api/saved-searches'),
+        fetch(`/api/saved-searches/matches${showRead ? '' : '?unread=true'}`),
+      ]);
+      if (!searchesResponse.ok || !matchesResponse.ok) {
+        throw new Error('Failed to fetch saved searches');
+      }
+      setSavedSearches(await searchesResponse.json());
+      setMatches(await matchesResponse.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showRead]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const request = async (url, options, failure) => {
+    try {
+      setError('');
+      const response = await fetch(url, options);
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error || failure);
+      }
+      await fetchData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const markRead = (body) => request('/api/saved-searches/matches/read', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }, 'Failed to mark matches as read');
+
+  const toggleAlerts = (savedSearch) => request(`/api/saved-searches/${savedSearch.id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: savedSearch.name,
+      query: savedSearch.query,
+      filters: savedSearch.filters,
+      queryLanguage: savedSearch.query_language,
+      similarityThreshold: savedSearch.similarity_threshold,
+      alertsEnabled: !savedSearch.alerts_enabled,
+    }),
+  }, 'Failed to update saved search');
+
+  const handleDelete = (savedSearch) => {
+    if (window.confirm(`Delete the saved search "${savedSearch.name}" and its matches?`)) {
+      request(`/api/saved-searches/${savedSearch.id}`, { method: 'DELETE' }, 'Failed to delete saved search');
+    }
+  };
+
+  if (isLoading) {
+    return <div className="saved-searches-container"><p>Loading...</p></div>;
+  }
+
+  return (
+    <div className="saved-searches-container">
+      <h2>Saved Searches</h2>
+      {error && <p className="error-message">{error}</p>}
+
+      {savedSearches.length === 0 ? (
+        <p>No saved searches yet. Use "Save search" on a search's results to add one.</p>
+      ) : (
+        <ul className="saved-searches-list">
+          {savedSearches.map(savedSearch => (
+            <li key={savedSearch.id}>
+              <div className="saved-search-info">
+                <Link to={savedSearchLink(savedSearch)}>{savedSearch.name}</Link>
+                <span className="saved-search-query">{savedSearch.query}</span>
+              </div>
+              <span className="saved-search-counts">
+                {savedSearch.unread_count > 0 && <strong>{savedSearch.unread_count} new</strong>}
+                {' '}{savedSearch.match_count} match{savedSearch.match_count === 1 ? '' : 'es'}
+              </span>
+              <label>
+                <input type="checkbox" checked={savedSearch.alerts_enabled} onChange={() => toggleAlerts(savedSearch)} />
+                {' '}Alerts
+              </label>
+              <button onClick={() => handleDelete(savedSearch)} className="delete-button">Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="saved-search-matches">
+        <div className="saved-search-matches-header">
+          <h3>{showRead ? 'All Matches' : 'New Matches'}</h3>
+          <label>
+            <input type="checkbox" checked={showRead} onChange={(e) => setShowRead(e.target.checked)} />
+            {' '}Show read
+          </label>
+          {matches.some(match => !match.read_at) && (
+            <button onClick={() => markRead({})}>Mark all as read</button>
+          )}
+        </div>
+        {matches.length === 0 ? (
+          <p>No new documents match your saved searches.</p>
+        ) : (
+          <ul className="saved-search-matches-list">
+            {matches.map(match => (
+              <li key={match.id} className={match.read_at ? 'read' : 'unread'}>
+                <Link to={`/documents/${match.document_id}`} onClick={() => !match.read_at && markRead({ ids: [match.id] })}>
+                  {match.title || 'Untitled'}
+                </Link>
+                <span className="saved-search-match-meta">
+                  {match.saved_search_name} · {MATCH_LABELS[match.match_type]}
+                  {match.match_type === 'semantic' && ` (${Math.round(match.similarity * 100)}%)`}
+                  {' · '}{new Date(match.created_at).toLocaleString()}
+                </span>
+                {!match.read_at && (
+                  <button onClick={() => markRead({ ids: [match.id] })}>Mark as read</button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SavedSearchesPage;
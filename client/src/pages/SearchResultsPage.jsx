@@ -1,15 +1,60 @@
 import React, { useState, useEffect } from 'react';
 import { useSearchParams, Link } from 'react-router-dom';
 import Search from '../components/Search';
+import { splitHighlights, passageLink } from '../utils/passages';
 import './SearchResultsPage.css';
 
+const PAGE_SIZE = 10;
+
+const SORT_LABELS = {
+  relevance: 'Relevance',
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  title: 'Title',
+};
+
+// Facets the server returns, in display order. List facets allow several values at once.
+const FACETS = [
+  { facet: 'source_type', param: 'sourceTypes', title: 'Source', list: true },
+  { facet: 'mime_type', param: 'mimeTypes', title: 'File type', list: true },
+  { facet: 'language', param: 'languages', title: 'Language', list: true },
+  { facet: 'tag', param: 'tags', title: 'Tags', list: true },
+  { facet: 'notebook', param: 'notebook', title: 'Notebook', list: false },
+  { facet: 'year', title: 'Year added' },
+];
+
+const SOURCE_LABELS = { file: 'File', url: 'URL', text: 'Text' };
+
+const LIST_PARAMS = FACETS.filter(({ list }) => list).map(({ param }) => param);
+const FILTER_PARAMS = [...LIST_PARAMS, 'tagMode', 'collection', 'notebook', 'dateFrom', 'dateTo'];
+
+const readList = (searchParams, param) => (searchParams.get(param) || '').split(',').filter(Boolean);
+
 function SearchResultsPage() {
   const [searchParams, setSearchParams] = useSearchParams();
   const query = searchParams.get('q') || '';
   const page = parseInt(searchParams.get('page') || '1', 10);
+  const sort = searchParams.get('sort') || 'relevance';
   const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [facets, setFacets] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null); // saving, saved, or an error message
+
+  // The filters are kept in the URL, so searches can be bookmarked and shared
+  const filters = {
+    tagMode: searchParams.get('tagMode') || 'all',
+    collection: searchParams.get('collection') || null,
+    notebook: searchParams.get('notebook') || null,
+    dateFrom: searchParams.get('dateFrom') || null,
+    dateTo: searchParams.get('dateTo') || null,
+  };
+  LIST_PARAMS.forEach((param) => {
+    filters[param] = readList(searchParams, param);
+  });
+  const requestBody = JSON.stringify({ query, page, limit: PAGE_SIZE, sort, ...filters });
 
   useEffect(() => {
     const fetchResults = async () => {
@@ -21,15 +66,19 @@ function SearchResultsPage() {
           headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify({ query, page, limit: 10 }),
+          body: requestBody,
         });
 
         if (!response.ok) {
-          throw new Error('Search failed');
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Search failed');
         }
 
         const data = await response.json();
-        setResults(data);
+        setResults(data.results);
+        setTotal(data.total);
+        setHasMore(data.hasMore);
+        setFacets(data.facets);
       } catch (err) {
         setError(err.message);
       } finally {
@@ -37,59 +86,223 @@ function SearchResultsPage() {
       }
     };
 
+    setSaveStatus(null);
     if (query) {
       fetchResults();
     } else {
       setResults([]);
+      setTotal(0);
+      setHasMore(false);
+      setFacets({});
     }
-  }, [query, page]);
+  }, [query, requestBody]);
+
+  // Changing anything but the page starts again from the first page
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([param, value]) => {
+      if (value) {
+        next.set(param, value);
+      } else {
+        next.delete(param);
+      }
+    });
+    if (!('page' in changes)) {
+      next.delete('page');
+    }
+    setSearchParams(next);
+  };
 
   const handlePageChange = (newPage) => {
-    setSearchParams({ q: query, page: newPage });
+    updateParams({ page: String(newPage) });
+  };
+
+  const isSelected = ({ facet, param, list }, value) => {
+    if (facet === 'year') {
+      return searchParams.get('dateFrom') === `${value}-01-01` && searchParams.get('dateTo') === `${value}-12-31`;
+    }
+    return list ? readList(searchParams, param).includes(value) : searchParams.get(param) === value;
+  };
+
+  const toggleFacetValue = (definition, value) => {
+    const selected = isSelected(definition, value);
+    if (definition.facet === 'year') {
+      updateParams(selected ? { dateFrom: null, dateTo: null } : { dateFrom: `${value}-01-01`, dateTo: `${value}-12-31` });
+    } else if (definition.list) {
+      const values = readList(searchParams, definition.param);
+      updateParams({ [definition.param]: (selected ? values.filter(item => item !== value) : [...values, value]).join(',') });
+    } else {
+      updateParams({ [definition.param]: selected ? null : value });
+    }
+  };
+
+  const clearFilters = () => {
+    updateParams(Object.fromEntries(FILTER_PARAMS.map(param => [param, null])));
+  };
+
+  // How tags are matched is no filter by itself
+  const hasFilters = FILTER_PARAMS.some(param => param !== 'tagMode' && searchParams.get(param));
+
+  // Saved searches are checked against every new document; matches show on the Saved Searches page
+  const handleSaveSearch = async () => {
+    const name = window.prompt('Name this search:', query);
+    if (!name || !name.trim()) return;
+    setSaveStatus('saving');
+    try {
+      const response = await fetch('/api/saved-searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, query, filters }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to save search');
+      }
+      setSaveStatus('saved');
+    } catch (err) {
+      setSaveStatus(err.message);
+    }
   };
 
+  const facetLabel = (facet, { value, label }) => (facet === 'source_type' ? SOURCE_LABELS[value] || value : label);
+
   return (
     <div className="search-results-page">
       <Search />
       {query && <h1>Search Results for "{query}"</h1>}
-      
-      {loading && <p>Loading...</p>}
-      {error && <p className="error-message">Error: {error}</p>}
-      
-      {!loading && !error && query && results.length === 0 && (
-        <p>No results found.</p>
-      )}
 
-      <ul className="search-results-list">
-        {results.map((result) => (
-          <li key={result.id} className="search-result-item">
-            <Link to={`/documents/${result.id}`} className="search-result-link">
-              <h3>{result.title}</h3>
-              <div className="search-result-meta">
-                <span>Score: {result.score ? Number(result.score).toFixed(4) : 'N/A'}</span>
-                <span> | </span>
-                <span>Created: {new Date(result.created_at).toLocaleDateString()}</span>
-              </div>
-            </Link>
-          </li>
-        ))}
-      </ul>
-
-      <div className="pagination">
-        <button 
-          onClick={() => handlePageChange(page - 1)}
-          disabled={page <= 1 || loading}
-        >
-          Previous
-        </button>
-        <span>Page {page}</span>
-        <button 
-          onClick={() => handlePageChange(page + 1)}
-          disabled={results.length < 10 || loading}
-        >
-          Next
-        </button>
-      </div>
+      {query && (
+        <div className="search-layout">
+          <aside className="search-facets">
+            {hasFilters && (
+              <button onClick={clearFilters} className="clear-filters-button">Clear filters</button>
+            )}
+            <div className="facet">
+              <h4>Date added</h4>
+              <label>
+                From{' '}
+                <input
+                  type="date"
+                  value={searchParams.get('dateFrom') || ''}
+                  onChange={(e) => updateParams({ dateFrom: e.target.value })}
+                />
+              </label>
+              <label>
+                To{' '}
+                <input
+                  type="date"
+                  value={searchParams.get('dateTo') || ''}
+                  onChange={(e) => updateParams({ dateTo: e.target.value })}
+                />
+              </label>
+            </div>
+            {FACETS.map((definition) => {
+              const counts = facets[definition.facet] || [];
+              if (counts.length === 0) return null;
+              return (
+                <div key={definition.facet} className="facet">
+                  <h4>{definition.title}</h4>
+                  <ul>
+                    {counts.map(count => (
+                      <li key={count.value}>
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={isSelected(definition, count.value)}
+                            onChange={() => toggleFacetValue(definition, count.value)}
+                          />
+                          {' '}{facetLabel(definition.facet, count)}
+                          <span className="facet-count">{count.count}</span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              );
+            })}
+          </aside>
+
+          <div className="search-results">
+            <div className="search-results-header">
+              <span>{loading ? 'Searching...' : `${total} result${total === 1 ? '' : 's'}`}</span>
+              <span className="save-search">
+                {saveStatus === 'saved' ? (
+                  <Link to="/saved-searches">Saved</Link>
+                ) : (
+                  <button onClick={handleSaveSearch} disabled={saveStatus === 'saving'}>Save search</button>
+                )}
+                {saveStatus && !['saving', 'saved'].includes(saveStatus) && <span className="error-message">{saveStatus}</span>}
+              </span>
+              <label>
+                Sort by{' '}
+                <select value={sort} onChange={(e) => updateParams({ sort: e.target.value === 'relevance' ? null : e.target.value })}>
+                  {Object.entries(SORT_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {error && <p className="error-message">Error: {error}</p>}
+
+            {!loading && !error && results.length === 0 && (
+              <p>{hasFilters ? 'No results match the selected filters.' : 'No results found.'}</p>
+            )}
+
+            <ul className="search-results-list">
+              {results.map((result) => (
+                <li key={result.id} className="search-result-item">
+                  <Link to={`/documents/${result.id}`} className="search-result-link">
+                    <h3>{result.title}</h3>
+                    <div className="search-result-meta">
+                      <span>Score: {result.score ? Number(result.score).toFixed(4) : 'N/A'}</span>
+                      <span> | </span>
+                      <span>{SOURCE_LABELS[result.source_type]}</span>
+                      <span> | </span>
+                      <span>Created: {new Date(result.created_at).toLocaleDateString()}</span>
+                      {result.page_number && (
+                        <>
+                          <span> | </span>
+                          <span>Page {result.page_number}</span>
+                        </>
+                      )}
+                    </div>
+                  </Link>
+                  {result.snippets.map(snippet => (
+                    <Link
+                      key={`${snippet.type}-${snippet.start}`}
+                      to={passageLink(result.id, snippet)}
+                      className={`search-result-snippet ${snippet.type}`}
+                      title={snippet.type === 'semantic' ? 'Closest passage in meaning' : 'Passage containing the search words'}
+                    >
+                      {snippet.page_number && <span className="snippet-page">p. {snippet.page_number}</span>}
+                      {splitHighlights(snippet.text, snippet.start, snippet.highlights).map((part, index) => (
+                        part.highlighted ? <mark key={index}>{part.text}</mark> : <React.Fragment key={index}>{part.text}</React.Fragment>
+                      ))}
+                    </Link>
+                  ))}
+                </li>
+              ))}
+            </ul>
+
+            <div className="pagination">
+              <button
+                onClick={() => handlePageChange(page - 1)}
+                disabled={page <= 1 || loading}
+              >
+                Previous
+              </button>
+              <span>Page {page} of {Math.max(1, Math.ceil(total / PAGE_SIZE))}</span>
+              <button
+                onClick={() => handlePageChange(page + 1)}
+                disabled={!hasMore || loading}
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
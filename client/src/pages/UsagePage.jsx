@@ -61,6 +61,7 @@ function UsagePage() {
           <thead>
             <tr>
               <th>Timestamp</th>
+              <th>Provider</th>
               <th>Model</th>
               <th>Prompt Tokens</th>
               <th>Completion Tokens</th>
@@ -72,6 +73,7 @@ function UsagePage() {
             {logs.map((log) => (
               <tr key={log.id}>
                 <td>{new Date(log.created_at).toLocaleString()}</td>
+                <td>{log.provider}</td>
                 <td>{log.model}</td>
                 <td>{(log.prompt_tokens || 0).toLocaleString()}</td>
                 <td>{(log.completion_tokens || 0).toLocaleString()}</td>
@@ -0,0 +1,16 @@
+/**
+ * Turns an answer's citations, e.g. "[2]" or "[1, 3]", into Markdown links to its footnotes.
+ * Numbers without a source are left as they are.
+ * @param {string} answer The answer, in Markdown.
+ * @param {Array<{number: number}>} sources
+ * @param {string} [anchorPrefix] Prefix of the footnotes' ids, which end in "-" and the number.
+ * @returns {string}
+ */
+export function linkCitations(answer, sources = [], anchorPrefix = 'source') {
+  const numbers = new Set(sources.map(source => source.number));
+  return answer.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (citation, list) => {
+    const cited = list.split(',').map(Number);
+    if (!cited.every(number => numbers.has(number))) return citation;
+    return cited.map(number => `[[${number}]](#${anchorPrefix}-${number})`).join('');
+  });
+}
@@ -0,0 +1,37 @@
+const POLL_INTERVAL_MS = 1500;
+
+/**
+ * Polls a background ingestion job until it completes or fails.
+ * @param {number} jobId The job ID returned by the API.
+ * @param {(job: object) => void} [onProgress] Called with the job after every poll.
+ * @returns {Promise<object>} The completed job. Rejects if the job fails.
+ */
+export async function waitForJob(jobId, onProgress) {
+  for (;;) {
+    const response = await fetch(`/api/jobs/${jobId}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch job status');
+    }
+    const job = await response.json();
+    if (onProgress) onProgress(job);
+
+    if (job.status === 'completed') return job;
+    if (job.status === 'failed') {
+      throw new Error(job.last_error || 'Processing failed');
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Formats a job's progress for display, e.g. "embedding (40%)".
+ * @param {object|null} job The job returned by the API.
+ * @returns {string}
+ */
+export function formatJobProgress(job) {
+  if (!job) return 'queued';
+  if (job.status === 'queued' && job.attempts > 0) {
+    return `retrying (attempt ${job.attempts + 1} of ${job.max_attempts})`;
+  }
+  return `${job.stage || job.status} (${job.progress}%)`;
+}
@@ -0,0 +1,53 @@
+/**
+ * Splits a piece of a document's text into plain and highlighted parts.
+ * @param {string} text The text.
+ * @param {number} offset Where the text starts in the document's content.
+ * @param {Array<{start: number, end: number}>} highlights Ranges to highlight, as offsets in the content.
+ * @returns {Array<{text: string, highlighted: boolean}>}
+ */
+export function splitHighlights(text, offset, highlights = []) {
+  const parts = [];
+  let position = 0;
+  [...highlights]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      const from = Math.max(start - offset, position);
+      const to = Math.min(end - offset, text.length);
+      if (to <= from) return;
+      if (from > position) parts.push({ text: text.slice(position, from), highlighted: false });
+      parts.push({ text: text.slice(from, to), highlighted: true });
+      position = to;
+    });
+  if (position < text.length) parts.push({ text: text.slice(position), highlighted: false });
+  return parts;
+}
+
+/**
+ * Builds the link to a passage of a document, which DocumentDetailPage scrolls to and highlights.
+ * @param {number} documentId
+ * @param {{start: number, end: number, highlights?: Array<{start: number, end: number}>}} passage
+ * @returns {string}
+ */
+export function passageLink(documentId, { start, end, highlights = [] }) {
+  const params = new URLSearchParams({ passage: `${start}-${end}` });
+  if (highlights.length > 0) {
+    params.set('highlight', highlights.map(highlight => `${highlight.start}-${highlight.end}`).join(','));
+  }
+  return `/documents/${documentId}?${params}`;
+}
+
+/**
+ * Reads a passage link's parameters.
+ * @param {URLSearchParams} searchParams
+ * @returns {{start: number, end: number, highlights: Array<{start: number, end: number}>}|null}
+ */
+export function readPassage(searchParams) {
+  const toRange = (value) => {
+    const [start, end] = value.split('-').map(Number);
+    return Number.isInteger(start) && Number.isInteger(end) && start <= end ? { start, end } : null;
+  };
+  const passage = toRange(searchParams.get('passage') || '');
+  if (!passage) return null;
+  const highlights = (searchParams.get('highlight') || '').split(',').filter(Boolean).map(toRange).filter(Boolean);
+  return { ...passage, highlights };
+}
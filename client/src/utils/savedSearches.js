@@ -0,0 +1,17 @@
+// Filters of a saved search, as stored, and the search page parameters they go in
+const FILTER_PARAMS = ['sourceTypes', 'mimeTypes', 'languages', 'tags', 'tagMode', 'collection', 'notebook', 'dateFrom', 'dateTo'];
+
+/**
+ * Builds the search page link that runs a saved search.
+ * @param {{query: string, filters: object}} savedSearch
+ * @returns {string}
+ */
+export function savedSearchLink({ query, filters = {} }) {
+  const params = new URLSearchParams({ q: query });
+  FILTER_PARAMS.forEach((param) => {
+    const value = filters[param];
+    const text = Array.isArray(value) ? value.join(',') : value;
+    if (text) params.set(param, text);
+  });
+  return `/search?${params}`;
+}
@@ -0,0 +1,55 @@
+/**
+ * Reads one Server-Sent Event.
+ * @param {string} block The event's lines.
+ * @returns {{event: string, data: object|null}}
+ */
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  });
+  return { event, data: data.length > 0 ? JSON.parse(data.join('\n')) : null };
+}
+
+/**
+ * Requests a streamed completion from an endpoint that supports "Accept: text/event-stream",
+ * such as a document summary or a notebook answer.
+ * @param {string} url
+ * @param {RequestInit} options Options for fetch; the Accept header is added.
+ * @param {(text: string) => void} onText Called with each piece of text as it arrives.
+ * @returns {Promise<object>} The final response, the same as the endpoint's JSON response.
+ * @throws {Error} If the request is rejected or the completion fails.
+ */
+export async function fetchCompletionStream(url, options, onText) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...options?.headers, Accept: 'text/event-stream' },
+  });
+  if (!response.ok) {
+    const errData = await response.json().catch(() => ({}));
+    throw new Error(errData.error || `Request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      // Events end with a blank line; the last block may still be incomplete
+      const blocks = (buffer + value).split('\n\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const { event, data } = parseEvent(block);
+        if (event === 'token') onText(data.text);
+        else if (event === 'done') return data;
+        else if (event === 'error') throw new Error(data.error);
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  throw new Error('The response ended early');
+}
@@ -0,0 +1,205 @@
+import pgvector from 'pgvector/pg';
+import pool, { withTransaction } from '../src/db/index.js';
+import config from '../src/config/index.js';
+import { getEmbeddingProvider } from '../src/services/embeddings/index.js';
+import { ensureVectorIndex } from '../src/services/ann.js';
+import { parseDocumentFilters } from '../src/services/filters.js';
+import { searchDocuments } from '../src/services/search.js';
+import { parseSearchQuery } from '../src/services/query.js';
+
+const TITLE_PREFIX = '[benchmark] ';   // Marks the synthetic documents, so they can be removed
+const VOCABULARY_SIZE = 5000;
+const WORDS_PER_CHUNK = 300;
+const INSERT_BATCH = 100;              // Documents inserted per transaction
+const WARM_UP_QUERIES = 3;             // Searches run before timing each scenario
+const SYLLABLES = ['ka', 'lo', 'mi', 'ne', 'ru', 'sa', 'ti', 'vo', 'ze', 'pa', 'do', 'fi', 'gu', 'he', 'ja', 'bo'];
+
+const USAGE = `Usage: npm run db:benchmark -- [options]
+
+Adds synthetic documents with random text and random vectors for the active
+embedding model, then reports the latency of searches over them. No API calls
+are made. Run it against a development database: the documents show up in
+the app until they are removed.
+
+Options:
+  --documents <n>     Synthetic documents to add (default 1000)
+  --chunks <n>        Chunks per document (default 5)
+  --queries <n>       Timed searches per scenario (default 50)
+  --dimensions <n>    Vector size when no vectors are stored yet (default: the model's)
+  --keep              Keep the documents afterwards; later runs add to them
+  --cleanup           Only remove the documents of earlier runs`;
+
+const parseArgs = (args) => {
+  const options = { documents: 1000, chunks: 5, queries: 50 };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--documents': options.documents = Number(args[++i]); break;
+      case '--chunks': options.chunks = Number(args[++i]); break;
+      case '--queries': options.queries = Number(args[++i]); break;
+      case '--dimensions': options.dimensions = Number(args[++i]); break;
+      case '--keep': options.keep = true; break;
+      case '--cleanup': options.cleanup = true; break;
+      default:
+        console.error(USAGE);
+        process.exit(1);
+    }
+  }
+  return options;
+};
+
+// Pseudo-words, so keyword searches behave like on real text without matching real documents
+const vocabulary = Array.from({ length: VOCABULARY_SIZE }, (_, index) => {
+  let word = '';
+  for (let n = index + SYLLABLES.length; n > 0; n = Math.floor(n / SYLLABLES.length)) {
+    word += SYLLABLES[n % SYLLABLES.length];
+  }
+  return word;
+});
+
+// Skewed towards the first words, as word frequencies are in real text
+const randomWord = () => vocabulary[Math.floor(VOCABULARY_SIZE * Math.random() ** 3)];
+
+const randomText = (words) => Array.from({ length: words }, randomWord).join(' ');
+
+const randomVector = (dimensions) => {
+  const vector = Array.from({ length: dimensions }, () => Math.random() - 0.5);
+  const norm = Math.hypot(...vector);
+  return vector.map(value => value / norm);
+};
+
+const removeDocuments = async () => {
+  const { rowCount } = await pool.query('DELETE FROM documents WHERE title LIKE $1', [`${TITLE_PREFIX}%`]);
+  return rowCount;
+};
+
+const findDimensions = async (provider, options) => {
+  const { rows } = await pool.query(
+    'SELECT vector_dims(embedding) as dimensions FROM document_chunks WHERE embedding_model = $1 LIMIT 1',
+    [provider.id]
+  );
+  return rows[0]?.dimensions || options.dimensions || provider.dimensions;
+};
+
+const seedDocuments = async (provider, dimensions, options) => {
+  for (let offset = 0; offset < options.documents; offset += INSERT_BATCH) {
+    const count = Math.min(INSERT_BATCH, options.documents - offset);
+    await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO documents (title, mime_type, status, created_at)
+         SELECT title, 'text/plain', 'ready', NOW() - random() * INTERVAL '3 years'
+         FROM unnest($1::text[]) as title
+         RETURNING id`,
+        [Array.from({ length: count }, () => `${TITLE_PREFIX}${randomText(4)}`)]
+      );
+
+      const contents = [];
+      const chunks = { documentIds: [], indexes: [], contents: [], starts: [], ends: [], embeddings: [] };
+      for (const { id } of rows) {
+        let content = '';
+        for (let index = 0; index < options.chunks; index++) {
+          const text = randomText(WORDS_PER_CHUNK);
+          const start = content ? content.length + 2 : 0;
+          content = content ? `${content}\n\n${text}` : text;
+          chunks.documentIds.push(id);
+          chunks.indexes.push(index);
+          chunks.contents.push(text);
+          chunks.starts.push(start);
+          chunks.ends.push(start + text.length);
+          chunks.embeddings.push(pgvector.toSql(randomVector(dimensions)));
+        }
+        contents.push(content);
+      }
+
+      await client.query(
+        `INSERT INTO document_contents (document_id, content, char_count)
+         SELECT id, content, length(content) FROM unnest($1::int[], $2::text[]) as c(id, content)`,
+        [rows.map(row => row.id), contents]
+      );
+      await client.query(
+        `INSERT INTO document_chunks (document_id, chunk_index, content, start_offset, end_offset, embedding, embedding_model)
+         SELECT document_id, chunk_index, content, start_offset, end_offset, embedding::vector, $7
+         FROM unnest($1::int[], $2::int[], $3::text[], $4::int[], $5::int[], $6::text[])
+           as c(document_id, chunk_index, content, start_offset, end_offset, embedding)`,
+        [chunks.documentIds, chunks.indexes, chunks.contents, chunks.starts, chunks.ends, chunks.embeddings, provider.id]
+      );
+    });
+    console.log(`Added ${offset + count}/${options.documents} document(s)...`);
+  }
+};
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+
+const timeScenario = async (name, search, provider, dimensions, queries) => {
+  const run = () => searchDocuments({
+    query: parseSearchQuery(`${randomWord()} ${randomWord()}`).query,
+    embedding: randomVector(dimensions),
+    embeddingModel: provider.id,
+    limit: 10,
+    ...search,
+  });
+
+  for (let i = 0; i < WARM_UP_QUERIES; i++) {
+    await run();
+  }
+  const durations = [];
+  let totalMatches = 0;
+  for (let i = 0; i < queries; i++) {
+    const started = process.hrtime.bigint();
+    const { total } = await run();
+    durations.push(Number(process.hrtime.bigint() - started) / 1e6);
+    totalMatches += total;
+  }
+
+  durations.sort((a, b) => a - b);
+  const mean = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+  console.log(`${name.padEnd(24)} mean ${mean.toFixed(1).padStart(7)} ms   p50 ${percentile(durations, 0.5).toFixed(1).padStart(7)} ms   `
+    + `p95 ${percentile(durations, 0.95).toFixed(1).padStart(7)} ms   max ${durations[durations.length - 1].toFixed(1).padStart(7)} ms   `
+    + `matches ${Math.round(totalMatches / queries)}`);
+};
+
+const benchmark = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.cleanup) {
+    console.log(`Removed ${await removeDocuments()} synthetic document(s).`);
+    return;
+  }
+
+  const provider = await getEmbeddingProvider();
+  const dimensions = await findDimensions(provider, options);
+  if (!dimensions) {
+    throw new Error(`The vector size of ${provider.id} isn't known yet; pass --dimensions.`);
+  }
+
+  console.log(`Adding ${options.documents} document(s) of ${options.chunks} chunk(s) with ${dimensions}-dimensional vectors for ${provider.id}...`);
+  try {
+    await seedDocuments(provider, dimensions, options);
+    await ensureVectorIndex(pool, provider.id);
+    await pool.query('ANALYZE documents, document_contents, document_chunks');
+
+    const { rows: [counts] } = await pool.query(
+      'SELECT (SELECT COUNT(*) FROM documents)::int as documents, (SELECT COUNT(*) FROM document_chunks)::int as chunks'
+    );
+    console.log(`\nSearching ${counts.documents} document(s) and ${counts.chunks} chunk(s). Vector index: ${config.search.vectorIndex}.\n`);
+
+    const { filters } = parseDocumentFilters();
+    const yearAgo = new Date(Date.now() - 365 * 24 * 3600 * 1000).toISOString().slice(0, 10);
+    const { filters: narrowed } = parseDocumentFilters({ sourceTypes: ['text'], dateFrom: yearAgo });
+    await timeScenario('Hybrid', { filters }, provider, dimensions, options.queries);
+    await timeScenario('Hybrid, filtered', { filters: narrowed }, provider, dimensions, options.queries);
+    await timeScenario('Hybrid, newest first', { filters, sort: 'newest' }, provider, dimensions, options.queries);
+  } finally {
+    if (options.keep) {
+      console.log('\nKept the synthetic documents; remove them with "npm run db:benchmark -- --cleanup".');
+    } else {
+      console.log(`\nRemoved ${await removeDocuments()} synthetic document(s).`);
+    }
+  }
+};
+
+benchmark()
+  .catch(err => {
+    console.error('Error during benchmark:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,54 @@
+import { embedChunks, averageEmbedding, saveChunks } from '../src/services/chunks.js';
+import { lockEmbeddingModel } from '../src/services/embeddings/index.js';
+import pool, { withTransaction } from '../src/db/index.js';
+import pgvector from 'pgvector/pg';
+
+// Backfills chunk embeddings for documents that were ingested before chunking existed.
+const chunkDocuments = async () => {
+  const { rows } = await pool.query(`
+    SELECT d.id, d.title, c.content, c.page_offsets
+    FROM documents d
+    JOIN document_contents c ON c.document_id = d.id
+    WHERE c.content <> ''
+      AND NOT EXISTS (SELECT 1 FROM document_chunks dc WHERE dc.document_id = d.id)
+    ORDER BY d.id
+  `);
+
+  if (rows.length === 0) {
+    console.log('All documents already have chunks.');
+    return;
+  }
+
+  console.log(`Chunking ${rows.length} document(s)...`);
+  let successCount = 0;
+  let errorCount = 0;
+
+  for (const document of rows) {
+    const chunks = await embedChunks(document.content, { pages: document.page_offsets });
+    if (!chunks || chunks.length === 0) {
+      console.error(`Failed to embed chunks for document ${document.id} ("${document.title}").`);
+      errorCount++;
+      continue;
+    }
+
+    await withTransaction(async (client) => {
+      await lockEmbeddingModel(client, chunks[0].embeddingModel);
+      await saveChunks(client, document.id, chunks);
+      await client.query(
+        'UPDATE documents SET embedding = $1, embedding_model = $2 WHERE id = $3',
+        [pgvector.toSql(averageEmbedding(chunks)), chunks[0].embeddingModel, document.id]
+      );
+    });
+    console.log(`Document ${document.id}: ${chunks.length} chunk(s).`);
+    successCount++;
+  }
+
+  console.log(`Chunking completed. Success: ${successCount}, Errors: ${errorCount}`);
+};
+
+chunkDocuments()
+  .catch(err => {
+    console.error('Error during chunking:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,60 @@
+import pool from '../src/db/index.js';
+import { getCompletionProvider } from '../src/services/completions/index.js';
+import { countBacklog, classifyBacklog } from '../src/services/classify.js';
+
+const USAGE = `Usage: npm run db:classify -- [options]
+
+Suggests tags, a category and a description for every ready document that
+has no suggestions yet. Suggestions stay pending until reviewed.
+
+Options:
+  --force                Classify already classified documents again
+  --provider <name>      Completion provider (openai, anthropic, local)
+  --model <model>        Completion model
+  --dry-run              Only print the number of documents`;
+
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--force': options.force = true; break;
+      case '--provider': options.provider = args[++i]; break;
+      case '--model': options.model = args[++i]; break;
+      case '--dry-run': options.dryRun = true; break;
+      default:
+        console.error(USAGE);
+        process.exit(1);
+    }
+  }
+  return options;
+};
+
+const classify = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const provider = getCompletionProvider({ provider: options.provider, model: options.model });
+
+  const count = await countBacklog({ force: options.force });
+  if (count === 0) {
+    console.log('All documents are already classified.');
+    return;
+  }
+  console.log(`Documents to classify: ${count}`);
+  if (options.dryRun) {
+    return;
+  }
+
+  const result = await classifyBacklog({
+    since: options.force ? new Date() : null,
+    provider,
+    onProgress: async (done, total) => console.log(`Classified ${done}/${total} document(s)...`),
+  });
+  console.log(`Classification completed. ${result.classified} document(s) classified, ${result.failed} failed.`);
+  console.log('Review the suggestions on each document page.');
+};
+
+classify()
+  .catch(err => {
+    console.error('Error during classification:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
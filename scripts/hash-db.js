@@ -0,0 +1,68 @@
+import fs from 'fs';
+import pool from '../src/db/index.js';
+import { hashContent, canonicalizeUrl } from '../src/services/dedup.js';
+
+// Backfills content hashes and canonical URLs for documents that were ingested before deduplication existed.
+const hashDocuments = async () => {
+  const { rows } = await pool.query(`
+    SELECT d.id, d.title, d.file_path, d.source_url, d.content_hash, d.canonical_url, c.content
+    FROM documents d
+    LEFT JOIN document_contents c ON c.document_id = d.id
+    WHERE d.content_hash IS NULL OR (d.canonical_url IS NULL AND (d.source_url IS NOT NULL OR d.file_path LIKE 'http%'))
+    ORDER BY d.id
+  `);
+
+  if (rows.length === 0) {
+    console.log('All documents already have content hashes.');
+    return;
+  }
+
+  console.log(`Hashing ${rows.length} document(s)...`);
+  let successCount = 0;
+  let errorCount = 0;
+
+  for (const document of rows) {
+    // Older URL documents kept the URL in file_path
+    const isUrl = /^https?:\/\//.test(document.file_path || '');
+    const sourceUrl = document.source_url || (isUrl ? document.file_path : null);
+
+    let contentHash = document.content_hash;
+    try {
+      if (!contentHash && document.file_path && !isUrl) {
+        // Uploads are identified by the original file, as on upload
+        contentHash = hashContent(await fs.promises.readFile(document.file_path));
+      } else if (!contentHash && document.content) {
+        contentHash = hashContent(document.content);
+      }
+    } catch (error) {
+      console.error(`Failed to hash document ${document.id} ("${document.title}"): ${error.message}`);
+      errorCount++;
+      continue;
+    }
+
+    const canonicalUrl = document.canonical_url || (sourceUrl ? canonicalizeUrl(sourceUrl) : null);
+    await pool.query(
+      'UPDATE documents SET content_hash = $1, canonical_url = $2 WHERE id = $3',
+      [contentHash, canonicalUrl, document.id]
+    );
+    successCount++;
+  }
+
+  const { rows: [duplicates] } = await pool.query(`
+    SELECT COUNT(*)::int AS count FROM (
+      SELECT content_hash FROM documents WHERE content_hash IS NOT NULL GROUP BY content_hash HAVING COUNT(*) > 1
+    ) groups
+  `);
+
+  console.log(`Hashing completed. Success: ${successCount}, Errors: ${errorCount}`);
+  if (duplicates.count > 0) {
+    console.log(`${duplicates.count} set(s) of documents share the same content.`);
+  }
+};
+
+hashDocuments()
+  .catch(err => {
+    console.error('Error during hashing:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -85,12 +85,23 @@ const importJson = async () => {
 
     // 2. Get Column Definitions to handle special types (like vector)
     const columnTypes = await getColumnTypes(client, tableName);
+    const generatedColumns = await getGeneratedColumns(client, tableName);
 
     // 3. Insert Data
     let successCount = 0;
     let errorCount = 0;
 
     for (const row of data) {
+      // Older exports kept the full text on documents.content; it now lives in document_contents.
+      let legacyContent = null;
+      if (tableName === 'documents' && 'content' in row && !columnTypes['content']) {
+        legacyContent = row.content;
+        delete row.content;
+      }
+
+      // Generated columns (like the search vectors) are computed by the database and can't be inserted
+      generatedColumns.forEach(column => delete row[column]);
+
       const keys = Object.keys(row);
       const values = [];
       const placeholders = [];
@@ -119,6 +130,14 @@ const importJson = async () => {
 
       try {
         await client.query(query, values);
+        if (legacyContent !== null && row.id) {
+          await client.query(
+            `INSERT INTO document_contents (document_id, content, char_count)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (document_id) DO NOTHING`,
+            [row.id, legacyContent, legacyContent.length]
+          );
+        }
         successCount++;
       } catch (err) {
         // If error is about missing column "id" for on conflict, try without on conflict
@@ -186,4 +205,13 @@ async function getColumnTypes(client, tableName) {
     return types;
 }
 
+async function getGeneratedColumns(client, tableName) {
+    const res = await client.query(`
+        SELECT column_name
+        FROM information_schema.columns
+        WHERE table_name = $1 AND is_generated = 'ALWAYS'
+    `, [tableName]);
+    return res.rows.map(row => row.column_name);
+}
+
 importJson();
@@ -0,0 +1,53 @@
+import pool, { withTransaction } from '../src/db/index.js';
+import { detectLanguage, saveTextSearchConfig } from '../src/services/language.js';
+
+// Detects the language of documents ingested before language detection existed, and reindexes
+// every document for keyword search with the configuration of its language.
+const detectLanguages = async () => {
+  const { rows } = await pool.query('SELECT id, title, language, text_search_config::text FROM documents ORDER BY id');
+
+  if (rows.length === 0) {
+    console.log('No documents to index.');
+    return;
+  }
+
+  console.log(`Checking ${rows.length} document(s)...`);
+  let detectedCount = 0;
+  let reindexedCount = 0;
+  let errorCount = 0;
+
+  for (const document of rows) {
+    try {
+      const config = await withTransaction(async (client) => {
+        if (!document.language) {
+          const { rows: [content] } = await client.query(
+            'SELECT content FROM document_contents WHERE document_id = $1',
+            [document.id]
+          );
+          const language = detectLanguage(content?.content);
+          if (language) {
+            await client.query('UPDATE documents SET language = $1 WHERE id = $2', [language, document.id]);
+            console.log(`Document ${document.id} ("${document.title}"): ${language}`);
+            detectedCount++;
+          }
+        }
+        return saveTextSearchConfig(client, document.id);
+      });
+      if (config !== document.text_search_config) {
+        reindexedCount++;
+      }
+    } catch (error) {
+      console.error(`Failed to index document ${document.id} ("${document.title}"): ${error.message}`);
+      errorCount++;
+    }
+  }
+
+  console.log(`Done. Languages detected: ${detectedCount}, Reindexed: ${reindexedCount}, Errors: ${errorCount}`);
+};
+
+detectLanguages()
+  .catch(err => {
+    console.error('Error during language detection:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
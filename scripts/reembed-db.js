@@ -0,0 +1,91 @@
+import readline from 'readline/promises';
+import pool from '../src/db/index.js';
+import { getReembedTarget, estimateReembedding, stageDocuments, cutOverEmbeddings } from '../src/services/reembed.js';
+
+const MAX_CUT_OVER_ATTEMPTS = 5; // Documents added while re-embedding are embedded before each retry
+
+const USAGE = `Usage: npm run db:reembed -- [options]
+
+Re-embeds every document with the configured embedding model (EMBEDDING_*),
+then switches searches over to the new vectors in one step.
+
+Options:
+  --provider <name>          Embedding provider to switch to (openai, local)
+  --model <model>            Model to switch to
+  --dimensions <n>           Vector size, for models that support it
+  --tokens-per-minute <n>    Rate limit (default: REEMBED_TOKENS_PER_MINUTE)
+  --dry-run                  Only print the estimate
+  --yes                      Don't ask for confirmation`;
+
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--provider': options.provider = args[++i]; break;
+      case '--model': options.model = args[++i]; break;
+      case '--dimensions': options.dimensions = Number(args[++i]); break;
+      case '--tokens-per-minute': options.tokensPerMinute = Number(args[++i]); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--yes': options.yes = true; break;
+      default:
+        console.error(USAGE);
+        process.exit(1);
+    }
+  }
+  return options;
+};
+
+const confirm = async (question) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(question);
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+};
+
+const reembed = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const target = getReembedTarget(options);
+
+  const estimate = await estimateReembedding(target);
+  console.log(`Active model: ${estimate.activeModel}`);
+  console.log(`Target model: ${estimate.targetModel}`);
+  console.log(`Documents to embed: ${estimate.remainingDocuments} (${estimate.stagedDocuments} already done in an earlier run)`);
+  console.log(`Estimated tokens: ~${estimate.estimatedTokens.toLocaleString()}`);
+  console.log(`Estimated cost: ~$${estimate.estimatedCost.toFixed(4)}`);
+
+  if (estimate.activeModel === estimate.targetModel && estimate.remainingDocuments === 0) {
+    console.log('All documents already use the target model.');
+    return;
+  }
+  if (options.dryRun) {
+    return;
+  }
+  if (!options.yes && !(await confirm('Proceed? [y/N] '))) {
+    console.log('Aborted.');
+    return;
+  }
+
+  const stageOptions = {
+    tokensPerMinute: options.tokensPerMinute || undefined,
+    onProgress: async (done) => console.log(`Embedded ${done} document(s)...`),
+  };
+
+  await stageDocuments(target, stageOptions);
+  for (let attempt = 1; attempt <= MAX_CUT_OVER_ATTEMPTS; attempt++) {
+    const result = await cutOverEmbeddings(target);
+    if (result) {
+      console.log(`Re-embedding completed. ${result.documents} document(s) now use ${target.id}.`);
+      return;
+    }
+    console.log('Documents were added or changed while re-embedding; embedding them before switching...');
+    await stageDocuments(target, stageOptions);
+  }
+  throw new Error('Documents keep changing. Run the command again to finish; completed work is kept.');
+};
+
+reembed()
+  .catch(err => {
+    console.error('Error during re-embedding:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -11,6 +11,55 @@ export default {
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
   },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL,
+  },
+  completion: {
+    provider: process.env.COMPLETION_PROVIDER || 'openai',
+    model: process.env.COMPLETION_MODEL,
+    local: {
+      baseUrl: process.env.COMPLETION_LOCAL_BASE_URL,
+      apiKey: process.env.COMPLETION_LOCAL_API_KEY,
+      model: process.env.COMPLETION_LOCAL_MODEL,
+    },
+    contextTokens: parseInt(process.env.COMPLETION_CONTEXT_TOKENS, 10) || 6000,
+  },
+  embedding: {
+    provider: process.env.EMBEDDING_PROVIDER || 'openai',
+    model: process.env.EMBEDDING_MODEL,
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || undefined,
+    modelPath: process.env.EMBEDDING_MODEL_PATH,
+    reembedTokensPerMinute: parseInt(process.env.REEMBED_TOKENS_PER_MINUTE, 10) || 500000,
+  },
+  search: {
+    rrfK: Number(process.env.SEARCH_RRF_K || 60),
+    semanticWeight: Number(process.env.SEARCH_SEMANTIC_WEIGHT || 1),
+    keywordWeight: Number(process.env.SEARCH_KEYWORD_WEIGHT || 1),
+    minSimilarity: Number(process.env.SEARCH_MIN_SIMILARITY || 0.3),
+    vectorIndex: process.env.VECTOR_INDEX || 'hnsw',
+    hnswEfSearch: parseInt(process.env.VECTOR_INDEX_EF_SEARCH, 10) || 200,
+    ivfflatLists: parseInt(process.env.VECTOR_INDEX_LISTS, 10) || 100,
+    ivfflatProbes: parseInt(process.env.VECTOR_INDEX_PROBES, 10) || 10,
+  },
+  classify: {
+    onIngest: process.env.AUTO_CLASSIFY !== 'false',
+    categories: (process.env.CLASSIFY_CATEGORIES || '').split(',').map(category => category.trim()).filter(Boolean),
+  },
+  savedSearches: {
+    similarityThreshold: Number(process.env.SAVED_SEARCH_SIMILARITY || 0.5),
+    webhookUrl: process.env.SAVED_SEARCH_WEBHOOK_URL,
+    webhookSecret: process.env.SAVED_SEARCH_WEBHOOK_SECRET,
+  },
+  jobs: {
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+  },
+  ocr: {
+    enabled: process.env.OCR_ENABLED !== 'false',
+    languages: process.env.OCR_LANGUAGES || 'eng',
+    langPath: process.env.OCR_LANG_PATH,
+  },
   server: {
     port: process.env.PORT || 3000,
     host: process.env.HOST || '0.0.0.0',
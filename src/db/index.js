@@ -15,4 +15,48 @@ pool.on('connect', async (client) => {
   }
 });
 
+const commitCallbacks = new WeakMap(); // Callbacks waiting for each open withTransaction client to commit
+
+/**
+ * Runs a callback once a client's work is visible to other connections: after the
+ * transaction commits if the client is in withTransaction (and never if it rolls
+ * back), right away otherwise.
+ * @param {pg.PoolClient|pg.Pool} client
+ * @param {() => void} callback
+ */
+export const afterCommit = (client, callback) => {
+  const callbacks = commitCallbacks.get(client);
+  if (callbacks) {
+    callbacks.push(callback);
+  } else {
+    callback();
+  }
+};
+
+/**
+ * Runs a callback inside a transaction on a dedicated client, committing on
+ * success and rolling back if the callback throws.
+ * @param {(client: pg.PoolClient) => Promise<any>} callback The work to run in the transaction.
+ * @returns {Promise<any>} Whatever the callback returns.
+ */
+export const withTransaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    commitCallbacks.set(client, []);
+    const result = await callback(client);
+    await client.query('COMMIT');
+    const callbacks = commitCallbacks.get(client);
+    commitCallbacks.delete(client);
+    callbacks.forEach(commitCallback => commitCallback());
+    return result;
+  } catch (err) {
+    commitCallbacks.delete(client);
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 export default pool;
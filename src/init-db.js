@@ -1,9 +1,14 @@
 import pg from 'pg';
 import config from './config/index.js';
 import logger from './logger.js';
+import { VECTOR_INDEX_TYPES, ensureVectorIndex } from './services/ann.js';
 
 const { Client } = pg;
 
+// The model that produced every vector stored before embedding providers were configurable
+const LEGACY_EMBEDDING_MODEL = 'openai:text-embedding-ada-002';
+const LEGACY_EMBEDDING_SPEC = { id: LEGACY_EMBEDDING_MODEL, provider: 'openai', model: 'text-embedding-ada-002', dimensions: null };
+
 const initDb = async () => {
   // Use a direct client for initialization to avoid race conditions with the pool
   const client = new Client({
@@ -36,8 +41,7 @@ const initDb = async () => {
       CREATE TABLE IF NOT EXISTS documents (
         id SERIAL PRIMARY KEY,
         title VARCHAR(255) NOT NULL,
-        content TEXT,
-        embedding vector(1536),
+        embedding vector,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         source_url VARCHAR(2048),
@@ -47,6 +51,48 @@ const initDb = async () => {
     `);
     logger.info('Table "documents" created or already exists.');
 
+    await client.query(`
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'ready'
+      CHECK (status IN ('pending', 'processing', 'ready', 'failed'));
+    `);
+    logger.info('Column "documents.status" added or already exists.');
+
+    // SHA-256 of the uploaded file (or of the text for texts and URLs), and the
+    // normalized source URL, used to detect duplicate submissions
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_hash CHAR(64);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents (content_hash);');
+    logger.info('Column "documents.content_hash" added or already exists.');
+
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS canonical_url VARCHAR(2048);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_documents_canonical_url ON documents (canonical_url);');
+    logger.info('Column "documents.canonical_url" added or already exists.');
+
+    // Bibliographic metadata, extracted on ingest and editable. Fields listed in
+    // metadata_edited were changed by a user and are never overwritten by extraction.
+    await client.query(`
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS authors TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS published_date VARCHAR(10),
+      ADD COLUMN IF NOT EXISTS description TEXT,
+      ADD COLUMN IF NOT EXISTS language VARCHAR(35),
+      ADD COLUMN IF NOT EXISTS publisher VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS doi VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS isbn VARCHAR(13),
+      ADD COLUMN IF NOT EXISTS metadata_edited TEXT[] NOT NULL DEFAULT '{}';
+    `);
+    logger.info('Metadata columns on "documents" added or already exist.');
+
+    // Vectors may come from different embedding models (and sizes), so the
+    // column is untyped and each row records the model that produced it.
+    await client.query('ALTER TABLE documents ALTER COLUMN embedding TYPE vector;');
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255);');
+    await client.query(
+      'UPDATE documents SET embedding_model = $1 WHERE embedding IS NOT NULL AND embedding_model IS NULL;',
+      [LEGACY_EMBEDDING_MODEL]
+    );
+    logger.info('Column "documents.embedding_model" added or already exists.');
+
     // Drop existing trigger if it exists, then create it.
     await client.query('DROP TRIGGER IF EXISTS update_documents_updated_at ON documents;');
     await client.query(`
@@ -57,6 +103,119 @@ const initDb = async () => {
     `);
     logger.info('Trigger "update_documents_updated_at" created.');
 
+    // Full extracted text lives in its own table so list queries on documents stay light.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_contents (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        content TEXT NOT NULL,
+        page_offsets JSONB,
+        char_count INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    logger.info('Table "document_contents" created or already exists.');
+
+    await client.query('DROP TRIGGER IF EXISTS update_document_contents_updated_at ON document_contents;');
+    await client.query(`
+      CREATE TRIGGER update_document_contents_updated_at
+      BEFORE UPDATE ON document_contents
+      FOR EACH ROW
+      EXECUTE PROCEDURE update_updated_at_column();
+    `);
+    logger.info('Trigger "update_document_contents_updated_at" created.');
+
+    // Titles and texts are indexed with the text search configuration of the document's language
+    await client.query("ALTER TABLE documents ADD COLUMN IF NOT EXISTS text_search_config regconfig NOT NULL DEFAULT 'english';");
+    await client.query("ALTER TABLE document_contents ADD COLUMN IF NOT EXISTS text_search_config regconfig NOT NULL DEFAULT 'english';");
+    logger.info('Columns "text_search_config" added or already exist.');
+
+    // Search vectors used to follow the english configuration, and texts used to be indexed whole;
+    // generated columns can't be altered
+    for (const [table, column, expression] of [
+      ['document_contents', 'search_vector', '%"left"(content, 200000)%'],
+      ['documents', 'title_vector', '%text_search_config%'],
+    ]) {
+      const { rows } = await client.query(
+        `SELECT generation_expression FROM information_schema.columns
+         WHERE table_name = $1 AND column_name = $2 AND generation_expression NOT LIKE $3`,
+        [table, column, expression]
+      );
+      if (rows.length > 0) {
+        await client.query(`ALTER TABLE ${table} DROP COLUMN ${column};`);
+        logger.info(`Column "${table}.${column}" dropped to be regenerated.`);
+      }
+    }
+
+    // Keyword search matches these instead of parsing every text on every search. A tsvector holds
+    // at most 1 MB, which the text of a long book can exceed and fail its insert, so only the first
+    // 200,000 characters of each text are indexed.
+    await client.query(`
+      ALTER TABLE document_contents
+      ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (to_tsvector(text_search_config, left(content, 200000))) STORED;
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_document_contents_search_vector ON document_contents USING GIN (search_vector);');
+    logger.info('Column "document_contents.search_vector" added or already exists.');
+
+    await client.query(`
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS title_vector tsvector GENERATED ALWAYS AS (to_tsvector(text_search_config, title)) STORED;
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_documents_title_vector ON documents USING GIN (title_vector);');
+    logger.info('Column "documents.title_vector" added or already exists.');
+
+    // Move content from the legacy documents.content column, if it is still there, before
+    // existing documents get their first version.
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'documents' AND column_name = 'content'
+        ) THEN
+          INSERT INTO document_contents (document_id, content, char_count)
+          SELECT id, content, LENGTH(content) FROM documents WHERE content IS NOT NULL
+          ON CONFLICT (document_id) DO NOTHING;
+          ALTER TABLE documents DROP COLUMN content;
+        END IF;
+      END $$;
+    `);
+    logger.info('Legacy "documents.content" column migrated to "document_contents".');
+
+    // Every indexed state of a document. The newest version is the current one;
+    // older versions keep their text and original file so they can be compared and restored.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_versions (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        version_number INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        file_path VARCHAR(1024),
+        source_url VARCHAR(2048),
+        mime_type VARCHAR(255),
+        content_hash CHAR(64),
+        content TEXT NOT NULL,
+        page_offsets JSONB,
+        restored_from INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, version_number)
+      );
+    `);
+    logger.info('Table "document_versions" created or already exists.');
+
+    // Documents indexed before versioning existed start at version 1
+    const { rowCount: backfilledVersions } = await client.query(`
+      INSERT INTO document_versions
+        (document_id, version_number, title, file_path, source_url, mime_type, content_hash, content, page_offsets, created_at)
+      SELECT d.id, 1, d.title, d.file_path, d.source_url, d.mime_type, d.content_hash, c.content, c.page_offsets, c.updated_at
+      FROM documents d
+      JOIN document_contents c ON c.document_id = d.id
+      WHERE NOT EXISTS (SELECT 1 FROM document_versions v WHERE v.document_id = d.id);
+    `);
+    if (backfilledVersions > 0) {
+      logger.info(`Recorded version 1 of ${backfilledVersions} existing document(s).`);
+    }
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS urls (
         id SERIAL PRIMARY KEY,
@@ -94,6 +253,13 @@ const initDb = async () => {
     `);
     logger.info('Table "api_usage_logs" created or already exists.');
 
+    // Rows logged before completion providers were pluggable all came from OpenAI
+    await client.query(`
+      ALTER TABLE api_usage_logs
+      ADD COLUMN IF NOT EXISTS provider VARCHAR(50) NOT NULL DEFAULT 'openai';
+    `);
+    logger.info('Column "api_usage_logs.provider" added or already exists.');
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS notebooks (
         id SERIAL PRIMARY KEY,
@@ -124,6 +290,298 @@ const initDb = async () => {
     `);
     logger.info('Table "notebook_documents" created or already exists.');
 
+    // Chat threads about a notebook. The title is taken from the first question unless one is given.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notebook_conversations (
+        id SERIAL PRIMARY KEY,
+        notebook_id INTEGER NOT NULL REFERENCES notebooks(id) ON DELETE CASCADE,
+        title VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_notebook_conversations_notebook ON notebook_conversations (notebook_id, updated_at DESC);');
+    logger.info('Table "notebook_conversations" created or already exists.');
+
+    await client.query('DROP TRIGGER IF EXISTS update_notebook_conversations_updated_at ON notebook_conversations;');
+    await client.query(`
+      CREATE TRIGGER update_notebook_conversations_updated_at
+      BEFORE UPDATE ON notebook_conversations
+      FOR EACH ROW
+      EXECUTE PROCEDURE update_updated_at_column();
+    `);
+    logger.info('Trigger "update_notebook_conversations_updated_at" created.');
+
+    // Questions and answers of a conversation. Questions keep the standalone query passages were
+    // retrieved with, answers the passages they cite (as returned by POST /notebooks/:id/query).
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversation_messages (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER NOT NULL REFERENCES notebook_conversations(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+        content TEXT NOT NULL,
+        search_query TEXT,
+        sources JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages (conversation_id, id);');
+    logger.info('Table "conversation_messages" created or already exists.');
+
+    // Free-form tags. Names are unique regardless of case and keep the spelling they were first given.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name ON tags (lower(name));');
+    logger.info('Table "tags" created or already exists.');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_tags (
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (document_id, tag_id)
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_document_tags_tag_id ON document_tags (tag_id);');
+    logger.info('Table "document_tags" created or already exists.');
+
+    // Collections nest through parent_id; deleting a collection deletes its subcollections, not their documents
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        parent_id INTEGER REFERENCES collections(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_parent_name ON collections (COALESCE(parent_id, 0), lower(name));'
+    );
+    logger.info('Table "collections" created or already exists.');
+
+    // Drop existing trigger if it exists, then create it.
+    await client.query('DROP TRIGGER IF EXISTS update_collections_updated_at ON collections;');
+    await client.query(`
+      CREATE TRIGGER update_collections_updated_at
+      BEFORE UPDATE ON collections
+      FOR EACH ROW
+      EXECUTE PROCEDURE update_updated_at_column();
+    `);
+    logger.info('Trigger "update_collections_updated_at" created.');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS collection_documents (
+        collection_id INTEGER REFERENCES collections(id) ON DELETE CASCADE,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (collection_id, document_id)
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_collection_documents_document_id ON collection_documents (document_id);');
+    logger.info('Table "collection_documents" created or already exists.');
+
+    // Topic category, and when the completion model last proposed tags, a category and a description
+    await client.query(`
+      ALTER TABLE documents
+      ADD COLUMN IF NOT EXISTS category VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS classified_at TIMESTAMP WITH TIME ZONE;
+    `);
+    logger.info('Columns "documents.category" and "documents.classified_at" added or already exist.');
+
+    // Suggestions wait for review; accepted and rejected ones are kept so they aren't proposed again
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_suggestions (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('tag', 'category', 'description')),
+        value TEXT NOT NULL,
+        is_new BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+        model VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await client.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_document_suggestions_value ON document_suggestions (document_id, kind, lower(value));'
+    );
+    logger.info('Table "document_suggestions" created or already exists.');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_chunks (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        page_number INTEGER,
+        heading TEXT,
+        start_offset INTEGER NOT NULL,
+        end_offset INTEGER NOT NULL,
+        embedding vector,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, chunk_index)
+      );
+    `);
+    logger.info('Table "document_chunks" created or already exists.');
+
+    await client.query('ALTER TABLE document_chunks ALTER COLUMN embedding TYPE vector;');
+    await client.query('ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255);');
+    await client.query(
+      'UPDATE document_chunks SET embedding_model = $1 WHERE embedding IS NOT NULL AND embedding_model IS NULL;',
+      [LEGACY_EMBEDDING_MODEL]
+    );
+    await client.query('CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding_model ON document_chunks (embedding_model);');
+    logger.info('Column "document_chunks.embedding_model" added or already exists.');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+        progress INTEGER NOT NULL DEFAULT 0,
+        stage VARCHAR(100),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        last_error TEXT,
+        result JSONB,
+        run_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at);');
+    logger.info('Table "jobs" created or already exists.');
+
+    await client.query('DROP TRIGGER IF EXISTS update_jobs_updated_at ON jobs;');
+    await client.query(`
+      CREATE TRIGGER update_jobs_updated_at
+      BEFORE UPDATE ON jobs
+      FOR EACH ROW
+      EXECUTE PROCEDURE update_updated_at_column();
+    `);
+    logger.info('Trigger "update_jobs_updated_at" created.');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    logger.info('Table "settings" created or already exists.');
+
+    await client.query('DROP TRIGGER IF EXISTS update_settings_updated_at ON settings;');
+    await client.query(`
+      CREATE TRIGGER update_settings_updated_at
+      BEFORE UPDATE ON settings
+      FOR EACH ROW
+      EXECUTE PROCEDURE update_updated_at_column();
+    `);
+    logger.info('Trigger "update_settings_updated_at" created.');
+
+    // Existing vectors predate the setting, so record the model that produced them
+    await client.query(
+      `INSERT INTO settings (key, value)
+       SELECT 'embedding_model', $1
+       WHERE EXISTS (SELECT 1 FROM document_chunks WHERE embedding_model = $2)
+       ON CONFLICT (key) DO NOTHING;`,
+      [JSON.stringify(LEGACY_EMBEDDING_SPEC), LEGACY_EMBEDDING_MODEL]
+    );
+    logger.info('Setting "embedding_model" initialized.');
+
+    // Re-embedding stages the new chunks and vectors here until the cut-over
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reembed_documents (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        embedding_model VARCHAR(255) NOT NULL,
+        embedding vector,
+        content_updated_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    logger.info('Table "reembed_documents" created or already exists.');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reembed_chunks (
+        document_id INTEGER NOT NULL REFERENCES reembed_documents(document_id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        page_number INTEGER,
+        heading TEXT,
+        start_offset INTEGER NOT NULL,
+        end_offset INTEGER NOT NULL,
+        embedding vector NOT NULL,
+        PRIMARY KEY (document_id, chunk_index)
+      );
+    `);
+    logger.info('Table "reembed_chunks" created or already exists.');
+
+    // Saved searches keep the query's embedding for the model it was made with, to check new documents against
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        query TEXT NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}',
+        query_language VARCHAR(35),
+        similarity_threshold REAL CHECK (similarity_threshold BETWEEN 0 AND 1),
+        alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        embedding vector,
+        embedding_model VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    logger.info('Table "saved_searches" created or already exists.');
+
+    // Drop existing trigger if it exists, then create it.
+    await client.query('DROP TRIGGER IF EXISTS update_saved_searches_updated_at ON saved_searches;');
+    await client.query(`
+      CREATE TRIGGER update_saved_searches_updated_at
+      BEFORE UPDATE ON saved_searches
+      FOR EACH ROW
+      EXECUTE PROCEDURE update_updated_at_column();
+    `);
+    logger.info('Trigger "update_saved_searches_updated_at" created.');
+
+    // New documents matching a saved search; unread until read_at is set
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saved_search_matches (
+        id SERIAL PRIMARY KEY,
+        saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+        document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        match_type VARCHAR(20) NOT NULL CHECK (match_type IN ('keyword', 'semantic')),
+        similarity REAL,
+        read_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (saved_search_id, document_id)
+      );
+    `);
+    await client.query(
+      'CREATE INDEX IF NOT EXISTS idx_saved_search_matches_unread ON saved_search_matches (created_at) WHERE read_at IS NULL;'
+    );
+    logger.info('Table "saved_search_matches" created or already exists.');
+
+    // Vector index for the active model; models without vectors yet get theirs after the first document
+    if (!VECTOR_INDEX_TYPES.includes(config.search.vectorIndex)) {
+      throw new Error(`VECTOR_INDEX must be one of: ${VECTOR_INDEX_TYPES.join(', ')}`);
+    }
+    const { rows: [activeModel] } = await client.query("SELECT value->>'id' as id FROM settings WHERE key = 'embedding_model'");
+    if (activeModel) {
+      await ensureVectorIndex(client, activeModel.id);
+    }
+    logger.info(`Vector index (${config.search.vectorIndex}) created or not needed.`);
+
   } catch (err) {
     logger.error('Error during database initialization:', err);
     // Exit with an error code to signal failure, which can be useful for docker-compose health checks
@@ -0,0 +1,100 @@
+import pool from '../db/index.js';
+import logger from '../logger.js';
+import { enqueueJob } from '../services/jobs.js';
+import { REEMBED_JOB, getReembedTarget, estimateReembedding, findActiveReembedJob } from '../services/reembed.js';
+import { CLASSIFY_BACKLOG_JOB, countBacklog, findActiveBacklogJob } from '../services/classify.js';
+import { getCompletionProvider } from '../services/completions/index.js';
+
+async function routes(fastify, options) {
+  // Estimate re-embedding every document with a model (the configured one by default)
+  fastify.get('/admin/reembed', async (request, reply) => {
+    let target;
+    try {
+      target = getReembedTarget(request.query);
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
+
+    try {
+      const estimate = await estimateReembedding(target);
+      const job = await findActiveReembedJob();
+      return reply.send({ ...estimate, job });
+    } catch (error) {
+      logger.error('Error estimating re-embedding:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Start re-embedding in the background; the new vectors go live once all documents are done
+  fastify.post('/admin/reembed', async (request, reply) => {
+    const { tokensPerMinute, ...overrides } = request.body || {};
+
+    let target;
+    try {
+      target = getReembedTarget(overrides);
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
+
+    try {
+      const activeJob = await findActiveReembedJob();
+      if (activeJob) {
+        return reply.status(409).send({ error: 'Re-embedding is already in progress', job: activeJob });
+      }
+
+      const estimate = await estimateReembedding(target);
+      const job = await enqueueJob(pool, REEMBED_JOB, {
+        target: target.spec,
+        tokensPerMinute: Number(tokensPerMinute) || undefined,
+      });
+      return reply.status(202).send({ ...estimate, jobId: job.id });
+    } catch (error) {
+      logger.error('Error starting re-embedding:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Count the documents still to be classified (?force=true counts every ready document)
+  fastify.get('/admin/classify', async (request, reply) => {
+    try {
+      const documents = await countBacklog({ force: request.query.force === 'true' });
+      const job = await findActiveBacklogJob();
+      return reply.send({ documents, job });
+    } catch (error) {
+      logger.error('Error counting documents to classify:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Suggest tags, a category and a description for every document that has none yet,
+  // or with force, for every document again
+  fastify.post('/admin/classify', async (request, reply) => {
+    const { force = false, provider, model } = request.body || {};
+
+    try {
+      getCompletionProvider({ provider, model });
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
+
+    try {
+      const activeJob = await findActiveBacklogJob();
+      if (activeJob) {
+        return reply.status(409).send({ error: 'Classification is already in progress', job: activeJob });
+      }
+
+      const documents = await countBacklog({ force });
+      const job = await enqueueJob(pool, CLASSIFY_BACKLOG_JOB, {
+        since: force ? new Date().toISOString() : null,
+        provider,
+        model,
+      });
+      return reply.status(202).send({ documents, jobId: job.id });
+    } catch (error) {
+      logger.error('Error starting classification:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
+
+export default routes;
@@ -0,0 +1,230 @@
+import pool, { withTransaction } from '../db/index.js';
+import logger from '../logger.js';
+import { buildCollectionTree, getCollectionPath, lockCollectionTree, wouldCreateCycle } from '../services/collections.js';
+import { parseDocumentFilters, buildDocumentFilters } from '../services/filters.js';
+
+const MAX_BULK_DOCUMENTS = 1000;
+
+const parseParentId = (value) => {
+  if (value === null || value === undefined) return { parentId: null };
+  const parentId = Number(value);
+  return Number.isInteger(parentId) && parentId > 0 ? { parentId } : { error: 'parentId must be a collection ID or null' };
+};
+
+async function routes(fastify, options) {
+  // --- Collection CRUD ---
+
+  // Create a collection, optionally inside another one
+  fastify.post('/collections', async (request, reply) => {
+    const { name, description = null } = request.body || {};
+    if (!name || !name.trim()) {
+      return reply.status(400).send({ error: 'Name is required' });
+    }
+    const { parentId, error } = parseParentId(request.body.parentId);
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    try {
+      const { rows } = await pool.query(
+        'INSERT INTO collections (name, description, parent_id) VALUES ($1, $2, $3) RETURNING *',
+        [name.trim().substring(0, 255), description, parentId]
+      );
+      return reply.status(201).send(rows[0]);
+    } catch (err) {
+      if (err.code === '23505') { // unique_violation
+        return reply.status(409).send({ error: `A collection named "${name.trim()}" already exists here` });
+      }
+      if (err.code === '23503') { // foreign_key_violation
+        return reply.status(400).send({ error: 'Parent collection not found' });
+      }
+      logger.error('Error creating collection:', err);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Get all collections as a tree, with the number of documents directly in each
+  fastify.get('/collections', async (request, reply) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT c.*, COUNT(cd.document_id)::int as document_count
+         FROM collections c
+         LEFT JOIN collection_documents cd ON cd.collection_id = c.id
+         GROUP BY c.id
+         ORDER BY lower(c.name)`
+      );
+      return reply.send(buildCollectionTree(rows));
+    } catch (error) {
+      logger.error('Error fetching collections:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Get a collection with its path, subcollections and documents.
+  // ?includeSubcollections=true also lists the documents of its subcollections.
+  fastify.get('/collections/:id', async (request, reply) => {
+    const { id } = request.params;
+    const includeSubcollections = request.query.includeSubcollections === 'true';
+    try {
+      const collectionRes = await pool.query('SELECT * FROM collections WHERE id = $1', [id]);
+      if (collectionRes.rows.length === 0) {
+        return reply.status(404).send({ error: 'Collection not found' });
+      }
+      const collection = collectionRes.rows[0];
+
+      const childrenRes = await pool.query(
+        `SELECT c.*, COUNT(cd.document_id)::int as document_count
+         FROM collections c
+         LEFT JOIN collection_documents cd ON cd.collection_id = c.id
+         WHERE c.parent_id = $1
+         GROUP BY c.id
+         ORDER BY lower(c.name)`,
+        [collection.id]
+      );
+
+      let condition = 'd.id IN (SELECT document_id FROM collection_documents WHERE collection_id = $1)';
+      let params = [collection.id];
+      if (includeSubcollections) {
+        params = [];
+        [condition] = buildDocumentFilters(parseDocumentFilters({ collection: collection.id }).filters, params);
+      }
+      const documentsRes = await pool.query(
+        `SELECT d.id, d.title, d.created_at, d.updated_at, d.file_path, d.source_url, d.mime_type, d.status
+         FROM documents d
+         WHERE ${condition}
+         ORDER BY d.created_at DESC`,
+        params
+      );
+
+      collection.path = await getCollectionPath(pool, collection.id);
+      collection.children = childrenRes.rows;
+      collection.documents = documentsRes.rows;
+      return reply.send(collection);
+    } catch (error) {
+      logger.error(`Error fetching collection ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Rename a collection, change its description, or move it under another parent (null for the top level)
+  fastify.put('/collections/:id', async (request, reply) => {
+    const { id } = request.params;
+    const { name, description } = request.body || {};
+    const moving = request.body && 'parentId' in request.body;
+
+    if (name !== undefined && (!name || !name.trim())) {
+      return reply.status(400).send({ error: 'Name cannot be empty' });
+    }
+    if (name === undefined && description === undefined && !moving) {
+      return reply.status(400).send({ error: 'Name, description or parentId is required for update' });
+    }
+    const { parentId, error } = parseParentId(request.body.parentId);
+    if (moving && error) {
+      return reply.status(400).send({ error });
+    }
+
+    try {
+      const result = await withTransaction(async (client) => {
+        if (moving && parentId) {
+          await lockCollectionTree(client);
+          if (await wouldCreateCycle(client, Number(id), parentId)) {
+            return { error: 'A collection cannot be moved into itself or one of its subcollections' };
+          }
+        }
+        const { rows } = await client.query(
+          `UPDATE collections SET
+           name = COALESCE($1, name),
+           description = CASE WHEN $2 THEN $3 ELSE description END,
+           parent_id = CASE WHEN $4 THEN $5::int ELSE parent_id END
+           WHERE id = $6 RETURNING *`,
+          [name ? name.trim().substring(0, 255) : null, description !== undefined, description ?? null, moving, parentId, id]
+        );
+        return { collection: rows[0] };
+      });
+
+      if (result.error) {
+        return reply.status(400).send({ error: result.error });
+      }
+      if (!result.collection) {
+        return reply.status(404).send({ error: 'Collection not found' });
+      }
+      return reply.send(result.collection);
+    } catch (err) {
+      if (err.code === '23505') { // unique_violation
+        return reply.status(409).send({ error: 'A collection with this name already exists there' });
+      }
+      if (err.code === '23503') { // foreign_key_violation
+        return reply.status(400).send({ error: 'Parent collection not found' });
+      }
+      logger.error(`Error updating collection ${id}:`, err);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Delete a collection and its subcollections. Their documents are kept.
+  fastify.delete('/collections/:id', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const { rowCount } = await pool.query('DELETE FROM collections WHERE id = $1', [id]);
+      if (rowCount === 0) {
+        return reply.status(404).send({ error: 'Collection not found' });
+      }
+      return reply.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting collection ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // --- Documents in Collections ---
+
+  // Add one or more documents to a collection
+  fastify.post('/collections/:id/documents', async (request, reply) => {
+    const { id } = request.params;
+    const { documentIds } = request.body || {};
+
+    const ids = Array.isArray(documentIds) ? [...new Set(documentIds.map(Number))] : [];
+    if (ids.length === 0 || ids.length > MAX_BULK_DOCUMENTS || !ids.every(docId => Number.isInteger(docId) && docId > 0)) {
+      return reply.status(400).send({ error: `documentIds must be an array of 1-${MAX_BULK_DOCUMENTS} document IDs` });
+    }
+
+    try {
+      const { rows } = await pool.query('SELECT id FROM collections WHERE id = $1', [id]);
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Collection not found' });
+      }
+
+      // Unknown documents are skipped, and documents already in the collection stay as they are
+      const { rowCount } = await pool.query(
+        `INSERT INTO collection_documents (collection_id, document_id)
+         SELECT $1, id FROM documents WHERE id = ANY($2::int[])
+         ON CONFLICT DO NOTHING`,
+        [rows[0].id, ids]
+      );
+      return reply.status(201).send({ added: rowCount });
+    } catch (error) {
+      logger.error(`Error adding documents to collection ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Remove a document from a collection
+  fastify.delete('/collections/:id/documents/:documentId', async (request, reply) => {
+    const { id, documentId } = request.params;
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM collection_documents WHERE collection_id = $1 AND document_id = $2',
+        [id, documentId]
+      );
+      if (rowCount === 0) {
+        return reply.status(404).send({ error: 'Document not found in this collection' });
+      }
+      return reply.status(204).send();
+    } catch (error) {
+      logger.error(`Error removing document ${documentId} from collection ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
+
+export default routes;
@@ -0,0 +1,181 @@
+import pool from '../db/index.js';
+import logger from '../logger.js';
+import { getAnswerFromContext, rewriteQuestion } from '../services/ai.js';
+import { extractSources } from '../services/citations.js';
+import { getCompletionProvider } from '../services/completions/index.js';
+import { buildNotebookContext } from '../services/context-builder.js';
+import { findNotebookPassages, getConversationHistory, saveConversationExchange } from '../services/notebook-qa.js';
+import { wantsEventStream, streamCompletion } from '../services/sse.js';
+
+async function routes(fastify, options) {
+  // List a notebook's conversations, most recently active first
+  fastify.get('/notebooks/:id/conversations', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const notebookRes = await pool.query('SELECT id FROM notebooks WHERE id = $1', [id]);
+      if (notebookRes.rows.length === 0) {
+        return reply.status(404).send({ error: 'Notebook not found' });
+      }
+
+      const { rows } = await pool.query(
+        `SELECT c.id, c.notebook_id, c.title, c.created_at, c.updated_at, COUNT(m.id)::int as message_count
+         FROM notebook_conversations c
+         LEFT JOIN conversation_messages m ON m.conversation_id = c.id
+         WHERE c.notebook_id = $1
+         GROUP BY c.id
+         ORDER BY c.updated_at DESC, c.id DESC`,
+        [id]
+      );
+      return reply.send(rows);
+    } catch (error) {
+      logger.error(`Error fetching conversations of notebook ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Start a conversation: { title } is optional, the first question is used otherwise
+  fastify.post('/notebooks/:id/conversations', async (request, reply) => {
+    const { id } = request.params;
+    const { title = null } = request.body || {};
+    if (title !== null && (typeof title !== 'string' || !title.trim() || title.length > 255)) {
+      return reply.status(400).send({ error: 'title must be a non-empty string of at most 255 characters' });
+    }
+
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO notebook_conversations (notebook_id, title)
+         SELECT id, $2 FROM notebooks WHERE id = $1
+         RETURNING *`,
+        [id, title && title.trim()]
+      );
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Notebook not found' });
+      }
+      return reply.status(201).send({ ...rows[0], message_count: 0 });
+    } catch (error) {
+      logger.error(`Error creating a conversation in notebook ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Get a conversation with its messages
+  fastify.get('/notebooks/:id/conversations/:conversationId', async (request, reply) => {
+    const { id, conversationId } = request.params;
+    try {
+      const conversationRes = await pool.query(
+        'SELECT * FROM notebook_conversations WHERE id = $1 AND notebook_id = $2',
+        [conversationId, id]
+      );
+      if (conversationRes.rows.length === 0) {
+        return reply.status(404).send({ error: 'Conversation not found' });
+      }
+      const conversation = conversationRes.rows[0];
+
+      const messagesRes = await pool.query(
+        `SELECT id, role, content, search_query, sources, created_at
+         FROM conversation_messages
+         WHERE conversation_id = $1
+         ORDER BY id`,
+        [conversationId]
+      );
+      conversation.messages = messagesRes.rows;
+
+      return reply.send(conversation);
+    } catch (error) {
+      logger.error(`Error fetching conversation ${conversationId}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Continue a conversation with a question: { question, provider, model }. The question is rewritten
+  // with the conversation's history before retrieval, and the answer cites its passages like
+  // POST /notebooks/:id/query. Responds with the two new messages and the context report; with
+  // "Accept: text/event-stream" the answer is streamed (see services/sse.js).
+  fastify.post('/notebooks/:id/conversations/:conversationId/messages', async (request, reply) => {
+    const { id, conversationId } = request.params;
+    const { question, provider, model } = request.body || {};
+
+    if (typeof question !== 'string' || !question.trim()) {
+      return reply.status(400).send({ error: 'Question is required' });
+    }
+
+    let completionProvider;
+    try {
+      completionProvider = getCompletionProvider({ provider, model });
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
+
+    try {
+      // 1. Fetch the conversation and its notebook's notes
+      const conversationRes = await pool.query(
+        `SELECT c.id, n.content as notes
+         FROM notebook_conversations c
+         JOIN notebooks n ON n.id = c.notebook_id
+         WHERE c.id = $1 AND c.notebook_id = $2`,
+        [conversationId, id]
+      );
+      if (conversationRes.rows.length === 0) {
+        return reply.status(404).send({ error: 'Conversation not found' });
+      }
+      const notebookNotes = conversationRes.rows[0].notes || '';
+
+      // 2. Turn a follow-up into a standalone question and find the passages relevant to it
+      const history = await getConversationHistory(conversationId);
+      const searchQuery = await rewriteQuestion(question, history, completionProvider);
+      const candidates = await findNotebookPassages(id, searchQuery);
+      if (!candidates) {
+        return reply.status(500).send({ error: 'Failed to generate embedding for the question.' });
+      }
+
+      // 3. Answer with as much of the conversation and passages as fits the budget, and save the exchange
+      const { context, passages, history: recentHistory, report } = await buildNotebookContext({
+        notes: notebookNotes,
+        passages: candidates,
+        history,
+      });
+      const generate = async (onText) => {
+        const answer = await getAnswerFromContext(question, context, completionProvider, { onText, history: recentHistory });
+        if (!answer) {
+          return { error: 'Failed to get an answer from the AI service.' };
+        }
+        const sources = extractSources(answer, passages);
+        const messages = await saveConversationExchange(conversationId, { question, searchQuery, answer, sources });
+        return { result: { messages, context: report } };
+      };
+      if (wantsEventStream(request)) {
+        return streamCompletion(reply, generate);
+      }
+
+      const { result, error } = await generate();
+      if (error) {
+        return reply.status(500).send({ error });
+      }
+
+      return reply.status(201).send(result);
+    } catch (error) {
+      logger.error(`Error continuing conversation ${conversationId}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Delete a conversation and its messages
+  fastify.delete('/notebooks/:id/conversations/:conversationId', async (request, reply) => {
+    const { id, conversationId } = request.params;
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM notebook_conversations WHERE id = $1 AND notebook_id = $2',
+        [conversationId, id]
+      );
+      if (rowCount === 0) {
+        return reply.status(404).send({ error: 'Conversation not found' });
+      }
+      return reply.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting conversation ${conversationId}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
+
+export default routes;
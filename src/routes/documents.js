@@ -1,164 +1,136 @@
-import { getEmbedding, getSummary, getTableOfContents, getKeyInsights, getReflectionQuestions } from '../services/openai.js';
-import pool from '../db/index.js';
+import { getSummary, getTableOfContents, getKeyInsights, getReflectionQuestions } from '../services/ai.js';
+import { getCompletionProvider } from '../services/completions/index.js';
+import { wantsEventStream, streamCompletion } from '../services/sse.js';
+import { getEmbedding, getEmbeddingProvider } from '../services/embeddings/index.js';
+import { getDocumentContent } from '../services/content.js';
+import { enqueueJob } from '../services/jobs.js';
+import { INGEST_FILE_JOB } from '../services/ingest.js';
+import { DUPLICATE_ACTIONS, findDuplicate, lockDuplicateKey } from '../services/dedup.js';
+import { resolveUploadType, saveUpload, isUploadTooLarge } from '../services/uploads.js';
+import { METADATA_FIELDS, validateMetadataUpdate } from '../services/metadata.js';
+import { parseDocumentFilters, buildDocumentFilters } from '../services/filters.js';
+import { SORT_OPTIONS, searchDocuments, findRelatedDocuments } from '../services/search.js';
+import { parseSearchQuery } from '../services/query.js';
+import { SUPPORTED_LANGUAGES, findTextSearchConfig, saveTextSearchConfig } from '../services/language.js';
+import pool, { withTransaction } from '../db/index.js';
 import logger from '../logger.js';
-import pgvector from 'pgvector/pg';
-import * as pdfjs from 'pdfjs-dist';
 import fs from 'fs';
 import path from 'path';
-import { pipeline } from 'stream';
-import { promisify } from 'util';
-import crypto from 'crypto';
 
-const pump = promisify(pipeline);
+const MAX_SEARCH_LIMIT = 100;
+const MAX_RELATED_LIMIT = 20;
 
-// This is required for pdfjs-dist to work in a Node.js environment
-pdfjs.GlobalWorkerOptions.workerSrc = 'pdfjs-dist/build/pdf.worker.mjs';
-
-const MAX_DB_STORAGE_LENGTH = 25000;  // Max characters to store in the database
-const MAX_EMBEDDING_LENGTH = 15000;   // Max characters to use for the embedding
-const UPLOADS_DIR = './uploads';
+// Analysis types of POST /documents/:id/analyze
+const ANALYSES = {
+  table_of_contents: getTableOfContents,
+  key_insights: getKeyInsights,
+  reflection_questions: getReflectionQuestions,
+};
 
 async function routes(fastify, options) {
   fastify.post('/documents', async (request, reply) => {
+    const { onDuplicate = 'return' } = request.query;
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return reply.status(400).send({ error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+    }
+
     const data = await request.file();
 
     if (!data) {
       return reply.status(400).send({ error: 'File is required' });
     }
 
-    const { filename, mimetype, file } = data;
+    const { filename, file } = data;
     const title = filename;
-    
-    // Create a unique filename to prevent overwrites
-    const uniqueFilename = `${crypto.randomBytes(16).toString('hex')}${path.extname(filename)}`;
-    const filePath = path.join(UPLOADS_DIR, uniqueFilename);
 
-    try {
-      // Ensure the uploads directory exists
-      await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+    const { mimetype, error: typeError } = resolveUploadType(data.mimetype, filename);
+    if (typeError) {
+      // Drain the upload so the connection can be reused
+      file.resume();
+      return reply.status(415).send({ error: typeError });
+    }
 
-      // Save the file to the filesystem using streams for efficiency
-      await pump(file, fs.createWriteStream(filePath));
-      
-      let fullContent = '';
-
-      // Now that the file is saved, read it for content extraction
-      if (mimetype === 'application/pdf') {
-        const buffer = await fs.promises.readFile(filePath);
-        const uint8array = new Uint8Array(buffer);
-        const doc = await pdfjs.getDocument(uint8array).promise;
-        let text = '';
-        for (let i = 1; i <= doc.numPages; i++) {
-          const page = await doc.getPage(i);
-          const content = await page.getTextContent();
-          
-          let lastY;
-          let pageText = '';
-          for (const item of content.items) {
-            const currentY = item.transform[5];
-            if (lastY !== undefined) {
-              const yDiff = Math.abs(currentY - lastY);
-              if (yDiff > 5) {
-                pageText += '\n';
-                if (yDiff > 15) pageText += '\n';
-              } else if (pageText.length > 0 && !pageText.endsWith(' ') && !item.str.startsWith(' ')) {
-                pageText += ' ';
-              }
-            }
-            pageText += item.str;
-            lastY = currentY;
-          }
-          text += pageText + '\n\n';
-          if (text.length > MAX_DB_STORAGE_LENGTH) {
-            break; 
+    try {
+      const { filePath, contentHash } = await saveUpload(file, filename);
+
+      // Extraction and embedding happen in the background worker
+      const { duplicate, document, job } = await withTransaction(async (client) => {
+        await lockDuplicateKey(client, contentHash);
+        if (onDuplicate !== 'new') {
+          // An identical file has nothing to add as a new version either
+          const existing = await findDuplicate(client, { contentHash });
+          if (existing) {
+            return { duplicate: existing };
           }
         }
-        fullContent = text.substring(0, MAX_DB_STORAGE_LENGTH);
-      
-      } else {
-        // For other file types, read the saved file
-        const fileContent = await fs.promises.readFile(filePath, 'utf-8');
-        fullContent = fileContent.substring(0, MAX_DB_STORAGE_LENGTH);
-      }
-
-      if (!fullContent) {
-        logger.error('File processing resulted in empty content.');
-        return reply.status(400).send({ error: 'Could not extract text from the document.' });
-      }
 
-      const truncatedForEmbedding = fullContent.substring(0, MAX_EMBEDDING_LENGTH);
-      const embedding = await getEmbedding(truncatedForEmbedding);
-      if (!embedding) {
-        return reply.status(500).send({ error: 'Failed to generate embedding' });
+        const { rows } = await client.query(
+          `INSERT INTO documents (title, file_path, mime_type, status, content_hash) VALUES ($1, $2, $3, 'pending', $4)
+           RETURNING id, title, created_at, mime_type, status`,
+          [title, filePath, mimetype, contentHash]
+        );
+        const job = await enqueueJob(client, INGEST_FILE_JOB, { filePath, mimetype, filename, contentHash }, { documentId: rows[0].id });
+        return { document: rows[0], job };
+      });
+
+      if (duplicate) {
+        // The same file is already stored; don't keep a second copy
+        await fs.promises.unlink(filePath);
+        return reply.send({ ...duplicate, duplicate: true });
       }
 
-      const { rows } = await pool.query(
-        'INSERT INTO documents (title, content, embedding, file_path, mime_type) VALUES ($1, $2, $3, $4, $5) RETURNING id, title, created_at',
-        [title, fullContent, pgvector.toSql(embedding), filePath, mimetype]
-      );
-
-      return reply.status(201).send(rows[0]);
+      return reply.status(202).send({ ...document, jobId: job.id });
 
     } catch (error) {
-      if (error.code === 'FST_PARTS_LIMIT') {
-         return reply.status(413).send({ error: 'File size exceeds the limit.' });
+      if (isUploadTooLarge(error)) {
+        return reply.status(413).send({ error: 'File size exceeds the limit.' });
       }
       logger.error('Error processing document:', error);
       return reply.status(500).send({ error: 'Internal Server Error' });
     }
   });
 
+  // Search documents, with optional filters and sort (see SORT_OPTIONS). The query may use the
+  // search syntax (see services/query.js). Keywords are matched in each document's language, or in queryLanguage if given.
+  // Returns one page of results, the number of matches, and facet counts over all matches.
   fastify.post('/documents/search', async (request, reply) => {
-    const { query, page = 1, limit = 10 } = request.body;
-    const offset = (page - 1) * limit;
+    const { query, page = 1, limit = 10, sort = 'relevance', queryLanguage, ...filterFields } = request.body || {};
 
     if (!query) {
       return reply.status(400).send({ error: 'Query is required' });
     }
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      return reply.status(400).send({ error: `page must be a positive integer and limit between 1 and ${MAX_SEARCH_LIMIT}` });
+    }
+    if (!Object.hasOwn(SORT_OPTIONS, sort)) {
+      return reply.status(400).send({ error: `sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}` });
+    }
+    const textSearchConfig = queryLanguage ? findTextSearchConfig(queryLanguage) : null;
+    if (queryLanguage && !textSearchConfig) {
+      return reply.status(400).send({ error: `queryLanguage must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+    const { filters, error: filterError } = parseDocumentFilters(filterFields);
+    if (filterError) {
+      return reply.status(400).send({ error: filterError });
+    }
+    const { query: parsedQuery, error: queryError } = parseSearchQuery(query);
+    if (queryError) {
+      return reply.status(400).send({ error: queryError });
+    }
 
     try {
-      const embedding = await getEmbedding(query);
+      const provider = await getEmbeddingProvider();
+      // Operators and fields mean nothing to the embedding model
+      const embedding = await getEmbedding(parsedQuery.text, provider);
       if (!embedding) {
         return reply.status(500).send({ error: 'Failed to generate embedding for query' });
       }
 
-      const vector = pgvector.toSql(embedding);
-      
-      // Hybrid search using Reciprocal Rank Fusion (RRF)
-      const sql = `
-        WITH semantic_search AS (
-            SELECT id, title, created_at, RANK() OVER (ORDER BY embedding <=> $1) as rank
-            FROM documents
-            ORDER BY embedding <=> $1
-            LIMIT 50
-        ),
-        keyword_search AS (
-            SELECT id, title, created_at, RANK() OVER (ORDER BY ts_rank_cd(to_tsvector('english', title || ' ' || COALESCE(content, '')), plainto_tsquery('english', $2)) DESC) as rank
-            FROM documents
-            WHERE to_tsvector('english', title || ' ' || COALESCE(content, '')) @@ plainto_tsquery('english', $2)
-            LIMIT 50
-        )
-        SELECT
-            COALESCE(s.id, k.id) as id,
-            COALESCE(s.title, k.title) as title,
-            COALESCE(s.created_at, k.created_at) as created_at,
-            COALESCE(1.0 / (60 + s.rank), 0.0) + COALESCE(1.0 / (60 + k.rank), 0.0) as score
-        FROM semantic_search s
-        FULL OUTER JOIN keyword_search k ON s.id = k.id
-        ORDER BY score DESC
-        LIMIT $3 OFFSET $4
-      `;
-
-      const { rows } = await pool.query(sql, [vector, query, limit, offset]);
-      
-      // Get total count for pagination (approximate based on the subqueries limits)
-      // For a true count we'd need a separate query or window function over the full join, 
-      // but for now let's just return the rows and maybe a "hasMore" flag if we requested limit + 1
-      
-      // To get a real count of matches is expensive with hybrid. 
-      // Let's just return the rows for now. The frontend can handle "Next" if rows.length === limit.
-
-      return reply.send(rows);
+      const offset = (page - 1) * limit;
+      const { results, total, facets } = await searchDocuments({
+        query: parsedQuery, embedding, embeddingModel: provider.id, filters, textSearchConfig, sort, limit, offset,
+      });
+      return reply.send({ results, total, page, limit, hasMore: offset + results.length < total, facets });
 
     } catch (error) {
       logger.error('Error searching documents:', error);
@@ -166,18 +138,36 @@ async function routes(fastify, options) {
     }
   });
 
+  // List documents, optionally filtered by ?tags=a,b (&tagMode=any), ?collection=id and the other
+  // search filters (?notebook=, ?mimeTypes=, ?sourceTypes=, ?languages=, ?dateFrom=, ?dateTo=)
   fastify.get('/documents', async (request, reply) => {
+    const { filters, error: filterError } = parseDocumentFilters(request.query);
+    if (filterError) {
+      return reply.status(400).send({ error: filterError });
+    }
+
     try {
+      const params = [];
+      const conditions = buildDocumentFilters(filters, params);
       const { rows } = await pool.query(
         `SELECT 
-          id, 
-          title, 
-          created_at, 
-          file_path,
-          source_url,
-          mime_type
-         FROM documents
-         ORDER BY created_at DESC`
+          d.id, 
+          d.title, 
+          d.created_at, 
+          d.file_path,
+          d.source_url,
+          d.mime_type,
+          d.status,
+          COALESCE(
+            (SELECT json_agg(json_build_object('id', t.id, 'name', t.name) ORDER BY lower(t.name))
+             FROM document_tags dt JOIN tags t ON t.id = dt.tag_id
+             WHERE dt.document_id = d.id),
+            '[]'
+          ) as tags
+         FROM documents d
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY d.created_at DESC`,
+        params
       );
       return reply.send(rows);
     } catch (error) {
@@ -186,30 +176,69 @@ async function routes(fastify, options) {
     }
   });
 
+  // The documents most similar to one, optionally restricted by the search filters (e.g. ?notebook=id or ?tags=name)
+  fastify.get('/documents/:id/related', async (request, reply) => {
+    const { id } = request.params;
+    const { limit = 5, ...filterFields } = request.query;
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RELATED_LIMIT) {
+      return reply.status(400).send({ error: `limit must be between 1 and ${MAX_RELATED_LIMIT}` });
+    }
+    const { filters, error: filterError } = parseDocumentFilters(filterFields);
+    if (filterError) {
+      return reply.status(400).send({ error: filterError });
+    }
+
+    try {
+      const related = await findRelatedDocuments(id, { filters, limit: count });
+      if (!related) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+      return reply.send(related);
+    } catch (error) {
+      logger.error(`Error finding documents related to ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Summarize a document. With "Accept: text/event-stream" the summary is streamed (see services/sse.js).
   fastify.get('/documents/:id/summary', async (request, reply) => {
     const { id } = request.params;
+    const { provider, model } = request.query;
 
+    let completionProvider;
     try {
-      const { rows } = await pool.query(
-        'SELECT content FROM documents WHERE id = $1',
-        [id]
-      );
+      completionProvider = getCompletionProvider({ provider, model });
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
 
-      if (rows.length === 0) {
+    try {
+      const document = await getDocumentContent(id);
+
+      if (!document) {
         return reply.status(404).send({ error: 'Document not found' });
       }
 
-      const content = rows[0].content;
+      const content = document.content;
       if (!content) {
         return reply.status(400).send({ error: 'Document has no content to summarize' });
       }
 
-      const summary = await getSummary(content);
-      if (!summary) {
-        return reply.status(500).send({ error: 'Failed to generate summary' });
+      const generate = async (onText) => {
+        const summary = await getSummary(content, completionProvider, { onText });
+        return summary ? { result: { id, summary } } : { error: 'Failed to generate summary' };
+      };
+      if (wantsEventStream(request)) {
+        return streamCompletion(reply, generate);
       }
 
-      return reply.send({ id, summary });
+      const { result, error } = await generate();
+      if (error) {
+        return reply.status(500).send({ error });
+      }
+
+      return reply.send(result);
 
     } catch (error) {
       logger.error('Error searching documents:', error);
@@ -217,49 +246,53 @@ async function routes(fastify, options) {
     }
   });
 
+  // Analyze a document: { type } is one of ANALYSES. With "Accept: text/event-stream" the result is streamed.
   fastify.post('/documents/:id/analyze', async (request, reply) => {
     const { id } = request.params;
-    const { type } = request.body;
+    const { type, provider, model } = request.body;
 
     if (!type) {
       return reply.status(400).send({ error: 'Analysis type is required' });
     }
 
+    let completionProvider;
     try {
-      const { rows } = await pool.query(
-        'SELECT content FROM documents WHERE id = $1',
-        [id]
-      );
+      completionProvider = getCompletionProvider({ provider, model });
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
 
-      if (rows.length === 0) {
+    try {
+      const document = await getDocumentContent(id);
+
+      if (!document) {
         return reply.status(404).send({ error: 'Document not found' });
       }
 
-      const content = rows[0].content;
+      const content = document.content;
       if (!content) {
         return reply.status(400).send({ error: 'Document has no content to analyze' });
       }
 
-      let result;
-      switch (type) {
-        case 'table_of_contents':
-          result = await getTableOfContents(content);
-          break;
-        case 'key_insights':
-          result = await getKeyInsights(content);
-          break;
-        case 'reflection_questions':
-          result = await getReflectionQuestions(content);
-          break;
-        default:
-          return reply.status(400).send({ error: 'Invalid analysis type' });
+      const analyze = ANALYSES[type];
+      if (!analyze) {
+        return reply.status(400).send({ error: 'Invalid analysis type' });
       }
 
-      if (!result) {
-        return reply.status(500).send({ error: `Failed to generate ${type}` });
+      const generate = async (onText) => {
+        const result = await analyze(content, completionProvider, { onText });
+        return result ? { result: { id, type, result } } : { error: `Failed to generate ${type}` };
+      };
+      if (wantsEventStream(request)) {
+        return streamCompletion(reply, generate);
       }
 
-      return reply.send({ id, type, result });
+      const { result, error } = await generate();
+      if (error) {
+        return reply.status(500).send({ error });
+      }
+
+      return reply.send(result);
 
     } catch (error) {
       logger.error(`Error analyzing document ${id} for ${type}:`, error);
@@ -269,11 +302,15 @@ async function routes(fastify, options) {
 
   fastify.get('/documents/:id/download', async (request, reply) => {
     const { id } = request.params;
+    const { version } = request.query;
     try {
-      const { rows } = await pool.query(
-        'SELECT file_path, title, mime_type FROM documents WHERE id = $1',
-        [id]
-      );
+      // ?version=N downloads the file of an earlier version
+      const { rows } = version === undefined
+        ? await pool.query('SELECT file_path, title, mime_type FROM documents WHERE id = $1', [id])
+        : await pool.query(
+          'SELECT file_path, title, mime_type FROM document_versions WHERE document_id = $1 AND version_number = $2',
+          [id, parseInt(version, 10) || 0]
+        );
 
       if (rows.length === 0 || !rows[0].file_path) {
         return reply.status(404).send({ error: 'File not found or no file path recorded.' });
@@ -303,18 +340,33 @@ async function routes(fastify, options) {
     try {
       const { rows } = await pool.query(
         `SELECT 
-          d.id, d.title, d.content, d.created_at, d.updated_at, d.file_path, d.source_url, d.mime_type,
+          d.id, d.title, c.content, c.page_offsets, d.created_at, d.updated_at, d.file_path, d.source_url, d.mime_type, d.status, d.content_hash,
+          d.authors, d.published_date, d.description, d.language, d.publisher, d.doi, d.isbn, d.metadata_edited,
+          d.category, d.classified_at,
           COALESCE(
             json_agg(
               json_build_object('id', n.id, 'title', n.title)
             ) FILTER (WHERE n.id IS NOT NULL), 
             '[]'
-          ) as notebooks
+          ) as notebooks,
+          COALESCE(
+            (SELECT json_agg(json_build_object('id', t.id, 'name', t.name) ORDER BY lower(t.name))
+             FROM document_tags dt JOIN tags t ON t.id = dt.tag_id
+             WHERE dt.document_id = d.id),
+            '[]'
+          ) as tags,
+          COALESCE(
+            (SELECT json_agg(json_build_object('id', col.id, 'name', col.name) ORDER BY lower(col.name))
+             FROM collection_documents cd JOIN collections col ON col.id = cd.collection_id
+             WHERE cd.document_id = d.id),
+            '[]'
+          ) as collections
          FROM documents d
+         LEFT JOIN document_contents c ON c.document_id = d.id
          LEFT JOIN notebook_documents nd ON d.id = nd.document_id
          LEFT JOIN notebooks n ON nd.notebook_id = n.id
          WHERE d.id = $1
-         GROUP BY d.id`,
+         GROUP BY d.id, c.document_id`,
         [id]
       );
 
@@ -330,17 +382,56 @@ async function routes(fastify, options) {
     }
   });
 
+  // Edit a document's metadata. Edited fields are kept when the document is extracted again.
+  // Changing the language reindexes the document for keyword search.
+  fastify.patch('/documents/:id', async (request, reply) => {
+    const { id } = request.params;
+    const { values, error } = validateMetadataUpdate(request.body);
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    try {
+      // Field names come from METADATA_FIELDS, so they are safe to interpolate
+      const fields = Object.keys(values);
+      const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+      const rows = await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE documents SET
+           ${assignments.join(', ')},
+           metadata_edited = ARRAY(SELECT DISTINCT unnest(metadata_edited || $${fields.length + 2}::text[]) ORDER BY 1)
+           WHERE id = $1
+           RETURNING id, ${METADATA_FIELDS.join(', ')}, metadata_edited, updated_at`,
+          [id, ...fields.map(field => values[field]), fields]
+        );
+        if (result.rows.length > 0 && fields.includes('language')) {
+          await saveTextSearchConfig(client, id);
+        }
+        return result.rows;
+      });
+
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+      return reply.send(rows[0]);
+    } catch (error) {
+      logger.error(`Error updating metadata of document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
   fastify.delete('/documents/:id', async (request, reply) => {
     const { id } = request.params;
     try {
-      // First, get the file path to delete the associated file
+      // First, get the file paths (of every version) to delete the associated files
       const { rows } = await pool.query(
-        'SELECT file_path FROM documents WHERE id = $1',
+        `SELECT file_path FROM documents WHERE id = $1 AND file_path IS NOT NULL
+         UNION
+         SELECT file_path FROM document_versions WHERE document_id = $1 AND file_path IS NOT NULL`,
         [id]
       );
 
-      if (rows.length > 0 && rows[0].file_path) {
-        const filePath = rows[0].file_path;
+      for (const { file_path: filePath } of rows) {
         // Check if it's a file path and not a URL before trying to delete
         if (!filePath.startsWith('http')) {
           try {
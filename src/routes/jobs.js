@@ -0,0 +1,21 @@
+import { getJob } from '../services/jobs.js';
+import logger from '../logger.js';
+
+async function routes(fastify, options) {
+  // Get the status and progress of a background job
+  fastify.get('/jobs/:id', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const job = await getJob(id);
+      if (!job) {
+        return reply.status(404).send({ error: 'Job not found' });
+      }
+      return reply.send(job);
+    } catch (error) {
+      logger.error(`Error fetching job ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
+
+export default routes;
@@ -1,7 +1,11 @@
 import pool from '../db/index.js';
 import logger from '../logger.js';
-import { getEmbedding, getAnswerFromContext } from '../services/openai.js';
-import pgvector from 'pgvector/pg';
+import { getAnswerFromContext } from '../services/ai.js';
+import { extractSources } from '../services/citations.js';
+import { buildNotebookContext } from '../services/context-builder.js';
+import { getCompletionProvider } from '../services/completions/index.js';
+import { wantsEventStream, streamCompletion } from '../services/sse.js';
+import { findNotebookPassages } from '../services/notebook-qa.js';
 
 async function routes(fastify, options) {
   // --- Notebook CRUD ---
@@ -46,7 +50,8 @@ async function routes(fastify, options) {
       const notebook = notebookRes.rows[0];
 
       const documentsRes = await pool.query(
-        `SELECT d.* FROM documents d
+        `SELECT d.id, d.title, d.created_at, d.updated_at, d.file_path, d.source_url, d.mime_type
+         FROM documents d
          JOIN notebook_documents nd ON d.id = nd.document_id
          WHERE nd.notebook_id = $1
          ORDER BY d.created_at DESC`,
@@ -155,56 +160,58 @@ async function routes(fastify, options) {
 
   // --- AI Q&A for Notebooks ---
 
-  // Ask a question about the content of a notebook
+  // Ask a question about the content of a notebook. The answer cites the passages it draws on as [n];
+  // sources lists them with their document and position, and context reports what fit in the token
+  // budget. With "Accept: text/event-stream" the answer is streamed (see services/sse.js).
   fastify.post('/notebooks/:id/query', async (request, reply) => {
     const { id } = request.params;
-    const { question } = request.body;
+    const { question, provider, model } = request.body;
 
     if (!question) {
       return reply.status(400).send({ error: 'Question is required' });
     }
 
+    let completionProvider;
     try {
-      // 1. Generate embedding for the question
-      const questionEmbedding = await getEmbedding(question);
-      if (!questionEmbedding) {
-        return reply.status(500).send({ error: 'Failed to generate embedding for the question.' });
-      }
+      completionProvider = getCompletionProvider({ provider, model });
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
 
-      // 2. Fetch the notebook's own notes
+    try {
+      // 1. Fetch the notebook's own notes
       const notebookRes = await pool.query('SELECT content FROM notebooks WHERE id = $1', [id]);
       if (notebookRes.rows.length === 0) {
         return reply.status(404).send({ error: 'Notebook not found' });
       }
       const notebookNotes = notebookRes.rows[0].content || '';
 
-      // 3. Perform vector similarity search to find the most relevant documents
-      // Use pgvector's cosine similarity operator <=> and get top 5 most similar documents
-      const vectorQuery = pgvector.toSql(questionEmbedding);
-      const documentsRes = await pool.query(
-        `SELECT d.title, d.content, 1 - (d.embedding <=> $1) as similarity
-         FROM documents d
-         JOIN notebook_documents nd ON d.id = nd.document_id
-         WHERE nd.notebook_id = $2 AND d.embedding IS NOT NULL
-         ORDER BY d.embedding <=> $1
-         LIMIT 5`,
-        [vectorQuery, id]
-      );
-
-      // 4. Compile the context from notebook notes and relevant documents
-      let context = `Notebook Notes:\n${notebookNotes}\n\n---\n\n`;
-      documentsRes.rows.forEach(doc => {
-        context += `Document: ${doc.title} (Similarity: ${(doc.similarity * 100).toFixed(1)}%)\nContent:\n${doc.content}\n\n---\n\n`;
-      });
+      // 2. Find the passages of the notebook's documents most relevant to the question
+      const candidates = await findNotebookPassages(id, question);
+      if (!candidates) {
+        return reply.status(500).send({ error: 'Failed to generate embedding for the question.' });
+      }
 
-      // 5. Get the answer from the AI service using the filtered context
-      const answer = await getAnswerFromContext(question, context);
+      // 3. Compile the context from notebook notes and the passages that fit the budget, numbered for citing
+      const { context, passages, report } = await buildNotebookContext({ notes: notebookNotes, passages: candidates });
+
+      // 4. Get the answer from the AI service using the filtered context
+      const generate = async (onText) => {
+        const answer = await getAnswerFromContext(question, context, completionProvider, { onText });
+        return answer
+          ? { result: { answer, sources: extractSources(answer, passages), context: report } }
+          : { error: 'Failed to get an answer from the AI service.' };
+      };
+      if (wantsEventStream(request)) {
+        return streamCompletion(reply, generate);
+      }
 
-      if (!answer) {
-        return reply.status(500).send({ error: 'Failed to get an answer from the AI service.' });
+      const { result, error } = await generate();
+      if (error) {
+        return reply.status(500).send({ error });
       }
 
-      return reply.send({ answer });
+      return reply.send(result);
     } catch (error) {
       logger.error(`Error querying notebook ${id}:`, error);
       return reply.status(500).send({ error: 'Internal Server Error' });
@@ -0,0 +1,173 @@
+import pool from '../db/index.js';
+import logger from '../logger.js';
+import { validateSavedSearch } from '../services/saved-searches.js';
+
+const MAX_FEED_LIMIT = 200;
+
+// Everything but the cached query embedding
+const SAVED_SEARCH_COLUMNS = `s.id, s.name, s.query, s.filters, s.query_language, s.similarity_threshold,
+  s.alerts_enabled, s.created_at, s.updated_at`;
+
+async function routes(fastify, options) {
+  // --- Saved search CRUD ---
+
+  // List saved searches with their number of matches, read and unread
+  fastify.get('/saved-searches', async (request, reply) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT ${SAVED_SEARCH_COLUMNS},
+                COUNT(m.id)::int as match_count,
+                COUNT(m.id) FILTER (WHERE m.read_at IS NULL)::int as unread_count
+         FROM saved_searches s
+         LEFT JOIN saved_search_matches m ON m.saved_search_id = s.id
+         GROUP BY s.id
+         ORDER BY lower(s.name), s.id`
+      );
+      return reply.send(rows);
+    } catch (error) {
+      logger.error('Error fetching saved searches:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Save a search: { name, query, filters, queryLanguage, similarityThreshold, alertsEnabled }
+  fastify.post('/saved-searches', async (request, reply) => {
+    const { values, error } = validateSavedSearch(request.body);
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO saved_searches AS s (name, query, filters, query_language, similarity_threshold, alerts_enabled)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${SAVED_SEARCH_COLUMNS}`,
+        [values.name, values.query, values.filters, values.queryLanguage, values.similarityThreshold, values.alertsEnabled]
+      );
+      return reply.status(201).send(rows[0]);
+    } catch (err) {
+      logger.error('Error saving search:', err);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // The matches of new documents, newest first, across saved searches or for one (?savedSearch=id).
+  // ?unread=true leaves out read matches; ?before=matchId pages back.
+  fastify.get('/saved-searches/matches', async (request, reply) => {
+    const { savedSearch = null, unread, before = null, limit = 50 } = request.query;
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_FEED_LIMIT) {
+      return reply.status(400).send({ error: `limit must be between 1 and ${MAX_FEED_LIMIT}` });
+    }
+    const invalidId = [['savedSearch', savedSearch], ['before', before]]
+      .find(([, value]) => value !== null && !(Number.isInteger(Number(value)) && Number(value) > 0));
+    if (invalidId) {
+      return reply.status(400).send({ error: `${invalidId[0]} must be an ID` });
+    }
+
+    try {
+      const { rows } = await pool.query(
+        `SELECT m.id, m.saved_search_id, s.name as saved_search_name, m.document_id, d.title, d.mime_type,
+                m.match_type, m.similarity, m.read_at, m.created_at
+         FROM saved_search_matches m
+         JOIN saved_searches s ON s.id = m.saved_search_id
+         JOIN documents d ON d.id = m.document_id
+         WHERE ($1::int IS NULL OR m.saved_search_id = $1)
+           AND ($2 = FALSE OR m.read_at IS NULL)
+           AND ($3::int IS NULL OR m.id < $3)
+         ORDER BY m.id DESC
+         LIMIT $4`,
+        [savedSearch, unread === 'true', before, count]
+      );
+      return reply.send(rows);
+    } catch (error) {
+      logger.error('Error fetching saved search matches:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Mark matches as read: { ids } for some, { savedSearchId } for those of one search, or {} for all
+  fastify.post('/saved-searches/matches/read', async (request, reply) => {
+    const { ids = null, savedSearchId = null } = request.body || {};
+    if (ids !== null && (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id > 0))) {
+      return reply.status(400).send({ error: 'ids must be an array of match IDs' });
+    }
+    if (savedSearchId !== null && !(Number.isInteger(savedSearchId) && savedSearchId > 0)) {
+      return reply.status(400).send({ error: 'savedSearchId must be a saved search ID' });
+    }
+
+    try {
+      const { rowCount } = await pool.query(
+        `UPDATE saved_search_matches SET read_at = CURRENT_TIMESTAMP
+         WHERE read_at IS NULL
+           AND ($1::int[] IS NULL OR id = ANY($1::int[]))
+           AND ($2::int IS NULL OR saved_search_id = $2)`,
+        [ids, savedSearchId]
+      );
+      return reply.send({ updated: rowCount });
+    } catch (error) {
+      logger.error('Error marking saved search matches as read:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  fastify.get('/saved-searches/:id', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const { rows } = await pool.query(`SELECT ${SAVED_SEARCH_COLUMNS} FROM saved_searches s WHERE s.id = $1`, [id]);
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Saved search not found' });
+      }
+      return reply.send(rows[0]);
+    } catch (error) {
+      logger.error(`Error fetching saved search ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Replace a saved search. Earlier matches are kept.
+  fastify.put('/saved-searches/:id', async (request, reply) => {
+    const { id } = request.params;
+    const { values, error } = validateSavedSearch(request.body);
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    try {
+      // A new query needs a new embedding
+      const { rows } = await pool.query(
+        `UPDATE saved_searches s SET
+         name = $2, query = $3, filters = $4, query_language = $5, similarity_threshold = $6, alerts_enabled = $7,
+         embedding = CASE WHEN s.query = $3 THEN s.embedding END,
+         embedding_model = CASE WHEN s.query = $3 THEN s.embedding_model END
+         WHERE s.id = $1
+         RETURNING ${SAVED_SEARCH_COLUMNS}`,
+        [id, values.name, values.query, values.filters, values.queryLanguage, values.similarityThreshold, values.alertsEnabled]
+      );
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Saved search not found' });
+      }
+      return reply.send(rows[0]);
+    } catch (err) {
+      logger.error(`Error updating saved search ${id}:`, err);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Delete a saved search and its matches
+  fastify.delete('/saved-searches/:id', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const { rowCount } = await pool.query('DELETE FROM saved_searches WHERE id = $1', [id]);
+      if (rowCount === 0) {
+        return reply.status(404).send({ error: 'Saved search not found' });
+      }
+      return reply.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting saved search ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
+
+export default routes;
@@ -0,0 +1,104 @@
+import pool, { withTransaction } from '../db/index.js';
+import logger from '../logger.js';
+import { enqueueJob } from '../services/jobs.js';
+import { getCompletionProvider } from '../services/completions/index.js';
+import { CLASSIFY_DOCUMENT_JOB, listSuggestions, reviewSuggestions } from '../services/classify.js';
+
+const parseIds = (value) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) return null;
+  const ids = value.map(Number);
+  return ids.every(id => Number.isInteger(id) && id > 0) ? [...new Set(ids)] : null;
+};
+
+async function routes(fastify, options) {
+  // List the suggested tags, category and description of a document (?status=all includes reviewed ones)
+  fastify.get('/documents/:id/suggestions', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const { rows } = await pool.query('SELECT id, category, classified_at FROM documents WHERE id = $1', [id]);
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+
+      const suggestions = await listSuggestions(pool, rows[0].id, { pendingOnly: request.query.status !== 'all' });
+      return reply.send({ ...rows[0], suggestions });
+    } catch (error) {
+      logger.error(`Error fetching suggestions for document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Ask the completion model for new suggestions, replacing the pending ones
+  fastify.post('/documents/:id/suggestions', async (request, reply) => {
+    const { id } = request.params;
+    const { provider, model } = request.body || {};
+
+    try {
+      getCompletionProvider({ provider, model });
+    } catch (error) {
+      return reply.status(400).send({ error: error.message });
+    }
+
+    try {
+      const { rows } = await pool.query('SELECT id, status FROM documents WHERE id = $1', [id]);
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+      if (rows[0].status !== 'ready') {
+        return reply.status(409).send({ error: 'Document is not ready yet' });
+      }
+
+      const job = await enqueueJob(pool, CLASSIFY_DOCUMENT_JOB, { provider, model }, { documentId: rows[0].id });
+      return reply.status(202).send({ id: rows[0].id, jobId: job.id });
+    } catch (error) {
+      logger.error(`Error queueing classification of document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Accept or reject pending suggestions
+  fastify.post('/documents/:id/suggestions/review', async (request, reply) => {
+    const { id } = request.params;
+    const accept = parseIds(request.body?.accept);
+    const reject = parseIds(request.body?.reject);
+
+    if (!accept || !reject) {
+      return reply.status(400).send({ error: 'accept and reject must be arrays of suggestion IDs' });
+    }
+    if (accept.length === 0 && reject.length === 0) {
+      return reply.status(400).send({ error: 'Provide suggestions to accept or reject' });
+    }
+    if (accept.some(suggestionId => reject.includes(suggestionId))) {
+      return reply.status(400).send({ error: 'A suggestion cannot be both accepted and rejected' });
+    }
+
+    try {
+      const result = await withTransaction(async (client) => {
+        const { rows } = await client.query('SELECT id FROM documents WHERE id = $1', [id]);
+        if (rows.length === 0) {
+          return { notFound: true };
+        }
+        // Nothing is changed when the review is invalid
+        const { error } = await reviewSuggestions(client, rows[0].id, { accept, reject });
+        if (error) {
+          return { error };
+        }
+        return { suggestions: await listSuggestions(client, rows[0].id) };
+      });
+
+      if (result.notFound) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+      if (result.error) {
+        return reply.status(400).send({ error: result.error });
+      }
+      return reply.send(result);
+    } catch (error) {
+      logger.error(`Error reviewing suggestions for document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
+
+export default routes;
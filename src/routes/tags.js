@@ -0,0 +1,170 @@
+import pool, { withTransaction } from '../db/index.js';
+import logger from '../logger.js';
+import { normalizeTagName, parseTagList, addTags, removeTags, getDocumentTags } from '../services/tags.js';
+
+const MAX_BULK_DOCUMENTS = 1000;
+
+const parseDocumentIds = (value) => {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_BULK_DOCUMENTS) {
+    return null;
+  }
+  const ids = value.map(Number);
+  return ids.every(id => Number.isInteger(id) && id > 0) ? [...new Set(ids)] : null;
+};
+
+async function routes(fastify, options) {
+  // --- Tag CRUD ---
+
+  // List all tags with the number of documents carrying each
+  fastify.get('/tags', async (request, reply) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT t.id, t.name, t.created_at, COUNT(dt.document_id)::int as document_count
+         FROM tags t
+         LEFT JOIN document_tags dt ON dt.tag_id = t.id
+         GROUP BY t.id
+         ORDER BY lower(t.name)`
+      );
+      return reply.send(rows);
+    } catch (error) {
+      logger.error('Error fetching tags:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Rename a tag
+  fastify.put('/tags/:id', async (request, reply) => {
+    const { id } = request.params;
+    const name = normalizeTagName(request.body?.name);
+    if (!name) {
+      return reply.status(400).send({ error: 'Name is required and must be at most 100 characters' });
+    }
+
+    try {
+      const { rows } = await pool.query('UPDATE tags SET name = $1 WHERE id = $2 RETURNING *', [name, id]);
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Tag not found' });
+      }
+      return reply.send(rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // unique_violation
+        return reply.status(409).send({ error: `A tag named "${name}" already exists` });
+      }
+      logger.error(`Error renaming tag ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Delete a tag, removing it from every document
+  fastify.delete('/tags/:id', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const { rowCount } = await pool.query('DELETE FROM tags WHERE id = $1', [id]);
+      if (rowCount === 0) {
+        return reply.status(404).send({ error: 'Tag not found' });
+      }
+      return reply.status(204).send();
+    } catch (error) {
+      logger.error(`Error deleting tag ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Add and remove tags on many documents at once
+  fastify.post('/tags/bulk', async (request, reply) => {
+    const { documentIds, add = [], remove = [] } = request.body || {};
+
+    const ids = parseDocumentIds(documentIds);
+    if (!ids) {
+      return reply.status(400).send({ error: `documentIds must be an array of 1-${MAX_BULK_DOCUMENTS} document IDs` });
+    }
+    const toAdd = parseTagList(add);
+    const toRemove = parseTagList(remove);
+    if (toAdd.error || toRemove.error) {
+      return reply.status(400).send({ error: toAdd.error || toRemove.error });
+    }
+    if (toAdd.tags.length === 0 && toRemove.tags.length === 0) {
+      return reply.status(400).send({ error: 'Provide tags to add or remove' });
+    }
+
+    try {
+      const result = await withTransaction(async (client) => {
+        const removed = await removeTags(client, ids, toRemove.tags);
+        const added = await addTags(client, ids, toAdd.tags);
+        return { added, removed };
+      });
+      return reply.send({ documents: ids.length, ...result });
+    } catch (error) {
+      logger.error('Error bulk tagging documents:', error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // --- Tags of a Document ---
+
+  fastify.get('/documents/:id/tags', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const { rows } = await pool.query('SELECT id FROM documents WHERE id = $1', [id]);
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+      return reply.send(await getDocumentTags(pool, id));
+    } catch (error) {
+      logger.error(`Error fetching tags of document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Add tags to a document (POST), or replace all of its tags (PUT)
+  const setTags = (replace) => async (request, reply) => {
+    const { id } = request.params;
+    const { tags, error } = parseTagList(request.body?.tags);
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    try {
+      const result = await withTransaction(async (client) => {
+        const { rows } = await client.query('SELECT id FROM documents WHERE id = $1', [id]);
+        if (rows.length === 0) {
+          return null;
+        }
+        if (replace) {
+          await client.query('DELETE FROM document_tags WHERE document_id = $1', [rows[0].id]);
+        }
+        await addTags(client, [rows[0].id], tags);
+        return getDocumentTags(client, rows[0].id);
+      });
+      if (!result) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+      return reply.send(result);
+    } catch (err) {
+      logger.error(`Error tagging document ${id}:`, err);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  };
+  fastify.post('/documents/:id/tags', setTags(false));
+  fastify.put('/documents/:id/tags', setTags(true));
+
+  // Remove a tag from a document
+  fastify.delete('/documents/:id/tags/:tagId', async (request, reply) => {
+    const { id, tagId } = request.params;
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM document_tags WHERE document_id = $1 AND tag_id = $2',
+        [id, tagId]
+      );
+      if (rowCount === 0) {
+        return reply.status(404).send({ error: 'Tag not found on this document' });
+      }
+      return reply.status(204).send();
+    } catch (error) {
+      logger.error(`Error removing tag ${tagId} from document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
+
+export default routes;
@@ -1,33 +1,66 @@
-import { getEmbedding } from '../services/openai.js';
-import pool from '../db/index.js';
+import { embedChunks } from '../services/chunks.js';
+import { saveIndexedDocument } from '../services/ingest.js';
+import { ensureVectorIndex } from '../services/ann.js';
+import { DUPLICATE_ACTIONS, hashContent, findDuplicate, lockDuplicateKey } from '../services/dedup.js';
+import pool, { withTransaction } from '../db/index.js';
 import logger from '../logger.js';
-import pgvector from 'pgvector/pg';
-
-const MAX_EMBEDDING_LENGTH = 15000; // Max characters to use for the embedding
 
 async function routes(fastify, options) {
   fastify.post('/texts', async (request, reply) => {
     const { title, content } = request.body;
+    const { onDuplicate = 'return' } = request.query;
 
     if (!title || !content) {
       return reply.status(400).send({ error: 'Title and content are required' });
     }
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return reply.status(400).send({ error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+    }
+
+    const contentHash = hashContent(content);
 
     try {
-      // Truncate content for embedding if necessary
-      const truncatedForEmbedding = content.substring(0, MAX_EMBEDDING_LENGTH);
-      const embedding = await getEmbedding(truncatedForEmbedding);
+      // Check before embedding, so resubmitting a text costs nothing
+      if (onDuplicate !== 'new') {
+        const existing = await findDuplicate(pool, { contentHash });
+        if (existing) {
+          return reply.send({ ...existing, duplicate: true });
+        }
+      }
 
-      if (!embedding) {
+      const chunks = await embedChunks(content);
+
+      if (!chunks || chunks.length === 0) {
         return reply.status(500).send({ error: 'Failed to generate embedding' });
       }
 
-      const { rows } = await pool.query(
-        'INSERT INTO documents (title, content, embedding, mime_type) VALUES ($1, $2, $3, $4) RETURNING *',
-        [title, content, pgvector.toSql(embedding), 'text/plain']
-      );
+      const { duplicate, document } = await withTransaction(async (client) => {
+        // Check again: the same text may have been added while this one was embedded
+        await lockDuplicateKey(client, contentHash);
+        if (onDuplicate !== 'new') {
+          const existing = await findDuplicate(client, { contentHash });
+          if (existing) {
+            return { duplicate: existing };
+          }
+        }
+
+        const { rows } = await client.query(
+          `INSERT INTO documents (title, mime_type, content_hash)
+           VALUES ($1, $2, $3)
+           RETURNING id, title, created_at, mime_type`,
+          [title, 'text/plain', contentHash]
+        );
+        // Stored like any indexed document, identifiers and language included
+        await saveIndexedDocument(client, rows[0].id, chunks, { content });
+        return { document: rows[0] };
+      });
+
+      if (duplicate) {
+        return reply.send({ ...duplicate, duplicate: true });
+      }
 
-      return reply.status(201).send(rows[0]);
+      await ensureVectorIndex(pool, chunks[0].embeddingModel);
+      return reply.status(201).send(document);
     } catch (error) {
       logger.error('Error processing text block:', error);
       return reply.status(500).send({ error: 'Internal Server Error' });
@@ -1,44 +1,63 @@
-import { scrapeUrl } from '../services/scraper.js';
-import { getEmbedding } from '../services/openai.js';
-import pool from '../db/index.js';
+import { getEmbedding, getEmbeddingProvider } from '../services/embeddings/index.js';
+import { enqueueJob } from '../services/jobs.js';
+import { INGEST_URL_JOB } from '../services/ingest.js';
+import { DUPLICATE_ACTIONS, canonicalizeUrl, findDuplicate, lockDuplicateKey } from '../services/dedup.js';
+import pool, { withTransaction } from '../db/index.js';
 import logger from '../logger.js';
 import pgvector from 'pgvector/pg';
 
 async function routes(fastify, options) {
   fastify.post('/urls', async (request, reply) => {
     const { url } = request.body;
+    const { onDuplicate = 'return' } = request.query;
 
     if (!url) {
       return reply.status(400).send({ error: 'URL is required' });
     }
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return reply.status(400).send({ error: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+    }
 
-    try {
-      const scrapedData = await scrapeUrl(url);
-      if (!scrapedData) {
-        return reply.status(500).send({ error: 'Failed to scrape URL' });
-      }
+    const canonicalUrl = canonicalizeUrl(url);
+    if (!canonicalUrl) {
+      return reply.status(400).send({ error: 'URL must be a valid http or https URL' });
+    }
 
-      const { title, content, mimeType } = scrapedData;
+    try {
+      // Scraping and embedding happen in the background worker
+      const { duplicate, document, job } = await withTransaction(async (client) => {
+        await lockDuplicateKey(client, canonicalUrl);
+        if (onDuplicate !== 'new') {
+          const existing = await findDuplicate(client, { canonicalUrl });
+          if (existing && onDuplicate === 'version' && existing.status === 'ready') {
+            // Scrape the page again; the result becomes a new version if it changed
+            await client.query(`UPDATE documents SET status = 'pending' WHERE id = $1`, [existing.id]);
+            const job = await enqueueJob(client, INGEST_URL_JOB, { url: existing.source_url || url }, { documentId: existing.id });
+            return { duplicate: { ...existing, status: 'pending' }, job };
+          }
+          if (existing) {
+            return { duplicate: existing };
+          }
+        }
 
-      // Truncate content to avoid exceeding OpenAI's token limit
-      const truncatedContent = content.substring(0, 15000);
+        const { rows } = await client.query(
+          `INSERT INTO documents (title, source_url, canonical_url, status) VALUES ($1, $2, $3, 'pending')
+           RETURNING id, title, created_at, source_url, status`,
+          [url.substring(0, 255), url, canonicalUrl]
+        );
+        // The scraped text is checked against existing documents too, unless a copy was asked for
+        const job = await enqueueJob(client, INGEST_URL_JOB, { url, checkDuplicate: onDuplicate !== 'new' }, { documentId: rows[0].id });
+        return { document: rows[0], job };
+      });
 
-      let embedding = null;
-      if (truncatedContent && truncatedContent.trim().length > 0) {
-        embedding = await getEmbedding(truncatedContent);
-        if (!embedding) {
-          return reply.status(500).send({ error: 'Failed to generate embedding' });
-        }
-      } else {
-        logger.warn(`No content extracted for URL: ${url}`);
+      if (duplicate && job) {
+        return reply.status(202).send({ ...duplicate, duplicate: true, jobId: job.id });
+      }
+      if (duplicate) {
+        return reply.send({ ...duplicate, duplicate: true });
       }
 
-      const { rows } = await pool.query(
-        'INSERT INTO documents (title, content, embedding, source_url, mime_type) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-        [title || url, truncatedContent, embedding ? pgvector.toSql(embedding) : null, url, mimeType]
-      );
-
-      return reply.status(201).send(rows[0]);
+      return reply.status(202).send({ ...document, jobId: job.id });
     } catch (error) {
       logger.error('Error processing URL:', error);
       return reply.status(500).send({ error: 'Internal Server Error' });
@@ -53,14 +72,15 @@ async function routes(fastify, options) {
     }
 
     try {
-      const queryEmbedding = await getEmbedding(query);
+      const provider = await getEmbeddingProvider();
+      const queryEmbedding = await getEmbedding(query, provider);
       if (!queryEmbedding) {
         return reply.status(500).send({ error: 'Failed to generate query embedding' });
       }
 
       const { rows } = await pool.query(
-        'SELECT id, title, file_path as url, l2_distance(embedding, $1) as similarity FROM documents ORDER BY embedding <=> $1 LIMIT $2',
-        [pgvector.toSql(queryEmbedding), limit]
+        'SELECT id, title, file_path as url, l2_distance(embedding, $1) as similarity FROM documents WHERE embedding_model = $3 ORDER BY embedding <=> $1 LIMIT $2',
+        [pgvector.toSql(queryEmbedding), limit, provider.id]
       );
 
       return reply.send(rows);
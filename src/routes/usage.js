@@ -7,6 +7,7 @@ async function routes(fastify, options) {
       const { rows } = await pool.query(
         `SELECT 
           id, 
+          provider, 
           model, 
           prompt_tokens, 
           completion_tokens, 
@@ -0,0 +1,238 @@
+import { enqueueJob } from '../services/jobs.js';
+import { INGEST_FILE_JOB, INGEST_URL_JOB, INGEST_TEXT_JOB, RESTORE_VERSION_JOB } from '../services/ingest.js';
+import { listVersions, getVersion, getLatestVersionNumber, diffVersions } from '../services/versions.js';
+import { hashContent } from '../services/dedup.js';
+import { resolveUploadType, saveUpload, isUploadTooLarge, removeUnusedUpload } from '../services/uploads.js';
+import pool, { withTransaction } from '../db/index.js';
+import logger from '../logger.js';
+import fs from 'fs';
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+const isProcessing = (document) => document.status === 'pending' || document.status === 'processing';
+
+const PROCESSING_ERROR = 'Document is still being processed';
+
+/**
+ * Marks a document as pending and queues a job for it, unless it is already being
+ * processed. The document row stays locked from the check to the enqueue, so two
+ * requests can't both queue a job.
+ * @returns {Promise<object|null>} The job, or null if the document is being processed (or is gone).
+ */
+const enqueueDocumentJob = (documentId, type, payload) => withTransaction(async (client) => {
+  const { rows } = await client.query('SELECT status FROM documents WHERE id = $1 FOR UPDATE', [documentId]);
+  if (rows.length === 0 || isProcessing(rows[0])) {
+    return null;
+  }
+  await client.query(`UPDATE documents SET status = 'pending' WHERE id = $1`, [documentId]);
+  return enqueueJob(client, type, payload, { documentId });
+});
+
+async function routes(fastify, options) {
+  // List the versions of a document, newest first
+  fastify.get('/documents/:id/versions', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const { rows } = await pool.query('SELECT id FROM documents WHERE id = $1', [id]);
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+
+      const versions = await listVersions(id);
+      return reply.send({ id: rows[0].id, currentVersion: versions[0]?.version_number || null, versions });
+    } catch (error) {
+      logger.error(`Error fetching versions of document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Add a new version: upload a new file, send a new text, or scrape the source URL again
+  fastify.post('/documents/:id/versions', async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const { rows } = await pool.query(
+        'SELECT id, title, file_path, source_url, content_hash, status FROM documents WHERE id = $1',
+        [id]
+      );
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+      const document = rows[0];
+      if (isProcessing(document)) {
+        return reply.status(409).send({ error: PROCESSING_ERROR });
+      }
+
+      if (request.isMultipart()) {
+        const data = await request.file();
+        if (!data) {
+          return reply.status(400).send({ error: 'File is required' });
+        }
+
+        const { mimetype, error: typeError } = resolveUploadType(data.mimetype, data.filename);
+        if (typeError) {
+          // Drain the upload so the connection can be reused
+          data.file.resume();
+          return reply.status(415).send({ error: typeError });
+        }
+
+        const { filePath, contentHash } = await saveUpload(data.file, data.filename);
+        if (contentHash === document.content_hash) {
+          await fs.promises.unlink(filePath);
+          return reply.send({ ...document, unchanged: true });
+        }
+
+        // The new file replaces the current one once it has been indexed; older files stay in uploads/
+        let job;
+        try {
+          job = await enqueueDocumentJob(document.id, INGEST_FILE_JOB, { filePath, mimetype, filename: data.filename, contentHash });
+        } catch (error) {
+          await removeUnusedUpload(pool, filePath);
+          throw error;
+        }
+        if (!job) {
+          // Another version was submitted while this one uploaded
+          await removeUnusedUpload(pool, filePath);
+          return reply.status(409).send({ error: PROCESSING_ERROR });
+        }
+        return reply.status(202).send({ id: document.id, status: 'pending', jobId: job.id });
+      }
+
+      // Older URL documents kept the URL in file_path
+      const sourceUrl = document.source_url || (document.file_path?.startsWith('http') ? document.file_path : null);
+      if (sourceUrl) {
+        const job = await enqueueDocumentJob(document.id, INGEST_URL_JOB, { url: sourceUrl });
+        if (!job) {
+          return reply.status(409).send({ error: PROCESSING_ERROR });
+        }
+        return reply.status(202).send({ id: document.id, status: 'pending', jobId: job.id });
+      }
+
+      if (document.file_path) {
+        return reply.status(400).send({ error: 'Upload the new version of the file as multipart/form-data' });
+      }
+
+      // Text documents take the new text, and are embedded in the background like the others
+      const { title, content } = request.body || {};
+      if (!content) {
+        return reply.status(400).send({ error: 'Content is required' });
+      }
+
+      const contentHash = hashContent(content);
+      if (contentHash === document.content_hash && (!title || title === document.title)) {
+        return reply.send({ ...document, unchanged: true });
+      }
+
+      const job = await enqueueDocumentJob(document.id, INGEST_TEXT_JOB, { content, title, contentHash });
+      if (!job) {
+        return reply.status(409).send({ error: PROCESSING_ERROR });
+      }
+      return reply.status(202).send({ id: document.id, status: 'pending', jobId: job.id });
+    } catch (error) {
+      if (isUploadTooLarge(error)) {
+        return reply.status(413).send({ error: 'File size exceeds the limit.' });
+      }
+      logger.error(`Error adding a version to document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Compare the text of two versions (by default the current version and the one before it)
+  fastify.get('/documents/:id/diff', async (request, reply) => {
+    const { id } = request.params;
+    const { format = 'json' } = request.query;
+
+    if (format !== 'json' && format !== 'unified') {
+      return reply.status(400).send({ error: 'format must be "json" or "unified"' });
+    }
+
+    try {
+      const latest = await getLatestVersionNumber(id);
+      if (!latest) {
+        return reply.status(404).send({ error: 'Document not found or has no versions' });
+      }
+
+      const to = request.query.to === undefined ? latest : parseVersion(request.query.to);
+      const from = request.query.from === undefined ? (to && to - 1) : parseVersion(request.query.from);
+      if (!to || !from) {
+        return reply.status(400).send({ error: 'from and to must be version numbers, and the version must have a previous one' });
+      }
+
+      const [fromVersion, toVersion] = await Promise.all([getVersion(id, from), getVersion(id, to)]);
+      if (!fromVersion || !toVersion) {
+        return reply.status(404).send({ error: `Version ${fromVersion ? to : from} not found` });
+      }
+
+      const { additions, deletions, changes, patch } = diffVersions(fromVersion, toVersion);
+      if (format === 'unified') {
+        return reply.type('text/plain; charset=utf-8').send(patch);
+      }
+      return reply.send({ id: Number(id), from, to, additions, deletions, changes });
+    } catch (error) {
+      logger.error(`Error comparing versions of document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Get one version, including its text
+  fastify.get('/documents/:id/versions/:version', async (request, reply) => {
+    const { id } = request.params;
+    const version = parseVersion(request.params.version);
+    if (!version) {
+      return reply.status(400).send({ error: 'Version must be a positive integer' });
+    }
+
+    try {
+      const row = await getVersion(id, version);
+      if (!row) {
+        return reply.status(404).send({ error: 'Version not found' });
+      }
+      const { file_path, ...rest } = row;
+      return reply.send({ ...rest, has_file: Boolean(file_path) });
+    } catch (error) {
+      logger.error(`Error fetching version ${version} of document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+
+  // Make an old version current again. This adds a new version with its content, so no history is lost.
+  fastify.post('/documents/:id/versions/:version/restore', async (request, reply) => {
+    const { id } = request.params;
+    const version = parseVersion(request.params.version);
+    if (!version) {
+      return reply.status(400).send({ error: 'Version must be a positive integer' });
+    }
+
+    try {
+      const { rows } = await pool.query('SELECT id, status FROM documents WHERE id = $1', [id]);
+      if (rows.length === 0) {
+        return reply.status(404).send({ error: 'Document not found' });
+      }
+      if (isProcessing(rows[0])) {
+        return reply.status(409).send({ error: PROCESSING_ERROR });
+      }
+
+      const [row, latest] = await Promise.all([getVersion(id, version), getLatestVersionNumber(id)]);
+      if (!row) {
+        return reply.status(404).send({ error: 'Version not found' });
+      }
+      if (version === latest) {
+        return reply.status(400).send({ error: `Version ${version} is already the current version` });
+      }
+
+      // Re-embedding the restored text happens in the background worker
+      const job = await enqueueDocumentJob(rows[0].id, RESTORE_VERSION_JOB, { version });
+      if (!job) {
+        return reply.status(409).send({ error: PROCESSING_ERROR });
+      }
+      return reply.status(202).send({ id: rows[0].id, status: 'pending', restoring: version, jobId: job.id });
+    } catch (error) {
+      logger.error(`Error restoring version ${version} of document ${id}:`, error);
+      return reply.status(500).send({ error: 'Internal Server Error' });
+    }
+  });
+}
+
+export default routes;
@@ -9,7 +9,16 @@ import urlRoutes from './routes/urls.js';
 import documentRoutes from './routes/documents.js';
 import usageRoutes from './routes/usage.js';
 import notebookRoutes from './routes/notebooks.js';
+import conversationRoutes from './routes/conversations.js';
 import textRoutes from './routes/texts.js';
+import jobRoutes from './routes/jobs.js';
+import adminRoutes from './routes/admin.js';
+import versionRoutes from './routes/versions.js';
+import tagRoutes from './routes/tags.js';
+import collectionRoutes from './routes/collections.js';
+import suggestionRoutes from './routes/suggestions.js';
+import savedSearchRoutes from './routes/saved-searches.js';
+import { startWorker } from './services/jobs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,7 +42,15 @@ fastify.register(urlRoutes, { prefix: '/api' });
 fastify.register(documentRoutes, { prefix: '/api' });
 fastify.register(usageRoutes, { prefix: '/api' });
 fastify.register(notebookRoutes, { prefix: '/api' });
+fastify.register(conversationRoutes, { prefix: '/api' });
 fastify.register(textRoutes, { prefix: '/api' });
+fastify.register(jobRoutes, { prefix: '/api' });
+fastify.register(adminRoutes, { prefix: '/api' });
+fastify.register(versionRoutes, { prefix: '/api' });
+fastify.register(tagRoutes, { prefix: '/api' });
+fastify.register(collectionRoutes, { prefix: '/api' });
+fastify.register(suggestionRoutes, { prefix: '/api' });
+fastify.register(savedSearchRoutes, { prefix: '/api' });
 
 fastify.get('/', async (request, reply) => {
   return { hello: 'world' };
@@ -43,6 +60,7 @@ const start = async () => {
   try {
     await fastify.listen({ port: config.server.port, host: config.server.host });
     logger.info(`Server listening on ${fastify.server.address().port}`);
+    await startWorker();
   } catch (err) {
     fastify.log.error(err);
     process.exit(1);
@@ -0,0 +1,252 @@
+import logger from '../logger.js';
+import { complete, getCompletionProvider } from './completions/index.js';
+
+const MAX_COMPLETION_INPUT_LENGTH = 200000; // Max characters sent to the chat model in one request
+const MAX_REWRITE_MESSAGE_LENGTH = 1000;    // Characters of each earlier message shown when rewriting a question
+
+/**
+ * Makes long documents fit in a single completion request. Texts under
+ * MAX_COMPLETION_INPUT_LENGTH are returned unchanged; longer texts are split
+ * into sections which are summarized individually and joined in order.
+ * @param {string} text The full text.
+ * @param {object} provider The completion provider.
+ * @returns {Promise<string|null>} Text that fits in one request, or null if a section summary fails.
+ */
+const condenseText = async (text, provider) => {
+  if (text.length <= MAX_COMPLETION_INPUT_LENGTH) {
+    return text;
+  }
+
+  const sectionCount = Math.ceil(text.length / MAX_COMPLETION_INPUT_LENGTH);
+  const sectionLength = Math.ceil(text.length / sectionCount);
+  const sectionSummaries = [];
+
+  try {
+    for (let i = 0; i < sectionCount; i++) {
+      const section = text.substring(i * sectionLength, (i + 1) * sectionLength);
+      const summary = await complete({
+        system: 'You are a helpful assistant that condenses one section of a longer document. Keep headings, key facts, arguments and conclusions.',
+        messages: [
+          {
+            role: 'user',
+            content: `Condense section ${i + 1} of ${sectionCount} of the document:\n\n${section}`,
+          },
+        ],
+        temperature: 0.3,
+        maxTokens: 1000,
+      }, provider);
+
+      sectionSummaries.push(`Section ${i + 1} of ${sectionCount}:\n${summary}`);
+    }
+  } catch (error) {
+    logger.error(`Error condensing long text with ${provider.name}:`, error);
+    return null;
+  }
+
+  return sectionSummaries.join('\n\n');
+};
+
+/**
+ * Generates a summary for the given text.
+ * @param {string} text The text to summarize.
+ * @param {object} [provider] The completion provider, the configured one by default.
+ * @param {object} [options]
+ * @param {(text: string) => void} [options.onText] Called with each piece of the summary as it's generated.
+ * @returns {Promise<string|null>} The summary text, or null if an error occurs.
+ */
+export const getSummary = async (text, provider = getCompletionProvider(), { onText } = {}) => {
+  if (!text) {
+    logger.warn('getSummary called with no text.');
+    return null;
+  }
+  const input = await condenseText(text, provider);
+  if (!input) {
+    return null;
+  }
+  try {
+    const summary = await complete({
+      system: 'You are a helpful assistant that summarizes documents concisely.',
+      messages: [
+        {
+          role: 'user',
+          content: `Please provide a concise summary of the following text:\n\n${input}`,
+        },
+      ],
+      temperature: 0.3,
+      maxTokens: 250,
+    }, provider, { onText });
+
+    return summary || null;
+  } catch (error) {
+    logger.error(`Error getting summary from ${provider.name}:`, error);
+    return null;
+  }
+};
+
+/**
+ * A generic function to generate insights from text using a specified prompt.
+ * @param {string} text The text to analyze.
+ * @param {string} systemPrompt The system prompt to guide the model's behavior.
+ * @param {object} provider The completion provider.
+ * @param {object} [options]
+ * @param {(text: string) => void} [options.onText] Called with each piece of the insight as it's generated.
+ * @returns {Promise<string|null>} The generated insight, or null if an error occurs.
+ */
+const generateInsight = async (text, systemPrompt, provider, { onText } = {}) => {
+  if (!text) {
+    logger.warn('generateInsight called with no text.');
+    return null;
+  }
+  const input = await condenseText(text, provider);
+  if (!input) {
+    return null;
+  }
+  try {
+    const insight = await complete({
+      system: systemPrompt,
+      messages: [
+        { role: 'user', content: input },
+      ],
+      temperature: 0.5,
+      maxTokens: 500,
+    }, provider, { onText });
+
+    return insight || null;
+  } catch (error) {
+    logger.error(`Error generating insight with prompt "${systemPrompt}":`, error);
+    return null;
+  }
+};
+
+export const getTableOfContents = (text, provider = getCompletionProvider(), options = {}) => generateInsight(
+  text,
+  'Generate a table of contents for the following document. List the main sections and subsections. If the document is short, create a brief outline.',
+  provider,
+  options
+);
+
+export const getKeyInsights = (text, provider = getCompletionProvider(), options = {}) => generateInsight(
+  text,
+  'Extract the key insights and main takeaways from the following text. Present them as a bulleted list.',
+  provider,
+  options
+);
+
+export const getReflectionQuestions = (text, provider = getCompletionProvider(), options = {}) => generateInsight(
+  text,
+  'Based on the following text, generate a list of 3-5 thought-provoking reflection questions that challenge the reader to think more deeply about the content.',
+  provider,
+  options
+);
+
+/**
+ * Analyzes the given text and provides an analysis report.
+ * @param {string} text The text to analyze.
+ * @param {object} [provider] The completion provider, the configured one by default.
+ * @param {object} [options]
+ * @param {(text: string) => void} [options.onText] Called with each piece of the report as it's generated.
+ * @returns {Promise<string|null>} The analysis report, or null if an error occurs.
+ */
+export const getAnalysis = async (text, provider = getCompletionProvider(), { onText } = {}) => {
+  if (!text) {
+    logger.warn('getAnalysis called with no text.');
+    return null;
+  }
+  const input = await condenseText(text, provider);
+  if (!input) {
+    return null;
+  }
+  try {
+    const analysis = await complete({
+      system: 'You are a helpful assistant that analyzes text and provides detailed reports on various aspects such as tone, sentiment, and key themes.',
+      messages: [
+        {
+          role: 'user',
+          content: `Please analyze the following text and provide a detailed report:\n\n${input}`,
+        },
+      ],
+      temperature: 0.4,
+      maxTokens: 600,
+    }, provider, { onText });
+
+    return analysis || null;
+  } catch (error) {
+    logger.error(`Error getting analysis from ${provider.name}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Rewrites a follow-up question of a conversation so it stands on its own, for retrieving
+ * passages: "what about the second paper?" needs the conversation to be understood.
+ * @param {string} question The user's question.
+ * @param {{role: 'user'|'assistant', content: string}[]} history The earlier messages, oldest first.
+ * @param {object} [provider] The completion provider, the configured one by default.
+ * @returns {Promise<string>} The rewritten question; the question itself without history or if rewriting fails.
+ */
+export const rewriteQuestion = async (question, history, provider = getCompletionProvider()) => {
+  if (history.length === 0) {
+    return question;
+  }
+  const transcript = history
+    .map(({ role, content }) => {
+      const text = content.length > MAX_REWRITE_MESSAGE_LENGTH ? `${content.substring(0, MAX_REWRITE_MESSAGE_LENGTH)}...` : content;
+      return `${role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+    })
+    .join('\n\n');
+  try {
+    const rewritten = await complete({
+      system: 'You rewrite the last question of a conversation so it can be understood without the conversation, to search documents with. Replace references such as "it", "they" or "the second paper" with what they refer to. Keep the language of the question. Reply with the rewritten question only, or with the question unchanged if it already stands on its own.',
+      messages: [
+        {
+          role: 'user',
+          content: `CONVERSATION:\n${transcript}\n\n---\n\nLAST QUESTION: ${question}`,
+        },
+      ],
+      temperature: 0,
+      maxTokens: 200,
+    }, provider);
+
+    return rewritten || question;
+  } catch (error) {
+    logger.error(`Error rewriting question with ${provider.name}:`, error);
+    return question;
+  }
+};
+
+/**
+ * Answers a question based on a given context, citing its numbered passages.
+ * @param {string} question The user's question.
+ * @param {string} context The context compiled from notebook notes and numbered passages (see services/citations.js).
+ * @param {object} [provider] The completion provider, the configured one by default.
+ * @param {object} [options]
+ * @param {(text: string) => void} [options.onText] Called with each piece of the answer as it's generated.
+ * @param {{role: 'user'|'assistant', content: string}[]} [options.history] Earlier messages of the conversation,
+ *   oldest first, starting with a question.
+ * @returns {Promise<string|null>} The answer text, or null if an error occurs.
+ */
+export const getAnswerFromContext = async (question, context, provider = getCompletionProvider(), { onText, history = [] } = {}) => {
+  if (!question || !context) {
+    logger.warn('getAnswerFromContext called with no question or context.');
+    return null;
+  }
+  try {
+    const answer = await complete({
+      system: 'You are a helpful assistant that answers questions based on the provided context. Synthesize information from all parts of the context to provide a comprehensive answer. If the answer is not found in the context, say so. '
+        + 'The passages in the context are numbered like [1]. After each statement drawn from passages, cite them by number in square brackets, e.g. [1] or [2, 3]. Don\'t cite the notebook notes, and don\'t list the sources at the end.',
+      messages: [
+        ...history,
+        {
+          role: 'user',
+          content: `Based on the following context, please answer the question.\n\n---\n\nCONTEXT:\n${context}\n\n---\n\nQUESTION: ${question}`,
+        },
+      ],
+      temperature: 0.2,
+    }, provider, { onText });
+
+    return answer || null;
+  } catch (error) {
+    logger.error(`Error getting answer from ${provider.name}:`, error);
+    return null;
+  }
+};
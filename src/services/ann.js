@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../logger.js';
+
+// Approximate nearest neighbour (ANN) indexes on chunk vectors.
+// The embedding column holds vectors of any size, while pgvector indexes need a
+// fixed one, so each model gets a partial index on its vectors cast to their size.
+
+export const VECTOR_INDEX_TYPES = ['hnsw', 'ivfflat', 'none'];
+
+const INDEX_PREFIX = 'idx_document_chunks_ann_';
+const MAX_INDEXED_DIMENSIONS = 2000;  // pgvector can't index larger vectors of type vector
+
+const indexedModels = new Set();      // Models whose index is known to exist (or can't be built)
+
+const indexName = (modelId) => `${INDEX_PREFIX}${crypto.createHash('sha1').update(modelId).digest('hex').slice(0, 16)}`;
+
+const quoteLiteral = (value) => `'${value.replace(/'/g, "''")}'`;
+
+/**
+ * The expression the ANN indexes are built on. Similarity queries must order by
+ * `${vectorExpression(n)} <=> $query` (and filter on embedding_model) to use them.
+ * @param {number} dimensions The size of the query vector.
+ * @returns {string}
+ */
+export const vectorExpression = (dimensions) => `embedding::vector(${Number(dimensions)})`;
+
+/**
+ * Builds the ANN index for a model's chunk vectors if it doesn't exist yet. The
+ * vector size is read from the stored vectors, so nothing is built before the first ones.
+ * @param {import('pg').Pool|import('pg').Client} db The pool or a client outside a transaction.
+ * @param {string} modelId The embedding model id, as stored in embedding_model.
+ * @returns {Promise<boolean>} Whether an index was built.
+ */
+export const ensureVectorIndex = async (db, modelId) => {
+  const type = config.search.vectorIndex;
+  if (!['hnsw', 'ivfflat'].includes(type) || indexedModels.has(modelId)) {
+    return false;
+  }
+
+  const name = indexName(modelId);
+  const { rows: [state] } = await db.query(
+    `SELECT to_regclass($1) IS NOT NULL as exists,
+            (SELECT vector_dims(embedding) FROM document_chunks
+             WHERE embedding_model = $2 AND embedding IS NOT NULL LIMIT 1) as dimensions`,
+    [name, modelId]
+  );
+  if (state.exists) {
+    indexedModels.add(modelId);
+    return false;
+  }
+  if (!state.dimensions) {
+    return false;
+  }
+  if (state.dimensions > MAX_INDEXED_DIMENSIONS) {
+    logger.warn(`Vectors of ${modelId} have ${state.dimensions} dimensions; only up to ${MAX_INDEXED_DIMENSIONS} can be indexed. `
+      + 'Searches will scan every chunk.');
+    indexedModels.add(modelId);
+    return false;
+  }
+
+  const method = type === 'ivfflat'
+    ? `ivfflat ((${vectorExpression(state.dimensions)}) vector_cosine_ops) WITH (lists = ${config.search.ivfflatLists})`
+    : `hnsw ((${vectorExpression(state.dimensions)}) vector_cosine_ops)`;
+  logger.info(`Building ${type} index on the vectors of ${modelId}...`);
+  await db.query(
+    `CREATE INDEX IF NOT EXISTS ${name} ON document_chunks USING ${method}
+     WHERE embedding_model = ${quoteLiteral(modelId)}`
+  );
+  logger.info(`Index "${name}" built.`);
+  indexedModels.add(modelId);
+  return true;
+};
+
+/**
+ * Drops the ANN indexes of every model but one, after switching models.
+ * @param {import('pg').Pool|import('pg').Client} db
+ * @param {string} modelId The model whose index is kept.
+ * @returns {Promise<number>} The number of indexes dropped.
+ */
+export const dropStaleVectorIndexes = async (db, modelId) => {
+  const { rows } = await db.query(
+    `SELECT indexname FROM pg_indexes
+     WHERE tablename = 'document_chunks' AND indexname LIKE $1 AND indexname <> $2`,
+    [`${INDEX_PREFIX}%`, indexName(modelId)]
+  );
+  for (const { indexname } of rows) {
+    await db.query(`DROP INDEX IF EXISTS ${indexname}`);
+    logger.info(`Index "${indexname}" dropped.`);
+  }
+  indexedModels.clear();
+  return rows.length;
+};
+
+/**
+ * Sets how many candidates the ANN index returns for the rest of the transaction.
+ * HNSW otherwise stops at 40, fewer than searches ask for.
+ * @param {import('pg').PoolClient} client A client inside a transaction.
+ * @param {number} candidates The number of nearest chunks the query needs.
+ */
+export const configureVectorSearch = async (client, candidates) => {
+  if (config.search.vectorIndex === 'hnsw') {
+    await client.query(`SET LOCAL hnsw.ef_search = ${Math.min(Math.max(candidates, config.search.hnswEfSearch), 1000)}`);
+  } else if (config.search.vectorIndex === 'ivfflat') {
+    await client.query(`SET LOCAL ivfflat.probes = ${config.search.ivfflatProbes}`);
+  }
+};
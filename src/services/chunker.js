@@ -0,0 +1,156 @@
+const DEFAULT_CHUNK_SIZE = 2000;     // Target characters per chunk (~500 tokens)
+const DEFAULT_CHUNK_OVERLAP = 200;   // Characters shared between consecutive chunks of a long section
+const MIN_CHUNK_SIZE = 400;          // Sections shorter than this are merged with the next one
+
+const HEADING_REGEX = /^#{1,6}[ \t]+\S.*$/gm;
+const PAGE_MARKER_REGEX = /^--- Page (\d+) ---$/gm;
+
+/**
+ * Finds the page boundaries in a text, either from an explicit page map or from
+ * the "--- Page N ---" markers that older versions of the PDF scraper emitted.
+ * @param {string} text The full text.
+ * @param {Array<{page: number, start: number, end: number}>} [pages] Optional page map.
+ * @returns {Array<{page: number, start: number}>} Page start offsets in ascending order.
+ */
+const findPageStarts = (text, pages) => {
+  if (Array.isArray(pages) && pages.length > 0) {
+    return pages.map(({ page, start }) => ({ page, start }));
+  }
+
+  // Markers close the page they follow, so page N + 1 starts right after marker N.
+  const starts = [];
+  let start = 0;
+  for (const match of text.matchAll(PAGE_MARKER_REGEX)) {
+    const page = Number(match[1]);
+    starts.push({ page, start });
+    start = match.index + match[0].length;
+  }
+  if (starts.length > 0 && start < text.length) {
+    starts.push({ page: starts[starts.length - 1].page + 1, start });
+  }
+  return starts;
+};
+
+/**
+ * Splits the text into sections at page and heading boundaries.
+ * @param {string} text The full text.
+ * @param {Array<{page: number, start: number}>} pageStarts Page start offsets.
+ * @returns {Array<{start: number, end: number, pageNumber: number|null, heading: string|null}>}
+ */
+const splitIntoSections = (text, pageStarts) => {
+  const boundaries = new Map();
+  pageStarts.forEach(({ start }) => boundaries.set(start, null));
+  for (const match of text.matchAll(HEADING_REGEX)) {
+    boundaries.set(match.index, match[0].replace(/^#+\s*/, '').trim());
+  }
+  boundaries.set(0, boundaries.get(0) ?? null);
+
+  const offsets = [...boundaries.keys()].sort((a, b) => a - b);
+  const sections = [];
+  let currentHeading = null;
+
+  offsets.forEach((start, i) => {
+    const end = i + 1 < offsets.length ? offsets[i + 1] : text.length;
+    if (boundaries.get(start)) {
+      currentHeading = boundaries.get(start);
+    }
+
+    let pageNumber = null;
+    for (const pageStart of pageStarts) {
+      if (pageStart.start > start) break;
+      pageNumber = pageStart.page;
+    }
+
+    if (text.slice(start, end).trim().length > 0) {
+      sections.push({ start, end, pageNumber, heading: currentHeading });
+    }
+  });
+
+  return sections;
+};
+
+/**
+ * Finds a good place to end a window, preferring paragraph breaks, then sentence
+ * ends, then whitespace, so chunks don't cut words in half.
+ * @param {string} text The full text.
+ * @param {number} start Window start offset.
+ * @param {number} end Hard window end offset.
+ * @returns {number} The adjusted end offset.
+ */
+const findBreakPoint = (text, start, end) => {
+  if (end >= text.length) return text.length;
+
+  const window = text.slice(start, end);
+  const minEnd = Math.floor(window.length * 0.6);
+
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph > minEnd) return start + paragraph + 2;
+
+  const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '), window.lastIndexOf('.\n'));
+  if (sentence > minEnd) return start + sentence + 2;
+
+  const space = Math.max(window.lastIndexOf(' '), window.lastIndexOf('\n'));
+  if (space > minEnd) return start + space + 1;
+
+  return end;
+};
+
+/**
+ * Splits a text into overlapping, structure-aware chunks suitable for embedding.
+ * Chunks follow page and Markdown heading boundaries; long sections are split
+ * into overlapping windows and short neighbouring sections are merged.
+ * @param {string} text The text to chunk.
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] Target chunk size in characters.
+ * @param {number} [options.overlap] Overlap between consecutive windows in characters.
+ * @param {Array<{page: number, start: number, end: number}>} [options.pages] Page map for the text.
+ * @returns {Array<{index: number, content: string, startOffset: number, endOffset: number, pageNumber: number|null, heading: string|null}>}
+ */
+export const chunkText = (text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP, pages } = {}) => {
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  const sections = splitIntoSections(text, findPageStarts(text, pages));
+
+  // Merge runs of short sections so we don't embed a lone heading or a near-empty page.
+  const merged = [];
+  for (const section of sections) {
+    const last = merged[merged.length - 1];
+    if (last && last.end - last.start < MIN_CHUNK_SIZE && section.end - last.start <= chunkSize) {
+      last.end = section.end;
+    } else {
+      merged.push({ ...section });
+    }
+  }
+
+  const chunks = [];
+  for (const section of merged) {
+    let start = section.start;
+    while (start < section.end) {
+      const end = start + chunkSize >= section.end
+        ? section.end
+        : findBreakPoint(text, start, start + chunkSize);
+      const content = text.slice(start, end).trim();
+      if (content) {
+        chunks.push({
+          index: chunks.length,
+          content,
+          startOffset: start,
+          endOffset: end,
+          pageNumber: section.pageNumber,
+          heading: section.heading,
+        });
+      }
+      if (end >= section.end) break;
+
+      // Step back by the overlap, then forward to the next word so chunks start cleanly.
+      let next = Math.max(end - overlap, start + 1);
+      const space = text.slice(next, end).search(/\s/);
+      if (space !== -1) next += space + 1;
+      start = next;
+    }
+  }
+
+  return chunks;
+};
@@ -0,0 +1,77 @@
+import pgvector from 'pgvector/pg';
+import { chunkText } from './chunker.js';
+import { getEmbeddings, getEmbeddingProvider } from './embeddings/index.js';
+import logger from '../logger.js';
+
+/**
+ * Chunks a document's text and generates an embedding for every chunk.
+ * @param {string} text The full document text.
+ * @param {object} [options] Options passed through to `chunkText` (e.g. `pages`).
+ * @param {object} [options.provider] The embedding provider, the active one by default.
+ * @returns {Promise<Array<object>|null>} The chunks with `embedding` and `embeddingModel` properties, or null if embedding fails.
+ */
+export const embedChunks = async (text, { provider, ...options } = {}) => {
+  const embedder = provider || await getEmbeddingProvider();
+  // Providers with a short input window ask for smaller chunks
+  const chunks = chunkText(text, { chunkSize: embedder.chunkSize, ...options });
+  if (chunks.length === 0) {
+    logger.warn('embedChunks produced no chunks for the given text.');
+    return [];
+  }
+
+  const embeddings = await getEmbeddings(chunks.map(chunk => chunk.content), embedder);
+  if (!embeddings) {
+    return null;
+  }
+
+  return chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i], embeddingModel: embedder.id }));
+};
+
+/**
+ * Averages the chunk embeddings into a single document-level vector, which is
+ * kept on `documents.embedding` for whole-document similarity.
+ * @param {Array<{embedding: number[]}>} chunks The embedded chunks.
+ * @returns {number[]|null} The normalized mean vector, or null if there are no chunks.
+ */
+export const averageEmbedding = (chunks) => {
+  if (!chunks || chunks.length === 0) {
+    return null;
+  }
+
+  const sum = new Array(chunks[0].embedding.length).fill(0);
+  for (const { embedding } of chunks) {
+    embedding.forEach((value, i) => { sum[i] += value; });
+  }
+
+  const norm = Math.sqrt(sum.reduce((acc, value) => acc + value * value, 0)) || 1;
+  return sum.map(value => value / norm);
+};
+
+/**
+ * Replaces the stored chunks of a document. Pass a transaction client so the
+ * chunks are written atomically with the document row.
+ * @param {import('pg').PoolClient} client The database client.
+ * @param {number} documentId The document the chunks belong to.
+ * @param {Array<object>} chunks The embedded chunks from `embedChunks`.
+ */
+export const saveChunks = async (client, documentId, chunks) => {
+  await client.query('DELETE FROM document_chunks WHERE document_id = $1', [documentId]);
+
+  for (const chunk of chunks) {
+    await client.query(
+      `INSERT INTO document_chunks (document_id, chunk_index, content, page_number, heading, start_offset, end_offset, embedding, embedding_model)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        documentId,
+        chunk.index,
+        chunk.content,
+        chunk.pageNumber,
+        chunk.heading,
+        chunk.startOffset,
+        chunk.endOffset,
+        pgvector.toSql(chunk.embedding),
+        chunk.embeddingModel,
+      ]
+    );
+  }
+};
@@ -0,0 +1,59 @@
+// Notebook answers cite the passages they draw on by number, e.g. "[2]" or "[1, 3]"
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Formats a notebook's notes as the start of a question's context.
+ * @param {string} notes
+ * @returns {string}
+ */
+export const formatNotes = (notes) => `Notebook Notes:\n${notes}\n\n---\n\n`;
+
+/**
+ * Formats a retrieved passage for a question's context, numbered so the answer can cite it.
+ * @param {number} number The passage's number, counting from 1.
+ * @param {{title: string, content: string, page_number: number|null}} passage
+ * @returns {string}
+ */
+export const formatCitedPassage = (number, passage) => {
+  const location = passage.page_number ? `, page ${passage.page_number}` : '';
+  return `[${number}] Document: ${passage.title}${location}\nPassage:\n${passage.content}\n\n---\n\n`;
+};
+
+/**
+ * Lists the passages an answer cites. Numbers that match no passage are ignored.
+ * @param {string} answer
+ * @param {Array<object>} passages The passages of the context, numbered from 1 in order, with their chunk's
+ *   document_id, title, page_number, start_offset, end_offset and content.
+ * @returns {Array<{number: number, document_id: number, title: string, page_number: number|null,
+ *   start: number, end: number, passage: string}>} The cited passages, by number.
+ */
+export const extractSources = (answer, passages) => {
+  const cited = new Set();
+  for (const [, numbers] of (answer || '').matchAll(CITATION_PATTERN)) {
+    numbers.split(',').map(Number).forEach(number => cited.add(number));
+  }
+
+  return [...cited]
+    .filter(number => number >= 1 && number <= passages.length)
+    .sort((a, b) => a - b)
+    .map((number) => {
+      const passage = passages[number - 1];
+      return {
+        number,
+        document_id: passage.document_id,
+        title: passage.title,
+        page_number: passage.page_number,
+        start: passage.start_offset,
+        end: passage.end_offset,
+        passage: passage.content,
+      };
+    });
+};
+
+/**
+ * Removes the citations from an answer, e.g. to reuse it in a prompt where its passages
+ * are no longer numbered the same way.
+ * @param {string} answer
+ * @returns {string}
+ */
+export const stripCitations = (answer) => (answer || '').replace(/\s*\[\d+(?:\s*,\s*\d+)*\]/g, '');
@@ -0,0 +1,360 @@
+import pool, { withTransaction } from '../db/index.js';
+import config from '../config/index.js';
+import logger from '../logger.js';
+import { complete, getCompletionProvider } from './completions/index.js';
+import { normalizeTagName, addTags } from './tags.js';
+import { registerJobHandler, enqueueJob, PermanentJobError } from './jobs.js';
+
+export const CLASSIFY_DOCUMENT_JOB = 'classify_document';
+export const CLASSIFY_BACKLOG_JOB = 'classify_backlog';
+
+// What a suggestion proposes
+export const SUGGESTION_KINDS = [
+  'tag',          // A tag to add
+  'category',     // The document's topic category
+  'description',  // A one-line description
+];
+
+const EXCERPT_LENGTH = 8000;          // Characters of the document shown to the model
+const VOCABULARY_SIZE = 200;          // Most-used tags offered to the model
+const MAX_TAGS = 5;                   // Tags suggested per document...
+const MAX_NEW_TAGS = 2;               // ...of which at most this many may be outside the vocabulary
+const MAX_DESCRIPTION_LENGTH = 200;
+const JOB_DOCUMENT_LIMIT = 20;        // Documents classified per backlog job before handing the worker back to other jobs
+
+/**
+ * Lists the tags and categories the model should choose from: the most-used
+ * tags, and the configured categories (or, if none are configured, those
+ * already in use).
+ * @returns {Promise<{tags: string[], categories: string[]}>}
+ */
+const getVocabulary = async () => {
+  const [tagsRes, categoriesRes] = await Promise.all([
+    pool.query(
+      `SELECT t.name FROM tags t
+       LEFT JOIN document_tags dt ON dt.tag_id = t.id
+       GROUP BY t.id
+       ORDER BY COUNT(dt.document_id) DESC, lower(t.name)
+       LIMIT $1`,
+      [VOCABULARY_SIZE]
+    ),
+    config.classify.categories.length > 0
+      ? { rows: config.classify.categories.map(category => ({ category })) }
+      : pool.query('SELECT DISTINCT category FROM documents WHERE category IS NOT NULL ORDER BY category'),
+  ]);
+  return {
+    tags: tagsRes.rows.map(row => row.name),
+    categories: categoriesRes.rows.map(row => row.category),
+  };
+};
+
+const buildPrompt = (document, vocabulary) => [
+  `Title: ${document.title}`,
+  vocabulary.tags.length > 0
+    ? `Existing tags (prefer these; suggest at most ${MAX_NEW_TAGS} new ones, only if nothing fits): ${vocabulary.tags.join(', ')}`
+    : 'There are no tags yet; suggest short, general ones.',
+  vocabulary.categories.length > 0
+    ? `Categories (${config.classify.categories.length > 0 ? 'choose exactly one' : 'prefer one of these'}): ${vocabulary.categories.join(', ')}`
+    : 'Suggest a broad topic category of one to three words.',
+  '',
+  `Document:\n${document.content.substring(0, EXCERPT_LENGTH)}`,
+].join('\n');
+
+/**
+ * Reads the model's JSON reply, tolerating surrounding prose or code fences.
+ * @returns {{tags: string[], category: string|null, description: string|null}}
+ */
+const parseReply = (text) => {
+  const json = text?.match(/\{[\s\S]*\}/);
+  if (!json) {
+    throw new Error('The model did not reply with JSON');
+  }
+  const reply = JSON.parse(json[0]);
+  return {
+    tags: Array.isArray(reply.tags) ? reply.tags : [],
+    category: typeof reply.category === 'string' ? reply.category : null,
+    description: typeof reply.description === 'string' ? reply.description : null,
+  };
+};
+
+/**
+ * Matches suggested names against a vocabulary, case-insensitively, so known
+ * names keep their stored spelling.
+ * @returns {Array<{value: string, isNew: boolean}>}
+ */
+const matchVocabulary = (names, vocabulary) => {
+  const known = new Map(vocabulary.map(name => [name.toLowerCase(), name]));
+  const matches = new Map();
+  for (const name of names.map(normalizeTagName).filter(Boolean)) {
+    const key = name.toLowerCase();
+    if (!matches.has(key)) {
+      matches.set(key, { value: known.get(key) || name, isNew: !known.has(key) });
+    }
+  }
+  return [...matches.values()];
+};
+
+/**
+ * Asks the completion model for tags, a category and a one-line description,
+ * and stores them as pending suggestions. Earlier pending suggestions are
+ * replaced; suggestions already accepted or rejected are not proposed again.
+ * @param {number} documentId The document to classify.
+ * @param {object} [provider] The completion provider, the configured one by default.
+ * @returns {Promise<{suggestions: number}>} The number of new pending suggestions.
+ */
+export const classifyDocument = async (documentId, provider = getCompletionProvider()) => {
+  const { rows } = await pool.query(
+    `SELECT d.id, d.title, c.content
+     FROM documents d
+     JOIN document_contents c ON c.document_id = d.id
+     WHERE d.id = $1 AND d.status = 'ready'`,
+    [documentId]
+  );
+  const document = rows[0];
+  if (!document || !document.content?.trim()) {
+    throw new PermanentJobError(`Document ${documentId} has no text to classify.`);
+  }
+
+  const vocabulary = await getVocabulary();
+  const text = await complete({
+    system: 'You classify documents in a research library. Reply with a JSON object only, of the form '
+      + `{"tags": ["..."], "category": "...", "description": "..."}: up to ${MAX_TAGS} tags, one category, `
+      + `and a one-sentence description of at most ${MAX_DESCRIPTION_LENGTH} characters.`,
+    messages: [{ role: 'user', content: buildPrompt(document, vocabulary) }],
+    temperature: 0.2,
+    maxTokens: 300,
+  }, provider);
+  const reply = parseReply(text);
+
+  // New tags beyond the allowance are dropped; known tags are always kept
+  const newTagLimit = vocabulary.tags.length > 0 ? MAX_NEW_TAGS : MAX_TAGS;
+  let newTags = 0;
+  const tags = matchVocabulary(reply.tags, vocabulary.tags)
+    .filter(tag => !tag.isNew || newTags++ < newTagLimit)
+    .slice(0, MAX_TAGS);
+  const [category] = matchVocabulary([reply.category], vocabulary.categories)
+    .filter(match => !match.isNew || config.classify.categories.length === 0);
+  const description = reply.description?.replace(/\s+/g, ' ').trim().substring(0, MAX_DESCRIPTION_LENGTH);
+
+  const suggestions = [
+    ...tags.map(tag => ({ kind: 'tag', ...tag })),
+    ...(category ? [{ kind: 'category', ...category }] : []),
+    ...(description ? [{ kind: 'description', value: description, isNew: false }] : []),
+  ];
+
+  const created = await withTransaction(async (client) => {
+    await client.query(`DELETE FROM document_suggestions WHERE document_id = $1 AND status = 'pending'`, [documentId]);
+    let count = 0;
+    for (const suggestion of suggestions) {
+      const { rowCount } = await client.query(
+        `INSERT INTO document_suggestions (document_id, kind, value, is_new, model)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (document_id, kind, lower(value)) DO NOTHING`,
+        [documentId, suggestion.kind, suggestion.value, suggestion.isNew, provider.model]
+      );
+      count += rowCount;
+    }
+    await client.query('UPDATE documents SET classified_at = CURRENT_TIMESTAMP WHERE id = $1', [documentId]);
+    return count;
+  });
+
+  return { suggestions: created };
+};
+
+/**
+ * Lists a document's suggestions, pending ones first.
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @param {number} documentId
+ * @param {object} [options]
+ * @param {boolean} [options.pendingOnly] Leave out accepted and rejected suggestions.
+ * @returns {Promise<Array<object>>}
+ */
+export const listSuggestions = async (db, documentId, { pendingOnly = true } = {}) => {
+  const { rows } = await db.query(
+    `SELECT id, kind, value, is_new, status, model, created_at, reviewed_at
+     FROM document_suggestions
+     WHERE document_id = $1 AND ($2 = FALSE OR status = 'pending')
+     ORDER BY status = 'pending' DESC, array_position($3::text[], kind::text), id`,
+    [documentId, pendingOnly, SUGGESTION_KINDS]
+  );
+  return rows;
+};
+
+/**
+ * Accepts and rejects pending suggestions. Accepted tags are added to the
+ * document; an accepted category or description replaces the document's own
+ * (the description then counts as edited, see services/metadata.js), and the
+ * other pending suggestions of the same kind are rejected.
+ * @param {import('pg').PoolClient} client The transaction client.
+ * @param {number} documentId
+ * @param {object} review
+ * @param {number[]} [review.accept] Suggestion IDs to accept.
+ * @param {number[]} [review.reject] Suggestion IDs to reject.
+ * @returns {Promise<{error?: string}>} An error if a suggestion isn't pending for this document,
+ *   or if more than one category or description would be accepted.
+ */
+export const reviewSuggestions = async (client, documentId, { accept = [], reject = [] }) => {
+  const ids = [...accept, ...reject];
+  const { rows } = await client.query(
+    `SELECT id, kind, value FROM document_suggestions
+     WHERE document_id = $1 AND status = 'pending' AND id = ANY($2::int[])
+     FOR UPDATE`,
+    [documentId, ids]
+  );
+  const missing = ids.find(id => !rows.some(row => row.id === id));
+  if (missing) {
+    return { error: `Suggestion ${missing} is not pending for this document` };
+  }
+  const accepted = rows.filter(row => accept.includes(row.id));
+  if (['category', 'description'].some(kind => accepted.filter(row => row.kind === kind).length > 1)) {
+    return { error: 'Only one category and one description can be accepted' };
+  }
+
+  for (const suggestion of accepted) {
+    if (suggestion.kind === 'tag') {
+      await addTags(client, [documentId], [suggestion.value]);
+    } else if (suggestion.kind === 'category') {
+      await client.query('UPDATE documents SET category = $1 WHERE id = $2', [suggestion.value, documentId]);
+    } else {
+      await client.query(
+        `UPDATE documents SET
+         description = $1,
+         metadata_edited = ARRAY(SELECT DISTINCT unnest(metadata_edited || '{description}'::text[]) ORDER BY 1)
+         WHERE id = $2`,
+        [suggestion.value, documentId]
+      );
+    }
+
+    if (suggestion.kind !== 'tag') {
+      await client.query(
+        `UPDATE document_suggestions SET status = 'rejected', reviewed_at = CURRENT_TIMESTAMP
+         WHERE document_id = $1 AND kind = $2 AND status = 'pending' AND id <> ALL($3::int[])`,
+        [documentId, suggestion.kind, accept]
+      );
+    }
+  }
+
+  await client.query(
+    `UPDATE document_suggestions
+     SET status = CASE WHEN id = ANY($1::int[]) THEN 'accepted' ELSE 'rejected' END,
+         reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = ANY($2::int[])`,
+    [accept, ids]
+  );
+  return {};
+};
+
+/**
+ * Queues classification of a freshly indexed document, unless AUTO_CLASSIFY is off.
+ * @param {import('pg').PoolClient} client The transaction that marks the document ready.
+ * @param {number} documentId
+ */
+export const enqueueClassification = async (client, documentId) => {
+  if (config.classify.onIngest) {
+    await enqueueJob(client, CLASSIFY_DOCUMENT_JOB, {}, { documentId });
+  }
+};
+
+// Ready documents a backlog run still has to classify, after the cursor ($1).
+// With force, documents classified before the run started ($2) are done again.
+const BACKLOG_DOCUMENTS = `
+  FROM documents d
+  WHERE d.status = 'ready' AND d.id > $1
+    AND (d.classified_at IS NULL OR ($2::timestamptz IS NOT NULL AND d.classified_at < $2))
+`;
+
+/**
+ * Counts the documents a backlog run would classify.
+ * @param {object} [options]
+ * @param {boolean} [options.force] Include documents that were already classified.
+ * @returns {Promise<number>}
+ */
+export const countBacklog = async ({ force = false } = {}) => {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int as count ${BACKLOG_DOCUMENTS}`,
+    [0, force ? new Date() : null]
+  );
+  return rows[0].count;
+};
+
+/**
+ * Finds a queued or running backlog job, so only one runs at a time.
+ * @returns {Promise<object|null>} The job row, or null.
+ */
+export const findActiveBacklogJob = async () => {
+  const { rows } = await pool.query(
+    `SELECT id, status, progress, stage, payload, created_at
+     FROM jobs
+     WHERE type = $1 AND status IN ('queued', 'running')
+     ORDER BY id
+     LIMIT 1`,
+    [CLASSIFY_BACKLOG_JOB]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Classifies the documents that have no suggestions yet, in ID order. A
+ * document that fails is logged and skipped.
+ * @param {object} [options]
+ * @param {number} [options.afterId] Start after this document ID.
+ * @param {string} [options.since] Classify again documents classified before this time (ISO 8601).
+ * @param {object} [options.provider] The completion provider, the configured one by default.
+ * @param {number} [options.limit] Stop after this many documents.
+ * @param {(done: number, total: number) => Promise<void>} [options.onProgress] Called after each document.
+ * @returns {Promise<{classified: number, failed: number, lastId: number, finished: boolean}>}
+ */
+export const classifyBacklog = async ({
+  afterId = 0, since = null, provider = getCompletionProvider(), limit = null, onProgress = async () => {},
+} = {}) => {
+  const { rows } = await pool.query(
+    `SELECT d.id ${BACKLOG_DOCUMENTS} ORDER BY d.id LIMIT $3`,
+    [afterId, since, limit]
+  );
+
+  let classified = 0;
+  let failed = 0;
+  for (const { id } of rows) {
+    try {
+      await classifyDocument(id, provider);
+      classified++;
+    } catch (error) {
+      logger.warn(`Could not classify document ${id}: ${error.message}`);
+      failed++;
+    }
+    await onProgress(classified + failed, rows.length);
+  }
+
+  return {
+    classified,
+    failed,
+    lastId: rows.length > 0 ? rows[rows.length - 1].id : afterId,
+    finished: limit === null || rows.length < limit,
+  };
+};
+
+registerJobHandler(CLASSIFY_DOCUMENT_JOB, async (job) => {
+  const { provider, model } = job.payload;
+  return classifyDocument(job.document_id, getCompletionProvider({ provider, model }));
+});
+
+// Each job classifies a slice of the backlog and queues the next one from
+// where it stopped, so uploads queued meanwhile get their turn
+registerJobHandler(CLASSIFY_BACKLOG_JOB, async (job, { progress }) => {
+  const { afterId = 0, since = null, provider, model, classified = 0, failed = 0 } = job.payload;
+
+  const result = await classifyBacklog({
+    afterId,
+    since,
+    provider: getCompletionProvider({ provider, model }),
+    limit: JOB_DOCUMENT_LIMIT,
+    onProgress: (done, total) => progress(Math.round((100 * done) / total), 'classifying'),
+  });
+
+  const totals = { classified: classified + result.classified, failed: failed + result.failed };
+  if (result.finished) {
+    return totals;
+  }
+  const next = await enqueueJob(pool, CLASSIFY_BACKLOG_JOB, { ...job.payload, ...totals, afterId: result.lastId });
+  return { ...totals, nextJobId: next.id };
+});
@@ -0,0 +1,66 @@
+/**
+ * Nests a flat list of collections under their parents.
+ * @param {Array<{id: number, parent_id: number|null}>} rows Collections, in the order children should be listed.
+ * @returns {Array<object>} The top-level collections, each with a `children` array.
+ */
+export const buildCollectionTree = (rows) => {
+  const nodes = new Map(rows.map(row => [row.id, { ...row, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+/**
+ * Lists a collection and its ancestors, for breadcrumbs.
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @param {number} collectionId
+ * @returns {Promise<Array<{id: number, name: string}>>} The path from the top-level collection down.
+ */
+export const getCollectionPath = async (db, collectionId) => {
+  const { rows } = await db.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, name, parent_id, 0 AS depth FROM collections WHERE id = $1
+       UNION ALL
+       SELECT c.id, c.name, c.parent_id, a.depth + 1
+       FROM collections c JOIN ancestors a ON c.id = a.parent_id
+     ) CYCLE id SET is_cycle USING visited
+     SELECT id, name FROM ancestors WHERE NOT is_cycle ORDER BY depth DESC`,
+    [collectionId]
+  );
+  return rows;
+};
+
+/**
+ * Checks whether moving a collection under a new parent would create a cycle,
+ * i.e. whether the parent is the collection itself or one of its subcollections.
+ * Call it after lockCollectionTree, so concurrent moves can't combine into a cycle.
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @param {number} collectionId The collection being moved.
+ * @param {number} parentId The proposed parent.
+ * @returns {Promise<boolean>}
+ */
+export const wouldCreateCycle = async (db, collectionId, parentId) => {
+  const { rows } = await db.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, parent_id FROM collections WHERE id = $2
+       UNION
+       SELECT c.id, c.parent_id FROM collections c JOIN ancestors a ON c.id = a.parent_id
+     )
+     SELECT 1 FROM ancestors WHERE id = $1`,
+    [collectionId, parentId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Locks the collections table against other changes until the transaction ends,
+ * so a move can check for cycles against a tree no one else is rearranging.
+ * Reads are not blocked.
+ * @param {import('pg').PoolClient} client A transaction client.
+ */
+export const lockCollectionTree = async (client) => {
+  await client.query('LOCK TABLE collections IN SHARE ROW EXCLUSIVE MODE');
+};
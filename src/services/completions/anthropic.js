@@ -0,0 +1,72 @@
+import Anthropic from '@anthropic-ai/sdk';
+import config from '../../config/index.js';
+
+const DEFAULT_MODEL = 'claude-haiku-4-5';
+const DEFAULT_MAX_TOKENS = 1024;  // The Messages API requires a limit on every request
+
+/**
+ * Converts the Messages API's token counts to OpenAI-style usage.
+ */
+const toUsage = ({ input_tokens = 0, output_tokens = 0 } = {}) => ({
+  prompt_tokens: input_tokens,
+  completion_tokens: output_tokens,
+  total_tokens: input_tokens + output_tokens,
+});
+
+/**
+ * Creates a completion provider backed by the Anthropic Messages API, or any
+ * server implementing it when ANTHROPIC_BASE_URL is set.
+ * @param {object} [options]
+ * @param {string} [options.model] The model, claude-haiku-4-5 by default.
+ * @returns {object} The provider.
+ */
+export const createAnthropicCompletionProvider = ({ model = DEFAULT_MODEL } = {}) => {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new Anthropic({
+        apiKey: config.anthropic.apiKey,
+        baseURL: config.anthropic.baseUrl || undefined,
+      });
+    }
+    return client;
+  };
+  const toParams = ({ system, messages, temperature, maxTokens }) => ({
+    model,
+    ...(system ? { system } : {}),
+    messages,
+    temperature,
+    max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+  });
+
+  return {
+    name: 'anthropic',
+    model,
+    async complete(request) {
+      const response = await getClient().messages.create(toParams(request));
+
+      return {
+        text: response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('')
+          .trim(),
+        usage: toUsage(response.usage),
+      };
+    },
+    async stream(request, onText) {
+      const stream = getClient().messages.stream(toParams(request));
+      stream.on('text', text => onText(text));
+      const message = await stream.finalMessage();
+
+      return {
+        text: message.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('')
+          .trim(),
+        usage: toUsage(message.usage),
+      };
+    },
+  };
+};
@@ -0,0 +1,81 @@
+import config from '../../config/index.js';
+import { logApiUsage } from '../usage.js';
+import { createOpenAICompletionProvider, createOpenAICompatibleCompletionProvider } from './openai.js';
+import { createAnthropicCompletionProvider } from './anthropic.js';
+
+const providerFactories = {
+  openai: createOpenAICompletionProvider,
+  'openai-compatible': createOpenAICompatibleCompletionProvider,
+  anthropic: createAnthropicCompletionProvider,
+};
+
+const providers = new Map();  // Providers by "name:model", so clients are reused across requests
+
+/**
+ * Registers a factory for a new completion provider type.
+ * @param {string} name The provider name used in COMPLETION_PROVIDER and per-request selections.
+ * @param {(options: {model?: string}) => object} factory Creates a provider `{name, model, complete(request)}`,
+ *   where `complete({system, messages, temperature, maxTokens})` resolves to `{text, usage}` with OpenAI-style
+ *   usage counts, and throws on failure. Providers may also have `stream(request, onText)`, which calls
+ *   `onText` with each piece of text as it's generated and resolves like `complete`.
+ */
+export const registerCompletionProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Returns a completion provider. Without a selection this is the one set by
+ * COMPLETION_PROVIDER and COMPLETION_MODEL; COMPLETION_MODEL only applies to
+ * that provider, others use their own default model unless one is given.
+ * @param {object} [selection]
+ * @param {string} [selection.provider] The provider name, e.g. "openai", "openai-compatible" or "anthropic".
+ * @param {string} [selection.model] The model, or the provider's default.
+ * @returns {object} The provider.
+ * @throws {Error} If the provider is unknown or not configured.
+ */
+export const getCompletionProvider = ({ provider, model } = {}) => {
+  const name = provider || config.completion.provider;
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown completion provider "${name}". Available: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  const selectedModel = model || (name === config.completion.provider ? config.completion.model : undefined) || undefined;
+  const key = `${name}:${selectedModel || ''}`;
+  if (!providers.has(key)) {
+    providers.set(key, factory({ model: selectedModel }));
+  }
+  return providers.get(key);
+};
+
+/**
+ * Sends a chat completion request and logs its usage.
+ * @param {object} request
+ * @param {string} [request.system] The system prompt.
+ * @param {{role: 'user'|'assistant', content: string}[]} request.messages The conversation.
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens] Limit on the generated tokens.
+ * @param {object} [provider] The provider to use, the configured one by default.
+ * @param {object} [options]
+ * @param {(text: string) => void} [options.onText] Streams the completion: called with each piece of text
+ *   as it's generated, or once with the whole text if the provider can't stream.
+ * @returns {Promise<string>} The completion text.
+ */
+export const complete = async (request, provider = getCompletionProvider(), { onText } = {}) => {
+  let result;
+  if (!onText) {
+    result = await provider.complete(request);
+  } else if (provider.stream) {
+    result = await provider.stream(request, onText);
+  } else {
+    result = await provider.complete(request);
+    onText(result.text);
+  }
+  const { text, usage } = result;
+
+  if (usage) {
+    await logApiUsage(provider.name, provider.model, usage);
+  }
+
+  return text;
+};
@@ -0,0 +1,92 @@
+import OpenAI from 'openai';
+import config from '../../config/index.js';
+import { getOpenAIClient } from '../openai.js';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Builds a provider on top of any client speaking the OpenAI chat completions API.
+ */
+const createChatCompletionsProvider = (name, model, getClient) => {
+  const toParams = ({ system, messages, temperature, maxTokens }) => ({
+    model,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...messages,
+    ],
+    temperature,
+    ...(maxTokens ? { max_tokens: maxTokens } : {}),
+  });
+
+  return {
+    name,
+    model,
+    async complete(request) {
+      const response = await getClient().chat.completions.create(toParams(request));
+
+      return {
+        text: response.choices[0]?.message?.content?.trim() || '',
+        usage: response.usage,
+      };
+    },
+    async stream(request, onText) {
+      const stream = await getClient().chat.completions.create({
+        ...toParams(request),
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+
+      // Usage comes in a last chunk without choices; servers that don't report it leave it null
+      let text = '';
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+
+      return { text: text.trim(), usage };
+    },
+  };
+};
+
+/**
+ * Creates a completion provider backed by the OpenAI chat completions API.
+ * @param {object} [options]
+ * @param {string} [options.model] The chat model, gpt-4o-mini by default.
+ * @returns {object} The provider.
+ */
+export const createOpenAICompletionProvider = ({ model = DEFAULT_MODEL } = {}) => (
+  createChatCompletionsProvider('openai', model, getOpenAIClient)
+);
+
+/**
+ * Creates a completion provider for a local server with an OpenAI-compatible
+ * API, such as llama.cpp's llama-server, Ollama, LM Studio or vLLM.
+ * @param {object} [options]
+ * @param {string} [options.model] The model name the server expects, COMPLETION_LOCAL_MODEL by default.
+ * @returns {object} The provider.
+ */
+export const createOpenAICompatibleCompletionProvider = ({ model = config.completion.local.model } = {}) => {
+  const { baseUrl, apiKey } = config.completion.local;
+  if (!baseUrl) {
+    throw new Error('The openai-compatible completion provider requires COMPLETION_LOCAL_BASE_URL');
+  }
+  if (!model) {
+    throw new Error('The openai-compatible completion provider requires a model (COMPLETION_LOCAL_MODEL)');
+  }
+
+  let client = null;
+  return createChatCompletionsProvider('openai-compatible', model, () => {
+    if (!client) {
+      // Local servers usually ignore the key, but the client requires one
+      client = new OpenAI({ baseURL: baseUrl, apiKey: apiKey || 'not-needed' });
+    }
+    return client;
+  });
+};
@@ -0,0 +1,36 @@
+import pool from '../db/index.js';
+
+/**
+ * Stores (or replaces) the full extracted text of a document together with its page map.
+ * @param {import('pg').PoolClient} client The database client, usually inside a transaction.
+ * @param {number} documentId The document the content belongs to.
+ * @param {string} content The full extracted text.
+ * @param {Array<{page: number, start: number, end: number}>} [pages] Character offsets of each page.
+ */
+export const saveDocumentContent = async (client, documentId, content, pages) => {
+  await client.query(
+    `INSERT INTO document_contents (document_id, content, page_offsets, char_count)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (document_id) DO UPDATE SET
+       content = EXCLUDED.content,
+       page_offsets = EXCLUDED.page_offsets,
+       char_count = EXCLUDED.char_count`,
+    [documentId, content, pages ? JSON.stringify(pages) : null, content.length]
+  );
+};
+
+/**
+ * Fetches the full text of a document.
+ * @param {number|string} documentId The document ID.
+ * @returns {Promise<{content: string|null, page_offsets: Array|null}|null>} The content row, or null if the document doesn't exist.
+ */
+export const getDocumentContent = async (documentId) => {
+  const { rows } = await pool.query(
+    `SELECT c.content, c.page_offsets
+     FROM documents d
+     LEFT JOIN document_contents c ON c.document_id = d.id
+     WHERE d.id = $1`,
+    [documentId]
+  );
+  return rows[0] || null;
+};
@@ -0,0 +1,181 @@
+import config from '../config/index.js';
+import { formatNotes, formatCitedPassage } from './citations.js';
+
+const NOTES_SHARE = 0.25;         // Most of the budget the notebook's notes may take
+const HISTORY_SHARE = 0.25;       // Most of the budget the earlier messages of a conversation may take
+const MESSAGE_OVERHEAD = 4;       // Tokens chat APIs add around each message
+const MIN_PASSAGE_LENGTH = 100;   // Characters a passage must keep once text already in the context is removed
+const TRUNCATION_MARK = '\n[...]';
+
+let encoder = null;
+
+/**
+ * Loads the tokenizer on first use. Tokens are counted with o200k_base, the encoding of
+ * OpenAI's current models; other models' tokenizers differ, but not by enough to matter
+ * for a budget.
+ */
+const getEncoder = async () => {
+  if (!encoder) {
+    const [{ Tiktoken }, { default: ranks }] = await Promise.all([
+      import('js-tiktoken/lite'),
+      import('js-tiktoken/ranks/o200k_base'),
+    ]);
+    encoder = new Tiktoken(ranks);
+  }
+  return encoder;
+};
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Remove the first or last `length` characters of a passage, and what is left of a cut word
+const dropHead = (text, length) => {
+  const rest = text.slice(length);
+  return (/\s/.test(text[length - 1] ?? ' ') ? rest : rest.replace(/^\S+/, '')).trim();
+};
+const dropTail = (text, length) => {
+  const end = Math.max(text.length - length, 0);
+  const rest = text.slice(0, end);
+  return (/\s/.test(text[end] ?? ' ') ? rest : rest.replace(/\S+$/, '')).trim();
+};
+
+/**
+ * Removes the text a passage shares with passages already in the context. Chunks of a
+ * document overlap, so neighbouring chunks lose the part they share with an included one.
+ * @returns {object|null} The passage with its remaining text and offsets, or null if it
+ *   adds nothing (or too little) to the context.
+ */
+const removeOverlap = (passage, included) => {
+  const text = normalize(passage.content);
+  if (included.some(other => normalize(other.content) === text)) {
+    return null;
+  }
+
+  let { content, start_offset: start, end_offset: end } = passage;
+  for (const other of included) {
+    if (other.document_id !== passage.document_id || start >= other.end_offset || other.start_offset >= end) {
+      continue;
+    }
+    if (start >= other.start_offset && end <= other.end_offset) {
+      return null;
+    }
+    if (start >= other.start_offset) {
+      content = dropHead(content, other.end_offset - start);
+      start = other.end_offset;
+    } else if (end <= other.end_offset) {
+      content = dropTail(content, end - other.start_offset);
+      end = other.start_offset;
+    }
+    // A passage around an included one keeps its text
+  }
+
+  if (content.length < MIN_PASSAGE_LENGTH) {
+    return null;
+  }
+  return { ...passage, content, start_offset: start, end_offset: end };
+};
+
+const describePassage = (passage) => ({
+  document_id: passage.document_id,
+  title: passage.title,
+  page_number: passage.page_number,
+  start: passage.start_offset,
+  end: passage.end_offset,
+});
+
+/**
+ * Assembles the context of a notebook question within a token budget: the notebook's notes,
+ * cut to at most a quarter of the budget; the latest exchanges of the conversation that fit in
+ * another quarter; and then as many passages as fit in the rest, most relevant first, without
+ * the text they share with passages already included.
+ * @param {object} input
+ * @param {string} input.notes The notebook's notes.
+ * @param {object[]} input.passages Candidate passages, most relevant first (see findNotebookPassages).
+ * @param {{role: 'user'|'assistant', content: string}[]} [input.history] Earlier messages of the
+ *   conversation, oldest first, starting with a question.
+ * @param {number} [input.budget] Tokens for the notes, history and passages; COMPLETION_CONTEXT_TOKENS by default.
+ * @returns {Promise<{context: string, passages: object[], history: object[], report: object}>} The context,
+ *   the passages in it (numbered in this order), the history to send with it, and a report of what was
+ *   included and dropped, for the response.
+ */
+export const buildNotebookContext = async ({
+  notes, passages, history = [], budget = config.completion.contextTokens,
+}) => {
+  const tokenizer = await getEncoder();
+  const count = (text) => tokenizer.encode(text).length;
+
+  // 1. The notes, cut to their share
+  const notesLimit = Math.floor(budget * NOTES_SHARE);
+  let notesSection = formatNotes(notes);
+  let notesTokens = count(notesSection);
+  const notesTruncated = notesTokens > notesLimit;
+  if (notesTruncated) {
+    // The text around the cut can encode to more tokens than were kept, so cut again until it fits
+    const noteTokens = tokenizer.encode(notes);
+    let room = Math.max(notesLimit - count(formatNotes(TRUNCATION_MARK)), 0);
+    do {
+      notesSection = formatNotes(`${tokenizer.decode(noteTokens.slice(0, room))}${TRUNCATION_MARK}`);
+      notesTokens = count(notesSection);
+      room -= notesTokens - notesLimit;
+    } while (notesTokens > notesLimit && room > 0);
+  }
+
+  // 2. Whole exchanges of the conversation, newest first, until their share is used
+  const historyLimit = Math.floor(budget * HISTORY_SHARE);
+  const keptHistory = [];
+  let historyTokens = 0;
+  let exchange = [];
+  let exchangeTokens = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    exchange.unshift(history[i]);
+    exchangeTokens += count(history[i].content) + MESSAGE_OVERHEAD;
+    if (history[i].role !== 'user') {
+      continue;
+    }
+    if (historyTokens + exchangeTokens > historyLimit) {
+      break;
+    }
+    keptHistory.unshift(...exchange);
+    historyTokens += exchangeTokens;
+    exchange = [];
+    exchangeTokens = 0;
+  }
+
+  // 3. Passages in the rest, skipping those that don't fit for smaller ones that may
+  let used = notesTokens + historyTokens;
+  const included = [];
+  const includedReport = [];
+  const droppedReport = [];
+  for (const candidate of passages) {
+    const passage = removeOverlap(candidate, included);
+    if (!passage) {
+      droppedReport.push({ ...describePassage(candidate), reason: 'duplicate' });
+      continue;
+    }
+    const tokens = count(formatCitedPassage(included.length + 1, passage));
+    if (used + tokens > budget) {
+      droppedReport.push({ ...describePassage(candidate), tokens, reason: 'budget' });
+      continue;
+    }
+    included.push(passage);
+    used += tokens;
+    includedReport.push({
+      number: included.length,
+      ...describePassage(passage),
+      tokens,
+      trimmed: passage.content !== candidate.content,
+    });
+  }
+
+  return {
+    context: notesSection + included.map((passage, index) => formatCitedPassage(index + 1, passage)).join(''),
+    passages: included,
+    history: keptHistory,
+    report: {
+      budget_tokens: budget,
+      used_tokens: used,
+      notes: { tokens: notesTokens, truncated: notesTruncated },
+      history: { messages: keptHistory.length, dropped: history.length - keptHistory.length, tokens: historyTokens },
+      passages: { included: includedReport, dropped: droppedReport },
+    },
+  };
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+// What to do when an upload, URL or text is already in the repository
+export const DUPLICATE_ACTIONS = [
+  'return',   // Return the existing document instead of creating one (default)
+  'new',      // Create a separate document anyway
+  'version',  // URLs: re-scrape the existing document as a new version. Identical files and texts are returned as is.
+];
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|igshid|_ga|_gl|ref_src)$/i;
+
+/**
+ * Computes the SHA-256 hash identifying a document's content.
+ * @param {string|Buffer} data The file contents or text.
+ * @returns {string} The hex digest.
+ */
+export const hashContent = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Creates a pass-through stream that hashes the data flowing through it, so
+ * uploads are hashed while they are written to disk.
+ * @returns {{stream: Transform, digest: () => string}} The stream, and a function returning
+ *   the hex digest once the stream has finished.
+ */
+export const createHashStream = () => {
+  const hash = crypto.createHash('sha256');
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  return { stream, digest: () => hash.digest('hex') };
+};
+
+/**
+ * Normalizes a URL so different spellings of the same page compare equal: the
+ * host is lowercased without "www.", default ports, fragments, credentials,
+ * tracking parameters and trailing slashes are dropped, and the remaining query
+ * parameters are sorted.
+ * @param {string} url The URL as submitted.
+ * @returns {string|null} The canonical URL, or null if it isn't a valid http(s) URL.
+ */
+export const canonicalizeUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  parsed.hash = '';
+  parsed.username = '';
+  parsed.password = '';
+  parsed.hostname = parsed.hostname.replace(/^www\./, '').replace(/\.$/, '');
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(params).toString();
+
+  return parsed.toString();
+};
+
+/**
+ * Finds a document with the same content hash or canonical URL. Failed
+ * documents are ignored so they can be submitted again. Call inside the
+ * transaction that creates the document, after `lockDuplicateKey`.
+ * @param {import('pg').PoolClient} client The transaction client.
+ * @param {object} keys
+ * @param {string} [keys.contentHash]
+ * @param {string} [keys.canonicalUrl]
+ * @param {number} [keys.excludeId] A document to leave out, e.g. the one being indexed.
+ * @returns {Promise<object|null>} The oldest matching document, or null.
+ */
+export const findDuplicate = async (client, { contentHash = null, canonicalUrl = null, excludeId = null }) => {
+  const { rows } = await client.query(
+    `SELECT id, title, created_at, mime_type, source_url, status
+     FROM documents
+     WHERE (content_hash = $1 OR canonical_url = $2) AND status <> 'failed' AND id IS DISTINCT FROM $3
+     ORDER BY created_at, id
+     LIMIT 1`,
+    [contentHash, canonicalUrl, excludeId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Serializes submissions of the same content or URL until the transaction
+ * ends, so two identical uploads at once can't both miss each other.
+ * @param {import('pg').PoolClient} client The transaction client.
+ * @param {string} key The content hash or canonical URL.
+ */
+export const lockDuplicateKey = async (client, key) => {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+};
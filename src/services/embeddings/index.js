@@ -0,0 +1,174 @@
+import config from '../../config/index.js';
+import logger from '../../logger.js';
+import pool from '../../db/index.js';
+import { createOpenAIEmbeddingProvider } from './openai.js';
+import { createLocalEmbeddingProvider } from './local.js';
+
+const providerFactories = {
+  openai: createOpenAIEmbeddingProvider,
+  local: createLocalEmbeddingProvider,
+};
+
+const SETTING_KEY = 'embedding_model';    // settings row naming the model of the stored vectors
+
+const providers = new Map();               // Providers by id, so local models are only loaded once
+let configuredProvider = null;
+let warnedAboutConfig = false;
+
+/**
+ * Registers a factory for a new embedding provider type.
+ * @param {string} name The provider name used in EMBEDDING_PROVIDER.
+ * @param {(options: object) => object} factory Creates a provider `{name, model, dimensions, maxBatchSize,
+ *   chunkSize?, embed(texts)}`, where `embed` resolves to one vector per text and throws on failure.
+ */
+export const registerEmbeddingProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Identifies the vectors a provider produces. Stored next to every vector so
+ * vectors from different models (or sizes) are never compared.
+ * @param {object} provider The provider.
+ * @param {number} [dimensions] An explicitly requested output size.
+ * @returns {string} E.g. "openai:text-embedding-3-large@1024".
+ */
+const modelId = (provider, dimensions) => `${provider.name}:${provider.model}${dimensions ? `@${dimensions}` : ''}`;
+
+/**
+ * Creates an embedding provider.
+ * @param {object} options
+ * @param {string} options.provider The provider name, e.g. "openai" or "local".
+ * @param {string} [options.model] The model, or the provider's default.
+ * @param {number} [options.dimensions] Requested vector size, for models that support it.
+ * @returns {object} The provider, with an `id` identifying its vectors and a JSON-serializable `spec`
+ *   to recreate it.
+ */
+export const createEmbeddingProvider = ({ provider: name, model, dimensions, ...options }) => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}". Available: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  const provider = factory({ model: model || undefined, dimensions, ...options });
+  const id = modelId(provider, dimensions);
+  return { ...provider, id, spec: { id, provider: name, model: provider.model, dimensions: dimensions || null } };
+};
+
+const providerFromSpec = (spec) => {
+  if (!providers.has(spec.id)) {
+    providers.set(spec.id, createEmbeddingProvider({
+      provider: spec.provider,
+      model: spec.model,
+      dimensions: spec.dimensions || undefined,
+      modelPath: config.embedding.modelPath,
+    }));
+  }
+  return providers.get(spec.id);
+};
+
+/**
+ * Returns the provider described by the EMBEDDING_* settings. This is the
+ * model new installs start with and the default target of `db:reembed`.
+ * @returns {object}
+ */
+export const getConfiguredEmbeddingProvider = () => {
+  if (!configuredProvider) {
+    configuredProvider = providerFromSpec(createEmbeddingProvider(config.embedding).spec);
+  }
+  return configuredProvider;
+};
+
+/**
+ * Returns the active embedding provider: the one whose vectors are stored,
+ * recorded in the settings table. It only changes when re-embedding cuts over
+ * to a new model, so changing EMBEDDING_* alone never mixes vector spaces.
+ * Similarity queries must only compare vectors whose `embedding_model` is its `id`.
+ * @returns {Promise<object>}
+ */
+export const getEmbeddingProvider = async () => {
+  let { rows } = await pool.query('SELECT value FROM settings WHERE key = $1', [SETTING_KEY]);
+  if (rows.length === 0) {
+    // First use: the configured model becomes the active one
+    await pool.query(
+      'INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO NOTHING',
+      [SETTING_KEY, JSON.stringify(getConfiguredEmbeddingProvider().spec)]
+    );
+    ({ rows } = await pool.query('SELECT value FROM settings WHERE key = $1', [SETTING_KEY]));
+  }
+
+  const provider = providerFromSpec(rows[0].value);
+  if (!warnedAboutConfig && provider.id !== getConfiguredEmbeddingProvider().id) {
+    warnedAboutConfig = true;
+    logger.warn(`Embeddings are configured for ${getConfiguredEmbeddingProvider().id} but stored vectors use ${provider.id}. `
+      + 'Run "npm run db:reembed" to switch.');
+  }
+  return provider;
+};
+
+/**
+ * Makes a provider the active one. Call inside the transaction that swaps in its vectors.
+ * @param {import('pg').PoolClient} client The transaction client.
+ * @param {object} provider The provider.
+ */
+export const activateEmbeddingProvider = async (client, provider) => {
+  await client.query(
+    `INSERT INTO settings (key, value) VALUES ($1, $2)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+    [SETTING_KEY, JSON.stringify(provider.spec)]
+  );
+};
+
+/**
+ * Checks, inside a transaction, that vectors from `modelId` are still the
+ * active ones before they are written. The setting stays locked until the
+ * transaction ends, so a re-embedding cut-over can't switch models halfway.
+ * @param {import('pg').PoolClient} client The transaction client.
+ * @param {string} modelId The `id` of the provider that produced the vectors.
+ * @throws {Error} If the active model changed since the vectors were generated.
+ */
+export const lockEmbeddingModel = async (client, modelId) => {
+  const { rows } = await client.query('SELECT value FROM settings WHERE key = $1 FOR SHARE', [SETTING_KEY]);
+  const activeId = rows[0]?.value.id;
+  if (activeId !== modelId) {
+    throw new Error(`The embedding model changed from ${modelId} to ${activeId} while indexing`);
+  }
+};
+
+/**
+ * Generates embeddings for several texts, batching requests to the provider.
+ * @param {string[]} texts The texts to generate embeddings for.
+ * @param {object} [provider] The provider to use, the active one by default.
+ * @returns {Promise<number[][]|null>} The embedding vectors in input order, or null if an error occurs.
+ */
+export const getEmbeddings = async (texts, provider) => {
+  if (!texts || texts.length === 0) {
+    logger.warn('getEmbeddings called with no texts.');
+    return null;
+  }
+  let embedder = provider;
+  try {
+    embedder = embedder || await getEmbeddingProvider();
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += embedder.maxBatchSize) {
+      embeddings.push(...await embedder.embed(texts.slice(i, i + embedder.maxBatchSize)));
+    }
+    return embeddings;
+  } catch (error) {
+    logger.error(`Error getting embeddings from ${embedder?.id || 'the active provider'}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Generates an embedding for the given text.
+ * @param {string} text The text to generate an embedding for.
+ * @param {object} [provider] The provider to use, the active one by default.
+ * @returns {Promise<number[]|null>} The embedding vector, or null if an error occurs.
+ */
+export const getEmbedding = async (text, provider) => {
+  if (!text) {
+    logger.warn('getEmbedding called with no text.');
+    return null;
+  }
+  const embeddings = await getEmbeddings([text], provider);
+  return embeddings ? embeddings[0] : null;
+};
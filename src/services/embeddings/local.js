@@ -0,0 +1,46 @@
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+/**
+ * Creates an embedding provider that runs a sentence-transformers model
+ * locally with transformers.js (ONNX Runtime), so no API is needed.
+ * @param {object} [options]
+ * @param {string} [options.model] A Hugging Face model id with ONNX weights, Xenova/all-MiniLM-L6-v2 by default.
+ * @param {string} [options.modelPath] A directory holding downloaded models. When set, models are only
+ *   loaded from there, which keeps the app fully offline.
+ * @param {number} [options.chunkSize] Characters per chunk; small models truncate long inputs.
+ * @returns {object} The provider.
+ */
+export const createLocalEmbeddingProvider = ({ model = DEFAULT_MODEL, modelPath, chunkSize = 1000 } = {}) => {
+  let extractorPromise = null;
+
+  const loadExtractor = async () => {
+    // Loaded on demand so ONNX Runtime is only started when the local provider is used
+    const { env, pipeline } = await import('@huggingface/transformers');
+    if (modelPath) {
+      env.localModelPath = modelPath;
+      env.allowRemoteModels = false;
+    }
+    return pipeline('feature-extraction', model);
+  };
+
+  return {
+    name: 'local',
+    model,
+    dimensions: null, // Known once the model is loaded
+    maxBatchSize: 32,
+    chunkSize,
+    async embed(texts) {
+      if (!extractorPromise) {
+        extractorPromise = loadExtractor().catch((error) => {
+          extractorPromise = null;
+          throw error;
+        });
+      }
+      const extractor = await extractorPromise;
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      const vectors = output.tolist();
+      this.dimensions = vectors[0]?.length ?? this.dimensions;
+      return vectors;
+    },
+  };
+};
@@ -0,0 +1,41 @@
+import { getOpenAIClient } from '../openai.js';
+import { logApiUsage } from '../usage.js';
+
+const DEFAULT_MODEL = 'text-embedding-ada-002';
+
+// Native output size of each model. The text-embedding-3 models can be shortened with `dimensions`.
+const MODEL_DIMENSIONS = {
+  'text-embedding-ada-002': 1536,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+};
+
+/**
+ * Creates an embedding provider backed by the OpenAI embeddings API.
+ * @param {object} [options]
+ * @param {string} [options.model] The embedding model, text-embedding-ada-002 by default.
+ * @param {number} [options.dimensions] Shortened output size, for text-embedding-3 models.
+ * @returns {object} The provider.
+ */
+export const createOpenAIEmbeddingProvider = ({ model = DEFAULT_MODEL, dimensions } = {}) => ({
+  name: 'openai',
+  model,
+  dimensions: dimensions || MODEL_DIMENSIONS[model] || null,
+  maxBatchSize: 100,
+  async embed(texts) {
+    const response = await getOpenAIClient().embeddings.create({
+      model,
+      input: texts.map(text => text.replace(/\n/g, ' ')),
+      ...(dimensions ? { dimensions } : {}),
+    });
+
+    if (response.usage) {
+      await logApiUsage('openai', model, response.usage);
+    }
+
+    // The API doesn't guarantee order, so sort by the returned index.
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  },
+});
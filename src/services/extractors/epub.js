@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+import { htmlToMarkdown } from '../html.js';
+import { normalizeMetadata, normalizeDoi, normalizeIsbn } from '../metadata.js';
+
+const readZipText = async (zip, name) => {
+  const file = zip.file(name);
+  if (!file) {
+    throw new Error(`EPUB is missing ${name}`);
+  }
+  return file.async('string');
+};
+
+// Dublin Core metadata from the package document
+const readMetadata = ($) => {
+  const text = (selector) => $(selector).first().text();
+  const identifiers = $('dc\\:identifier').map((_, el) => $(el).text().trim()).get();
+  return normalizeMetadata({
+    title: text('dc\\:title'),
+    authors: $('dc\\:creator').map((_, el) => $(el).text()).get(),
+    published_date: text('dc\\:date'),
+    // Descriptions are often HTML
+    description: cheerio.load(text('dc\\:description')).text(),
+    language: text('dc\\:language'),
+    publisher: text('dc\\:publisher'),
+    doi: identifiers.find(normalizeDoi),
+    isbn: identifiers.find(normalizeIsbn),
+  });
+};
+
+/**
+ * Extracts an EPUB book as Markdown, reading the chapters in spine order.
+ * @param {string} filePath Path of the .epub file.
+ * @returns {Promise<{content: string, title?: string, metadata: object}>}
+ */
+const extract = async (filePath) => {
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+
+  // The container points at the package document (OPF), which lists the chapters
+  const container$ = cheerio.load(await readZipText(zip, 'META-INF/container.xml'), { xmlMode: true });
+  const opfPath = container$('rootfile').first().attr('full-path');
+  if (!opfPath) {
+    throw new Error('EPUB container has no rootfile');
+  }
+
+  const opf$ = cheerio.load(await readZipText(zip, opfPath), { xmlMode: true });
+  const opfDir = path.posix.dirname(opfPath);
+  const metadata = readMetadata(opf$);
+
+  const manifest = {};
+  opf$('manifest item').each((_, item) => {
+    manifest[opf$(item).attr('id')] = {
+      href: opf$(item).attr('href'),
+      mediaType: opf$(item).attr('media-type'),
+    };
+  });
+
+  const chapters = [];
+  for (const itemref of opf$('spine itemref').toArray()) {
+    const item = manifest[opf$(itemref).attr('idref')];
+    if (!item || !/html/.test(item.mediaType || '')) continue;
+
+    const href = decodeURIComponent(item.href.split('#')[0]);
+    const file = zip.file(path.posix.join(opfDir === '.' ? '' : opfDir, href));
+    if (!file) continue;
+
+    const $ = cheerio.load(await file.async('string'));
+    $('script, style').remove();
+    const markdown = htmlToMarkdown($('body').html() || '').trim();
+    if (markdown) {
+      chapters.push(markdown);
+    }
+  }
+
+  return { content: chapters.join('\n\n'), title: metadata.title, metadata };
+};
+
+export default {
+  name: 'epub',
+  mimeTypes: ['application/epub+zip'],
+  extensions: ['.epub'],
+  extract,
+};
@@ -0,0 +1,23 @@
+import fs from 'fs';
+import { extractMainHtml, htmlToMarkdown } from '../html.js';
+import { extractHtmlMetadata } from '../metadata.js';
+
+/**
+ * Converts an uploaded HTML page to Markdown using the same main-content
+ * selection and Turndown conversion as the URL scraper.
+ * @param {string} filePath Path of the file.
+ * @returns {Promise<{content: string, title?: string, metadata: object}>}
+ */
+const extract = async (filePath) => {
+  const source = await fs.promises.readFile(filePath, 'utf-8');
+  const metadata = extractHtmlMetadata(source);
+  const { title, html } = extractMainHtml(source);
+  return { content: htmlToMarkdown(html), title: metadata.title || title || undefined, metadata };
+};
+
+export default {
+  name: 'html',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  extract,
+};
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import UTIF from 'utif2';
+import { createCanvas } from '@napi-rs/canvas';
+import { isOcrEnabled, recognizeImage } from '../ocr.js';
+
+const isTiff = (buffer) => {
+  const magic = buffer.subarray(0, 4).toString('binary');
+  return magic === 'II*\0' || magic === 'MM\0*';
+};
+
+/**
+ * Decodes the pages of a (possibly multi-page) TIFF into PNG images, which
+ * Tesseract can read. Reduced-resolution previews are skipped.
+ * @param {Buffer} buffer The TIFF file.
+ * @returns {Array<() => Buffer>} One function per page that renders it to PNG, so pages are decoded one at a time.
+ */
+const tiffPages = (buffer) => UTIF.decode(buffer)
+  .filter(ifd => !(ifd.t254 && ifd.t254[0] & 1))
+  .map(ifd => () => {
+    UTIF.decodeImage(buffer, ifd);
+    const canvas = createCanvas(ifd.width, ifd.height);
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(ifd.width, ifd.height);
+    imageData.data.set(UTIF.toRGBA8(ifd));
+    context.putImageData(imageData, 0, 0);
+    return canvas.toBuffer('image/png');
+  });
+
+/**
+ * Recognizes the text of an image with OCR. Each page of a multi-page TIFF
+ * becomes a page of the document.
+ * @param {string} filePath Path of the image.
+ * @param {object} [options]
+ * @param {(stage: string, done: number, total: number) => Promise<void>} [options.onProgress] Called before each page is OCRed.
+ * @returns {Promise<{content: string, pages: Array<{page: number, start: number, end: number, ocr: boolean, confidence: number}>}>}
+ */
+const extract = async (filePath, { onProgress = async () => {} } = {}) => {
+  if (!isOcrEnabled()) {
+    throw new Error('OCR is disabled, so text cannot be extracted from images');
+  }
+
+  const buffer = await fs.promises.readFile(filePath);
+  const images = isTiff(buffer) ? tiffPages(buffer) : [() => buffer];
+
+  let text = '';
+  const pages = [];
+  for (const [i, render] of images.entries()) {
+    await onProgress('ocr', i, images.length);
+    const { text: pageText, confidence } = await recognizeImage(render());
+    pages.push({ page: i + 1, start: text.length, end: text.length + pageText.length, ocr: true, confidence });
+    text += pageText + '\n\n';
+  }
+  return { content: text, pages };
+};
+
+export default {
+  name: 'image',
+  mimeTypes: ['image/png', 'image/jpeg', 'image/tiff'],
+  extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'],
+  extract,
+};
@@ -0,0 +1,74 @@
+import path from 'path';
+import pdf from './pdf.js';
+import { docx, pptx, xlsx } from './office.js';
+import epub from './epub.js';
+import html from './html.js';
+import image from './image.js';
+import markdown from './markdown.js';
+import rtf from './rtf.js';
+import text from './text.js';
+
+// MIME types browsers send when they don't know the file type
+const GENERIC_MIME_TYPES = new Set(['', 'application/octet-stream', 'binary/octet-stream', 'application/zip']);
+
+const extractors = [];
+
+/**
+ * Registers a text extractor. Extractors registered later take precedence for
+ * the same MIME type or extension, so built-ins can be overridden.
+ * @param {object} extractor
+ * @param {string} extractor.name A short identifier, e.g. "pdf".
+ * @param {string[]} extractor.mimeTypes MIME types handled, the first being canonical. "type/*" wildcards are allowed.
+ * @param {string[]} extractor.extensions File extensions handled, including the dot.
+ * @param {(filePath: string, options?: {onProgress?: Function}) => Promise<{content: string, pages?: Array, title?: string, metadata?: object}>} extractor.extract
+ *   Extracts the text, and any metadata the file carries (keyed by METADATA_FIELDS in services/metadata.js).
+ *   Slow extractors may report progress through `onProgress(stage, done, total)`.
+ */
+export const registerExtractor = (extractor) => {
+  extractors.unshift(extractor);
+};
+
+/**
+ * Finds the extractor for an upload. An exact MIME type match wins, then the
+ * file extension (browsers often send generic types for .md or .epub files),
+ * then wildcard MIME types such as "text/*".
+ * @param {string} mimetype The MIME type reported by the client.
+ * @param {string} filename The original file name.
+ * @returns {object|null} The extractor, or null if the type is unsupported.
+ */
+export const findExtractor = (mimetype, filename) => {
+  const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+  const extension = path.extname(filename || '').toLowerCase();
+
+  if (!GENERIC_MIME_TYPES.has(type)) {
+    const exact = extractors.find(extractor => extractor.mimeTypes.includes(type));
+    if (exact) return exact;
+  }
+
+  if (extension) {
+    const byExtension = extractors.find(extractor => extractor.extensions.includes(extension));
+    if (byExtension) return byExtension;
+  }
+
+  const [major] = type.split('/');
+  return extractors.find(extractor => extractor.mimeTypes.includes(`${major}/*`)) || null;
+};
+
+/**
+ * Finds the MIME types of a kind of file, for search filters.
+ * @param {string} type A file extension with or without the dot (e.g. "pdf"), or an extractor name (e.g. "image").
+ * @returns {string[]} The MIME types the extractor records, without wildcards; empty if the type is unknown.
+ */
+export const findMimeTypes = (type) => {
+  const name = (type || '').toLowerCase().replace(/^\./, '');
+  const extractor = extractors.find(candidate => candidate.name === name || candidate.extensions.includes(`.${name}`));
+  return extractor ? extractor.mimeTypes.filter(mimeType => !mimeType.endsWith('/*')) : [];
+};
+
+/**
+ * Lists the supported file extensions, for error messages and upload forms.
+ * @returns {string[]}
+ */
+export const getSupportedExtensions = () => [...new Set(extractors.flatMap(extractor => extractor.extensions))].sort();
+
+[text, rtf, markdown, html, epub, xlsx, pptx, docx, image, pdf].forEach(registerExtractor);
@@ -0,0 +1,21 @@
+import fs from 'fs';
+
+const FRONT_MATTER_REGEX = /^---\r?\n[\s\S]*?\r?\n---\r?\n/;
+
+/**
+ * Reads a Markdown file, dropping any YAML front matter. The Markdown itself is
+ * kept as-is since the rest of the app already renders and chunks Markdown.
+ * @param {string} filePath Path of the file.
+ * @returns {Promise<{content: string}>}
+ */
+const extract = async (filePath) => {
+  const text = await fs.promises.readFile(filePath, 'utf-8');
+  return { content: text.replace(FRONT_MATTER_REGEX, '') };
+};
+
+export default {
+  name: 'markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown', '.mdown'],
+  extract,
+};
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import * as cheerio from 'cheerio';
+import { htmlToMarkdown } from '../html.js';
+import { extractCoreProperties } from '../metadata.js';
+
+const byNumberInName = (a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]);
+
+const loadXml = async (zip, name) => {
+  const file = zip.file(name);
+  return file ? cheerio.load(await file.async('string'), { xmlMode: true }) : null;
+};
+
+// Title, author and dates that Office stores with every document
+const readMetadata = async (zip) => {
+  const core$ = await loadXml(zip, 'docProps/core.xml');
+  return core$ ? extractCoreProperties(core$) : {};
+};
+
+/**
+ * Extracts a Word document as Markdown, keeping headings, lists and tables.
+ * @param {string} filePath Path of the .docx file.
+ * @returns {Promise<{content: string, title?: string, metadata: object}>}
+ */
+const extractDocx = async (filePath) => {
+  const buffer = await fs.promises.readFile(filePath);
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const metadata = await readMetadata(await JSZip.loadAsync(buffer));
+  return { content: htmlToMarkdown(html), title: metadata.title, metadata };
+};
+
+/**
+ * Extracts the text of a PowerPoint deck, treating each slide as a page.
+ * @param {string} filePath Path of the .pptx file.
+ * @returns {Promise<{content: string, pages: Array<{page: number, start: number, end: number}>, title?: string, metadata: object}>}
+ */
+const extractPptx = async (filePath) => {
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+  const slideNames = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort(byNumberInName);
+
+  let text = '';
+  const pages = [];
+  for (const [i, name] of slideNames.entries()) {
+    const $ = await loadXml(zip, name);
+    const paragraphs = $('a\\:p')
+      .map((_, p) => $(p).find('a\\:t').map((__, t) => $(t).text()).get().join(''))
+      .get()
+      .filter(line => line.trim().length > 0);
+
+    const slideText = paragraphs.join('\n');
+    pages.push({ page: i + 1, start: text.length, end: text.length + slideText.length });
+    text += slideText + '\n\n';
+  }
+  const metadata = await readMetadata(zip);
+  return { content: text, pages, title: metadata.title, metadata };
+};
+
+/**
+ * Extracts an Excel workbook as one tab-separated section per sheet.
+ * @param {string} filePath Path of the .xlsx file.
+ * @returns {Promise<{content: string, title?: string, metadata: object}>}
+ */
+const extractXlsx = async (filePath) => {
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+
+  const sharedStrings = [];
+  const strings$ = await loadXml(zip, 'xl/sharedStrings.xml');
+  if (strings$) {
+    strings$('si').each((_, si) => {
+      sharedStrings.push(strings$(si).find('t').map((__, t) => strings$(t).text()).get().join(''));
+    });
+  }
+
+  // Map sheet names to their XML parts through the workbook relationships
+  const workbook$ = await loadXml(zip, 'xl/workbook.xml');
+  const rels$ = await loadXml(zip, 'xl/_rels/workbook.xml.rels');
+  const targets = {};
+  rels$?.('Relationship').each((_, rel) => {
+    targets[rels$(rel).attr('Id')] = rels$(rel).attr('Target').replace(/^\/?(xl\/)?/, 'xl/');
+  });
+
+  const sections = [];
+  workbook$?.('sheet').each((_, sheet) => {
+    sections.push({ name: workbook$(sheet).attr('name'), part: targets[workbook$(sheet).attr('r:id')] });
+  });
+
+  const output = [];
+  for (const { name, part } of sections) {
+    const $ = part ? await loadXml(zip, part) : null;
+    if (!$) continue;
+
+    const rows = $('sheetData row').map((_, row) => {
+      const cells = $(row).find('c').map((__, cell) => {
+        const type = $(cell).attr('t');
+        if (type === 's') return sharedStrings[Number($(cell).find('v').text())] ?? '';
+        if (type === 'inlineStr') return $(cell).find('is t').text();
+        return $(cell).find('v').text();
+      }).get();
+      return cells.join('\t');
+    }).get().filter(row => row.trim().length > 0);
+
+    output.push(`## ${name}\n\n${rows.join('\n')}`);
+  }
+  const metadata = await readMetadata(zip);
+  return { content: output.join('\n\n'), title: metadata.title, metadata };
+};
+
+export const docx = {
+  name: 'docx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  extract: extractDocx,
+};
+
+export const pptx = {
+  name: 'pptx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  extensions: ['.pptx'],
+  extract: extractPptx,
+};
+
+export const xlsx = {
+  name: 'xlsx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extensions: ['.xlsx'],
+  extract: extractXlsx,
+};
@@ -0,0 +1,22 @@
+import fs from 'fs';
+import { extractPdfText } from '../pdf.js';
+
+/**
+ * Extracts the text of a PDF in reading order with each page's character offsets,
+ * falling back to OCR for scanned pages, along with its title and metadata.
+ * @param {string} filePath Path of the PDF.
+ * @param {object} [options] Passed on to extractPdfText.
+ * @returns {Promise<{content: string, pages: Array<{page: number, start: number, end: number, ocr?: boolean, confidence?: number}>, title?: string, metadata: object}>}
+ */
+const extract = async (filePath, options) => {
+  const buffer = await fs.promises.readFile(filePath);
+  const extracted = await extractPdfText(new Uint8Array(buffer), options);
+  return { ...extracted, title: extracted.metadata.title };
+};
+
+export default {
+  name: 'pdf',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  extract,
+};
@@ -0,0 +1,152 @@
+import fs from 'fs';
+
+// Control words, escaped hex characters, control symbols, braces, newlines or plain characters
+const RTF_TOKEN_REGEX = /\\([a-z]{1,32})(-?\d{1,10})?[ ]?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|(.)/gis;
+
+// Groups whose text is metadata or binary data rather than document content
+const DESTINATIONS = new Set([
+  'aftncn', 'aftnsep', 'aftnsepc', 'annotation', 'atnauthor', 'atndate', 'atnicn', 'atnid', 'atnparent',
+  'atnref', 'atntime', 'atrfend', 'atrfstart', 'author', 'background', 'bkmkend', 'bkmkstart', 'blipuid',
+  'buptim', 'category', 'colorschememapping', 'colortbl', 'comment', 'company', 'creatim', 'datafield',
+  'datastore', 'defchp', 'defpap', 'do', 'doccomm', 'docvar', 'dptxbxtext', 'ebcend', 'ebcstart',
+  'factoidname', 'falt', 'fchars', 'ffdeftext', 'ffentrymcr', 'ffexitmcr', 'ffformat', 'ffhelptext',
+  'ffl', 'ffname', 'ffstattext', 'fldinst', 'fldtype', 'fname', 'fontemb', 'fontfile', 'fonttbl',
+  'footer', 'footerf', 'footerl', 'footerr', 'footnote', 'formfield', 'ftncn', 'ftnsep', 'ftnsepc', 'g',
+  'generator', 'gridtbl', 'header', 'headerf', 'headerl', 'headerr', 'hl', 'hlfr', 'hlinkbase', 'hlloc',
+  'hlsrc', 'hsv', 'htmltag', 'info', 'keycode', 'keywords', 'latentstyles', 'lchars', 'levelnumbers',
+  'leveltext', 'lfolevel', 'linkval', 'list', 'listlevel', 'listname', 'listoverride', 'listoverridetable',
+  'listpicture', 'liststylename', 'listtable', 'listtext', 'lsdlockedexcept', 'macc', 'maccPr', 'mailmerge',
+  'maln', 'malnScr', 'manager', 'margPr', 'mbar', 'mbarPr', 'mbaseJc', 'mbegChr', 'mborderBox',
+  'mborderBoxPr', 'mbox', 'mboxPr', 'mchr', 'mcount', 'mctrlPr', 'md', 'mdeg', 'mdegHide', 'mden',
+  'mdiff', 'mdPr', 'me', 'mendChr', 'meqArr', 'meqArrPr', 'mf', 'mfName', 'mfPr', 'mfunc', 'mfuncPr',
+  'mgroupChr', 'mgroupChrPr', 'mgrow', 'mhideBot', 'mhideLeft', 'mhideRight', 'mhideTop', 'mhtmltag',
+  'mlim', 'mlimloc', 'mlimlow', 'mlimlowPr', 'mlimupp', 'mlimuppPr', 'mm', 'mmaddfieldname', 'mmath',
+  'mmathPict', 'mmathPr', 'mmaxdist', 'mmc', 'mmcJc', 'mmconnectstr', 'mmconnectstrdata', 'mmcPr', 'mmcs',
+  'mmdatasource', 'mmheadersource', 'mmmailsubject', 'mmodso', 'mmodsofilter', 'mmodsofldmpdata',
+  'mmodsomappedname', 'mmodsoname', 'mmodsorecipdata', 'mmodsosort', 'mmodsosrc', 'mmodsotable',
+  'mmodsoudl', 'mmodsoudldata', 'mmodsouniquetag', 'mmPr', 'mmquery', 'mmr', 'mnary', 'mnaryPr',
+  'mnoBreak', 'mnum', 'mobjDist', 'moMath', 'moMathPara', 'moMathParaPr', 'mopEmu', 'mphant', 'mphantPr',
+  'mplcHide', 'mpos', 'mr', 'mrad', 'mradPr', 'mrPr', 'msepChr', 'mshow', 'mshp', 'msPre', 'msPrePr',
+  'msSub', 'msSubPr', 'msSubSup', 'msSubSupPr', 'msSup', 'msSupPr', 'mstrikeBLTR', 'mstrikeH',
+  'mstrikeTLBR', 'mstrikeV', 'msub', 'msubHide', 'msup', 'msupHide', 'mtransp', 'mtype', 'mvertJc',
+  'mvfmf', 'mvfml', 'mvtof', 'mvtol', 'mzeroAsc', 'mzeroDesc', 'mzeroWid', 'nesttableprops', 'nextfile',
+  'nonesttables', 'objalias', 'objclass', 'objdata', 'object', 'objname', 'objsect', 'objtime',
+  'oldcprops', 'oldpprops', 'oldsprops', 'oldtprops', 'oleclsid', 'operator', 'panose', 'password',
+  'passwordhash', 'pgp', 'pgptbl', 'picprop', 'pict', 'pn', 'pnseclvl', 'pntext', 'pntxta', 'pntxtb',
+  'printim', 'private', 'propname', 'protend', 'protstart', 'protusertbl', 'pxe', 'result', 'revtbl',
+  'revtim', 'rsidtbl', 'rxe', 'shp', 'shpgrp', 'shpinst', 'shppict', 'shprslt', 'shptxt', 'sn', 'sp',
+  'staticval', 'stylesheet', 'subject', 'sv', 'svb', 'tc', 'template', 'themedata', 'title', 'txe', 'ud',
+  'upr', 'userprops', 'wgrffmtfilter', 'windowcaption', 'writereservation', 'writereservhash', 'xe',
+  'xform', 'xmlattrname', 'xmlattrvalue', 'xmlclose', 'xmlname', 'xmlnstbl', 'xmlopen',
+]);
+
+// Control words that stand for a character
+const SPECIAL_CHARACTERS = {
+  par: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  line: '\n',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' ',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  row: '\n',
+  cell: ' | ',
+  nestcell: ' | ',
+};
+
+// Windows-1252 only differs from Latin-1 in 0x80-0x9F. Spelled out, as some Node
+// versions' TextDecoder decodes 'windows-1252' as Latin-1.
+const WINDOWS_1252_HIGH = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8DŽ\x8F\x90‘’“”•–—˜™š›œ\x9DžŸ';
+const decodeWindows1252 = (byte) => (byte >= 0x80 && byte < 0xa0 ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte));
+
+/**
+ * Converts RTF markup to plain text, skipping metadata groups and decoding
+ * escaped and Unicode characters.
+ * @param {string} rtf The RTF source.
+ * @returns {string} The plain text.
+ */
+export const rtfToText = (rtf) => {
+  const stack = [];
+  const out = [];
+  let ignorable = false;  // Whether this group (and all inside it) are "ignorable"
+  let ucskip = 1;         // Number of ASCII characters to skip after a unicode character
+  let curskip = 0;        // Number of ASCII characters left to skip
+
+  for (const match of rtf.matchAll(RTF_TOKEN_REGEX)) {
+    const [, word, arg, hex, symbol, brace, char] = match;
+
+    if (brace) {
+      curskip = 0;
+      if (brace === '{') {
+        stack.push({ ucskip, ignorable });
+      } else if (stack.length > 0) {
+        ({ ucskip, ignorable } = stack.pop());
+      }
+    } else if (symbol) {
+      curskip = 0;
+      if (symbol === '~') {
+        if (!ignorable) out.push(' ');
+      } else if ('{}\\'.includes(symbol)) {
+        if (!ignorable) out.push(symbol);
+      } else if (symbol === '*') {
+        ignorable = true;
+      }
+    } else if (word) {
+      curskip = 0;
+      if (DESTINATIONS.has(word)) {
+        ignorable = true;
+      } else if (ignorable) {
+        // Skip everything inside ignorable groups
+      } else if (SPECIAL_CHARACTERS[word]) {
+        out.push(SPECIAL_CHARACTERS[word]);
+      } else if (word === 'uc') {
+        ucskip = Number(arg);
+      } else if (word === 'u') {
+        let code = Number(arg);
+        if (code < 0) code += 0x10000;
+        out.push(String.fromCharCode(code));
+        curskip = ucskip;
+      }
+    } else if (hex) {
+      if (curskip > 0) {
+        curskip -= 1;
+      } else if (!ignorable) {
+        out.push(decodeWindows1252(parseInt(hex, 16)));
+      }
+    } else if (char) {
+      if (curskip > 0) {
+        curskip -= 1;
+      } else if (!ignorable) {
+        out.push(char);
+      }
+    }
+  }
+
+  return out.join('').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Extracts the plain text of an RTF document.
+ * @param {string} filePath Path of the .rtf file.
+ * @returns {Promise<{content: string}>}
+ */
+const extract = async (filePath) => {
+  // RTF is 7-bit ASCII; latin1 keeps any stray 8-bit bytes intact
+  const rtf = await fs.promises.readFile(filePath, 'latin1');
+  return { content: rtfToText(rtf) };
+};
+
+export default {
+  name: 'rtf',
+  mimeTypes: ['application/rtf', 'text/rtf'],
+  extensions: ['.rtf'],
+  extract,
+};
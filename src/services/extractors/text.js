@@ -0,0 +1,17 @@
+import fs from 'fs';
+
+/**
+ * Reads a plain text file as UTF-8.
+ * @param {string} filePath Path of the file.
+ * @returns {Promise<{content: string}>}
+ */
+const extract = async (filePath) => ({
+  content: await fs.promises.readFile(filePath, 'utf-8'),
+});
+
+export default {
+  name: 'text',
+  mimeTypes: ['text/plain', 'text/csv', 'text/tab-separated-values', 'application/json', 'text/*'],
+  extensions: ['.txt', '.text', '.csv', '.tsv', '.json', '.log'],
+  extract,
+};
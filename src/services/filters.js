@@ -0,0 +1,174 @@
+import { normalizeTagName } from './tags.js';
+
+// How documents must match a list of tags
+export const TAG_MODES = [
+  'all',  // Documents with every tag (default)
+  'any',  // Documents with at least one of the tags
+];
+
+// Where a document's content came from
+export const SOURCE_TYPES = [
+  'file',  // Uploaded file
+  'url',   // Scraped web page or PDF
+  'text',  // Text entered in the app
+];
+
+// The source type of the document aliased "d". Older URL documents kept the URL in file_path.
+export const SOURCE_TYPE_SQL = `CASE
+  WHEN d.source_url IS NOT NULL OR d.file_path LIKE 'http%' THEN 'url'
+  WHEN d.file_path IS NOT NULL THEN 'file'
+  ELSE 'text'
+END`;
+
+// The primary language subtag of the document aliased "d", e.g. "en" for "en-US"
+export const LANGUAGE_SQL = "lower(split_part(d.language, '-', 1))";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query strings carry lists comma-separated, request bodies as arrays
+const toList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const parseId = (value, name) => {
+  if (value === null || value === undefined || value === '') return { id: null };
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? { id } : { error: `${name} must be a ${name} id` };
+};
+
+const parseDate = (value, name) => {
+  if (!value) return { date: null };
+  // Date.parse accepts days past the end of the month, e.g. 2024-02-30
+  const valid = DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+    && new Date(value).toISOString().startsWith(value);
+  return valid ? { date: value } : { error: `${name} must be a date (YYYY-MM-DD)` };
+};
+
+/**
+ * Reads document filters from a query string or request body.
+ * @param {object} source
+ * @param {string|string[]} [source.tags] Tag names, as an array or comma-separated.
+ * @param {string} [source.tagMode] One of TAG_MODES.
+ * @param {string|number} [source.collection] A collection id. Its subcollections are included.
+ * @param {string|number} [source.notebook] A notebook id.
+ * @param {string|string[]} [source.mimeTypes] MIME types, e.g. "application/pdf".
+ * @param {string|string[]} [source.sourceTypes] Any of SOURCE_TYPES.
+ * @param {string|string[]} [source.languages] Primary language subtags, e.g. "en". "en" also matches "en-US".
+ * @param {string} [source.dateFrom] Documents added on or after this day (YYYY-MM-DD).
+ * @param {string} [source.dateTo] Documents added on or before this day (YYYY-MM-DD).
+ * @returns {{filters: object}|{error: string}} The filters, or an error for a 400 response.
+ */
+export const parseDocumentFilters = ({
+  tags = [], tagMode = 'all', collection = null, notebook = null,
+  mimeTypes = [], sourceTypes = [], languages = [], dateFrom = null, dateTo = null,
+} = {}) => {
+  const names = toList(tags)
+    .map(normalizeTagName)
+    .filter(Boolean)
+    .map(name => name.toLowerCase());
+
+  if (!TAG_MODES.includes(tagMode)) {
+    return { error: `tagMode must be one of: ${TAG_MODES.join(', ')}` };
+  }
+
+  const collectionId = parseId(collection, 'collection');
+  const notebookId = parseId(notebook, 'notebook');
+  if (collectionId.error || notebookId.error) {
+    return { error: collectionId.error || notebookId.error };
+  }
+
+  const sources = toList(sourceTypes);
+  const unknownSource = sources.find(type => !SOURCE_TYPES.includes(type));
+  if (unknownSource) {
+    return { error: `sourceTypes must be any of: ${SOURCE_TYPES.join(', ')}` };
+  }
+
+  const from = parseDate(dateFrom, 'dateFrom');
+  const to = parseDate(dateTo, 'dateTo');
+  if (from.error || to.error) {
+    return { error: from.error || to.error };
+  }
+  if (from.date && to.date && from.date > to.date) {
+    return { error: 'dateFrom must not be after dateTo' };
+  }
+
+  return {
+    filters: {
+      tags: [...new Set(names)],
+      tagMode,
+      collection: collectionId.id,
+      notebook: notebookId.id,
+      mimeTypes: [...new Set(toList(mimeTypes).map(type => type.toLowerCase()))],
+      sourceTypes: [...new Set(sources)],
+      languages: [...new Set(toList(languages).map(language => language.toLowerCase().split('-')[0]))],
+      dateFrom: from.date,
+      dateTo: to.date,
+    },
+  };
+};
+
+/**
+ * Builds the SQL conditions that restrict documents to the filters.
+ * @param {object} filters As returned by parseDocumentFilters.
+ * @param {Array} params The query's parameters; the filter values are appended.
+ * @param {string} [column] The document id column to restrict. Filters on document
+ *   columns other than tags, collection and notebook expect the documents table aliased "d".
+ * @returns {string[]} Conditions to combine with AND (empty when nothing is filtered).
+ */
+export const buildDocumentFilters = (filters, params, column = 'd.id') => {
+  const conditions = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.tags.length > 0) {
+    const tagsParam = param(filters.tags);
+    conditions.push(
+      `${column} IN (
+        SELECT dt.document_id FROM document_tags dt JOIN tags t ON t.id = dt.tag_id
+        WHERE lower(t.name) = ANY(${tagsParam}::text[])
+        GROUP BY dt.document_id
+        ${filters.tagMode === 'all' ? `HAVING COUNT(*) = cardinality(${tagsParam}::text[])` : ''}
+      )`
+    );
+  }
+
+  if (filters.collection) {
+    conditions.push(
+      `${column} IN (
+        WITH RECURSIVE subtree AS (
+          SELECT id FROM collections WHERE id = ${param(filters.collection)}
+          UNION
+          SELECT c.id FROM collections c JOIN subtree s ON c.parent_id = s.id
+        )
+        SELECT cd.document_id FROM collection_documents cd JOIN subtree s ON s.id = cd.collection_id
+      )`
+    );
+  }
+
+  if (filters.notebook) {
+    conditions.push(`${column} IN (SELECT document_id FROM notebook_documents WHERE notebook_id = ${param(filters.notebook)})`);
+  }
+
+  if (filters.mimeTypes.length > 0) {
+    conditions.push(`lower(d.mime_type) = ANY(${param(filters.mimeTypes)}::text[])`);
+  }
+
+  if (filters.sourceTypes.length > 0) {
+    conditions.push(`${SOURCE_TYPE_SQL} = ANY(${param(filters.sourceTypes)}::text[])`);
+  }
+
+  if (filters.languages.length > 0) {
+    conditions.push(`${LANGUAGE_SQL} = ANY(${param(filters.languages)}::text[])`);
+  }
+
+  if (filters.dateFrom) {
+    conditions.push(`d.created_at >= ${param(filters.dateFrom)}::date`);
+  }
+  if (filters.dateTo) {
+    conditions.push(`d.created_at < ${param(filters.dateTo)}::date + 1`);
+  }
+
+  return conditions;
+};
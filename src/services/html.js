@@ -0,0 +1,38 @@
+import * as cheerio from 'cheerio';
+import TurndownService from 'turndown';
+
+// Elements that never hold the main content of a page
+const NON_CONTENT_SELECTOR = 'script, style, nav, footer, header, aside, form, noscript';
+
+/**
+ * Converts an HTML fragment to Markdown, keeping headings in ATX style so the
+ * chunker can split on them.
+ * @param {string} html The HTML to convert.
+ * @returns {string} The Markdown text.
+ */
+export const htmlToMarkdown = (html) => {
+  const turndownService = new TurndownService({ headingStyle: 'atx' });
+  return turndownService.turndown(html || '');
+};
+
+/**
+ * Extracts the main content of a full HTML document, mirroring what the URL
+ * scraper does in the browser: drop non-content elements, then prefer
+ * `main`, `article` or `[role="main"]` over the whole body.
+ * @param {string} html The full HTML document.
+ * @returns {{title: string, html: string}} The page title and the main content HTML.
+ */
+export const extractMainHtml = (html) => {
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().trim();
+
+  $(NON_CONTENT_SELECTOR).remove();
+
+  const main = $('main').first();
+  if (main.length) return { title, html: main.html() };
+  const article = $('article').first();
+  if (article.length) return { title, html: article.html() };
+  const roleMain = $('div[role="main"]').first();
+  if (roleMain.length) return { title, html: roleMain.html() };
+  return { title, html: $('body').html() || $.root().html() };
+};
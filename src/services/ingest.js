@@ -0,0 +1,224 @@
+import pgvector from 'pgvector/pg';
+import pool, { withTransaction } from '../db/index.js';
+import logger from '../logger.js';
+import { embedChunks, averageEmbedding, saveChunks } from './chunks.js';
+import { lockEmbeddingModel } from './embeddings/index.js';
+import { hashContent, findDuplicate } from './dedup.js';
+import { recordVersion, getVersion } from './versions.js';
+import { saveDocumentContent } from './content.js';
+import { findIdentifiers, normalizeMetadata, saveExtractedMetadata } from './metadata.js';
+import { enqueueClassification } from './classify.js';
+import { enqueueSavedSearchCheck } from './saved-searches.js';
+import { detectLanguage, saveTextSearchConfig } from './language.js';
+import { ensureVectorIndex } from './ann.js';
+import { scrapeUrl } from './scraper.js';
+import { findExtractor } from './extractors/index.js';
+import { removeUnusedUpload } from './uploads.js';
+import { registerJobHandler, PermanentJobError } from './jobs.js';
+
+export const INGEST_FILE_JOB = 'ingest_file';
+export const INGEST_URL_JOB = 'ingest_url';
+export const INGEST_TEXT_JOB = 'ingest_text';
+export const RESTORE_VERSION_JOB = 'restore_version';
+
+/**
+ * Stores an embedded document's content, chunks, document-level vector and extracted
+ * metadata in the caller's transaction, marks it as ready and records a new version when its text
+ * or file changed. Used by indexDocument, and directly by imports that create the
+ * document in the same transaction.
+ * @param {import('pg').PoolClient} client A transaction client.
+ * @param {number} documentId The document to save.
+ * @param {Array} chunks The embedded chunks of the content (see embedChunks).
+ * @param {object} data The document's content and metadata, as for indexDocument.
+ * @returns {Promise<{version: number, created: boolean}>} The current version number, and whether it is new.
+ */
+export const saveIndexedDocument = async (client, documentId, chunks, {
+  content, pages, title, metadata, mimeType, contentHash, filePath, restoredFrom,
+} = {}) => {
+  const embedding = averageEmbedding(chunks);
+  if (embedding) {
+    // Fails (and the job retries) if re-embedding switched models meanwhile
+    await lockEmbeddingModel(client, chunks[0].embeddingModel);
+  }
+  await client.query(
+    `UPDATE documents SET
+     embedding = $1,
+     embedding_model = $2,
+     mime_type = COALESCE($3, mime_type),
+     content_hash = COALESCE($4, content_hash),
+     file_path = COALESCE($5, file_path),
+     status = 'ready'
+     WHERE id = $6`,
+    [
+      embedding ? pgvector.toSql(embedding) : null,
+      embedding ? chunks[0].embeddingModel : null,
+      mimeType || null,
+      contentHash || null,
+      filePath || null,
+      documentId,
+    ]
+  );
+  // A DOI or ISBN printed near the start of the text fills in for missing metadata,
+  // and the language is detected from the text unless the source declares it
+  await saveExtractedMetadata(client, documentId, normalizeMetadata({
+    ...findIdentifiers(content), ...metadata, language: metadata?.language || detectLanguage(content), title,
+  }));
+  await saveDocumentContent(client, documentId, content || '', pages);
+  await saveTextSearchConfig(client, documentId);
+  await saveChunks(client, documentId, chunks);
+  const recorded = await recordVersion(client, documentId, { restoredFrom });
+  // New text gets new tag, category and description suggestions
+  if (recorded.created && chunks.length > 0) {
+    await enqueueClassification(client, documentId);
+  }
+  // New documents are checked against the saved searches
+  if (recorded.created && recorded.version === 1) {
+    await enqueueSavedSearchCheck(client, documentId);
+  }
+  return recorded;
+};
+
+/**
+ * Embeds a document's text and stores its content, chunks and document-level
+ * vector, marking the document as ready. The result is recorded as a new
+ * version of the document when its text or file changed, and then queued for
+ * classification. Extracted metadata fills in the document's fields, except
+ * those a user has edited.
+ * @param {number} documentId The document to index.
+ * @param {object} data
+ * @param {string} data.content The full extracted text.
+ * @param {Array} [data.pages] The page map of the text.
+ * @param {string} [data.title] A new title for the document, if one was discovered.
+ * @param {object} [data.metadata] Metadata read from the file or page, keyed by METADATA_FIELDS.
+ * @param {string} [data.mimeType] The detected MIME type, if it changed.
+ * @param {string} [data.contentHash] The content hash, if it wasn't known when the document was created.
+ * @param {string} [data.filePath] The stored file, if it is a new one.
+ * @param {number} [data.restoredFrom] The version number this content was restored from.
+ * @param {(percent: number, stage: string) => Promise<void>} [progress] Job progress callback.
+ * @returns {Promise<{chunks: number, version: number}>} The chunk count and the current version number.
+ */
+export const indexDocument = async (documentId, {
+  content, pages, title, metadata, mimeType, contentHash, filePath, restoredFrom,
+}, progress = async () => {}) => {
+  let chunks = [];
+  if (content && content.trim().length > 0) {
+    await progress(40, 'embedding');
+    chunks = await embedChunks(content, { pages });
+    if (!chunks) {
+      // getEmbeddings already logged the provider error; throwing lets the queue retry with backoff.
+      throw new Error('Failed to generate embedding');
+    }
+  } else {
+    logger.warn(`No content extracted for document ${documentId}.`);
+  }
+
+  await progress(90, 'saving');
+  const { version } = await withTransaction(client => saveIndexedDocument(client, documentId, chunks, {
+    content, pages, title, metadata, mimeType, contentHash, filePath, restoredFrom,
+  }));
+
+  // The first vectors of a model get its ANN index built
+  if (chunks.length > 0) {
+    await ensureVectorIndex(pool, chunks[0].embeddingModel);
+  }
+
+  return { chunks: chunks.length, version };
+};
+
+// Also used for new versions of a document; the file only replaces the
+// current one once it has been indexed, and is deleted if it never is
+registerJobHandler(INGEST_FILE_JOB, async (job, { progress }) => {
+  const { filePath, mimetype, filename, contentHash } = job.payload;
+
+  const extractor = findExtractor(mimetype, filename);
+  if (!extractor) {
+    throw new PermanentJobError(`Unsupported file type: ${mimetype}`);
+  }
+
+  await progress(10, 'extracting');
+  let extracted;
+  try {
+    extracted = await extractor.extract(filePath, {
+      // Extraction (OCR in particular) can take a while, so report it within 10-35%
+      onProgress: (stage, done, total) => progress(10 + Math.round(25 * done / total), stage),
+    });
+  } catch (error) {
+    // A corrupt or malformed file won't extract any better on a retry
+    throw new PermanentJobError(`Could not extract text from the document: ${error.message}`);
+  }
+
+  const { content, pages, title, metadata } = extracted;
+  if (!content || !content.trim()) {
+    throw new PermanentJobError('Could not extract text from the document.');
+  }
+
+  return indexDocument(job.document_id, {
+    content, pages, title, metadata, mimeType: mimetype, contentHash, filePath,
+  }, progress);
+}, {
+  tracksDocumentStatus: true,
+  onFailure: job => removeUnusedUpload(pool, job.payload.filePath),
+});
+
+/**
+ * Fails a document whose text turned out to be the same as another document's, which
+ * URLs only reveal once scraped. The error names the existing document.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} documentId The document being indexed.
+ * @param {string|null} contentHash The hash of its text.
+ * @throws {PermanentJobError} If another document has the same content.
+ */
+export const rejectDuplicateContent = async (db, documentId, contentHash) => {
+  if (!contentHash) {
+    return;
+  }
+  const existing = await findDuplicate(db, { contentHash, excludeId: documentId });
+  if (existing) {
+    throw new PermanentJobError(`Same content as document ${existing.id} ("${existing.title}")`);
+  }
+};
+
+registerJobHandler(INGEST_URL_JOB, async (job, { progress }) => {
+  const { url, checkDuplicate = false } = job.payload;
+
+  await progress(10, 'scraping');
+  const scrapedData = await scrapeUrl(url);
+  if (!scrapedData) {
+    throw new Error('Failed to scrape URL');
+  }
+
+  // URLs are matched by canonical URL when submitted; the hash of the scraped
+  // text then catches a page already added as a text or under another URL
+  const { title, content, mimeType, pages, metadata } = scrapedData;
+  const contentHash = content ? hashContent(content) : null;
+  if (checkDuplicate) {
+    await rejectDuplicateContent(pool, job.document_id, contentHash);
+  }
+  return indexDocument(job.document_id, { content, pages, title, metadata, mimeType, contentHash }, progress);
+}, { tracksDocumentStatus: true });
+
+// New versions of texts; the text itself travels in the payload
+registerJobHandler(INGEST_TEXT_JOB, async (job, { progress }) => {
+  const { content, title, contentHash } = job.payload;
+  return indexDocument(job.document_id, { content, title, contentHash }, progress);
+}, { tracksDocumentStatus: true });
+
+registerJobHandler(RESTORE_VERSION_JOB, async (job, { progress }) => {
+  const { version: versionNumber } = job.payload;
+
+  const version = await getVersion(job.document_id, versionNumber);
+  if (!version) {
+    throw new PermanentJobError(`Version ${versionNumber} of document ${job.document_id} not found.`);
+  }
+
+  // The stored text is indexed again, so restoring needs neither the file nor the page to still exist
+  return indexDocument(job.document_id, {
+    content: version.content,
+    pages: version.page_offsets,
+    title: version.title,
+    mimeType: version.mime_type,
+    contentHash: version.content_hash,
+    filePath: version.file_path,
+    restoredFrom: version.version_number,
+  }, progress);
+}, { tracksDocumentStatus: true });
@@ -0,0 +1,263 @@
+import pool, { afterCommit } from '../db/index.js';
+import config from '../config/index.js';
+import logger from '../logger.js';
+
+const BACKOFF_BASE_MS = 5000;                // First retry waits 5s, then 10s, 20s, ...
+const BACKOFF_MAX_MS = 10 * 60 * 1000;       // Never wait more than 10 minutes between attempts
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;     // How often a running job refreshes its lock
+const STALE_LOCK_INTERVAL = '5 minutes';     // Running jobs without a heartbeat for this long are assumed orphaned
+const STALE_SWEEP_INTERVAL_MS = 60 * 1000;   // How often the worker looks for orphaned jobs
+
+const handlers = new Map();
+let workerTimer = null;
+let workerRunning = false;
+let workerStopped = true;
+let lastStaleSweep = 0;
+
+/**
+ * An error that should fail a job immediately instead of being retried,
+ * e.g. a document with no extractable text.
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Registers the function that processes jobs of a given type.
+ * @param {string} type The job type.
+ * @param {(job: object, helpers: {progress: (percent: number, stage: string) => Promise<void>}) => Promise<any>} handler
+ *   Processes the job; throw to fail the attempt. Whatever it returns is stored as the job result.
+ * @param {object} [options]
+ * @param {boolean} [options.tracksDocumentStatus] Whether the job drives `documents.status` (processing / failed)
+ *   of its document. The handler is responsible for marking the document ready.
+ * @param {(job: object, error: Error) => Promise<void>} [options.onFailure] Cleans up after a job that
+ *   failed permanently, e.g. removes files it would have taken over.
+ */
+export const registerJobHandler = (type, handler, { tracksDocumentStatus = false, onFailure = null } = {}) => {
+  handlers.set(type, { handler, tracksDocumentStatus, onFailure });
+};
+
+/**
+ * Adds a job to the queue.
+ * @param {import('pg').PoolClient|import('pg').Pool} client The database client (pass a transaction client to enqueue atomically).
+ * @param {string} type The job type.
+ * @param {object} payload Job-specific data.
+ * @param {object} [options]
+ * @param {number} [options.documentId] The document the job works on, if any.
+ * @param {number} [options.maxAttempts] How many times to try before giving up.
+ * @returns {Promise<object>} The created job row.
+ */
+export const enqueueJob = async (client, type, payload, { documentId = null, maxAttempts = config.jobs.maxAttempts } = {}) => {
+  const { rows } = await client.query(
+    `INSERT INTO jobs (type, payload, document_id, max_attempts)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, type, status, progress, document_id, created_at`,
+    [type, JSON.stringify(payload), documentId, maxAttempts]
+  );
+  // Nudge the in-process worker so new jobs don't wait for the next poll. In a transaction,
+  // the job can only be claimed once it commits.
+  afterCommit(client, () => scheduleWorker(0));
+  return rows[0];
+};
+
+/**
+ * Fetches a job by ID.
+ * @param {number|string} id The job ID.
+ * @returns {Promise<object|null>} The job, or null if it doesn't exist.
+ */
+export const getJob = async (id) => {
+  const { rows } = await pool.query(
+    `SELECT id, type, status, progress, stage, attempts, max_attempts, last_error, result,
+            document_id, run_at, created_at, updated_at
+     FROM jobs WHERE id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Claims the next runnable job, skipping rows locked by other workers.
+ * @returns {Promise<object|null>} The claimed job, or null if the queue is empty.
+ */
+const claimNextJob = async () => {
+  const { rows } = await pool.query(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+       ORDER BY run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Whether a failed attempt ends a job: permanent errors do, and so does its last allowed attempt.
+ * @param {object} job The job row, with the attempts made so far.
+ * @param {Error} error The error that failed the attempt.
+ * @returns {boolean}
+ */
+export const isPermanentFailure = (job, error) => error instanceof PermanentJobError || job.attempts >= job.max_attempts;
+
+/**
+ * How long a job waits after a failed attempt: BACKOFF_BASE_MS, doubled after each
+ * further attempt, up to BACKOFF_MAX_MS.
+ * @param {number} attempts The attempts made so far.
+ * @returns {number} The delay in milliseconds.
+ */
+export const getRetryDelay = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+const updateDocumentStatus = async (documentId, status) => {
+  if (documentId) {
+    await pool.query('UPDATE documents SET status = $1 WHERE id = $2', [status, documentId]);
+  }
+};
+
+/**
+ * Records a failed attempt, re-queueing the job with exponential backoff
+ * unless it has run out of attempts or the error is permanent.
+ * @param {object} job The job row.
+ * @param {Error} error The error that failed the attempt.
+ * @param {object} [registration] The job type's registration (see registerJobHandler).
+ */
+const failJob = async (job, error, { tracksDocumentStatus = false, onFailure = null } = {}) => {
+  if (isPermanentFailure(job, error)) {
+    await pool.query(
+      `UPDATE jobs SET status = 'failed', last_error = $1, locked_at = NULL WHERE id = $2`,
+      [error.message, job.id]
+    );
+    if (tracksDocumentStatus && job.document_id) {
+      // A document indexed before (e.g. one whose new version failed) still has its current content
+      await pool.query(
+        `UPDATE documents SET status = CASE
+           WHEN EXISTS (SELECT 1 FROM document_contents WHERE document_id = $1) THEN 'ready'
+           ELSE 'failed'
+         END
+         WHERE id = $1`,
+        [job.document_id]
+      );
+    }
+    logger.error(`Job ${job.id} (${job.type}) failed permanently after ${job.attempts} attempt(s):`, error);
+    if (onFailure) {
+      await onFailure(job, error).catch(cleanupError => logger.error(`Error cleaning up after job ${job.id}:`, cleanupError));
+    }
+    return;
+  }
+
+  const delay = getRetryDelay(job.attempts);
+  await pool.query(
+    `UPDATE jobs SET status = 'queued', last_error = $1, locked_at = NULL,
+     run_at = CURRENT_TIMESTAMP + ($2 || ' milliseconds')::interval
+     WHERE id = $3`,
+    [error.message, delay, job.id]
+  );
+  logger.warn(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying in ${delay}ms: ${error.message}`);
+};
+
+/**
+ * Runs a single claimed job through its handler.
+ * @param {object} job The job row.
+ */
+const runJob = async (job) => {
+  const registration = handlers.get(job.type);
+  if (!registration) {
+    await failJob(job, new PermanentJobError(`No handler registered for job type "${job.type}"`));
+    return;
+  }
+  const { handler, tracksDocumentStatus } = registration;
+
+  const progress = async (percent, stage) => {
+    await pool.query('UPDATE jobs SET progress = $1, stage = $2 WHERE id = $3', [percent, stage, job.id]);
+  };
+
+  // Keep the lock fresh so other workers can tell the job is still running
+  const heartbeat = setInterval(() => {
+    pool.query('UPDATE jobs SET locked_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = \'running\'', [job.id])
+      .catch(error => logger.error(`Error refreshing the lock of job ${job.id}:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    if (tracksDocumentStatus) {
+      await updateDocumentStatus(job.document_id, 'processing');
+    }
+    const result = await handler(job, { progress });
+    await pool.query(
+      `UPDATE jobs SET status = 'completed', progress = 100, stage = 'done', result = $1, last_error = NULL, locked_at = NULL
+       WHERE id = $2`,
+      [result ? JSON.stringify(result) : null, job.id]
+    );
+    logger.info(`Job ${job.id} (${job.type}) completed.`);
+  } catch (error) {
+    await failJob(job, error, registration);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Puts jobs whose worker stopped sending heartbeats (e.g. because it crashed) back in the queue.
+ */
+const requeueStaleJobs = async () => {
+  lastStaleSweep = Date.now();
+  const { rowCount } = await pool.query(
+    `UPDATE jobs SET status = 'queued', locked_at = NULL
+     WHERE status = 'running' AND locked_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_LOCK_INTERVAL}'`
+  );
+  if (rowCount > 0) {
+    logger.warn(`Re-queued ${rowCount} stale job(s).`);
+  }
+};
+
+const scheduleWorker = (delay) => {
+  if (workerStopped || workerRunning) return;
+  clearTimeout(workerTimer);
+  workerTimer = setTimeout(pollJobs, delay);
+};
+
+/**
+ * Drains the queue, then waits for the poll interval before checking again.
+ */
+const pollJobs = async () => {
+  workerRunning = true;
+  try {
+    if (Date.now() - lastStaleSweep >= STALE_SWEEP_INTERVAL_MS) {
+      await requeueStaleJobs();
+    }
+    let job;
+    while (!workerStopped && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    logger.error('Error polling job queue:', error);
+  } finally {
+    workerRunning = false;
+    scheduleWorker(config.jobs.pollInterval);
+  }
+};
+
+/**
+ * Starts the background worker loop. Running jobs refresh their lock every minute;
+ * while polling, the worker puts jobs left "running" by a crashed worker back in the
+ * queue once their lock is older than STALE_LOCK_INTERVAL.
+ */
+export const startWorker = async () => {
+  if (!workerStopped) return;
+  workerStopped = false;
+
+  logger.info('Job worker started.');
+  scheduleWorker(0);
+};
+
+/**
+ * Stops the worker loop after the current job finishes.
+ */
+export const stopWorker = () => {
+  workerStopped = true;
+  clearTimeout(workerTimer);
+};
@@ -0,0 +1,92 @@
+import { franc } from 'franc-min';
+
+// PostgreSQL text search configuration of each language (ISO 639-1), and the
+// ISO 639-3 codes the detector reports for it
+const LANGUAGES = {
+  ar: { config: 'arabic', codes: ['arb'] },
+  da: { config: 'danish', codes: ['dan'] },
+  de: { config: 'german', codes: ['deu'] },
+  el: { config: 'greek', codes: ['ell'] },
+  en: { config: 'english', codes: ['eng'] },
+  es: { config: 'spanish', codes: ['spa'] },
+  fi: { config: 'finnish', codes: ['fin'] },
+  fr: { config: 'french', codes: ['fra'] },
+  ga: { config: 'irish', codes: ['gle'] },
+  hu: { config: 'hungarian', codes: ['hun'] },
+  id: { config: 'indonesian', codes: ['ind'] },
+  it: { config: 'italian', codes: ['ita'] },
+  lt: { config: 'lithuanian', codes: ['lit'] },
+  ne: { config: 'nepali', codes: ['npi'] },
+  nl: { config: 'dutch', codes: ['nld'] },
+  no: { config: 'norwegian', codes: ['nob', 'nno'] },
+  pt: { config: 'portuguese', codes: ['por'] },
+  ro: { config: 'romanian', codes: ['ron'] },
+  ru: { config: 'russian', codes: ['rus'] },
+  sr: { config: 'serbian', codes: ['srp'] },
+  sv: { config: 'swedish', codes: ['swe'] },
+  ta: { config: 'tamil', codes: ['tam'] },
+  tr: { config: 'turkish', codes: ['tur'] },
+};
+
+// Norwegian Bokmål and Nynorsk share a configuration
+const ALIASES = { nb: 'no', nn: 'no' };
+
+// Text in other languages is indexed word for word, without stemming or stop words
+export const DEFAULT_TEXT_SEARCH_CONFIG = 'simple';
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// Every configuration a document can be indexed with
+export const TEXT_SEARCH_CONFIGS = [DEFAULT_TEXT_SEARCH_CONFIG, ...Object.values(LANGUAGES).map(({ config }) => config)];
+
+const SAMPLE_LENGTH = 20000;    // Characters of the text the language is detected from
+const MIN_SAMPLE_LENGTH = 50;   // Shorter texts are too short to tell
+
+const primaryLanguage = (language) => {
+  const primary = String(language || '').toLowerCase().split('-')[0];
+  return ALIASES[primary] || primary;
+};
+
+/**
+ * Detects the language of a text.
+ * @param {string} text
+ * @returns {string|null} An ISO 639-1 code from SUPPORTED_LANGUAGES, or null if the text is too
+ *   short or in another language.
+ */
+export const detectLanguage = (text) => {
+  const sample = (text || '').substring(0, SAMPLE_LENGTH);
+  if (sample.trim().length < MIN_SAMPLE_LENGTH) {
+    return null;
+  }
+  const code = franc(sample, { minLength: MIN_SAMPLE_LENGTH });
+  return SUPPORTED_LANGUAGES.find(language => LANGUAGES[language].codes.includes(code)) || null;
+};
+
+/**
+ * Finds the text search configuration for a language.
+ * @param {string|null} language A BCP 47 tag, e.g. "de" or "pt-BR".
+ * @returns {string|null} The configuration, or null if the language has none.
+ */
+export const findTextSearchConfig = (language) => LANGUAGES[primaryLanguage(language)]?.config || null;
+
+/**
+ * Indexes a document's title and text with the configuration of its language.
+ * Call whenever its language or content is saved.
+ * @param {import('pg').PoolClient} client
+ * @param {number} documentId
+ * @returns {Promise<string>} The configuration used.
+ */
+export const saveTextSearchConfig = async (client, documentId) => {
+  const { rows } = await client.query('SELECT language FROM documents WHERE id = $1', [documentId]);
+  const config = findTextSearchConfig(rows[0]?.language) || DEFAULT_TEXT_SEARCH_CONFIG;
+  // The search vectors are regenerated only when the configuration changes
+  await client.query(
+    'UPDATE documents SET text_search_config = $1 WHERE id = $2 AND text_search_config <> $1::regconfig',
+    [config, documentId]
+  );
+  await client.query(
+    'UPDATE document_contents SET text_search_config = $1 WHERE document_id = $2 AND text_search_config <> $1::regconfig',
+    [config, documentId]
+  );
+  return config;
+};
@@ -0,0 +1,340 @@
+import * as cheerio from 'cheerio';
+
+// Bibliographic fields stored on documents, named as their columns
+export const METADATA_FIELDS = ['title', 'authors', 'published_date', 'description', 'language', 'publisher', 'doi', 'isbn'];
+
+const MAX_LENGTHS = {
+  title: 255,
+  publisher: 255,
+  doi: 255,
+  description: 5000,
+};
+const MAX_AUTHORS = 50;
+const IDENTIFIER_SEARCH_LENGTH = 10000;   // Characters at the start of a text searched for a DOI or ISBN
+
+// Titles like "Microsoft Word - draft.docx" or "Untitled"
+const PLACEHOLDER_TITLE = /^(untitled|microsoft (word|powerpoint|excel) - .*|.*\.(docx?|pptx?|xlsx?|pdf|tex|dvi|indd|qxd|rtf))$/i;
+
+// JSON-LD types describing the page's content rather than the site
+const CONTENT_TYPES = ['ScholarlyArticle', 'Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'Report', 'Book', 'Thesis', 'CreativeWork'];
+
+const cleanText = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(Array.isArray(value) ? value[0] ?? '' : value).replace(/\s+/g, ' ').trim();
+  return text || null;
+};
+
+/**
+ * Normalizes a date to ISO 8601 with the precision it was given: "2019",
+ * "2019-03" or "2019-03-05". Accepts ISO strings, PDF dates
+ * ("D:20190305120000Z") and anything Date.parse understands.
+ * @param {string|Date} value
+ * @returns {string|null}
+ */
+export const normalizeDate = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  const text = cleanText(value);
+  if (!text) return null;
+
+  const match = text.match(/^D:(\d{4})(\d{2})?(\d{2})?/) || text.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:$|[T\s])/);
+  if (match) {
+    const [, year, month, day] = match;
+    if ((month && (month < '01' || month > '12')) || (day && (day < '01' || day > '31'))) return null;
+    return [year, month, month && day].filter(Boolean).join('-');
+  }
+
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) return null;
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Normalizes a language tag to BCP 47 form, e.g. "en_US" to "en-US".
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const normalizeLanguage = (value) => {
+  const text = cleanText(value)?.replace(/_/g, '-');
+  if (!text || !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(text)) return null;
+  const [primary, ...subtags] = text.split('-');
+  return [primary.toLowerCase(), ...subtags.map(tag => (tag.length === 2 ? tag.toUpperCase() : tag))].join('-');
+};
+
+/**
+ * Extracts a bare DOI ("10.1000/xyz") from a DOI, "doi:" string or doi.org URL.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const normalizeDoi = (value) => {
+  const text = cleanText(value)
+    ?.replace(/^(doi:\s*|https?:\/\/(dx\.)?doi\.org\/)/i, '')
+    .replace(/[.,;)\]]+$/, '');
+  return text && /^10\.\d{4,9}\/\S+$/.test(text) ? text : null;
+};
+
+/**
+ * Validates an ISBN-10 or ISBN-13 by its check digit.
+ * @param {string} value
+ * @returns {string|null} The ISBN without hyphens or spaces, or null if it is invalid.
+ */
+export const normalizeIsbn = (value) => {
+  const isbn = cleanText(value)?.replace(/^(urn:)?isbn(-1[03])?:?/i, '').replace(/[\s-]/g, '').toUpperCase();
+  if (!isbn) return null;
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+    return sum % 11 === 0 ? isbn : null;
+  }
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0 ? isbn : null;
+  }
+  return null;
+};
+
+/**
+ * Normalizes a list of authors. Strings are split on semicolons and new lines
+ * (not commas, which separate family and given names).
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export const normalizeAuthors = (value) => {
+  const names = (Array.isArray(value) ? value : [value])
+    .flatMap(name => (typeof name === 'string' ? name.split(/;|\n/) : []))
+    .map(name => cleanText(name))
+    .filter(name => name && !/^https?:\/\//.test(name))
+    .map(name => name.substring(0, 255));
+  return [...new Set(names)].slice(0, MAX_AUTHORS);
+};
+
+// Drops the titles that PDF and Office producers fill in by themselves
+const producerTitle = (value) => {
+  const title = cleanText(value);
+  return title && !PLACEHOLDER_TITLE.test(title) ? title : null;
+};
+
+/**
+ * Normalizes extracted metadata, dropping empty and invalid values.
+ * @param {object} raw Values keyed by METADATA_FIELDS.
+ * @returns {object} The valid values only.
+ */
+export const normalizeMetadata = (raw) => {
+  const metadata = {
+    title: cleanText(raw.title)?.substring(0, MAX_LENGTHS.title),
+    authors: normalizeAuthors(raw.authors),
+    published_date: normalizeDate(raw.published_date),
+    description: cleanText(raw.description)?.substring(0, MAX_LENGTHS.description),
+    language: normalizeLanguage(raw.language),
+    publisher: cleanText(raw.publisher)?.substring(0, MAX_LENGTHS.publisher),
+    doi: normalizeDoi(raw.doi),
+    isbn: normalizeIsbn(raw.isbn),
+  };
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => (
+    Array.isArray(value) ? value.length > 0 : Boolean(value)
+  )));
+};
+
+/**
+ * Looks for a DOI and an ISBN near the start of a text, where title pages and
+ * article headers put them.
+ * @param {string} text The document text.
+ * @returns {{doi?: string, isbn?: string}}
+ */
+export const findIdentifiers = (text) => {
+  const head = (text || '').substring(0, IDENTIFIER_SEARCH_LENGTH);
+  const doi = head.match(/\b(10\.\d{4,9}\/[^\s"'<>]+)/);
+  const isbn = head.match(/ISBN(?:-1[03])?:?\s*([\dX][\d\s-]{8,16}[\dX])\b/i);
+  return normalizeMetadata({ doi: doi?.[1], isbn: isbn?.[1] });
+};
+
+const jsonLdNodes = ($) => {
+  const nodes = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      nodes.push(node);
+      if (node['@graph']) visit(node['@graph']);
+    }
+  };
+  $('script[type="application/ld+json"]').each((_, script) => {
+    try {
+      visit(JSON.parse($(script).text()));
+    } catch {
+      // Pages often ship broken JSON-LD; it is only a hint
+    }
+  });
+  return nodes;
+};
+
+const jsonLdName = (value) => {
+  if (Array.isArray(value)) return value.map(jsonLdName).filter(Boolean);
+  if (value && typeof value === 'object') return value.name || null;
+  return value || null;
+};
+
+/**
+ * Reads bibliographic metadata from an HTML page: Highwire `citation_*` tags
+ * (used by scholarly publishers), JSON-LD, Dublin Core, OpenGraph and the
+ * standard `<meta>` tags, in that order of preference.
+ * @param {string} html The full HTML document, before scripts are removed.
+ * @returns {object} Normalized metadata.
+ */
+export const extractHtmlMetadata = (html) => {
+  const $ = cheerio.load(html);
+
+  const tags = new Map();
+  $('meta').each((_, el) => {
+    const key = ($(el).attr('name') || $(el).attr('property') || $(el).attr('itemprop') || $(el).attr('http-equiv') || '').toLowerCase();
+    const content = $(el).attr('content');
+    if (key && content) {
+      tags.set(key, [...(tags.get(key) || []), content]);
+    }
+  });
+  const first = (...keys) => keys.map(key => tags.get(key)?.[0]).find(Boolean);
+  const all = (...keys) => keys.map(key => tags.get(key)).find(values => values?.length);
+
+  const nodes = jsonLdNodes($);
+  const ld = nodes.find(node => [].concat(node['@type']).some(type => CONTENT_TYPES.includes(type))) || {};
+  const ldDoi = [].concat(ld.identifier || [], ld.sameAs || []).map(id => (typeof id === 'object' ? id.value : id)).find(normalizeDoi);
+
+  return normalizeMetadata({
+    title: first('citation_title') || ld.headline || ld.name || first('dc.title', 'og:title', 'twitter:title'),
+    authors: all('citation_author') || jsonLdName(ld.author) || all('dc.creator', 'author', 'article:author'),
+    published_date: first('citation_publication_date', 'citation_date') || ld.datePublished
+      || first('dc.date', 'dcterms.issued', 'article:published_time', 'date', 'pubdate'),
+    description: first('description', 'og:description', 'dc.description', 'twitter:description') || ld.description,
+    language: first('citation_language') || ld.inLanguage || first('dc.language')
+      || $('html').attr('lang') || first('content-language', 'og:locale'),
+    publisher: first('citation_publisher') || jsonLdName(ld.publisher) || first('dc.publisher', 'og:site_name'),
+    doi: first('citation_doi', 'prism.doi', 'dc.identifier') || ldDoi,
+    isbn: first('citation_isbn', 'book:isbn', 'books:isbn') || ld.isbn,
+  });
+};
+
+/**
+ * Reads metadata from a PDF's info dictionary and XMP packet, as returned by
+ * pdf.js `getMetadata()`. XMP is preferred where both are present.
+ * @param {{info?: object, metadata?: {get: (name: string) => any}}} pdfMetadata
+ * @returns {object} Normalized metadata.
+ */
+export const extractPdfMetadata = ({ info = {}, metadata = null }) => {
+  const xmp = (name) => {
+    const value = metadata?.get(name) ?? null;
+    return Array.isArray(value) && value.length === 0 ? null : value;
+  };
+  return normalizeMetadata({
+    title: producerTitle(xmp('dc:title')) || producerTitle(info.Title),
+    authors: xmp('dc:creator') || info.Author,
+    published_date: xmp('prism:publicationdate') || xmp('xmp:createdate') || info.CreationDate,
+    description: xmp('dc:description') || info.Subject,
+    language: xmp('dc:language') || info.Language,
+    publisher: xmp('dc:publisher') || xmp('prism:publicationname'),
+    doi: xmp('prism:doi') || xmp('dc:identifier'),
+    isbn: xmp('prism:isbn'),
+  });
+};
+
+/**
+ * Reads the core properties of an Office Open XML file (docProps/core.xml).
+ * @param {cheerio.CheerioAPI} $ The parsed core.xml.
+ * @returns {object} Normalized metadata.
+ */
+export const extractCoreProperties = ($) => normalizeMetadata({
+  title: producerTitle($('dc\\:title').first().text()),
+  authors: $('dc\\:creator').first().text(),
+  published_date: $('dcterms\\:created').first().text(),
+  description: $('dc\\:description').first().text() || $('dc\\:subject').first().text(),
+  language: $('dc\\:language').first().text(),
+});
+
+/**
+ * Validates the body of a metadata update.
+ * @param {object} body Fields to change; null clears a field (except the title).
+ * @returns {{values: object}|{error: string}} The normalized values, or an error for a 400 response.
+ */
+export const validateMetadataUpdate = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+    return { error: `Provide at least one of: ${METADATA_FIELDS.join(', ')}` };
+  }
+
+  const values = {};
+  for (const [field, value] of Object.entries(body)) {
+    if (!METADATA_FIELDS.includes(field)) {
+      return { error: `Unknown field "${field}". Editable fields: ${METADATA_FIELDS.join(', ')}` };
+    }
+    if (value === null || value === '') {
+      if (field === 'title') {
+        return { error: 'Title cannot be empty' };
+      }
+      values[field] = field === 'authors' ? [] : null;
+      continue;
+    }
+
+    if (field === 'authors') {
+      if (!Array.isArray(value) || value.some(name => typeof name !== 'string')) {
+        return { error: 'authors must be an array of names' };
+      }
+      values.authors = normalizeAuthors(value);
+      continue;
+    }
+    if (typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+
+    const normalized = {
+      title: cleanText,
+      published_date: normalizeDate,
+      description: cleanText,
+      language: normalizeLanguage,
+      publisher: cleanText,
+      doi: normalizeDoi,
+      isbn: normalizeIsbn,
+    }[field](value);
+    if (!normalized) {
+      return { error: `Invalid ${field}: "${value}"` };
+    }
+    if (MAX_LENGTHS[field] && normalized.length > MAX_LENGTHS[field]) {
+      return { error: `${field} must be at most ${MAX_LENGTHS[field]} characters` };
+    }
+    values[field] = normalized;
+  }
+  return { values };
+};
+
+/**
+ * Stores extracted metadata on a document. Fields a user has edited are kept,
+ * and missing values never clear existing ones.
+ * @param {import('pg').PoolClient} client The database client, usually inside a transaction.
+ * @param {number} documentId The document.
+ * @param {object} metadata Normalized metadata.
+ */
+export const saveExtractedMetadata = async (client, documentId, metadata) => {
+  await client.query(
+    `UPDATE documents SET
+       title = CASE WHEN 'title' = ANY(metadata_edited) THEN title ELSE COALESCE($2, title) END,
+       authors = CASE WHEN 'authors' = ANY(metadata_edited) OR cardinality($3::text[]) = 0 THEN authors ELSE $3 END,
+       published_date = CASE WHEN 'published_date' = ANY(metadata_edited) THEN published_date ELSE COALESCE($4, published_date) END,
+       description = CASE WHEN 'description' = ANY(metadata_edited) THEN description ELSE COALESCE($5, description) END,
+       language = CASE WHEN 'language' = ANY(metadata_edited) THEN language ELSE COALESCE($6, language) END,
+       publisher = CASE WHEN 'publisher' = ANY(metadata_edited) THEN publisher ELSE COALESCE($7, publisher) END,
+       doi = CASE WHEN 'doi' = ANY(metadata_edited) THEN doi ELSE COALESCE($8, doi) END,
+       isbn = CASE WHEN 'isbn' = ANY(metadata_edited) THEN isbn ELSE COALESCE($9, isbn) END
+     WHERE id = $1`,
+    [
+      documentId,
+      metadata.title || null,
+      metadata.authors || [],
+      metadata.published_date || null,
+      metadata.description || null,
+      metadata.language || null,
+      metadata.publisher || null,
+      metadata.doi || null,
+      metadata.isbn || null,
+    ]
+  );
+};
@@ -0,0 +1,97 @@
+import pgvector from 'pgvector/pg';
+import pool, { withTransaction } from '../db/index.js';
+import { getEmbedding, getEmbeddingProvider } from './embeddings/index.js';
+import { stripCitations } from './citations.js';
+
+const MAX_CANDIDATE_PASSAGES = 20;  // Chunks retrieved for notebook Q&A; the context's token budget decides how many are used
+const MAX_HISTORY_MESSAGES = 10;    // Earlier messages of a conversation the model may see
+const TITLE_LENGTH = 80;            // Characters of the first question a conversation is titled with
+
+/**
+ * Finds the passages of a notebook's documents nearest to a question.
+ * @param {number} notebookId
+ * @param {string} question
+ * @returns {Promise<object[]|null>} Up to MAX_CANDIDATE_PASSAGES chunks, nearest first, with their
+ *   document_id, title, content, page_number, start_offset, end_offset and similarity; or null
+ *   if the question couldn't be embedded.
+ */
+export const findNotebookPassages = async (notebookId, question) => {
+  const embeddingProvider = await getEmbeddingProvider();
+  const questionEmbedding = await getEmbedding(question, embeddingProvider);
+  if (!questionEmbedding) {
+    return null;
+  }
+
+  // Use pgvector's cosine distance operator <=> over the chunks of the notebook's documents
+  const { rows } = await pool.query(
+    `SELECT d.id as document_id, d.title, c.content, c.page_number, c.start_offset, c.end_offset,
+            1 - (c.embedding <=> $1) as similarity
+     FROM document_chunks c
+     JOIN documents d ON d.id = c.document_id
+     JOIN notebook_documents nd ON d.id = nd.document_id
+     WHERE nd.notebook_id = $2 AND c.embedding_model = $4
+     ORDER BY c.embedding <=> $1
+     LIMIT $3`,
+    [pgvector.toSql(questionEmbedding), notebookId, MAX_CANDIDATE_PASSAGES, embeddingProvider.id]
+  );
+  return rows;
+};
+
+/**
+ * Loads the latest messages of a conversation as chat history for the model. Answers lose
+ * their citations, whose numbers only held for their own passages, and name the documents
+ * they cited instead, so follow-ups like "what about the second paper?" can be resolved.
+ * @param {number} conversationId
+ * @returns {Promise<{role: 'user'|'assistant', content: string}[]>} Oldest first.
+ */
+export const getConversationHistory = async (conversationId) => {
+  const { rows } = await pool.query(
+    `SELECT role, content, sources FROM conversation_messages
+     WHERE conversation_id = $1
+     ORDER BY id DESC
+     LIMIT $2`,
+    [conversationId, MAX_HISTORY_MESSAGES]
+  );
+
+  // Start with a question, as chat models expect
+  const messages = rows.reverse();
+  if (messages[0]?.role === 'assistant') {
+    messages.shift();
+  }
+  return messages.map(({ role, content, sources }) => {
+    if (role !== 'assistant') {
+      return { role, content };
+    }
+    const titles = [...new Set((sources || []).map(source => source.title))];
+    const cited = titles.length > 0 ? `\n\nSources: ${titles.join('; ')}` : '';
+    return { role, content: `${stripCitations(content)}${cited}` };
+  });
+};
+
+/**
+ * Adds a question and its answer to a conversation, and titles the conversation
+ * after its first question if it has no title.
+ * @param {number} conversationId
+ * @param {object} exchange
+ * @param {string} exchange.question
+ * @param {string} exchange.searchQuery The question passages were retrieved with.
+ * @param {string} exchange.answer
+ * @param {object[]} exchange.sources The cited passages (see extractSources).
+ * @returns {Promise<object[]>} The two new messages.
+ */
+export const saveConversationExchange = async (conversationId, { question, searchQuery, answer, sources }) => (
+  withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO conversation_messages (conversation_id, role, content, search_query, sources)
+       VALUES ($1, 'user', $2, $3, NULL), ($1, 'assistant', $4, NULL, $5)
+       RETURNING id, role, content, search_query, sources, created_at`,
+      [conversationId, question, searchQuery, answer, JSON.stringify(sources)]
+    );
+    const title = question.replace(/\s+/g, ' ').trim();
+    await client.query(
+      'UPDATE notebook_conversations SET title = COALESCE(title, $2) WHERE id = $1',
+      [conversationId, title.length > TITLE_LENGTH ? `${title.substring(0, TITLE_LENGTH - 3)}...` : title]
+    );
+    return rows;
+  })
+);
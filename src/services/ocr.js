@@ -0,0 +1,80 @@
+import { createRequire } from 'module';
+import { createWorker } from 'tesseract.js';
+import config from '../config/index.js';
+import logger from '../logger.js';
+
+const require = createRequire(import.meta.url);
+
+const IDLE_TIMEOUT_MS = 60 * 1000;   // Shut the Tesseract worker down after a minute without work
+
+let workerPromise = null;
+let idleTimer = null;
+let activeJobs = 0;
+
+const createOcrWorker = async () => {
+  // English ships with the app; other languages need OCR_LANG_PATH
+  const langPath = config.ocr.langPath || require('@tesseract.js-data/eng').langPath;
+  logger.info(`Starting OCR worker for "${config.ocr.languages}"`);
+  return createWorker(config.ocr.languages, 1, {
+    langPath,
+    gzip: true,
+    cacheMethod: 'none',
+  });
+};
+
+const scheduleShutdown = () => {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    const pending = workerPromise;
+    workerPromise = null;
+    pending?.then(worker => worker.terminate()).catch(error => logger.error('Error stopping OCR worker:', error));
+  }, IDLE_TIMEOUT_MS);
+  idleTimer.unref();
+};
+
+/**
+ * Whether OCR is enabled in the configuration.
+ * @returns {boolean}
+ */
+export const isOcrEnabled = () => config.ocr.enabled;
+
+/**
+ * Recognizes the text in an image with the bundled Tesseract engine.
+ * @param {Buffer} image A PNG, JPEG, BMP or WebP image.
+ * @returns {Promise<{text: string, confidence: number}>} The text and Tesseract's mean confidence (0-100).
+ */
+export const recognizeImage = async (image) => {
+  clearTimeout(idleTimer);
+  activeJobs++;
+  if (!workerPromise) {
+    workerPromise = createOcrWorker().catch((error) => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+
+  try {
+    const worker = await workerPromise;
+    const { data } = await worker.recognize(image);
+    return {
+      // Rejoin words hyphenated across lines, as for PDF text layers
+      text: data.text.replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2').trim(),
+      confidence: Math.round(data.confidence),
+    };
+  } finally {
+    activeJobs--;
+    if (activeJobs === 0) scheduleShutdown();
+  }
+};
+
+/**
+ * Stops the Tesseract worker right away instead of after a minute without work, so a
+ * script that OCRed something can exit. The next recognition starts a new worker.
+ */
+export const stopOcrWorker = async () => {
+  clearTimeout(idleTimer);
+  const pending = workerPromise;
+  workerPromise = null;
+  const worker = await pending?.catch(() => null);
+  await worker?.terminate();
+};
@@ -0,0 +1,194 @@
+// Reading order and paragraph layout of PDF text, from the positioned text items pdf.js returns.
+// Coordinates are PDF user space: y grows up the page.
+
+const LINE_TOLERANCE = 0.5;         // Items whose baselines differ by less than this fraction of the font size share a line
+const WORD_GAP = 0.15;              // Horizontal gap, as a fraction of the font size, that separates two words
+const PARAGRAPH_GAP = 1.4;          // Line spacing, as a multiple of the page's median, that starts a new paragraph
+const COLUMN_MIN_SHARE = 0.3;       // Each column must hold at least this share of the page's lines
+const COLUMN_MAX_CROSSING = 0.1;    // At most this share of lines may cross the gutter
+const EDGE_LINES = 2;               // Lines at the top and bottom of a page checked for headers and footers
+const REPEAT_MIN_PAGES = 3;         // A header or footer must repeat on at least this many pages...
+const REPEAT_MIN_SHARE = 0.5;       // ...and on at least this share of all pages
+const PAGE_NUMBER_REGEX = /^(page\s*)?[-–]?\s*\d{1,4}\s*[-–]?(\s*(of|\/)\s*\d{1,4})?$/i;
+
+/**
+ * Converts pdf.js text items into positioned items, dropping empty ones.
+ * Whitespace is recomputed from the gaps between items.
+ */
+export const toItems = (textContent) => textContent.items
+  .filter(item => typeof item.str === 'string' && item.str.trim() !== '')
+  .map(item => ({
+    str: item.str,
+    x: item.transform[4],
+    y: item.transform[5],
+    width: item.width || 0,
+    fontSize: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10,
+  }));
+
+const lineText = (items) => items.reduce((text, item, i) => {
+  if (i === 0) return item.str;
+  const prev = items[i - 1];
+  const gap = item.x - (prev.x + prev.width);
+  const needsSpace = gap > WORD_GAP * item.fontSize && !text.endsWith(' ') && !item.str.startsWith(' ');
+  return text + (needsSpace ? ' ' : '') + item.str;
+}, '').trim();
+
+const makeLine = (items) => {
+  const sorted = [...items].sort((a, b) => a.x - b.x);
+  return {
+    items: sorted,
+    y: Math.max(...sorted.map(item => item.y)),
+    fontSize: Math.max(...sorted.map(item => item.fontSize)),
+    text: lineText(sorted),
+  };
+};
+
+/**
+ * Groups items into lines by baseline, top of the page first.
+ */
+export const groupLines = (items) => {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const groups = [];
+  for (const item of sorted) {
+    const current = groups[groups.length - 1];
+    if (current && Math.abs(current.y - item.y) <= LINE_TOLERANCE * Math.max(current.fontSize, item.fontSize)) {
+      current.items.push(item);
+      current.fontSize = Math.max(current.fontSize, item.fontSize);
+    } else {
+      groups.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+  return groups.map(group => makeLine(group.items));
+};
+
+const crosses = (item, x) => item.x < x && item.x + item.width > x;
+
+/**
+ * Looks for a vertical gutter between two text columns.
+ * @returns {number|null} The x-coordinate of the gutter, or null for single-column pages.
+ */
+export const findColumnSplit = (lines, pageWidth) => {
+  if (lines.length < 6) return null;
+
+  let best = null;
+  for (let x = pageWidth * 0.3; x <= pageWidth * 0.7; x += 2) {
+    let crossing = 0;
+    let left = 0;
+    let right = 0;
+    for (const line of lines) {
+      if (line.items.some(item => crosses(item, x))) {
+        crossing++;
+        continue;
+      }
+      if (line.items.some(item => item.x + item.width <= x)) left++;
+      if (line.items.some(item => item.x >= x)) right++;
+    }
+
+    const qualifies = crossing <= COLUMN_MAX_CROSSING * lines.length
+      && left >= COLUMN_MIN_SHARE * lines.length
+      && right >= COLUMN_MIN_SHARE * lines.length;
+    const distance = Math.abs(x - pageWidth / 2);
+    if (qualifies && (!best || crossing < best.crossing || (crossing === best.crossing && distance < best.distance))) {
+      best = { x, crossing, distance };
+    }
+  }
+  return best ? best.x : null;
+};
+
+/**
+ * Puts lines in reading order. On multi-column pages, each run of column text
+ * is read left column first; lines spanning the gutter (titles, figures) stay
+ * where they are between runs.
+ */
+export const orderLines = (lines, split) => {
+  if (split === null) {
+    return lines.map(line => ({ ...line, blockStart: false }));
+  }
+
+  const ordered = [];
+  let left = [];
+  let right = [];
+  const flush = () => {
+    [left, right].forEach(column => column.forEach((line, i) => ordered.push({ ...line, blockStart: i === 0 })));
+    left = [];
+    right = [];
+  };
+
+  for (const line of lines) {
+    if (line.items.some(item => crosses(item, split))) {
+      flush();
+      ordered.push({ ...line, blockStart: true });
+      continue;
+    }
+    const leftItems = line.items.filter(item => item.x + item.width / 2 < split);
+    const rightItems = line.items.filter(item => item.x + item.width / 2 >= split);
+    if (leftItems.length) left.push(makeLine(leftItems));
+    if (rightItems.length) right.push(makeLine(rightItems));
+  }
+  flush();
+  return ordered;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Joins ordered lines into page text, merging words hyphenated across line
+ * breaks and separating paragraphs by their vertical spacing.
+ */
+export const joinLines = (lines) => {
+  // Each line's distance from the one before it; the first line of a block has none
+  const gaps = lines
+    .map((line, i) => (i > 0 && !line.blockStart ? lines[i - 1].y - line.y : null))
+    .filter(gap => gap !== null && gap > 0);
+  const lineSpacing = median(gaps);
+
+  let text = '';
+  lines.forEach((line, i) => {
+    if (i === 0) {
+      text = line.text;
+      return;
+    }
+    const prev = lines[i - 1];
+    const gap = prev.y - line.y;
+    const paragraphBreak = line.blockStart
+      || gap <= 0
+      || gap > (lineSpacing ? lineSpacing * PARAGRAPH_GAP : prev.fontSize * 1.8);
+
+    if (!paragraphBreak && /\p{L}[-­]$/u.test(text) && /^\p{Ll}/u.test(line.text)) {
+      text = text.slice(0, -1) + line.text;
+    } else {
+      text += (paragraphBreak ? '\n\n' : '\n') + line.text;
+    }
+  });
+  return text;
+};
+
+const normalizeEdgeLine = (text) => text.replace(/\d+/g, '#').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Removes running headers, footers and page numbers: lines near the top or
+ * bottom of a page that repeat (ignoring digits) across many pages.
+ */
+export const removeHeadersAndFooters = (pages) => {
+  const edgeLines = (lines) => [...lines.slice(0, EDGE_LINES), ...lines.slice(-EDGE_LINES)];
+
+  const counts = new Map();
+  for (const lines of pages) {
+    new Set(edgeLines(lines).map(line => normalizeEdgeLine(line.text)))
+      .forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  }
+  const minRepeats = Math.max(REPEAT_MIN_PAGES, Math.ceil(pages.length * REPEAT_MIN_SHARE));
+
+  return pages.map((lines) => {
+    const edges = new Set(edgeLines(lines));
+    return lines.filter(line => {
+      if (!edges.has(line)) return true;
+      if (PAGE_NUMBER_REGEX.test(line.text)) return false;
+      return (counts.get(normalizeEdgeLine(line.text)) || 0) < minRepeats;
+    });
+  });
+};
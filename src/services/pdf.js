@@ -0,0 +1,80 @@
+// The legacy build polyfills the canvas globals (ImageData, Path2D, ...) that
+// rendering scanned pages for OCR needs in Node.js
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { isOcrEnabled, recognizeImage } from './ocr.js';
+import { extractPdfMetadata } from './metadata.js';
+import { toItems, groupLines, findColumnSplit, orderLines, joinLines, removeHeadersAndFooters } from './pdf-layout.js';
+
+// This is required for pdfjs-dist to work in a Node.js environment
+pdfjs.GlobalWorkerOptions.workerSrc = 'pdfjs-dist/legacy/build/pdf.worker.mjs';
+
+const MIN_TEXT_LAYER_CHARS = 10;    // Pages with less text than this are treated as scanned images
+const OCR_RENDER_SCALE = 3;         // Scanned pages are rendered at 216 dpi for OCR
+
+/**
+ * Renders a page to a PNG image for OCR.
+ */
+const renderPage = async (doc, page) => {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvasAndContext = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  try {
+    await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+    return canvasAndContext.canvas.toBuffer('image/png');
+  } finally {
+    doc.canvasFactory.destroy(canvasAndContext);
+  }
+};
+
+/**
+ * Extracts the text of a PDF in reading order, handling multi-column layouts,
+ * words hyphenated across lines, and running headers and footers. Pages
+ * without a text layer (scans) are run through OCR when it is enabled.
+ * @param {Uint8Array} data The PDF bytes.
+ * @param {object} [options]
+ * @param {(stage: string, done: number, total: number) => Promise<void>} [options.onProgress] Called before each page is OCRed.
+ * @returns {Promise<{content: string, pages: Array<{page: number, start: number, end: number, ocr?: boolean, confidence?: number}>, metadata: object}>}
+ *   The text and the character offsets of each page within it. OCRed pages carry the OCR confidence (0-100).
+ *   The metadata comes from the document information dictionary and XMP packet.
+ */
+export const extractPdfText = async (data, { onProgress = async () => {} } = {}) => {
+  const doc = await pdfjs.getDocument({ data }).promise;
+
+  try {
+    const pageLines = [];
+    const pageWidths = [];
+    const scanned = new Map();
+    for (let i = 1; i <= doc.numPages; i++) {
+      const page = await doc.getPage(i);
+      const textContent = await page.getTextContent();
+      let lines = groupLines(toItems(textContent));
+
+      const textLength = lines.reduce((length, line) => length + line.text.length, 0);
+      if (textLength < MIN_TEXT_LAYER_CHARS && isOcrEnabled()) {
+        await onProgress('ocr', i - 1, doc.numPages);
+        scanned.set(i, await recognizeImage(await renderPage(doc, page)));
+        lines = [];
+      }
+
+      pageLines.push(lines);
+      pageWidths.push(page.getViewport({ scale: 1 }).width);
+      page.cleanup();
+    }
+
+    let text = '';
+    const pages = [];
+    removeHeadersAndFooters(pageLines).forEach((lines, i) => {
+      const ocr = scanned.get(i + 1);
+      const pageText = ocr ? ocr.text : joinLines(orderLines(lines, findColumnSplit(lines, pageWidths[i])));
+      const entry = { page: i + 1, start: text.length, end: text.length + pageText.length };
+      pages.push(ocr ? { ...entry, ocr: true, confidence: ocr.confidence } : entry);
+      text += pageText + '\n\n';
+    });
+
+    // Broken metadata shouldn't fail an otherwise readable PDF
+    const metadata = await doc.getMetadata().then(extractPdfMetadata, () => ({}));
+
+    return { content: text, pages, metadata };
+  } finally {
+    await doc.destroy();
+  }
+};
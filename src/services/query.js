@@ -0,0 +1,143 @@
+import { SOURCE_TYPES, parseDocumentFilters } from './filters.js';
+import { findMimeTypes } from './extractors/index.js';
+
+// Search syntax, besides plain words:
+//   "exact phrase"     the words next to each other, in this order
+//   -word, -"phrase"   documents without them
+//   a OR b             documents with either
+//   field:value        one of FIELDS; values with spaces are quoted, e.g. tag:"to read"
+// Words and phrases go to websearch_to_tsquery, fields become document filters.
+
+// Fields, and what they filter on
+const FIELDS = [
+  'title',   // Words or a phrase in the title
+  'type',    // A source type (file, url, text), or a file type by extension or extractor name (pdf, docx, image)
+  'tag',     // A tag; several must all be present
+  'lang',    // A language, e.g. "de"
+  'after',   // Added on or after a day (YYYY-MM-DD)
+  'before',  // Added on or before a day (YYYY-MM-DD)
+];
+
+// An optional minus, an optional known field, then a quoted phrase (possibly unterminated) or a word
+const TOKEN_PATTERN = new RegExp(`(-?)(?:(${FIELDS.join('|')}):)?(?:"([^"]*)("?)|([^\\s"]+))`, 'gi');
+const EMPTY_FIELD_PATTERN = new RegExp(`^(${FIELDS.join('|')}):$`, 'i');
+
+// websearch_to_tsquery reads a leading minus as NOT and a bare "or" as OR, so neither is left in words
+const toKeyword = (term) => {
+  if (term.phrase) return `"${term.text}"`;
+  return /^or$/i.test(term.text) ? `"${term.text}"` : term.text;
+};
+
+// parseDocumentFilters checks dates the same way for dateFrom
+const isDate = (value) => !parseDocumentFilters({ dateFrom: value }).error;
+
+/**
+ * Parses a search query written in the search syntax.
+ * @param {string} input The query as typed.
+ * @returns {{query: object}|{error: string}} The parsed query, or an error for a 400 response.
+ *   The query has `text` (its words and phrases, to embed), `keywords` (for websearch_to_tsquery),
+ *   `title` and `exclude` (for websearch_to_tsquery, or null) and `filters` (as returned by parseDocumentFilters).
+ */
+export const parseSearchQuery = (input) => {
+  const terms = [];           // Words, phrases and ORs, in order
+  const titleTerms = [];
+  const excluded = [];
+  const fields = { tags: [], mimeTypes: [], sourceTypes: [], languages: [], dateFrom: null, dateTo: null };
+
+  for (const match of String(input ?? '').matchAll(TOKEN_PATTERN)) {
+    const [token, minus, field, phrase, closingQuote, word] = match;
+    const position = match.index + 1;
+
+    if (phrase !== undefined && !closingQuote) {
+      return { error: `Missing closing quote for the phrase at character ${position}` };
+    }
+    if (word && EMPTY_FIELD_PATTERN.test(word)) {
+      return { error: `Missing value after "${word}" at character ${position}` };
+    }
+
+    const text = phrase !== undefined ? phrase.trim() : word.replace(/^-+/, '');
+    if (!text) {
+      if (field) return { error: `Missing value after "${field}:" at character ${position}` };
+      continue;
+    }
+    const term = { text, phrase: phrase !== undefined };
+
+    if (!field) {
+      if (minus) {
+        excluded.push(term);
+      } else if (word === 'OR') {
+        terms.push({ or: true, position });
+      } else {
+        terms.push(term);
+      }
+      continue;
+    }
+
+    if (minus) {
+      return { error: `Field filters can't be excluded: "${token}" at character ${position}` };
+    }
+    const name = field.toLowerCase();
+    const value = text.toLowerCase();
+    switch (name) {
+      case 'title':
+        titleTerms.push(term);
+        break;
+      case 'type': {
+        if (SOURCE_TYPES.includes(value)) {
+          fields.sourceTypes.push(value);
+          break;
+        }
+        const mimeTypes = findMimeTypes(value);
+        if (mimeTypes.length === 0) {
+          return { error: `Unknown type "${text}" at character ${position}; use ${SOURCE_TYPES.join(', ')} or a file type such as pdf` };
+        }
+        fields.mimeTypes.push(...mimeTypes);
+        break;
+      }
+      case 'tag':
+        fields.tags.push(text);
+        break;
+      case 'lang':
+        fields.languages.push(value);
+        break;
+      case 'after':
+      case 'before': {
+        if (!isDate(text)) {
+          return { error: `"${name}:" must be followed by a date (YYYY-MM-DD) at character ${position}` };
+        }
+        // Repeated dates narrow the range
+        if (name === 'after') {
+          fields.dateFrom = fields.dateFrom && fields.dateFrom > text ? fields.dateFrom : text;
+        } else {
+          fields.dateTo = fields.dateTo && fields.dateTo < text ? fields.dateTo : text;
+        }
+        break;
+      }
+    }
+  }
+
+  const misplacedOr = terms.find((term, i) => term.or && (i === 0 || i === terms.length - 1 || terms[i - 1].or));
+  if (misplacedOr) {
+    return { error: `OR must be between two words or phrases, at character ${misplacedOr.position}` };
+  }
+  if (fields.dateFrom && fields.dateTo && fields.dateFrom > fields.dateTo) {
+    return { error: '"after:" must not be later than "before:"' };
+  }
+
+  // A query of title words only searches by them
+  const words = terms.filter(term => !term.or);
+  const searched = words.length > 0 ? terms : titleTerms;
+  if (searched.length === 0) {
+    return { error: 'The query has no words to search for; exclusions and filters only narrow a search' };
+  }
+
+  return {
+    query: {
+      text: searched.filter(term => !term.or).map(term => term.text).join(' '),
+      keywords: searched.map(term => (term.or ? 'or' : toKeyword(term))).join(' '),
+      title: titleTerms.length > 0 ? titleTerms.map(toKeyword).join(' ') : null,
+      exclude: excluded.length > 0 ? excluded.map(toKeyword).join(' or ') : null,
+      filters: parseDocumentFilters(fields).filters,
+    },
+  };
+};
@@ -0,0 +1,297 @@
+import pgvector from 'pgvector/pg';
+import pool, { withTransaction } from '../db/index.js';
+import config from '../config/index.js';
+import logger from '../logger.js';
+import { chunkText } from './chunker.js';
+import { embedChunks, averageEmbedding } from './chunks.js';
+import { createEmbeddingProvider, getEmbeddingProvider, activateEmbeddingProvider } from './embeddings/index.js';
+import { getModelPricing } from './usage.js';
+import { ensureVectorIndex, dropStaleVectorIndexes } from './ann.js';
+import { registerJobHandler, enqueueJob } from './jobs.js';
+
+export const REEMBED_JOB = 'reembed';
+
+const CHARS_PER_TOKEN = 4;            // Rough average for English text, used for estimates and rate limiting
+const DOCUMENT_BATCH_SIZE = 50;       // Documents loaded per query
+const JOB_DOCUMENT_LIMIT = 25;        // Documents staged per job before handing the worker back to other jobs
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Documents whose vectors are neither from the target model ($1) nor staged for
+// it. A staged document counts as pending again if its content changed since.
+const PENDING_DOCUMENTS = `
+  FROM documents d
+  JOIN document_contents c ON c.document_id = d.id
+  LEFT JOIN reembed_documents r
+    ON r.document_id = d.id AND r.embedding_model = $1 AND r.content_updated_at = c.updated_at
+  WHERE c.content <> ''
+    AND d.embedding_model IS DISTINCT FROM $1
+    AND r.document_id IS NULL
+`;
+
+const recentUsage = []; // Tokens sent in the last minute, as { time, tokens }
+
+/**
+ * Waits until sending `tokens` more keeps the last minute under the limit.
+ * A single request over the limit is let through once the window is empty.
+ * @param {number} tokens The tokens about to be sent.
+ * @param {number} tokensPerMinute The limit.
+ */
+export const throttle = async (tokens, tokensPerMinute) => {
+  for (;;) {
+    const now = Date.now();
+    while (recentUsage.length > 0 && now - recentUsage[0].time >= RATE_WINDOW_MS) {
+      recentUsage.shift();
+    }
+    const used = recentUsage.reduce((sum, entry) => sum + entry.tokens, 0);
+    if (recentUsage.length === 0 || used + tokens <= tokensPerMinute) {
+      recentUsage.push({ time: now, tokens });
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, RATE_WINDOW_MS - (now - recentUsage[0].time)));
+  }
+};
+
+/**
+ * Creates the provider to re-embed with: the EMBEDDING_* settings, optionally
+ * overridden. Naming another provider drops the configured model.
+ * @param {object} [overrides]
+ * @param {string} [overrides.provider]
+ * @param {string} [overrides.model]
+ * @param {number} [overrides.dimensions]
+ * @returns {object} The target provider.
+ */
+export const getReembedTarget = ({ provider, model, dimensions } = {}) => createEmbeddingProvider({
+  ...config.embedding,
+  ...(provider ? { provider, model: undefined, dimensions: undefined } : {}),
+  ...(model ? { model } : {}),
+  ...(dimensions ? { dimensions: Number(dimensions) } : {}),
+});
+
+/**
+ * Estimates the work left to move every document to the target model.
+ * Documents are chunked exactly as they will be embedded, so the token count
+ * is close; the cost uses the pricing table (local models are free).
+ * @param {object} target The target provider.
+ * @returns {Promise<{activeModel: string, targetModel: string, stagedDocuments: number, remainingDocuments: number,
+ *   estimatedTokens: number, estimatedCost: number}>}
+ */
+export const estimateReembedding = async (target) => {
+  const active = await getEmbeddingProvider();
+
+  let remainingDocuments = 0;
+  let characters = 0;
+  let lastId = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT d.id, c.content, c.page_offsets ${PENDING_DOCUMENTS} AND d.id > $2 ORDER BY d.id LIMIT $3`,
+      [target.id, lastId, DOCUMENT_BATCH_SIZE]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      remainingDocuments++;
+      characters += chunkText(row.content, { pages: row.page_offsets, chunkSize: target.chunkSize })
+        .reduce((sum, chunk) => sum + chunk.content.length, 0);
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  const { rows: [staged] } = await pool.query(
+    `SELECT COUNT(*)::int AS count
+     FROM reembed_documents r
+     JOIN document_contents c ON c.document_id = r.document_id AND c.updated_at = r.content_updated_at
+     WHERE r.embedding_model = $1`,
+    [target.id]
+  );
+
+  const estimatedTokens = Math.ceil(characters / CHARS_PER_TOKEN);
+  return {
+    activeModel: active.id,
+    targetModel: target.id,
+    stagedDocuments: staged.count,
+    remainingDocuments,
+    estimatedTokens,
+    estimatedCost: Number(((estimatedTokens / 1000) * (getModelPricing(target.name, target.model)?.input || 0)).toFixed(4)),
+  };
+};
+
+/**
+ * Re-chunks and embeds one document with the target model into the staging tables.
+ */
+const stageDocument = async (target, document) => {
+  const chunks = await embedChunks(document.content, { pages: document.page_offsets, provider: target });
+  if (!chunks) {
+    throw new Error(`Failed to embed document ${document.id}`);
+  }
+
+  const embedding = averageEmbedding(chunks);
+  await withTransaction(async (client) => {
+    await client.query('DELETE FROM reembed_documents WHERE document_id = $1', [document.id]);
+    await client.query(
+      `INSERT INTO reembed_documents (document_id, embedding_model, embedding, content_updated_at)
+       VALUES ($1, $2, $3, $4::timestamptz)`,
+      [document.id, target.id, embedding ? pgvector.toSql(embedding) : null, document.content_version]
+    );
+    for (const chunk of chunks) {
+      await client.query(
+        `INSERT INTO reembed_chunks (document_id, chunk_index, content, page_number, heading, start_offset, end_offset, embedding)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          document.id,
+          chunk.index,
+          chunk.content,
+          chunk.pageNumber,
+          chunk.heading,
+          chunk.startOffset,
+          chunk.endOffset,
+          pgvector.toSql(chunk.embedding),
+        ]
+      );
+    }
+  });
+};
+
+/**
+ * Embeds pending documents with the target model, staging the results. Staged
+ * documents are skipped on the next run, so an interrupted run resumes where
+ * it stopped. Live vectors are untouched until `cutOverEmbeddings`.
+ * @param {object} target The target provider.
+ * @param {object} [options]
+ * @param {number} [options.limit] Stop after this many documents.
+ * @param {number} [options.tokensPerMinute] Rate limit for embedding requests.
+ * @param {(done: number) => Promise<void>} [options.onProgress] Called after each document.
+ * @returns {Promise<{staged: number, remaining: number}>} Documents staged now, and still pending.
+ */
+export const stageDocuments = async (target, {
+  limit = Infinity,
+  tokensPerMinute = config.embedding.reembedTokensPerMinute,
+  onProgress = async () => {},
+} = {}) => {
+  let staged = 0;
+  while (staged < limit) {
+    const { rows } = await pool.query(
+      `SELECT d.id, c.content, c.page_offsets, c.updated_at::text AS content_version
+       ${PENDING_DOCUMENTS}
+       ORDER BY d.id
+       LIMIT $2`,
+      [target.id, Math.min(DOCUMENT_BATCH_SIZE, limit - staged)]
+    );
+    if (rows.length === 0) break;
+
+    for (const document of rows) {
+      await throttle(Math.ceil(document.content.length / CHARS_PER_TOKEN), tokensPerMinute);
+      await stageDocument(target, document);
+      staged++;
+      await onProgress(staged);
+    }
+  }
+
+  const { rows: [pending] } = await pool.query(`SELECT COUNT(*)::int AS count ${PENDING_DOCUMENTS}`, [target.id]);
+  return { staged, remaining: pending.count };
+};
+
+class DocumentsPendingError extends Error {}
+
+/**
+ * Swaps the staged chunks and vectors in and makes the target the active
+ * model, all in one transaction: searches see either the old model or the
+ * new one, never a mix. Does nothing if documents were added or changed since
+ * staging; stage them and try again.
+ * @param {object} target The target provider.
+ * @returns {Promise<{documents: number}|null>} The documents switched, or null if some are still pending.
+ */
+export const cutOverEmbeddings = async (target) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      // Updating the setting first waits for ingests writing vectors (they hold it FOR SHARE)
+      // and makes new ones wait, then the tables are locked against writes; reads go on.
+      await activateEmbeddingProvider(client, target);
+      await client.query('LOCK TABLE document_contents, document_chunks IN EXCLUSIVE MODE');
+
+      const { rows: [pending] } = await client.query(`SELECT COUNT(*)::int AS count ${PENDING_DOCUMENTS}`, [target.id]);
+      if (pending.count > 0) {
+        throw new DocumentsPendingError();
+      }
+
+      await client.query(
+        'DELETE FROM document_chunks WHERE document_id IN (SELECT document_id FROM reembed_documents WHERE embedding_model = $1)',
+        [target.id]
+      );
+      await client.query(
+        `INSERT INTO document_chunks (document_id, chunk_index, content, page_number, heading, start_offset, end_offset, embedding, embedding_model)
+         SELECT rc.document_id, rc.chunk_index, rc.content, rc.page_number, rc.heading, rc.start_offset, rc.end_offset, rc.embedding, r.embedding_model
+         FROM reembed_chunks rc
+         JOIN reembed_documents r ON r.document_id = rc.document_id
+         WHERE r.embedding_model = $1`,
+        [target.id]
+      );
+      const { rowCount } = await client.query(
+        `UPDATE documents d
+         SET embedding = r.embedding, embedding_model = CASE WHEN r.embedding IS NULL THEN NULL ELSE r.embedding_model END
+         FROM reembed_documents r
+         WHERE r.document_id = d.id AND r.embedding_model = $1`,
+        [target.id]
+      );
+
+      // Anything still from another model (e.g. documents without content) can't be compared any more
+      await client.query('DELETE FROM document_chunks WHERE embedding_model IS DISTINCT FROM $1', [target.id]);
+      await client.query(
+        'UPDATE documents SET embedding = NULL, embedding_model = NULL WHERE embedding_model IS DISTINCT FROM $1 AND embedding_model IS NOT NULL',
+        [target.id]
+      );
+      await client.query('DELETE FROM reembed_documents');
+
+      logger.info(`Switched ${rowCount} document(s) to embedding model ${target.id}.`);
+      return { documents: rowCount };
+    });
+    // Built after the switch, so the tables aren't locked against writes while it builds
+    await ensureVectorIndex(pool, target.id);
+    await dropStaleVectorIndexes(pool, target.id);
+    return result;
+  } catch (error) {
+    if (error instanceof DocumentsPendingError) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Finds a queued or running re-embedding job, so only one runs at a time.
+ * @returns {Promise<object|null>} The job row, or null.
+ */
+export const findActiveReembedJob = async () => {
+  const { rows } = await pool.query(
+    `SELECT id, status, progress, stage, payload, created_at
+     FROM jobs
+     WHERE type = $1 AND status IN ('queued', 'running')
+     ORDER BY id
+     LIMIT 1`,
+    [REEMBED_JOB]
+  );
+  return rows[0] || null;
+};
+
+// Each job stages a slice of the documents and queues the next one, so uploads
+// queued meanwhile get their turn. The last job cuts over.
+registerJobHandler(REEMBED_JOB, async (job, { progress }) => {
+  const { target: spec, tokensPerMinute } = job.payload;
+  const target = createEmbeddingProvider({ ...spec, modelPath: config.embedding.modelPath });
+
+  const { staged, remaining } = await stageDocuments(target, {
+    limit: JOB_DOCUMENT_LIMIT,
+    tokensPerMinute,
+    onProgress: (done) => progress(Math.round((90 * done) / JOB_DOCUMENT_LIMIT), 'embedding'),
+  });
+
+  if (remaining === 0) {
+    await progress(95, 'cutting over');
+    const result = await cutOverEmbeddings(target);
+    if (result) {
+      return { staged, remaining, activeModel: target.id, documents: result.documents };
+    }
+  }
+
+  const next = await enqueueJob(pool, REEMBED_JOB, job.payload);
+  return { staged, remaining, nextJobId: next.id };
+});
@@ -0,0 +1,216 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import pgvector from 'pgvector/pg';
+import pool from '../db/index.js';
+import config from '../config/index.js';
+import logger from '../logger.js';
+import { getEmbedding, getEmbeddingProvider } from './embeddings/index.js';
+import { parseDocumentFilters } from './filters.js';
+import { SUPPORTED_LANGUAGES, findTextSearchConfig } from './language.js';
+import { parseSearchQuery } from './query.js';
+import { matchDocument } from './search.js';
+import { registerJobHandler, enqueueJob, PermanentJobError } from './jobs.js';
+
+export const CHECK_SAVED_SEARCHES_JOB = 'check_saved_searches';
+export const SAVED_SEARCH_WEBHOOK_JOB = 'saved_search_webhook';
+
+const WEBHOOK_TIMEOUT = 10000;  // Milliseconds the webhook has to answer
+
+/**
+ * Validates a saved search sent to the API.
+ * @param {object} body
+ * @param {string} body.name
+ * @param {string} body.query In the search syntax (see services/query.js).
+ * @param {object} [body.filters] The filter fields of POST /documents/search.
+ * @param {string} [body.queryLanguage] As in POST /documents/search.
+ * @param {number|null} [body.similarityThreshold] Similarity (0-1) from which new documents match
+ *   by meaning; null for SAVED_SEARCH_SIMILARITY.
+ * @param {boolean} [body.alertsEnabled] Whether new documents are checked against the search.
+ * @returns {{values: object}|{error: string}} The values to store, or an error for a 400 response.
+ */
+export const validateSavedSearch = ({
+  name, query, filters = {}, queryLanguage = null, similarityThreshold = null, alertsEnabled = true,
+} = {}) => {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > 255) {
+    return { error: 'name is required and must be at most 255 characters' };
+  }
+  if (typeof query !== 'string' || !query.trim()) {
+    return { error: 'query is required' };
+  }
+  const { error: queryError } = parseSearchQuery(query);
+  if (queryError) {
+    return { error: queryError };
+  }
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'filters must be an object' };
+  }
+  const { filters: parsedFilters, error: filterError } = parseDocumentFilters(filters);
+  if (filterError) {
+    return { error: filterError };
+  }
+  if (queryLanguage && !findTextSearchConfig(queryLanguage)) {
+    return { error: `queryLanguage must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` };
+  }
+  if (similarityThreshold !== null
+    && !(typeof similarityThreshold === 'number' && similarityThreshold >= 0 && similarityThreshold <= 1)) {
+    return { error: 'similarityThreshold must be a number between 0 and 1, or null' };
+  }
+  if (typeof alertsEnabled !== 'boolean') {
+    return { error: 'alertsEnabled must be a boolean' };
+  }
+
+  return {
+    values: {
+      name: trimmedName,
+      query: query.trim(),
+      filters: parsedFilters,
+      queryLanguage: queryLanguage || null,
+      similarityThreshold,
+      alertsEnabled,
+    },
+  };
+};
+
+/**
+ * Returns the embedding of a saved search's query for a model, computing and
+ * storing it the first time and after switching models.
+ * @returns {Promise<number[]>}
+ */
+const getSearchEmbedding = async (search, query, provider) => {
+  if (search.embedding && search.embedding_model === provider.id) {
+    return search.embedding;
+  }
+  const embedding = await getEmbedding(query.text, provider);
+  if (!embedding) {
+    throw new Error(`Failed to generate embedding for saved search ${search.id}`);
+  }
+  await pool.query(
+    'UPDATE saved_searches SET embedding = $1, embedding_model = $2 WHERE id = $3',
+    [pgvector.toSql(embedding), provider.id, search.id]
+  );
+  return embedding;
+};
+
+/**
+ * Checks a new document against every saved search with alerts on. It matches a
+ * search if it passes its filters and matches its keywords, or if its nearest chunk
+ * is at least as similar to the query as the search's threshold. Each match is
+ * recorded once, and queued for the webhook if SAVED_SEARCH_WEBHOOK_URL is set.
+ * @param {number} documentId
+ * @returns {Promise<{matches: number}>} The number of new matches.
+ */
+export const checkSavedSearches = async (documentId) => {
+  const { rows: searches } = await pool.query('SELECT * FROM saved_searches WHERE alerts_enabled ORDER BY id');
+  if (searches.length === 0) {
+    return { matches: 0 };
+  }
+
+  const provider = await getEmbeddingProvider();
+  let matches = 0;
+  for (const search of searches) {
+    // Searches are validated when saved, but the syntax may have changed since
+    const { query, error } = parseSearchQuery(search.query);
+    const { filters, error: filterError } = parseDocumentFilters(search.filters);
+    if (error || filterError) {
+      logger.warn(`Skipping saved search ${search.id}: ${error || filterError}`);
+      continue;
+    }
+
+    const match = await matchDocument(documentId, {
+      query,
+      embedding: await getSearchEmbedding(search, query, provider),
+      embeddingModel: provider.id,
+      filters,
+      textSearchConfig: findTextSearchConfig(search.query_language),
+    });
+    if (!match) {
+      continue;
+    }
+    const threshold = search.similarity_threshold ?? config.savedSearches.similarityThreshold;
+    const matchType = match.keyword_match ? 'keyword' : match.similarity >= threshold ? 'semantic' : null;
+    if (!matchType) {
+      continue;
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO saved_search_matches (saved_search_id, document_id, match_type, similarity)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (saved_search_id, document_id) DO NOTHING
+       RETURNING id`,
+      [search.id, documentId, matchType, match.similarity]
+    );
+    if (rows.length > 0) {
+      matches++;
+      if (config.savedSearches.webhookUrl) {
+        await enqueueJob(pool, SAVED_SEARCH_WEBHOOK_JOB, { matchId: rows[0].id }, { documentId });
+      }
+    }
+  }
+  return { matches };
+};
+
+/**
+ * Queues the check of a new document against the saved searches, if any has alerts on.
+ * @param {import('pg').PoolClient} client The transaction that marks the document ready.
+ * @param {number} documentId
+ */
+export const enqueueSavedSearchCheck = async (client, documentId) => {
+  const { rows } = await client.query('SELECT EXISTS (SELECT 1 FROM saved_searches WHERE alerts_enabled) as enabled');
+  if (rows[0].enabled) {
+    await enqueueJob(client, CHECK_SAVED_SEARCHES_JOB, {}, { documentId });
+  }
+};
+
+/**
+ * Posts a match to the webhook. The body is signed with SAVED_SEARCH_WEBHOOK_SECRET, if set,
+ * in an X-Signature-256 header ("sha256=" and the hex HMAC-SHA256 of the body).
+ * @param {number} matchId
+ * @returns {Promise<{status: number}>} The webhook's HTTP status.
+ */
+const deliverWebhook = async (matchId) => {
+  const { webhookUrl, webhookSecret } = config.savedSearches;
+  if (!webhookUrl) {
+    throw new PermanentJobError('SAVED_SEARCH_WEBHOOK_URL is not set.');
+  }
+  const { rows: [match] } = await pool.query(
+    `SELECT m.id, m.match_type, m.similarity, m.created_at,
+            s.id as saved_search_id, s.name, s.query,
+            d.id as document_id, d.title, d.source_url, d.mime_type
+     FROM saved_search_matches m
+     JOIN saved_searches s ON s.id = m.saved_search_id
+     JOIN documents d ON d.id = m.document_id
+     WHERE m.id = $1`,
+    [matchId]
+  );
+  if (!match) {
+    throw new PermanentJobError(`Match ${matchId} no longer exists.`);
+  }
+
+  const body = JSON.stringify({
+    event: 'saved_search.match',
+    match: { id: match.id, match_type: match.match_type, similarity: match.similarity, created_at: match.created_at },
+    saved_search: { id: match.saved_search_id, name: match.name, query: match.query },
+    document: { id: match.document_id, title: match.title, source_url: match.source_url, mime_type: match.mime_type },
+  });
+  const headers = { 'Content-Type': 'application/json' };
+  if (webhookSecret) {
+    headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')}`;
+  }
+
+  try {
+    const response = await axios.post(webhookUrl, body, { headers, timeout: WEBHOOK_TIMEOUT });
+    return { status: response.status };
+  } catch (error) {
+    // Client errors won't go away by retrying, except timeouts and rate limits
+    const status = error.response?.status;
+    if (status >= 400 && status < 500 && ![408, 429].includes(status)) {
+      throw new PermanentJobError(`The webhook answered ${status}.`);
+    }
+    throw error;
+  }
+};
+
+registerJobHandler(CHECK_SAVED_SEARCHES_JOB, async (job) => checkSavedSearches(job.document_id));
+
+registerJobHandler(SAVED_SEARCH_WEBHOOK_JOB, async (job) => deliverWebhook(job.payload.matchId));
@@ -1,59 +1,22 @@
 import { chromium } from 'playwright';
-import TurndownService from 'turndown';
 import logger from '../logger.js';
 import axios from 'axios';
-import * as pdfjs from 'pdfjs-dist';
-
-// This is required for pdfjs-dist to work in a Node.js environment
-pdfjs.GlobalWorkerOptions.workerSrc = 'pdfjs-dist/build/pdf.worker.mjs';
+import { htmlToMarkdown } from './html.js';
+import { extractPdfText } from './pdf.js';
+import { extractHtmlMetadata } from './metadata.js';
 
 /**
  * Scrapes the text content from a PDF URL.
  * @param {string} url The URL of the PDF.
- * @returns {Promise<{title: string, content: string, mimeType: string}>}
+ * @returns {Promise<{title: string, content: string, pages?: Array<{page: number, start: number, end: number}>, metadata?: object, mimeType: string}>}
  */
 const scrapePdf = async (url) => {
   try {
     const response = await axios.get(url, { responseType: 'arraybuffer' });
-    const uint8array = new Uint8Array(response.data);
-    const doc = await pdfjs.getDocument(uint8array).promise;
-    let text = '';
-    
-    for (let i = 1; i <= doc.numPages; i++) {
-      const page = await doc.getPage(i);
-      const content = await page.getTextContent();
-      
-      let lastY;
-      let pageText = '';
-      
-      for (const item of content.items) {
-        const currentY = item.transform[5];
-        
-        if (lastY !== undefined) {
-          const yDiff = Math.abs(currentY - lastY);
-          if (yDiff > 5) {
-            // New line detected
-            pageText += '\n';
-            // If the gap is large, treat it as a paragraph break
-            if (yDiff > 15) {
-              pageText += '\n';
-            }
-          } else {
-            // Same line, add a space if the item doesn't already start with one
-            if (pageText.length > 0 && !pageText.endsWith(' ') && !item.str.startsWith(' ')) {
-              pageText += ' ';
-            }
-          }
-        }
-        
-        pageText += item.str;
-        lastY = currentY;
-      }
-      text += pageText + '\n\n--- Page ' + i + ' ---\n\n';
-    }
-    
-    const title = url.split('/').pop();
-    return { title, content: text.trim(), mimeType: 'application/pdf' };
+    const { content, pages, metadata } = await extractPdfText(new Uint8Array(response.data));
+
+    const title = metadata.title || url.split('/').pop();
+    return { title, content, pages, metadata, mimeType: 'application/pdf' };
   } catch (error) {
     logger.error(`Error scraping PDF ${url}:`, error);
     // Fallback to returning empty content if PDF scraping fails
@@ -65,7 +28,8 @@ const scrapePdf = async (url) => {
 /**
  * Scrapes the text content and title from a given URL using Playwright.
  * @param {string} url The URL to scrape.
- * @returns {Promise<{title: string, content: string, mimeType: string} | null>} An object containing the title, content, and mime type, or null if scraping fails.
+ * @returns {Promise<{title: string, content: string, metadata?: object, mimeType: string} | null>} An object containing the title,
+ *   content, metadata and mime type, or null if scraping fails.
  */
 export const scrapeUrl = async (url) => {
   let browser = null;
@@ -105,7 +69,10 @@ export const scrapeUrl = async (url) => {
     }
 
     const pageTitle = await page.title();
-    
+
+    // Read the metadata first: JSON-LD lives in script tags
+    const metadata = extractHtmlMetadata(await page.content());
+
     // Remove script, style, and other common non-content elements
     await page.evaluate(() => {
       document.querySelectorAll('script, style, nav, footer, header, aside, form, noscript').forEach(el => el.remove());
@@ -122,10 +89,9 @@ export const scrapeUrl = async (url) => {
       return document.body.innerHTML;
     });
     
-    const turndownService = new TurndownService({ headingStyle: 'atx' });
-    const content = turndownService.turndown(mainContentHtml || '');
+    const content = htmlToMarkdown(mainContentHtml);
 
-    return { title: pageTitle, content, mimeType };
+    return { title: metadata.title || pageTitle, content, metadata, mimeType };
   } catch (error) {
     logger.error(`Error scraping URL ${url}:`, error);
     return null;
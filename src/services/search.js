@@ -0,0 +1,382 @@
+import pool, { withTransaction } from '../db/index.js';
+import pgvector from 'pgvector/pg';
+import config from '../config/index.js';
+import { buildDocumentFilters, SOURCE_TYPE_SQL, LANGUAGE_SQL } from './filters.js';
+import { vectorExpression, configureVectorSearch } from './ann.js';
+import { TEXT_SEARCH_CONFIGS } from './language.js';
+
+// Orders of search results, the first being the default
+export const SORT_OPTIONS = {
+  relevance: 'score DESC, id',
+  newest: 'created_at DESC, id DESC',
+  oldest: 'created_at, id',
+  title: 'lower(title), id',
+};
+
+const NEAREST_CHUNKS = 200;       // Chunks nearest to the query considered by the semantic side...
+const SEMANTIC_DOCUMENTS = 50;    // ...and the documents it keeps from them
+const FACET_SIZE = 20;            // Values returned per facet, most frequent first
+const NEAR_DUPLICATE_DISTANCE = 0.02;  // Documents closer than this to a document are copies of it, not related
+
+// ts_headline marks matches and separates passages with these, as they don't occur in text
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+const FRAGMENT_DELIMITER = '\uE002';
+const HEADLINE_OPTIONS = [
+  `StartSel=${HIGHLIGHT_START}`,
+  `StopSel=${HIGHLIGHT_END}`,
+  `FragmentDelimiter=${FRAGMENT_DELIMITER}`,
+  'MaxFragments=2',               // Keyword passages per result
+  'MaxWords=35',
+  'MinWords=15',
+].join(', ');
+
+// The page containing a character offset, from a document's page map
+const pageAt = (pageOffsets, offset) => (pageOffsets || []).find(({ start, end }) => offset >= start && offset < end)?.page ?? null;
+
+/**
+ * Finds the passages ts_headline picked in a document, with their position in its content.
+ * A passage's text can occur more than once; the occurrence within the nearest chunk is
+ * preferred, then the first one after the previous passage (ts_headline lists them in order).
+ * @param {string} content The document's full text.
+ * @param {string} headline ts_headline output using HEADLINE_OPTIONS.
+ * @param {Array} [pageOffsets] The document's page map.
+ * @param {{start_offset: number, end_offset: number}} [chunk] The chunk nearest to the query, if any.
+ * @returns {object[]} Keyword snippets; passages that can't be located are left out.
+ */
+const locateHeadline = (content, headline, pageOffsets, chunk) => {
+  const snippets = [];
+  let from = 0;
+  for (const fragment of headline.split(FRAGMENT_DELIMITER)) {
+    let text = '';
+    const highlights = [];
+    for (const char of fragment) {
+      if (char === HIGHLIGHT_START) {
+        highlights.push({ start: text.length, end: text.length });
+      } else if (char === HIGHLIGHT_END) {
+        highlights[highlights.length - 1].end = text.length;
+      } else {
+        text += char;
+      }
+    }
+
+    if (highlights.length === 0 || !text.trim()) continue;
+    let start = chunk ? content.indexOf(text, chunk.start_offset) : -1;
+    if (start === -1 || start >= chunk.end_offset) {
+      start = content.indexOf(text, from);
+    }
+    if (start === -1) {
+      start = content.indexOf(text);
+    }
+    if (start === -1) continue;
+    from = start + text.length;
+    snippets.push({
+      type: 'keyword',
+      text,
+      start,
+      end: start + text.length,
+      page_number: pageAt(pageOffsets, start),
+      highlights: highlights.map(highlight => ({ start: start + highlight.start, end: start + highlight.end })),
+    });
+  }
+  return snippets;
+};
+
+/**
+ * Adds to each search result the passages that made it match: the highlighted keyword
+ * passages from ts_headline and the chunk nearest to the query. Offsets are character
+ * offsets into the document's content.
+ * @param {object[]} results Results of the search, with their chunk_id and keyword_match.
+ * @param {string} keywords The query's keywords, for websearch_to_tsquery.
+ * @param {string|null} textSearchConfig The configuration the query is parsed with, or null for each document's own.
+ * @returns {Promise<object[]>} The results with `snippets`, without chunk_id and keyword_match.
+ */
+const addSnippets = async (results, keywords, textSearchConfig) => {
+  const keywordIds = results.filter(result => result.keyword_match).map(result => result.id);
+  const chunkIds = results.map(result => result.chunk_id).filter(Boolean);
+
+  const [headlines, chunks] = await Promise.all([
+    keywordIds.length === 0 ? { rows: [] } : pool.query(
+      `SELECT document_id, content, page_offsets,
+              ts_headline(COALESCE($4::regconfig, text_search_config), content,
+                          websearch_to_tsquery(COALESCE($4::regconfig, text_search_config), $1), $2) as headline
+       FROM document_contents
+       WHERE document_id = ANY($3::int[])`,
+      [keywords, HEADLINE_OPTIONS, keywordIds, textSearchConfig]
+    ),
+    chunkIds.length === 0 ? { rows: [] } : pool.query(
+      'SELECT id, content, start_offset, end_offset, page_number FROM document_chunks WHERE id = ANY($1::int[])',
+      [chunkIds]
+    ),
+  ]);
+
+  return results.map(({ chunk_id: chunkId, keyword_match: keywordMatch, ...result }) => {
+    // Documents matching by title only have no passage to show
+    const chunk = chunks.rows.find(row => row.id === chunkId);
+    const headline = keywordMatch && headlines.rows.find(row => row.document_id === result.id);
+    const snippets = headline?.headline ? locateHeadline(headline.content, headline.headline, headline.page_offsets, chunk) : [];
+
+    // The nearest chunk usually contains the keyword passages; it's only added when it doesn't
+    if (chunk && !snippets.some(snippet => snippet.start < chunk.end_offset && snippet.end > chunk.start_offset)) {
+      snippets.push({
+        type: 'semantic',
+        text: chunk.content,
+        start: chunk.start_offset,
+        end: chunk.end_offset,
+        page_number: chunk.page_number,
+        highlights: [],
+      });
+    }
+    return { ...result, snippets };
+  });
+};
+
+/**
+ * Builds the SQL conditions restricting documents (aliased "d") to the filters and to the
+ * query's title words, exclusions and field filters.
+ * @param {object} query As returned by parseSearchQuery.
+ * @param {object} filters As returned by parseDocumentFilters.
+ * @param {Array} params The query's parameters; the values are appended.
+ * @param {string} configParam The parameter holding the query's text search configuration, or NULL for each document's own.
+ * @returns {string[]} Conditions to combine with AND.
+ */
+const buildQueryConditions = (query, filters, params, configParam) => {
+  const conditions = [...buildDocumentFilters(filters, params), ...buildDocumentFilters(query.filters, params)];
+
+  // Each document is matched with its own configuration, so these can't use the indexes
+  const documentQuery = (value) => {
+    params.push(value);
+    return `websearch_to_tsquery(COALESCE(${configParam}, d.text_search_config), $${params.length})`;
+  };
+  if (query.title) {
+    conditions.push(`d.title_vector @@ ${documentQuery(query.title)}`);
+  }
+  if (query.exclude) {
+    const excluded = documentQuery(query.exclude);
+    conditions.push(`NOT (d.title_vector @@ ${excluded}
+      OR EXISTS (SELECT 1 FROM document_contents dc WHERE dc.document_id = d.id AND dc.search_vector @@ ${excluded}))`);
+  }
+  return conditions;
+};
+
+/**
+ * Searches documents by meaning and keywords, fusing both rankings with Reciprocal Rank Fusion
+ * weighted by the SEARCH_* settings. The semantic side contributes the documents whose chunks
+ * are nearest to the query, the keyword side every document matching it. Filters apply before ranking.
+ * Keywords are matched with the text search configuration of each document's language, unless
+ * one is given for the query. Title words, exclusions and field filters in the query apply like filters.
+ * @param {object} search
+ * @param {object} search.query As returned by parseSearchQuery.
+ * @param {number[]} search.embedding The query's embedding.
+ * @param {string} search.embeddingModel Only vectors from this model are compared.
+ * @param {object} search.filters As returned by parseDocumentFilters.
+ * @param {string|null} [search.textSearchConfig] The configuration to parse the query with, for every document.
+ * @param {string} [search.sort] A key of SORT_OPTIONS.
+ * @param {number} [search.limit]
+ * @param {number} [search.offset]
+ * @returns {Promise<{results: object[], total: number, facets: object}>} One page of results with
+ *   their snippets, the number of matching documents, and for each facet its values with their number of matches.
+ */
+export const searchDocuments = async ({
+  query, embedding, embeddingModel, filters, textSearchConfig = null, sort = 'relevance', limit = 10, offset = 0,
+}) => {
+  const { rrfK, semanticWeight, keywordWeight, minSimilarity } = config.search;
+  const params = [
+    pgvector.toSql(embedding), query.keywords, limit, offset, embeddingModel, rrfK, semanticWeight, keywordWeight,
+    textSearchConfig, textSearchConfig ? [textSearchConfig] : TEXT_SEARCH_CONFIGS, minSimilarity,
+  ];
+  const vector = vectorExpression(embedding.length);
+  const conditions = buildQueryConditions(query, filters, params, '$9::regconfig');
+  const filterSql = conditions.map(condition => `AND ${condition}`).join(' ');
+
+  // The semantic side ranks documents by their best-matching chunk, whose page is cited.
+  // Ordering by the indexed expression lets the model's ANN index serve it. Nearest neighbours
+  // always exist, so ones below the minimum similarity are dropped rather than counted as matches.
+  // The keyword side matches titles and texts on their indexed search vectors, titles counting more.
+  // The query is parsed once per configuration, each document being matched with its own.
+  // A branch whose weight is 0 is skipped.
+  const sql = `
+    WITH nearest_chunks AS (
+        SELECT id, document_id, page_number, ${vector} <=> $1 as distance
+        FROM document_chunks
+        WHERE embedding_model = $5 AND $7::float > 0
+        ${conditions.length ? `AND document_id IN (SELECT d.id FROM documents d WHERE TRUE ${filterSql})` : ''}
+        ORDER BY ${vector} <=> $1
+        LIMIT ${NEAREST_CHUNKS}
+    ),
+    semantic_search AS (
+        SELECT c.document_id as id,
+               (ARRAY_AGG(c.id ORDER BY c.distance))[1] as chunk_id,
+               (ARRAY_AGG(c.page_number ORDER BY c.distance))[1] as page_number,
+               RANK() OVER (ORDER BY MIN(c.distance)) as rank
+        FROM nearest_chunks c
+        WHERE 1 - c.distance >= $11::float
+        GROUP BY c.document_id
+        ORDER BY MIN(c.distance)
+        LIMIT ${SEMANTIC_DOCUMENTS}
+    ),
+    keyword_queries AS (
+        SELECT config, websearch_to_tsquery(config, $2) as query
+        FROM unnest($10::regconfig[]) as config
+        WHERE $8::float > 0
+    ),
+    keyword_matches AS (
+        SELECT d.id FROM documents d
+        JOIN keyword_queries q ON $9::regconfig IS NOT NULL OR q.config = d.text_search_config
+        WHERE d.title_vector @@ q.query
+        UNION
+        SELECT c.document_id FROM document_contents c
+        JOIN keyword_queries q ON $9::regconfig IS NOT NULL OR q.config = c.text_search_config
+        WHERE c.search_vector @@ q.query
+    ),
+    keyword_search AS (
+        SELECT d.id, RANK() OVER (ORDER BY ts_rank_cd(
+                 setweight(d.title_vector, 'A') || COALESCE(c.search_vector, ''),
+                 websearch_to_tsquery(COALESCE($9::regconfig, d.text_search_config), $2)
+               ) DESC) as rank
+        FROM keyword_matches m
+        JOIN documents d ON d.id = m.id
+        LEFT JOIN document_contents c ON c.document_id = d.id
+        WHERE d.status = 'ready'
+        ${filterSql}
+    ),
+    matches AS (
+        SELECT d.id, d.title, d.created_at, d.mime_type, d.language,
+               ${SOURCE_TYPE_SQL} as source_type,
+               s.page_number, s.chunk_id, k.id IS NOT NULL as keyword_match,
+               COALESCE($7::float / ($6::float + s.rank), 0.0) + COALESCE($8::float / ($6::float + k.rank), 0.0) as score
+        FROM semantic_search s
+        FULL OUTER JOIN keyword_search k ON s.id = k.id
+        JOIN documents d ON d.id = COALESCE(s.id, k.id)
+    ),
+    page AS (
+        SELECT id, title, created_at, mime_type, source_type, page_number, score, chunk_id, keyword_match,
+               ROW_NUMBER() OVER (ORDER BY ${SORT_OPTIONS[sort]}) as position
+        FROM matches
+        ORDER BY position
+        LIMIT $3 OFFSET $4
+    ),
+    facet_counts AS (
+        SELECT 'source_type' as facet, source_type as value, NULL as label, COUNT(*) as count
+        FROM matches GROUP BY source_type
+        UNION ALL
+        SELECT 'mime_type', lower(mime_type), NULL, COUNT(*)
+        FROM matches WHERE mime_type IS NOT NULL GROUP BY lower(mime_type)
+        UNION ALL
+        SELECT 'language', ${LANGUAGE_SQL}, NULL, COUNT(*)
+        FROM matches d WHERE d.language IS NOT NULL GROUP BY ${LANGUAGE_SQL}
+        UNION ALL
+        SELECT 'year', EXTRACT(YEAR FROM created_at)::text, NULL, COUNT(*)
+        FROM matches GROUP BY EXTRACT(YEAR FROM created_at)
+        UNION ALL
+        SELECT 'tag', lower(t.name), MIN(t.name), COUNT(*)
+        FROM matches m JOIN document_tags dt ON dt.document_id = m.id JOIN tags t ON t.id = dt.tag_id
+        GROUP BY lower(t.name)
+        UNION ALL
+        SELECT 'notebook', n.id::text, MIN(n.title), COUNT(*)
+        FROM matches m JOIN notebook_documents nd ON nd.document_id = m.id JOIN notebooks n ON n.id = nd.notebook_id
+        GROUP BY n.id
+    ),
+    top_facet_counts AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY facet ORDER BY count DESC, value) as position
+        FROM facet_counts
+    ),
+    facets AS (
+        SELECT facet, json_agg(json_build_object('value', value, 'label', COALESCE(label, value), 'count', count) ORDER BY position) as counts
+        FROM top_facet_counts
+        WHERE position <= ${FACET_SIZE}
+        GROUP BY facet
+    )
+    SELECT
+        (SELECT COUNT(*)::int FROM matches) as total,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', id, 'title', title, 'created_at', created_at, 'mime_type', mime_type,
+            'source_type', source_type, 'page_number', page_number, 'score', score,
+            'chunk_id', chunk_id, 'keyword_match', keyword_match
+          ) ORDER BY position)
+          FROM page
+        ), '[]') as results,
+        COALESCE((SELECT json_object_agg(facet, counts) FROM facets), '{}') as facets
+  `;
+
+  const { rows } = await withTransaction(async (client) => {
+    await configureVectorSearch(client, NEAREST_CHUNKS);
+    return client.query(sql, params);
+  });
+  const { total, results, facets } = rows[0];
+  return { total, results: await addSnippets(results, query.keywords, textSearchConfig), facets };
+};
+
+/**
+ * Finds the documents nearest to a document by their average embedding. Copies of it
+ * (same content hash or canonical URL, or nearly the same vector) are left out.
+ * @param {number} documentId
+ * @param {object} options
+ * @param {object} options.filters As returned by parseDocumentFilters; restricts the related documents.
+ * @param {number} [options.limit]
+ * @returns {Promise<object[]|null>} The related documents, most similar first, or null if the document doesn't exist.
+ *   Empty if the document has no embedding yet.
+ */
+export const findRelatedDocuments = async (documentId, { filters, limit = 5 }) => {
+  const { rows: [document] } = await pool.query(
+    'SELECT id, embedding IS NOT NULL as embedded FROM documents WHERE id = $1',
+    [documentId]
+  );
+  if (!document) {
+    return null;
+  }
+  if (!document.embedded) {
+    return [];
+  }
+
+  const params = [document.id, limit, NEAR_DUPLICATE_DISTANCE];
+  const conditions = buildDocumentFilters(filters, params);
+  // Only vectors of the document's own model can be compared with it
+  const { rows } = await pool.query(
+    `SELECT d.id, d.title, d.created_at, d.mime_type, ${SOURCE_TYPE_SQL} as source_type,
+            1 - (d.embedding <=> s.embedding) as similarity
+     FROM documents s
+     JOIN documents d ON d.embedding_model = s.embedding_model AND d.id <> s.id
+     WHERE s.id = $1
+       AND d.status = 'ready'
+       AND d.embedding IS NOT NULL
+       AND (s.content_hash IS NULL OR d.content_hash IS DISTINCT FROM s.content_hash)
+       AND (s.canonical_url IS NULL OR d.canonical_url IS DISTINCT FROM s.canonical_url)
+       AND d.embedding <=> s.embedding >= $3
+       ${conditions.map(condition => `AND ${condition}`).join(' ')}
+     ORDER BY d.embedding <=> s.embedding
+     LIMIT $2`,
+    params
+  );
+  return rows;
+};
+
+/**
+ * Checks how one document matches a search, as searchDocuments would rank it.
+ * @param {number} documentId
+ * @param {object} search
+ * @param {object} search.query As returned by parseSearchQuery.
+ * @param {number[]|null} search.embedding The query's embedding, or null to skip the semantic side.
+ * @param {string} search.embeddingModel The model of the embedding.
+ * @param {object} search.filters As returned by parseDocumentFilters.
+ * @param {string|null} [search.textSearchConfig] The configuration to parse the query with.
+ * @returns {Promise<{keyword_match: boolean, similarity: number|null}|null>} Whether the document matches the
+ *   keywords and the similarity of its nearest chunk, or null if it is excluded by the filters or isn't ready.
+ */
+export const matchDocument = async (documentId, { query, embedding, embeddingModel, filters, textSearchConfig = null }) => {
+  const params = [documentId, embedding ? pgvector.toSql(embedding) : null, embeddingModel, textSearchConfig, query.keywords];
+  const conditions = buildQueryConditions(query, filters, params, '$4::regconfig');
+  const keywords = 'websearch_to_tsquery(COALESCE($4::regconfig, d.text_search_config), $5)';
+  const { rows } = await pool.query(
+    `SELECT COALESCE(d.title_vector @@ ${keywords} OR c.search_vector @@ ${keywords}, FALSE) as keyword_match,
+            (SELECT MAX(1 - (ch.embedding <=> $2::vector)) FROM document_chunks ch
+             WHERE ch.document_id = d.id AND ch.embedding_model = $3) as similarity
+     FROM documents d
+     LEFT JOIN document_contents c ON c.document_id = d.id
+     WHERE d.id = $1 AND d.status = 'ready'
+     ${conditions.map(condition => `AND ${condition}`).join(' ')}`,
+    params
+  );
+  return rows[0] || null;
+};
@@ -0,0 +1,53 @@
+import logger from '../logger.js';
+
+// Completions are streamed as Server-Sent Events:
+//   event: token   data: { "text" }   a piece of the text, as it's generated
+//   event: done    data: the body the JSON variant of the endpoint responds with
+//   event: error   data: { "error" }
+// Requests ask for a stream with an "Accept: text/event-stream" header.
+
+/**
+ * Tells whether a request asks for a Server-Sent Events stream.
+ * @param {import('fastify').FastifyRequest} request
+ * @returns {boolean}
+ */
+export const wantsEventStream = (request) => (request.headers.accept || '').includes('text/event-stream');
+
+/**
+ * Responds to a request with a stream of a completion. Check the request first: once
+ * the stream is open, errors can only be reported as "error" events.
+ * @param {import('fastify').FastifyReply} reply
+ * @param {(onText: (text: string) => void) => Promise<{result: object}|{error: string}>} generate
+ *   Generates the completion, passing its text to onText as it arrives, and resolves to the
+ *   body of the "done" event or an error.
+ */
+export const streamCompletion = async (reply, generate) => {
+  reply.hijack();
+  reply.raw.writeHead(200, {
+    ...reply.getHeaders(),
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',  // Keeps nginx from buffering the events
+  });
+
+  // The client may go away before the end; the completion runs on so its usage is still logged
+  const send = (event, data) => {
+    if (!reply.raw.destroyed) {
+      reply.raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const { result, error } = await generate(text => send('token', { text }));
+    if (error) {
+      send('error', { error });
+    } else {
+      send('done', result);
+    }
+  } catch (err) {
+    logger.error('Error streaming completion:', err);
+    send('error', { error: 'Internal Server Error' });
+  }
+  reply.raw.end();
+};
@@ -0,0 +1,109 @@
+const MAX_TAG_LENGTH = 100;
+
+/**
+ * Cleans up a tag name: surrounding whitespace is trimmed and runs of
+ * whitespace are collapsed. Case is kept; tags are matched case-insensitively.
+ * @param {string} name
+ * @returns {string|null} The name, or null if it is empty or too long.
+ */
+export const normalizeTagName = (name) => {
+  if (typeof name !== 'string') return null;
+  const tag = name.replace(/\s+/g, ' ').trim();
+  return tag && tag.length <= MAX_TAG_LENGTH ? tag : null;
+};
+
+/**
+ * Validates a list of tag names from a request body.
+ * @param {any} value Should be an array of strings.
+ * @returns {{tags: string[]}|{error: string}} The distinct names (ignoring case), or an error for a 400 response.
+ */
+export const parseTagList = (value) => {
+  if (!Array.isArray(value)) {
+    return { error: 'tags must be an array of tag names' };
+  }
+  const tags = [];
+  for (const name of value) {
+    const tag = normalizeTagName(name);
+    if (!tag) {
+      return { error: `Tag names must be 1-${MAX_TAG_LENGTH} characters long` };
+    }
+    if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+  return { tags };
+};
+
+/**
+ * Finds or creates tags by name.
+ * @param {import('pg').PoolClient} client The database client.
+ * @param {string[]} names Normalized tag names.
+ * @returns {Promise<Array<{id: number, name: string}>>} The tags, with their stored spelling.
+ */
+export const ensureTags = async (client, names) => {
+  if (names.length === 0) return [];
+  await client.query(
+    `INSERT INTO tags (name) SELECT unnest($1::text[])
+     ON CONFLICT ((lower(name))) DO NOTHING`,
+    [names]
+  );
+  const { rows } = await client.query(
+    'SELECT id, name FROM tags WHERE lower(name) = ANY($1::text[]) ORDER BY name',
+    [names.map(name => name.toLowerCase())]
+  );
+  return rows;
+};
+
+/**
+ * Adds tags to documents, creating the tags that don't exist yet.
+ * @param {import('pg').PoolClient} client The database client, usually inside a transaction.
+ * @param {number[]} documentIds
+ * @param {string[]} names Normalized tag names.
+ * @returns {Promise<number>} The number of tags newly attached.
+ */
+export const addTags = async (client, documentIds, names) => {
+  const tags = await ensureTags(client, names);
+  if (tags.length === 0 || documentIds.length === 0) return 0;
+  const { rowCount } = await client.query(
+    `INSERT INTO document_tags (document_id, tag_id)
+     SELECT d.id, t.id FROM documents d CROSS JOIN unnest($2::int[]) AS t(id)
+     WHERE d.id = ANY($1::int[])
+     ON CONFLICT DO NOTHING`,
+    [documentIds, tags.map(tag => tag.id)]
+  );
+  return rowCount;
+};
+
+/**
+ * Removes tags from documents. Tags left without documents are kept.
+ * @param {import('pg').PoolClient} client The database client.
+ * @param {number[]} documentIds
+ * @param {string[]} names Tag names, matched ignoring case.
+ * @returns {Promise<number>} The number of tags detached.
+ */
+export const removeTags = async (client, documentIds, names) => {
+  if (names.length === 0 || documentIds.length === 0) return 0;
+  const { rowCount } = await client.query(
+    `DELETE FROM document_tags dt USING tags t
+     WHERE dt.tag_id = t.id AND dt.document_id = ANY($1::int[]) AND lower(t.name) = ANY($2::text[])`,
+    [documentIds, names.map(name => name.toLowerCase())]
+  );
+  return rowCount;
+};
+
+/**
+ * Lists the tags of a document.
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @param {number} documentId
+ * @returns {Promise<Array<{id: number, name: string}>>}
+ */
+export const getDocumentTags = async (db, documentId) => {
+  const { rows } = await db.query(
+    `SELECT t.id, t.name FROM tags t
+     JOIN document_tags dt ON dt.tag_id = t.id
+     WHERE dt.document_id = $1
+     ORDER BY t.name`,
+    [documentId]
+  );
+  return rows;
+};
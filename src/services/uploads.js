@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { createHashStream } from './dedup.js';
+import { findExtractor, getSupportedExtensions } from './extractors/index.js';
+
+const UPLOADS_DIR = './uploads';
+
+// Errors @fastify/multipart throws when an upload goes over its limits
+const UPLOAD_LIMIT_ERRORS = ['FST_REQ_FILE_TOO_LARGE', 'FST_PARTS_LIMIT', 'FST_FILES_LIMIT'];
+
+/**
+ * Tells whether an error means the upload was over the multipart limits, for a 413 response.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isUploadTooLarge = (error) => UPLOAD_LIMIT_ERRORS.includes(error.code);
+
+/**
+ * Checks that an upload can be extracted and works out its MIME type.
+ * Browsers send generic types for some files (e.g. .md, .epub), so the type
+ * of the matching extractor is recorded instead.
+ * @param {string} mimetype The type sent by the client.
+ * @param {string} filename The original filename.
+ * @returns {{mimetype: string}|{error: string}} The MIME type to record, or an error for a 415 response.
+ */
+export const resolveUploadType = (mimetype, filename) => {
+  const extractor = findExtractor(mimetype, filename);
+  if (!extractor) {
+    return {
+      error: `Unsupported file type "${mimetype}" (${path.extname(filename) || 'no extension'}). Supported extensions: ${getSupportedExtensions().join(', ')}`,
+    };
+  }
+  return { mimetype: extractor.mimeTypes.includes(mimetype) ? mimetype : extractor.mimeTypes[0] };
+};
+
+/**
+ * Saves an uploaded file under a unique name in the uploads directory,
+ * hashing it on the way.
+ * @param {import('stream').Readable} file The upload stream.
+ * @param {string} filename The original filename, for its extension.
+ * @returns {Promise<{filePath: string, contentHash: string}>} Where the file was stored and its SHA-256 hash.
+ */
+export const saveUpload = async (file, filename) => {
+  // Create a unique filename to prevent overwrites
+  const uniqueFilename = `${crypto.randomBytes(16).toString('hex')}${path.extname(filename)}`;
+  const filePath = path.join(UPLOADS_DIR, uniqueFilename);
+
+  // Ensure the uploads directory exists
+  await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+
+  // Save the file to the filesystem using streams for efficiency
+  const hash = createHashStream();
+  try {
+    await pipeline(file, hash.stream, fs.createWriteStream(filePath));
+  } catch (error) {
+    // Don't keep what was written of a failed (e.g. too large) upload
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+  return { filePath, contentHash: hash.digest() };
+};
+
+/**
+ * Deletes a stored upload, unless a document or one of its versions refers to it.
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @param {string} filePath The stored file.
+ */
+export const removeUnusedUpload = async (db, filePath) => {
+  const { rows } = await db.query(
+    `SELECT 1 FROM documents WHERE file_path = $1
+     UNION ALL
+     SELECT 1 FROM document_versions WHERE file_path = $1
+     LIMIT 1`,
+    [filePath]
+  );
+  if (rows.length === 0) {
+    await fs.promises.rm(filePath, { force: true });
+  }
+};
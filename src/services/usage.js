@@ -0,0 +1,84 @@
+import pool from '../db/index.js';
+import logger from '../logger.js';
+
+// Pricing per 1,000 tokens in USD, by provider and model. Models that aren't
+// listed (including everything served locally) are logged at no cost.
+export const PRICING = {
+  openai: {
+    'text-embedding-ada-002': {
+      input: 0.0001,
+    },
+    'text-embedding-3-small': {
+      input: 0.00002,
+    },
+    'text-embedding-3-large': {
+      input: 0.00013,
+    },
+    'gpt-4o-mini': {
+      input: 0.00015,
+      output: 0.0006,
+    },
+    'gpt-4o': {
+      input: 0.0025,
+      output: 0.01,
+    },
+    'gpt-4.1-mini': {
+      input: 0.0004,
+      output: 0.0016,
+    },
+    'gpt-4.1': {
+      input: 0.002,
+      output: 0.008,
+    },
+  },
+  anthropic: {
+    'claude-haiku-4-5': {
+      input: 0.001,
+      output: 0.005,
+    },
+    'claude-sonnet-4-5': {
+      input: 0.003,
+      output: 0.015,
+    },
+    'claude-opus-4-1': {
+      input: 0.015,
+      output: 0.075,
+    },
+  },
+};
+
+/**
+ * Looks up the price of a model.
+ * @param {string} provider The provider name.
+ * @param {string} model The model used.
+ * @returns {{input?: number, output?: number}|null} Prices per 1,000 tokens, or null if unknown.
+ */
+export const getModelPricing = (provider, model) => PRICING[provider]?.[model] || null;
+
+/**
+ * Logs API usage to the database.
+ * @param {string} provider The provider name, e.g. "openai" or "anthropic".
+ * @param {string} model The model used.
+ * @param {object} usage The usage data from the API response, with OpenAI-style token counts.
+ */
+export const logApiUsage = async (provider, model, usage) => {
+  const { prompt_tokens = 0, completion_tokens = 0, total_tokens = 0 } = usage || {};
+
+  let cost = 0;
+  const modelPricing = getModelPricing(provider, model);
+  if (modelPricing) {
+    const inputCost = (prompt_tokens / 1000) * (modelPricing.input || 0);
+    const outputCost = (completion_tokens / 1000) * (modelPricing.output || 0);
+    cost = inputCost + outputCost;
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO api_usage_logs (provider, model, prompt_tokens, completion_tokens, total_tokens, cost)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [provider, model, prompt_tokens, completion_tokens, total_tokens, cost]
+    );
+  } catch (error) {
+    logger.error('Error logging API usage:', error);
+  }
+};
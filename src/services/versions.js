@@ -0,0 +1,135 @@
+import { diffLines, createTwoFilesPatch } from 'diff';
+import pool from '../db/index.js';
+
+/**
+ * Records the document's current title, file and content as its next version.
+ * Call inside the transaction that saved the content. Nothing is recorded if
+ * the title, text and file are the same as the latest version's (e.g. a re-scrape
+ * of an unchanged page).
+ * @param {import('pg').PoolClient} client The transaction client.
+ * @param {number} documentId The document.
+ * @param {object} [options]
+ * @param {number} [options.restoredFrom] The version number this state was restored from.
+ * @returns {Promise<{version: number, created: boolean}>} The current version number, and whether it is new.
+ */
+export const recordVersion = async (client, documentId, { restoredFrom = null } = {}) => {
+  // Lock the document so concurrent updates get consecutive version numbers
+  const { rows: [document] } = await client.query(
+    `SELECT d.title, d.file_path, d.source_url, d.mime_type, d.content_hash, c.content, c.page_offsets
+     FROM documents d
+     JOIN document_contents c ON c.document_id = d.id
+     WHERE d.id = $1
+     FOR UPDATE OF d`,
+    [documentId]
+  );
+
+  const { rows: [latest] } = await client.query(
+    `SELECT version_number, title, file_path, content
+     FROM document_versions
+     WHERE document_id = $1
+     ORDER BY version_number DESC
+     LIMIT 1`,
+    [documentId]
+  );
+  if (latest && !restoredFrom && latest.title === document.title
+    && latest.content === document.content && latest.file_path === document.file_path) {
+    return { version: latest.version_number, created: false };
+  }
+
+  const version = (latest?.version_number || 0) + 1;
+  await client.query(
+    `INSERT INTO document_versions
+       (document_id, version_number, title, file_path, source_url, mime_type, content_hash, content, page_offsets, restored_from)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      documentId,
+      version,
+      document.title,
+      document.file_path,
+      document.source_url,
+      document.mime_type,
+      document.content_hash,
+      document.content,
+      document.page_offsets ? JSON.stringify(document.page_offsets) : null,
+      restoredFrom,
+    ]
+  );
+  return { version, created: true };
+};
+
+/**
+ * Lists the versions of a document, newest first, without their text.
+ * @param {number|string} documentId The document.
+ * @returns {Promise<Array>} The versions, each with its `char_count`.
+ */
+export const listVersions = async (documentId) => {
+  const { rows } = await pool.query(
+    `SELECT version_number, title, file_path IS NOT NULL AS has_file, source_url, mime_type, content_hash,
+            char_length(content) AS char_count, restored_from, created_at
+     FROM document_versions
+     WHERE document_id = $1
+     ORDER BY version_number DESC`,
+    [documentId]
+  );
+  return rows;
+};
+
+/**
+ * Fetches one version of a document, including its text.
+ * @param {number|string} documentId The document.
+ * @param {number|string} version The version number.
+ * @returns {Promise<object|null>} The version, or null if it doesn't exist.
+ */
+export const getVersion = async (documentId, version) => {
+  const { rows } = await pool.query(
+    `SELECT version_number, title, file_path, source_url, mime_type, content_hash, content, page_offsets,
+            restored_from, created_at
+     FROM document_versions
+     WHERE document_id = $1 AND version_number = $2`,
+    [documentId, version]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Returns the number of the newest version of a document.
+ * @param {number|string} documentId The document.
+ * @returns {Promise<number|null>} The version number, or null if the document has no versions yet.
+ */
+export const getLatestVersionNumber = async (documentId) => {
+  const { rows } = await pool.query(
+    'SELECT MAX(version_number) AS version FROM document_versions WHERE document_id = $1',
+    [documentId]
+  );
+  return rows[0].version;
+};
+
+/**
+ * Compares the text of two versions line by line.
+ * @param {object} from The older version (from `getVersion`).
+ * @param {object} to The newer version.
+ * @returns {{additions: number, deletions: number, changes: Array<{type: 'added'|'removed'|'unchanged', lines: number, value: string}>,
+ *   patch: string}} Changed line counts, the changes in order, and the same diff as a unified patch.
+ */
+export const diffVersions = (from, to) => {
+  let additions = 0;
+  let deletions = 0;
+  const changes = diffLines(from.content, to.content).map((part) => {
+    if (part.added) additions += part.count;
+    if (part.removed) deletions += part.count;
+    return {
+      type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+      lines: part.count,
+      value: part.value,
+    };
+  });
+
+  const patch = createTwoFilesPatch(
+    `version ${from.version_number}`,
+    `version ${to.version_number}`,
+    from.content,
+    to.content
+  );
+
+  return { additions, deletions, changes, patch };
+};
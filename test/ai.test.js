@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSummary, getAnalysis } from '../src/services/ai.js';
+
+// Answers every request with a numbered reply, recording what it was sent
+const fakeProvider = ({ failOn = null } = {}) => {
+  const requests = [];
+  return {
+    name: 'fake',
+    model: 'fake-model',
+    requests,
+    complete: async (request) => {
+      requests.push(request);
+      if (requests.length === failOn) {
+        throw new Error('Provider unavailable');
+      }
+      return { text: `Reply ${requests.length}` };
+    },
+  };
+};
+
+// Section i of a long text, each recognizable by its first line
+const longText = (sections, sectionLength) => Array.from(
+  { length: sections },
+  (_, i) => `Part ${i + 1} starts here.\n`.padEnd(sectionLength, 'x')
+).join('');
+
+test('getSummary sends a text that fits in one request as is', async () => {
+  const provider = fakeProvider();
+  const summary = await getSummary('A short report about river basins.', provider);
+
+  assert.equal(summary, 'Reply 1');
+  assert.equal(provider.requests.length, 1);
+  assert.match(provider.requests[0].messages[0].content, /A short report about river basins\.$/);
+});
+
+test('getSummary condenses a long text section by section, so all of it is summarized', async () => {
+  const provider = fakeProvider();
+  const text = longText(3, 150000);
+  const summary = await getSummary(text, provider);
+
+  assert.equal(summary, 'Reply 4');
+  assert.equal(provider.requests.length, 4);
+
+  // Three sections covering the whole text in order...
+  const sections = provider.requests.slice(0, 3).map(request => request.messages[0].content);
+  assert.match(sections[0], /^Condense section 1 of 3/);
+  assert.equal(sections.map(section => section.slice(section.indexOf('\n\n') + 2)).join(''), text);
+  for (const [i, section] of sections.entries()) {
+    assert.ok(section.length < 200100, `section ${i + 1} fits in one request`);
+  }
+
+  // ...whose condensed versions are summarized together
+  const final = provider.requests[3].messages[0].content;
+  assert.match(final, /Section 1 of 3:\nReply 1\n\nSection 2 of 3:\nReply 2\n\nSection 3 of 3:\nReply 3$/);
+});
+
+test('getAnalysis gives up on a long text when a section fails', async () => {
+  const provider = fakeProvider({ failOn: 2 });
+  const analysis = await getAnalysis(longText(2, 150000), provider);
+
+  assert.equal(analysis, null);
+  assert.equal(provider.requests.length, 2);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText } from '../src/services/chunker.js';
+
+const sentences = (count, word = 'things') => Array.from(
+  { length: count },
+  (_, i) => `Sentence number ${i} talks about ${word}.`
+).join(' ');
+
+test('chunkText returns no chunks for empty text', () => {
+  assert.deepEqual(chunkText(''), []);
+  assert.deepEqual(chunkText('  \n\n '), []);
+});
+
+test('chunkText splits long sections into overlapping windows', () => {
+  const text = sentences(200);
+  const chunks = chunkText(text, { chunkSize: 1000, overlap: 100 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].startOffset, 0);
+  assert.equal(chunks[chunks.length - 1].endOffset, text.length);
+  chunks.forEach((chunk, i) => {
+    assert.equal(chunk.index, i);
+    assert.equal(chunk.content, text.slice(chunk.startOffset, chunk.endOffset).trim());
+    assert.ok(chunk.endOffset - chunk.startOffset <= 1000);
+    if (i > 0) {
+      assert.ok(chunk.startOffset < chunks[i - 1].endOffset, 'consecutive chunks overlap');
+      assert.ok(chunk.startOffset > chunks[i - 1].startOffset);
+    }
+  });
+});
+
+test('chunkText breaks windows at sentence ends and starts them at word boundaries', () => {
+  const text = sentences(200);
+  for (const chunk of chunkText(text, { chunkSize: 1000, overlap: 100 })) {
+    assert.match(chunk.content, /\.$/);
+    assert.match(chunk.content, /^\S/);
+    assert.ok(chunk.startOffset === 0 || /\s/.test(text[chunk.startOffset - 1]));
+  }
+});
+
+test('chunkText follows Markdown headings and keeps the current heading', () => {
+  const text = `# Intro\n\n${sentences(20)}\n\n# Methods\n\n${sentences(20, 'methods')}`;
+  const chunks = chunkText(text, { chunkSize: 1000 });
+
+  assert.deepEqual(chunks.map(chunk => chunk.heading), ['Intro', 'Methods']);
+  assert.ok(chunks[1].content.startsWith('# Methods'));
+});
+
+test('chunkText merges short sections', () => {
+  const text = '# One\n\nShort.\n\n# Two\n\nAlso short.';
+  const chunks = chunkText(text);
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].content, text);
+  assert.equal(chunks[0].heading, 'One');
+});
+
+test('chunkText numbers chunks by the page map', () => {
+  const first = sentences(20);
+  const second = sentences(20, 'pages');
+  const text = `${first}\n${second}`;
+  const pages = [
+    { page: 1, start: 0, end: first.length + 1 },
+    { page: 2, start: first.length + 1, end: text.length },
+  ];
+  const chunks = chunkText(text, { pages });
+
+  assert.deepEqual(chunks.map(chunk => chunk.pageNumber), [1, 2]);
+  assert.equal(chunks[1].startOffset, first.length + 1);
+});
+
+test('chunkText reads page numbers from legacy page markers', () => {
+  const text = `${sentences(20)}\n--- Page 1 ---\n${sentences(20, 'pages')}`;
+  const chunks = chunkText(text);
+
+  assert.deepEqual(chunks.map(chunk => chunk.pageNumber), [1, 2]);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatNotes, formatCitedPassage, extractSources, stripCitations } from '../src/services/citations.js';
+
+const passages = [
+  { document_id: 1, title: 'Report', page_number: 4, start_offset: 100, end_offset: 300, content: 'First passage.' },
+  { document_id: 2, title: 'Article', page_number: null, start_offset: 0, end_offset: 50, content: 'Second passage.' },
+  { document_id: 1, title: 'Report', page_number: 9, start_offset: 900, end_offset: 1200, content: 'Third passage.' },
+];
+
+test('formatNotes and formatCitedPassage format the sections of a context', () => {
+  assert.equal(formatNotes('My notes.'), 'Notebook Notes:\nMy notes.\n\n---\n\n');
+  assert.equal(
+    formatCitedPassage(1, passages[0]),
+    '[1] Document: Report, page 4\nPassage:\nFirst passage.\n\n---\n\n'
+  );
+  assert.match(formatCitedPassage(2, passages[1]), /^\[2\] Document: Article\n/);
+});
+
+test('extractSources lists the cited passages once, by number', () => {
+  const sources = extractSources('Costs rose [3]. Both agree [1, 3], see also [1,3].', passages);
+
+  assert.deepEqual(sources.map(source => source.number), [1, 3]);
+  assert.deepEqual(sources[1], {
+    number: 3,
+    document_id: 1,
+    title: 'Report',
+    page_number: 9,
+    start: 900,
+    end: 1200,
+    passage: 'Third passage.',
+  });
+});
+
+test('extractSources ignores numbers without a passage', () => {
+  assert.deepEqual(extractSources('See [0], [4] and [2].', passages).map(source => source.number), [2]);
+  assert.deepEqual(extractSources('No citations here.', passages), []);
+  assert.deepEqual(extractSources(null, passages), []);
+});
+
+test('stripCitations removes citations and the space before them', () => {
+  assert.equal(stripCitations('Costs rose [3]. Both agree [1, 3], see [2,4].'), 'Costs rose. Both agree, see.');
+  assert.equal(stripCitations(null), '');
+});
@@ -0,0 +1,139 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../src/db/index.js';
+import config from '../src/config/index.js';
+import { classifyDocument } from '../src/services/classify.js';
+import { PermanentJobError } from '../src/services/jobs.js';
+
+const DOCUMENT = { id: 7, title: 'Spring floods on the lower river', content: 'The river rose past the levees in April.' };
+
+// The library's state: the document, the tags in use and the categories already given
+let library;
+// The suggestions inserted, as [kind, value, isNew, model]
+let inserted;
+let prompts;
+
+beforeEach((t) => {
+  library = { document: DOCUMENT, tags: ['Hydrology', 'Climate', 'Flood control'], categories: ['Environment'] };
+  inserted = [];
+  prompts = [];
+  t.mock.method(pool, 'query', async (sql) => {
+    if (/FROM documents d/.test(sql)) {
+      return { rows: library.document ? [library.document] : [] };
+    }
+    if (/FROM tags t/.test(sql)) {
+      return { rows: library.tags.map(name => ({ name })) };
+    }
+    return { rows: library.categories.map(category => ({ category })) };
+  });
+  t.mock.method(pool, 'connect', async () => ({
+    query: async (sql, params) => {
+      if (/INSERT INTO document_suggestions/.test(sql)) {
+        inserted.push(params.slice(1));
+        return { rowCount: 1 };
+      }
+      return { rowCount: 0 };
+    },
+    release: () => {},
+  }));
+});
+
+// A completion provider that always gives the same reply
+const replying = text => ({
+  name: 'test',
+  model: 'test-model',
+  complete: async (request) => {
+    prompts.push(request.messages[0].content);
+    return { text };
+  },
+});
+
+// Runs a test with CLASSIFY_CATEGORIES set
+const withCategories = async (categories, callback) => {
+  const saved = config.classify.categories;
+  config.classify.categories = categories;
+  try {
+    await callback();
+  } finally {
+    config.classify.categories = saved;
+  }
+};
+
+test('classifyDocument stores the suggested tags, category and description', async () => {
+  const reply = 'Here is the classification:\n```json\n'
+    + '{"tags": ["hydrology", "Flood  control", "Levees"], "category": "environment", "description": "Levees on the lower river in April."}'
+    + '\n```';
+  const result = await classifyDocument(DOCUMENT.id, replying(reply));
+
+  assert.deepEqual(result, { suggestions: 5 });
+  // Known tags and categories keep their stored spelling
+  assert.deepEqual(inserted, [
+    ['tag', 'Hydrology', false, 'test-model'],
+    ['tag', 'Flood control', false, 'test-model'],
+    ['tag', 'Levees', true, 'test-model'],
+    ['category', 'Environment', false, 'test-model'],
+    ['description', 'Levees on the lower river in April.', false, 'test-model'],
+  ]);
+  assert.match(prompts[0], /Existing tags .*: Hydrology, Climate, Flood control/);
+  assert.match(prompts[0], /The river rose past the levees in April\./);
+});
+
+test('classifyDocument limits new tags to two and all tags to five', async () => {
+  const tags = ['Levees', 'Snowmelt', 'April', 'levees', 'Climate', 'Hydrology', 'Flood control', 'Rainfall'];
+  await classifyDocument(DOCUMENT.id, replying(JSON.stringify({ tags })));
+
+  assert.deepEqual(inserted.map(([, value, isNew]) => [value, isNew]), [
+    ['Levees', true],
+    ['Snowmelt', true],
+    ['Climate', false],
+    ['Hydrology', false],
+    ['Flood control', false],
+  ]);
+});
+
+test('classifyDocument allows all five tags to be new in an untagged library', async () => {
+  library.tags = [];
+  const tags = ['Levees', 'Snowmelt', 'April', 'Rivers', 'Rainfall', 'Dams'];
+  await classifyDocument(DOCUMENT.id, replying(JSON.stringify({ tags })));
+
+  assert.deepEqual(inserted.map(([, value]) => value), tags.slice(0, 5));
+  assert.match(prompts[0], /There are no tags yet/);
+});
+
+test('classifyDocument only suggests a configured category', async () => {
+  await withCategories(['Science', 'History'], async () => {
+    await classifyDocument(DOCUMENT.id, replying('{"category": "Environment"}'));
+    assert.deepEqual(inserted, []);
+    assert.match(prompts[0], /Categories \(choose exactly one\): Science, History/);
+
+    await classifyDocument(DOCUMENT.id, replying('{"category": "science"}'));
+    assert.deepEqual(inserted, [['category', 'Science', false, 'test-model']]);
+  });
+});
+
+test('classifyDocument suggests a new category when none are configured', async () => {
+  await classifyDocument(DOCUMENT.id, replying('{"category": "Hydrology"}'));
+  assert.deepEqual(inserted, [['category', 'Hydrology', true, 'test-model']]);
+});
+
+test('classifyDocument puts the description on one line of at most 200 characters', async () => {
+  const description = `The river\n\n  rose. ${'Levees held. '.repeat(20)}`;
+  await classifyDocument(DOCUMENT.id, replying(JSON.stringify({ description })));
+
+  const [[kind, value]] = inserted;
+  assert.equal(kind, 'description');
+  assert.equal(value.length, 200);
+  assert.ok(value.startsWith('The river rose. Levees held.'));
+});
+
+test('classifyDocument fails for documents without text or replies without JSON', async () => {
+  library.document = { ...DOCUMENT, content: '  \n' };
+  await assert.rejects(classifyDocument(DOCUMENT.id, replying('{}')), PermanentJobError);
+
+  library.document = null;
+  await assert.rejects(classifyDocument(DOCUMENT.id, replying('{}')), /Document 7 has no text to classify/);
+
+  library.document = DOCUMENT;
+  await assert.rejects(classifyDocument(DOCUMENT.id, replying('Hydrology, Climate')), /did not reply with JSON/);
+  assert.deepEqual(inserted, []);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { linkCitations } from '../../client/src/utils/citations.js';
+
+test('linkCitations links each cited number to its footnote', () => {
+  const sources = [{ number: 1 }, { number: 3 }];
+  assert.equal(
+    linkCitations('Costs rose [3], as both say [1, 3].', sources),
+    'Costs rose [[3]](#source-3), as both say [[1]](#source-1)[[3]](#source-3).'
+  );
+  assert.equal(linkCitations('See [1].', sources, 'source-42'), 'See [[1]](#source-42-1).');
+});
+
+test('linkCitations leaves citations with an unknown number as they are', () => {
+  assert.equal(linkCitations('See [2] and [1, 2].', [{ number: 1 }]), 'See [2] and [1, 2].');
+  assert.equal(linkCitations('Array[0] is empty.'), 'Array[0] is empty.');
+});
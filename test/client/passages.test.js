@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitHighlights, passageLink, readPassage } from '../../client/src/utils/passages.js';
+
+test('splitHighlights splits text at highlights given as content offsets', () => {
+  // "quick" and "fox" in "The quick brown fox", which starts at offset 100
+  assert.deepEqual(splitHighlights('The quick brown fox', 100, [{ start: 116, end: 119 }, { start: 104, end: 109 }]), [
+    { text: 'The ', highlighted: false },
+    { text: 'quick', highlighted: true },
+    { text: ' brown ', highlighted: false },
+    { text: 'fox', highlighted: true },
+  ]);
+});
+
+test('splitHighlights clips highlights to the text and never repeats text', () => {
+  assert.deepEqual(splitHighlights('abcdef', 10, [{ start: 5, end: 12 }, { start: 11, end: 14 }, { start: 20, end: 30 }]), [
+    { text: 'ab', highlighted: true },
+    { text: 'cd', highlighted: true },
+    { text: 'ef', highlighted: false },
+  ]);
+  assert.deepEqual(splitHighlights('abc', 0), [{ text: 'abc', highlighted: false }]);
+});
+
+test('passageLink and readPassage round-trip a passage', () => {
+  const passage = { start: 120, end: 480, highlights: [{ start: 130, end: 135 }, { start: 200, end: 210 }] };
+  const link = passageLink(42, passage);
+
+  assert.equal(link, '/documents/42?passage=120-480&highlight=130-135%2C200-210');
+  assert.deepEqual(readPassage(new URL(link, 'http://localhost').searchParams), passage);
+  assert.equal(passageLink(42, { start: 0, end: 10 }), '/documents/42?passage=0-10');
+});
+
+test('readPassage ignores invalid ranges', () => {
+  assert.equal(readPassage(new URLSearchParams('')), null);
+  assert.equal(readPassage(new URLSearchParams('passage=20-10')), null);
+  assert.deepEqual(readPassage(new URLSearchParams('passage=1-5&highlight=2-3,x,4-2')), {
+    start: 1, end: 5, highlights: [{ start: 2, end: 3 }],
+  });
+});
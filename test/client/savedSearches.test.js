@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { savedSearchLink } from '../../client/src/utils/savedSearches.js';
+
+test('savedSearchLink carries the query and every stored filter to the search page', () => {
+  const link = savedSearchLink({
+    query: 'flood policy',
+    filters: {
+      tags: ['to read', 'rivers'],
+      tagMode: 'any',
+      collection: 4,
+      notebook: null,
+      mimeTypes: [],
+      sourceTypes: ['file'],
+      languages: ['en'],
+      dateFrom: '2024-01-01',
+      dateTo: null,
+    },
+  });
+  const params = new URL(link, 'http://localhost').searchParams;
+
+  assert.ok(link.startsWith('/search?'));
+  assert.deepEqual(Object.fromEntries(params), {
+    q: 'flood policy',
+    sourceTypes: 'file',
+    languages: 'en',
+    tags: 'to read,rivers',
+    tagMode: 'any',
+    collection: '4',
+    dateFrom: '2024-01-01',
+  });
+});
+
+test('savedSearchLink works without filters', () => {
+  assert.equal(savedSearchLink({ query: 'floods' }), '/search?q=floods');
+});
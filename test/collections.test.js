@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCollectionTree } from '../src/services/collections.js';
+
+test('buildCollectionTree nests collections under their parents in order', () => {
+  const tree = buildCollectionTree([
+    { id: 1, parent_id: null, name: 'Research' },
+    { id: 3, parent_id: 1, name: 'Biology' },
+    { id: 2, parent_id: 1, name: 'Astronomy' },
+    { id: 4, parent_id: 2, name: 'Stars' },
+    { id: 5, parent_id: null, name: 'Recipes' },
+  ]);
+
+  assert.deepEqual(tree.map(node => node.name), ['Research', 'Recipes']);
+  assert.deepEqual(tree[0].children.map(node => node.name), ['Biology', 'Astronomy']);
+  assert.deepEqual(tree[0].children[1].children.map(node => node.name), ['Stars']);
+  assert.deepEqual(tree[1].children, []);
+});
+
+test('buildCollectionTree lists collections whose parent is missing at the top', () => {
+  const tree = buildCollectionTree([{ id: 2, parent_id: 99, name: 'Orphan' }]);
+  assert.deepEqual(tree.map(node => node.name), ['Orphan']);
+});
@@ -0,0 +1,198 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import pool from '../src/db/index.js';
+import config from '../src/config/index.js';
+import { getCompletionProvider, registerCompletionProvider, complete } from '../src/services/completions/index.js';
+
+// A server speaking the OpenAI chat completions and Anthropic Messages APIs, recording each request body
+let server;
+let baseUrl;
+let requests = [];
+let usageLog = [];
+
+const sendEvents = (res, events) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const [event, data] of events) {
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  }
+  res.end();
+};
+
+const chatCompletions = (body, res) => {
+  if (!body.stream) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      choices: [{ index: 0, message: { role: 'assistant', content: '  The river rose.\n' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 },
+    }));
+    return;
+  }
+  sendEvents(res, [
+    ...['The ', 'river ', 'rose.'].map(content => [null, { choices: [{ index: 0, delta: { content } }] }]),
+    [null, { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 } }],
+    [null, '[DONE]'],
+  ]);
+};
+
+const messages = (body, res) => {
+  const message = {
+    id: 'msg_1', type: 'message', role: 'assistant', model: body.model, stop_reason: 'end_turn', stop_sequence: null,
+  };
+  if (!body.stream) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      ...message,
+      content: [{ type: 'text', text: 'Levees held.' }],
+      usage: { input_tokens: 1000, output_tokens: 200 },
+    }));
+    return;
+  }
+  sendEvents(res, [
+    ['message_start', { type: 'message_start', message: { ...message, content: [], usage: { input_tokens: 1000, output_tokens: 1 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+    ...['Levees ', 'held.'].map(text => ['content_block_delta', {
+      type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text },
+    }]),
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 200 } }],
+    ['message_stop', { type: 'message_stop' }],
+  ]);
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(data);
+      requests.push(body);
+      if (req.url === '/v1/chat/completions') {
+        chatCompletions(body, res);
+      } else if (req.url === '/v1/messages') {
+        messages(body, res);
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  config.completion.local = { baseUrl: `${baseUrl}/v1`, apiKey: undefined, model: 'llama-3.1-8b' };
+  config.anthropic = { apiKey: 'test-key', baseUrl };
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach((t) => {
+  requests = [];
+  usageLog = [];
+  // Usage is logged to api_usage_logs
+  t.mock.method(pool, 'query', async (sql, params) => {
+    usageLog.push(params);
+    return { rows: [] };
+  });
+});
+
+const REQUEST = {
+  system: 'Answer briefly.',
+  messages: [{ role: 'user', content: 'What happened to the river?' }],
+  temperature: 0.2,
+  maxTokens: 100,
+};
+
+test('getCompletionProvider applies COMPLETION_MODEL to the configured provider only', () => {
+  const saved = { ...config.completion };
+  Object.assign(config.completion, { provider: 'openai', model: 'gpt-4.1' });
+  try {
+    assert.equal(getCompletionProvider().model, 'gpt-4.1');
+    assert.equal(getCompletionProvider(), getCompletionProvider({ provider: 'openai', model: 'gpt-4.1' }));
+    assert.equal(getCompletionProvider({ provider: 'openai', model: 'gpt-4o' }).model, 'gpt-4o');
+    assert.equal(getCompletionProvider({ provider: 'anthropic' }).model, 'claude-haiku-4-5');
+    assert.equal(getCompletionProvider({ provider: 'openai-compatible' }).model, 'llama-3.1-8b');
+  } finally {
+    Object.assign(config.completion, saved);
+  }
+});
+
+test('getCompletionProvider rejects unknown and unconfigured providers', () => {
+  assert.throws(() => getCompletionProvider({ provider: 'nope' }), /Unknown completion provider "nope". Available: openai, openai-compatible, anthropic/);
+
+  const { local } = config.completion;
+  config.completion.local = { ...local, baseUrl: undefined };
+  try {
+    assert.throws(() => getCompletionProvider({ provider: 'openai-compatible', model: 'other' }), /requires COMPLETION_LOCAL_BASE_URL/);
+  } finally {
+    config.completion.local = local;
+  }
+});
+
+test('the openai-compatible provider sends the system prompt first and logs usage', async () => {
+  const provider = getCompletionProvider({ provider: 'openai-compatible' });
+  const text = await complete(REQUEST, provider);
+
+  assert.equal(text, 'The river rose.');
+  assert.deepEqual(requests, [{
+    model: 'llama-3.1-8b',
+    messages: [{ role: 'system', content: 'Answer briefly.' }, { role: 'user', content: 'What happened to the river?' }],
+    temperature: 0.2,
+    max_tokens: 100,
+  }]);
+  // Local models are free
+  assert.deepEqual(usageLog, [['openai-compatible', 'llama-3.1-8b', 12, 4, 16, 0]]);
+});
+
+test('the openai-compatible provider streams text as it arrives', async () => {
+  const pieces = [];
+  const text = await complete(REQUEST, getCompletionProvider({ provider: 'openai-compatible' }), {
+    onText: piece => pieces.push(piece),
+  });
+
+  assert.deepEqual(pieces, ['The ', 'river ', 'rose.']);
+  assert.equal(text, 'The river rose.');
+  assert.equal(requests[0].stream, true);
+  assert.deepEqual(usageLog, [['openai-compatible', 'llama-3.1-8b', 12, 3, 15, 0]]);
+});
+
+test('the anthropic provider passes the system prompt apart and prices usage like OpenAI\'s', async () => {
+  const provider = getCompletionProvider({ provider: 'anthropic' });
+  const text = await complete({ ...REQUEST, maxTokens: undefined }, provider);
+
+  assert.equal(text, 'Levees held.');
+  assert.deepEqual(requests, [{
+    model: 'claude-haiku-4-5',
+    system: 'Answer briefly.',
+    messages: [{ role: 'user', content: 'What happened to the river?' }],
+    temperature: 0.2,
+    max_tokens: 1024,
+  }]);
+  assert.deepEqual(usageLog, [['anthropic', 'claude-haiku-4-5', 1000, 200, 1200, 0.002]]);
+});
+
+test('the anthropic provider streams text as it arrives', async () => {
+  const pieces = [];
+  const text = await complete(REQUEST, getCompletionProvider({ provider: 'anthropic' }), {
+    onText: piece => pieces.push(piece),
+  });
+
+  assert.deepEqual(pieces, ['Levees ', 'held.']);
+  assert.equal(text, 'Levees held.');
+  assert.equal(requests[0].stream, true);
+  assert.deepEqual(usageLog, [['anthropic', 'claude-haiku-4-5', 1000, 200, 1200, 0.002]]);
+});
+
+test('complete hands the whole text to onText when a provider can\'t stream', async () => {
+  registerCompletionProvider('echo', ({ model = 'echo-1' }) => ({
+    name: 'echo',
+    model,
+    complete: async ({ messages: [{ content }] }) => ({ text: content.toUpperCase() }),
+  }));
+
+  const pieces = [];
+  const text = await complete(REQUEST, getCompletionProvider({ provider: 'echo' }), { onText: piece => pieces.push(piece) });
+  assert.equal(text, 'WHAT HAPPENED TO THE RIVER?');
+  assert.deepEqual(pieces, ['WHAT HAPPENED TO THE RIVER?']);
+  // Nothing to log without usage
+  assert.deepEqual(usageLog, []);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildNotebookContext } from '../src/services/context-builder.js';
+import { formatCitedPassage } from '../src/services/citations.js';
+
+const WORDS = ['river', 'basin', 'flood', 'policy', 'rainfall', 'levee', 'delta', 'sediment', 'harbor', 'survey'];
+
+// A document text of distinct sentences, so any slice of it is unique
+const documentText = Array.from(
+  { length: 80 },
+  (_, i) => `Sentence ${i} mentions the ${WORDS[i % WORDS.length]} and the ${WORDS[(i * 7 + 3) % WORDS.length]}.`
+).join(' ');
+
+const passageOf = (documentId, start, end, extra = {}) => ({
+  document_id: documentId,
+  title: `Document ${documentId}`,
+  page_number: null,
+  start_offset: start,
+  end_offset: end,
+  content: documentText.slice(start, end),
+  ...extra,
+});
+
+// Keeps slices on word boundaries, like the chunker does
+const wordStart = (offset) => documentText.indexOf(' ', offset) + 1;
+
+test('buildNotebookContext numbers the passages it includes', async () => {
+  const passages = [passageOf(1, 0, wordStart(400)), passageOf(2, wordStart(1000), wordStart(1400))];
+  const { context, passages: included, report } = await buildNotebookContext({ notes: 'My notes.', passages, budget: 4000 });
+
+  assert.equal(context, `Notebook Notes:\nMy notes.\n\n---\n\n${formatCitedPassage(1, passages[0])}${formatCitedPassage(2, passages[1])}`);
+  assert.deepEqual(included, passages);
+  assert.deepEqual(report.passages.included.map(passage => [passage.number, passage.document_id, passage.trimmed]), [[1, 1, false], [2, 2, false]]);
+  assert.deepEqual(report.passages.dropped, []);
+  assert.equal(report.notes.truncated, false);
+  assert.ok(report.used_tokens > 0 && report.used_tokens <= report.budget_tokens);
+});
+
+test('buildNotebookContext trims the text a passage shares with an included one', async () => {
+  const first = passageOf(1, 0, wordStart(600));
+  const overlapping = passageOf(1, wordStart(450), wordStart(1100));
+  const before = passageOf(1, wordStart(1300), wordStart(1800));
+  const after = passageOf(1, wordStart(1000), wordStart(1500));
+  const { passages, report } = await buildNotebookContext({ notes: '', passages: [first, overlapping, before, after], budget: 4000 });
+
+  // The overlapping passage starts where the first one ends, at a word
+  assert.equal(passages[1].start_offset, first.end_offset);
+  assert.equal(passages[1].end_offset, overlapping.end_offset);
+  assert.ok(documentText.slice(first.end_offset).trimStart().startsWith(passages[1].content));
+  assert.ok(overlapping.content.trimEnd().endsWith(passages[1].content));
+
+  // One that now lies between included passages loses its head and tail
+  assert.equal(passages[3].start_offset, overlapping.end_offset);
+  assert.equal(passages[3].end_offset, before.start_offset);
+
+  assert.deepEqual(report.passages.included.map(passage => passage.trimmed), [false, true, false, true]);
+});
+
+test('buildNotebookContext drops repeated and contained passages', async () => {
+  const first = passageOf(1, 0, wordStart(800));
+  const copy = { ...passageOf(2, 0, wordStart(800)), content: `  ${first.content.toUpperCase()}\n` };
+  const contained = passageOf(1, wordStart(100), wordStart(500));
+  const leftover = passageOf(1, wordStart(700), wordStart(850));
+  const { passages, report } = await buildNotebookContext({ notes: '', passages: [first, copy, contained, leftover], budget: 4000 });
+
+  assert.deepEqual(passages, [first]);
+  assert.deepEqual(report.passages.dropped.map(passage => [passage.document_id, passage.reason]), [
+    [2, 'duplicate'], [1, 'duplicate'], [1, 'duplicate'],
+  ]);
+});
+
+test('buildNotebookContext skips passages over the budget for smaller ones that fit', async () => {
+  const large = passageOf(1, 0, wordStart(3000));
+  const small = passageOf(2, 0, wordStart(300));
+  const { passages, report } = await buildNotebookContext({ notes: '', passages: [large, small], budget: 300 });
+
+  assert.deepEqual(passages, [small]);
+  assert.equal(report.passages.dropped.length, 1);
+  assert.equal(report.passages.dropped[0].reason, 'budget');
+  assert.ok(report.passages.dropped[0].tokens > 300);
+  assert.ok(report.used_tokens <= 300);
+});
+
+test('buildNotebookContext cuts the notes to a quarter of the budget', async () => {
+  const { context, report } = await buildNotebookContext({ notes: documentText, passages: [], budget: 400 });
+
+  assert.equal(report.notes.truncated, true);
+  assert.ok(report.notes.tokens <= 100);
+  assert.ok(context.startsWith(`Notebook Notes:\n${documentText.slice(0, 50)}`));
+  assert.match(context, /\n\[\.\.\.\]\n\n---\n\n$/);
+});
+
+test('buildNotebookContext keeps the latest whole exchanges that fit', async () => {
+  const exchange = (i) => [
+    { role: 'user', content: `Question ${i} about the ${WORDS[i]}?` },
+    { role: 'assistant', content: documentText.slice(0, 150 * (i + 1)) },
+  ];
+  const history = [...exchange(3), ...exchange(0), ...exchange(1)];
+  const { history: kept, report } = await buildNotebookContext({ notes: '', passages: [], history, budget: 600 });
+
+  assert.deepEqual(kept, [...exchange(0), ...exchange(1)]);
+  assert.deepEqual(
+    { messages: report.history.messages, dropped: report.history.dropped },
+    { messages: 4, dropped: 2 }
+  );
+  assert.ok(report.history.tokens <= 150);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerEmbeddingProvider, createEmbeddingProvider, lockEmbeddingModel, getEmbeddings, getEmbedding,
+} from '../src/services/embeddings/index.js';
+
+// Embeds each text as [length, batch number], recording the batches it was sent
+registerEmbeddingProvider('test', ({ model = 'counter', failOn = null } = {}) => {
+  const batches = [];
+  return {
+    name: 'test',
+    model,
+    dimensions: 2,
+    maxBatchSize: 2,
+    batches,
+    async embed(texts) {
+      batches.push(texts);
+      if (batches.length === failOn) {
+        throw new Error('Rate limit exceeded');
+      }
+      return texts.map(text => [text.length, batches.length]);
+    },
+  };
+});
+
+test('createEmbeddingProvider identifies vectors by provider, model and size', () => {
+  const small = createEmbeddingProvider({ provider: 'openai', model: 'text-embedding-3-small' });
+  assert.equal(small.id, 'openai:text-embedding-3-small');
+  assert.equal(small.dimensions, 1536);
+
+  const shortened = createEmbeddingProvider({ provider: 'openai', model: 'text-embedding-3-large', dimensions: 1024 });
+  assert.equal(shortened.id, 'openai:text-embedding-3-large@1024');
+  assert.equal(shortened.dimensions, 1024);
+  assert.deepEqual(shortened.spec, {
+    id: 'openai:text-embedding-3-large@1024', provider: 'openai', model: 'text-embedding-3-large', dimensions: 1024,
+  });
+});
+
+test('createEmbeddingProvider falls back to each provider\'s default model', () => {
+  assert.equal(createEmbeddingProvider({ provider: 'openai' }).id, 'openai:text-embedding-ada-002');
+  const local = createEmbeddingProvider({ provider: 'local', model: '' });
+  assert.equal(local.id, 'local:Xenova/all-MiniLM-L6-v2');
+  // Only known once the model has run
+  assert.equal(local.dimensions, null);
+});
+
+test('createEmbeddingProvider rejects unknown providers', () => {
+  assert.throws(() => createEmbeddingProvider({ provider: 'nope' }), /Unknown embedding provider "nope". Available: openai, local, test/);
+});
+
+test('getEmbeddings batches texts by the provider\'s limit and keeps their order', async () => {
+  const provider = createEmbeddingProvider({ provider: 'test' });
+  const embeddings = await getEmbeddings(['a', 'bb', 'ccc', 'dddd', 'eeeee'], provider);
+
+  assert.deepEqual(provider.batches, [['a', 'bb'], ['ccc', 'dddd'], ['eeeee']]);
+  assert.deepEqual(embeddings, [[1, 1], [2, 1], [3, 2], [4, 2], [5, 3]]);
+  assert.deepEqual(await getEmbedding('ffffff', provider), [6, 4]);
+});
+
+test('getEmbeddings returns null when the provider fails', async () => {
+  const provider = createEmbeddingProvider({ provider: 'test', failOn: 2 });
+  assert.equal(await getEmbeddings(['a', 'b', 'c'], provider), null);
+  assert.equal(await getEmbeddings([], provider), null);
+});
+
+test('lockEmbeddingModel only lets vectors of the active model be written', async () => {
+  const queries = [];
+  const client = {
+    query: async (sql, params) => {
+      queries.push(sql);
+      return { rows: [{ value: { id: 'openai:text-embedding-3-small' } }] };
+    },
+  };
+
+  await lockEmbeddingModel(client, 'openai:text-embedding-3-small');
+  assert.match(queries[0], /FOR SHARE/);
+  await assert.rejects(
+    lockEmbeddingModel(client, 'local:Xenova/all-MiniLM-L6-v2'),
+    /changed from local:Xenova\/all-MiniLM-L6-v2 to openai:text-embedding-3-small/
+  );
+});
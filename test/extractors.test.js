@@ -0,0 +1,209 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { findExtractor, findMimeTypes } from '../src/services/extractors/index.js';
+
+let directory;
+
+before(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'extractors-'));
+});
+
+after(async () => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+// Writes a fixture and extracts it with the extractor its name selects
+const extractFile = async (filename, data, mimetype = '') => {
+  const filePath = path.join(directory, filename);
+  await fs.promises.writeFile(filePath, data);
+  return findExtractor(mimetype, filename).extract(filePath);
+};
+
+const zipOf = (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.file(name, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const CORE_PROPERTIES = `<?xml version="1.0" encoding="UTF-8"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"
+  xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">
+  <dc:title>Flood Survey</dc:title>
+  <dc:creator>Jane Doe</dc:creator>
+  <dcterms:created>2021-04-02T10:00:00Z</dcterms:created>
+</cp:coreProperties>`;
+
+test('findExtractor picks an extractor by MIME type, then extension, then wildcard', () => {
+  assert.equal(findExtractor('application/pdf', 'report.bin').name, 'pdf');
+  assert.equal(findExtractor('text/html; charset=utf-8', 'page').name, 'html');
+  // Browsers send generic types for files they don't know
+  assert.equal(findExtractor('application/octet-stream', 'Book.EPUB').name, 'epub');
+  assert.equal(findExtractor('', 'notes.md').name, 'markdown');
+  assert.equal(findExtractor('application/zip', 'slides.pptx').name, 'pptx');
+  assert.equal(findExtractor('text/x-python', 'script.py').name, 'text');
+  assert.equal(findExtractor('', 'scan.TIF').name, 'image');
+  assert.equal(findExtractor('application/x-msdownload', 'setup.exe'), null);
+  assert.equal(findExtractor('image/webp', 'photo.webp'), null);
+});
+
+test('findMimeTypes lists the MIME types of a kind of file', () => {
+  assert.deepEqual(findMimeTypes('.epub'), ['application/epub+zip']);
+  assert.deepEqual(findMimeTypes('htm'), ['text/html', 'application/xhtml+xml']);
+  assert.ok(!findMimeTypes('txt').includes('text/*'));
+  assert.deepEqual(findMimeTypes('unknown'), []);
+});
+
+test('the EPUB extractor reads chapters in spine order, with the book metadata', async () => {
+  const chapter = (heading, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>${heading}</title><style>p { color: red; }</style></head>
+<body><h1>${heading}</h1><p>${body}</p><script>track();</script></body></html>`;
+
+  const data = await zipOf({
+    mimetype: 'application/epub+zip',
+    'META-INF/container.xml': `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`,
+    'OEBPS/content.opf': `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>River Stories</dc:title>
+    <dc:creator>Jane Doe</dc:creator>
+    <dc:creator>John Roe</dc:creator>
+    <dc:language>en</dc:language>
+    <dc:identifier>urn:isbn:9780306406157</dc:identifier>
+    <dc:description>&lt;p&gt;Tales from the &lt;b&gt;delta&lt;/b&gt;.&lt;/p&gt;</dc:description>
+  </metadata>
+  <manifest>
+    <item id="one" href="Text/chapter%201.xhtml" media-type="application/xhtml+xml"/>
+    <item id="two" href="Text/chapter2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="cover" href="Images/cover.jpg" media-type="image/jpeg"/>
+  </manifest>
+  <spine><itemref idref="two"/><itemref idref="cover"/><itemref idref="one"/></spine>
+</package>`,
+    'OEBPS/Text/chapter 1.xhtml': chapter('The Source', 'Rain falls on the hills.'),
+    'OEBPS/Text/chapter2.xhtml': chapter('The Mouth', 'The river meets the sea.'),
+  });
+
+  const { content, title, metadata } = await extractFile('book.epub', data);
+  assert.equal(content, '# The Mouth\n\nThe river meets the sea.\n\n# The Source\n\nRain falls on the hills.');
+  assert.equal(title, 'River Stories');
+  assert.deepEqual(metadata.authors, ['Jane Doe', 'John Roe']);
+  assert.equal(metadata.language, 'en');
+  assert.equal(metadata.isbn, '9780306406157');
+  assert.equal(metadata.description, 'Tales from the delta.');
+});
+
+test('the EPUB extractor rejects a book without a package document', async () => {
+  const data = await zipOf({ mimetype: 'application/epub+zip', 'OEBPS/chapter.xhtml': '<html></html>' });
+  await assert.rejects(extractFile('broken.epub', data), /missing META-INF\/container\.xml/);
+});
+
+test('the DOCX extractor converts headings, paragraphs and tables to Markdown', async () => {
+  const paragraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+  const data = await zipOf({
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`,
+    'word/document.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>
+  ${paragraph('Findings', 'Heading1')}
+  ${paragraph('Water levels rose in spring.')}
+  <w:tbl>
+    <w:tr><w:tc>${paragraph('Site')}</w:tc><w:tc>${paragraph('Level')}</w:tc></w:tr>
+    <w:tr><w:tc>${paragraph('North')}</w:tc><w:tc>${paragraph('4.2')}</w:tc></w:tr>
+  </w:tbl>
+</w:body></w:document>`,
+    'docProps/core.xml': CORE_PROPERTIES,
+  });
+
+  const { content, title, metadata } = await extractFile('survey.docx', data);
+  assert.match(content, /^# Findings\n\nWater levels rose in spring\./);
+  assert.match(content, /Site[\s\S]*Level[\s\S]*North[\s\S]*4\.2/);
+  assert.equal(title, 'Flood Survey');
+  assert.deepEqual(metadata.authors, ['Jane Doe']);
+  assert.equal(metadata.published_date, '2021-04-02');
+});
+
+test('the PPTX extractor reads slides in order, each as a page', async () => {
+  const slide = (...paragraphs) => `<?xml version="1.0" encoding="UTF-8"?>
+<p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+  <p:cSld><p:spTree><p:sp><p:txBody>
+    ${paragraphs.map(runs => `<a:p>${runs.map(run => `<a:r><a:t>${run}</a:t></a:r>`).join('')}</a:p>`).join('')}
+    <a:p></a:p>
+  </p:txBody></p:sp></p:spTree></p:cSld>
+</p:sld>`;
+  const files = { 'docProps/core.xml': CORE_PROPERTIES };
+  for (let i = 1; i <= 10; i++) {
+    files[`ppt/slides/slide${i}.xml`] = slide([`Slide ${i}`], ['Split ', 'run']);
+  }
+
+  const { content, pages, title } = await extractFile('deck.pptx', await zipOf(files));
+  assert.equal(pages.length, 10);
+  assert.deepEqual(pages.map(page => content.slice(page.start, page.end)).slice(0, 3), [
+    'Slide 1\nSplit run',
+    'Slide 2\nSplit run',
+    'Slide 3\nSplit run',
+  ]);
+  assert.equal(content.slice(pages[9].start, pages[9].end), 'Slide 10\nSplit run');
+  assert.equal(title, 'Flood Survey');
+});
+
+test('the XLSX extractor writes one tab-separated section per sheet', async () => {
+  const data = await zipOf({
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"
+  xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets><sheet name="Levels" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" r:id="rId2"/></sheets>
+</workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+  <Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/>
+</Relationships>`,
+    'xl/sharedStrings.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <si><t>Site</t></si><si><t>Level</t></si><si><r><t>No</t></r><r><t>rth</t></r></si>
+</sst>`,
+    'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+  <row><c t="s"><v>0</v></c><c t="s"><v>1</v></c></row>
+  <row><c t="s"><v>2</v></c><c><v>4.2</v></c></row>
+</sheetData></worksheet>`,
+    'xl/worksheets/sheet2.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+  <row><c t="inlineStr"><is><t>Checked weekly</t></is></c></row>
+</sheetData></worksheet>`,
+  });
+
+  const { content } = await extractFile('levels.xlsx', data);
+  assert.equal(content, '## Levels\n\nSite\tLevel\nNorth\t4.2\n\n## Notes\n\nChecked weekly');
+});
+
+test('the HTML extractor keeps the main content and reads the page metadata', async () => {
+  const { content, title, metadata } = await extractFile('page.html', `<!doctype html>
+<html lang="de"><head><title>Site name</title><meta name="citation_title" content="Hochwasser"></head>
+<body><nav>Home | About</nav><main><h2>Ergebnis</h2><p>Der Pegel stieg.</p></main><footer>Impressum</footer></body></html>`);
+
+  assert.equal(content, '## Ergebnis\n\nDer Pegel stieg.');
+  assert.equal(title, 'Hochwasser');
+  assert.equal(metadata.language, 'de');
+});
+
+test('the Markdown extractor drops front matter and keeps the Markdown', async () => {
+  const { content } = await extractFile('notes.md', '---\ntitle: Notes\ntags: [a, b]\n---\n# Notes\n\n- one\n- two\n');
+  assert.equal(content, '# Notes\n\n- one\n- two\n');
+});
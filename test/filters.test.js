@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDocumentFilters, buildDocumentFilters } from '../src/services/filters.js';
+
+test('parseDocumentFilters returns empty filters by default', () => {
+  assert.deepEqual(parseDocumentFilters(), {
+    filters: {
+      tags: [],
+      tagMode: 'all',
+      collection: null,
+      notebook: null,
+      mimeTypes: [],
+      sourceTypes: [],
+      languages: [],
+      dateFrom: null,
+      dateTo: null,
+    },
+  });
+});
+
+test('parseDocumentFilters reads comma-separated query strings and body arrays alike', () => {
+  const fromQuery = parseDocumentFilters({
+    tags: 'To Read, to  read,Physics',
+    tagMode: 'any',
+    collection: '3',
+    mimeTypes: 'Application/PDF,text/plain',
+    sourceTypes: 'file,url',
+    languages: 'en-US,EN,de',
+    dateFrom: '2024-01-01',
+    dateTo: '2024-12-31',
+  });
+  const fromBody = parseDocumentFilters({
+    tags: ['To Read', 'to  read', 'Physics'],
+    tagMode: 'any',
+    collection: 3,
+    mimeTypes: ['Application/PDF', 'text/plain'],
+    sourceTypes: ['file', 'url'],
+    languages: ['en-US', 'EN', 'de'],
+    dateFrom: '2024-01-01',
+    dateTo: '2024-12-31',
+  });
+
+  assert.deepEqual(fromQuery, fromBody);
+  assert.deepEqual(fromQuery.filters, {
+    tags: ['to read', 'physics'],
+    tagMode: 'any',
+    collection: 3,
+    notebook: null,
+    mimeTypes: ['application/pdf', 'text/plain'],
+    sourceTypes: ['file', 'url'],
+    languages: ['en', 'de'],
+    dateFrom: '2024-01-01',
+    dateTo: '2024-12-31',
+  });
+});
+
+test('parseDocumentFilters rejects invalid filters', () => {
+  assert.match(parseDocumentFilters({ tagMode: 'some' }).error, /tagMode must be one of: all, any/);
+  assert.equal(parseDocumentFilters({ collection: 'abc' }).error, 'collection must be a collection id');
+  assert.equal(parseDocumentFilters({ notebook: -1 }).error, 'notebook must be a notebook id');
+  assert.match(parseDocumentFilters({ sourceTypes: 'file,email' }).error, /sourceTypes must be any of/);
+  assert.equal(parseDocumentFilters({ dateFrom: '2024-02-30' }).error, 'dateFrom must be a date (YYYY-MM-DD)');
+  assert.equal(parseDocumentFilters({ dateTo: '01/02/2024' }).error, 'dateTo must be a date (YYYY-MM-DD)');
+  assert.equal(parseDocumentFilters({ dateFrom: '2024-02-01', dateTo: '2024-01-01' }).error, 'dateFrom must not be after dateTo');
+});
+
+test('buildDocumentFilters adds nothing without filters', () => {
+  const params = ['existing'];
+  assert.deepEqual(buildDocumentFilters(parseDocumentFilters().filters, params), []);
+  assert.deepEqual(params, ['existing']);
+});
+
+test('buildDocumentFilters appends its values after the existing parameters', () => {
+  const params = ['query'];
+  const { filters } = parseDocumentFilters({ tags: 'a,b', notebook: 7, languages: 'en', dateTo: '2024-12-31' });
+  const conditions = buildDocumentFilters(filters, params, 'c.document_id');
+
+  assert.deepEqual(params, ['query', ['a', 'b'], 7, ['en'], '2024-12-31']);
+  assert.equal(conditions.length, 4);
+  assert.match(conditions[0], /^c\.document_id IN \(/);
+  assert.match(conditions[0], /HAVING COUNT\(\*\) = cardinality\(\$2::text\[\]\)/);
+  assert.match(conditions[1], /notebook_id = \$3/);
+  assert.match(conditions[2], /= ANY\(\$4::text\[\]\)/);
+  assert.equal(conditions[3], 'd.created_at < $5::date + 1');
+});
+
+test('buildDocumentFilters matches any tag without a count', () => {
+  const { filters } = parseDocumentFilters({ tags: 'a,b', tagMode: 'any' });
+  const [condition] = buildDocumentFilters(filters, []);
+  assert.doesNotMatch(condition, /HAVING/);
+});
+
+test('buildDocumentFilters includes subcollections with a cycle-safe recursive query', () => {
+  const params = [];
+  const [condition] = buildDocumentFilters(parseDocumentFilters({ collection: 5 }).filters, params);
+  assert.deepEqual(params, [5]);
+  assert.match(condition, /WITH RECURSIVE subtree/);
+  assert.match(condition, /\bUNION\s+SELECT/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rejectDuplicateContent } from '../src/services/ingest.js';
+import { PermanentJobError } from '../src/services/jobs.js';
+
+// Answers findDuplicate with the documents sharing the hash, leaving out the excluded one
+const fakeDb = (documents) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, [contentHash, , excludeId]) => {
+      queries.push({ contentHash, excludeId });
+      return { rows: documents.filter(d => d.content_hash === contentHash && d.id !== excludeId) };
+    },
+  };
+};
+
+test('rejectDuplicateContent fails a scraped page whose text is already stored', async () => {
+  const db = fakeDb([{ id: 3, title: 'Pasted article', content_hash: 'abc' }]);
+  await assert.rejects(
+    rejectDuplicateContent(db, 8, 'abc'),
+    (error) => error instanceof PermanentJobError && /document 3 \("Pasted article"\)/.test(error.message)
+  );
+  assert.deepEqual(db.queries, [{ contentHash: 'abc', excludeId: 8 }]);
+});
+
+test('rejectDuplicateContent accepts new text, and the document matching itself', async () => {
+  const db = fakeDb([{ id: 8, title: 'This page', content_hash: 'abc' }]);
+  await rejectDuplicateContent(db, 8, 'abc');
+  await rejectDuplicateContent(db, 8, 'def');
+});
+
+test('rejectDuplicateContent skips pages without text', async () => {
+  const db = fakeDb([]);
+  await rejectDuplicateContent(db, 8, null);
+  assert.deepEqual(db.queries, []);
+});
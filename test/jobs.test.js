@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/index.js';
+import { enqueueJob, getRetryDelay, isPermanentFailure, PermanentJobError } from '../src/services/jobs.js';
+
+test('getRetryDelay doubles the wait after each failed attempt', () => {
+  assert.deepEqual([1, 2, 3, 4].map(getRetryDelay), [5000, 10000, 20000, 40000]);
+});
+
+test('getRetryDelay waits at most 10 minutes', () => {
+  assert.equal(getRetryDelay(8), 10 * 60 * 1000);
+  assert.equal(getRetryDelay(30), 10 * 60 * 1000);
+});
+
+test('isPermanentFailure retries until the last attempt', () => {
+  const error = new Error('Rate limit exceeded');
+  assert.equal(isPermanentFailure({ attempts: 1, max_attempts: 5 }, error), false);
+  assert.equal(isPermanentFailure({ attempts: 4, max_attempts: 5 }, error), false);
+  assert.equal(isPermanentFailure({ attempts: 5, max_attempts: 5 }, error), true);
+});
+
+test('isPermanentFailure never retries a permanent error', () => {
+  const error = new PermanentJobError('Could not extract text from the document.');
+  assert.equal(isPermanentFailure({ attempts: 1, max_attempts: 5 }, error), true);
+});
+
+test('enqueueJob stores the payload and the document the job works on', async () => {
+  const queries = [];
+  const client = {
+    query: async (sql, params) => {
+      queries.push(params);
+      return { rows: [{ id: 7, type: params[0], status: 'queued', progress: 0, document_id: params[2] }] };
+    },
+  };
+
+  const job = await enqueueJob(client, 'ingest_url', { url: 'https://example.com/' }, { documentId: 3 });
+  assert.deepEqual(job, { id: 7, type: 'ingest_url', status: 'queued', progress: 0, document_id: 3 });
+  assert.deepEqual(queries, [['ingest_url', '{"url":"https://example.com/"}', 3, config.jobs.maxAttempts]]);
+
+  await enqueueJob(client, 'reembed', {}, { maxAttempts: 1 });
+  assert.deepEqual(queries[1], ['reembed', '{}', null, 1]);
+});
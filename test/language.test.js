@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../src/db/index.js';
+import {
+  detectLanguage, findTextSearchConfig, saveTextSearchConfig, TEXT_SEARCH_CONFIGS, DEFAULT_TEXT_SEARCH_CONFIG,
+} from '../src/services/language.js';
+import { searchDocuments } from '../src/services/search.js';
+import { parseSearchQuery } from '../src/services/query.js';
+import { parseDocumentFilters } from '../src/services/filters.js';
+
+test('detectLanguage recognizes the languages with a text search configuration', () => {
+  assert.equal(detectLanguage('The river rose past the levees in April, and the town was flooded for three weeks before the water went down.'), 'en');
+  assert.equal(detectLanguage('Der Fluss stieg im April über die Deiche, und die Stadt stand drei Wochen lang unter Wasser, bevor es zurückging.'), 'de');
+  assert.equal(detectLanguage('La rivière a dépassé les digues en avril, et la ville est restée inondée pendant trois semaines avant la décrue.'), 'fr');
+  assert.equal(detectLanguage('O rio subiu acima dos diques em abril, e a cidade ficou inundada durante três semanas até a água baixar.'), 'pt');
+});
+
+test('detectLanguage gives up on short texts and other languages', () => {
+  assert.equal(detectLanguage('The river rose.'), null);
+  assert.equal(detectLanguage(`${' '.repeat(100)}Levees.`), null);
+  assert.equal(detectLanguage(null), null);
+  assert.equal(detectLanguage('川の水位は四月に堤防を越え、町は三週間にわたって浸水したままで、水が引くまで住民は避難所で暮らした。'), null);
+});
+
+test('findTextSearchConfig reads the primary language of a tag', () => {
+  assert.equal(findTextSearchConfig('de'), 'german');
+  assert.equal(findTextSearchConfig('pt-BR'), 'portuguese');
+  assert.equal(findTextSearchConfig('EN-gb'), 'english');
+  // Bokmål and Nynorsk are both Norwegian
+  assert.equal(findTextSearchConfig('nb'), 'norwegian');
+  assert.equal(findTextSearchConfig('nn-NO'), 'norwegian');
+  assert.equal(findTextSearchConfig('ja'), null);
+  assert.equal(findTextSearchConfig(null), null);
+});
+
+test('saveTextSearchConfig indexes a document with its language, or word for word', async () => {
+  const saveWith = async (language) => {
+    const updates = [];
+    const client = {
+      query: async (sql, params) => {
+        if (/^SELECT/.test(sql)) {
+          return { rows: [{ language }] };
+        }
+        updates.push(params);
+        return { rowCount: 1 };
+      },
+    };
+    return { config: await saveTextSearchConfig(client, 3), updates };
+  };
+
+  assert.deepEqual(await saveWith('es-MX'), { config: 'spanish', updates: [['spanish', 3], ['spanish', 3]] });
+  assert.deepEqual(await saveWith('ja'), { config: 'simple', updates: [['simple', 3], ['simple', 3]] });
+  assert.equal((await saveWith(null)).config, DEFAULT_TEXT_SEARCH_CONFIG);
+});
+
+test('searchDocuments parses keywords with each document\'s configuration unless the query has a language', async (t) => {
+  const searches = [];
+  t.mock.method(pool, 'connect', async () => ({
+    query: async (sql, params) => {
+      if (/WITH nearest_chunks/.test(sql)) {
+        searches.push(params);
+        return { rows: [{ total: 0, results: [], facets: {} }] };
+      }
+      return { rows: [] };
+    },
+    release: () => {},
+  }));
+  const { query } = parseSearchQuery('flooded levees');
+  const { filters } = parseDocumentFilters({});
+  const search = { query, embedding: [0.6, 0.8], embeddingModel: 'test:counter', filters };
+
+  await searchDocuments(search);
+  await searchDocuments({ ...search, textSearchConfig: 'german' });
+
+  // $9 is the query's configuration, $10 those the query is parsed with
+  assert.deepEqual(searches.map(params => params.slice(8, 10)), [
+    [null, TEXT_SEARCH_CONFIGS],
+    ['german', ['german']],
+  ]);
+  assert.ok(TEXT_SEARCH_CONFIGS.includes('simple') && TEXT_SEARCH_CONFIGS.includes('norwegian'));
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeDate, normalizeLanguage, normalizeDoi, normalizeIsbn, normalizeAuthors,
+  normalizeMetadata, findIdentifiers, extractHtmlMetadata, validateMetadataUpdate,
+} from '../src/services/metadata.js';
+
+test('normalizeDate keeps the precision it was given', () => {
+  assert.equal(normalizeDate('2019'), '2019');
+  assert.equal(normalizeDate('2019-03'), '2019-03');
+  assert.equal(normalizeDate('2019-03-05T10:00:00Z'), '2019-03-05');
+  assert.equal(normalizeDate('D:20190305120000Z'), '2019-03-05');
+  assert.equal(normalizeDate('D:2019'), '2019');
+  assert.equal(normalizeDate('March 5, 2019'), '2019-03-05');
+  assert.equal(normalizeDate(new Date('2019-03-05T00:00:00Z')), '2019-03-05');
+});
+
+test('normalizeDate rejects invalid dates', () => {
+  assert.equal(normalizeDate('2019-13'), null);
+  assert.equal(normalizeDate('2019-02-32'), null);
+  assert.equal(normalizeDate('someday'), null);
+  assert.equal(normalizeDate(''), null);
+  assert.equal(normalizeDate(new Date('nope')), null);
+});
+
+test('normalizeLanguage formats BCP 47 tags', () => {
+  assert.equal(normalizeLanguage('en_us'), 'en-US');
+  assert.equal(normalizeLanguage('DE'), 'de');
+  assert.equal(normalizeLanguage('zh-Hant-TW'), 'zh-Hant-TW');
+  assert.equal(normalizeLanguage('English'), null);
+});
+
+test('normalizeDoi extracts bare DOIs', () => {
+  assert.equal(normalizeDoi('10.1000/182'), '10.1000/182');
+  assert.equal(normalizeDoi('doi: 10.1000/182.'), '10.1000/182');
+  assert.equal(normalizeDoi('https://doi.org/10.1038/nphys1170'), '10.1038/nphys1170');
+  assert.equal(normalizeDoi('https://dx.doi.org/10.1038/nphys1170'), '10.1038/nphys1170');
+  assert.equal(normalizeDoi('11.1000/182'), null);
+});
+
+test('normalizeIsbn checks the check digit', () => {
+  assert.equal(normalizeIsbn('978-0-306-40615-7'), '9780306406157');
+  assert.equal(normalizeIsbn('ISBN-10: 0-306-40615-2'), '0306406152');
+  assert.equal(normalizeIsbn('urn:isbn:080442957x'), '080442957X');
+  assert.equal(normalizeIsbn('978-0-306-40615-8'), null);
+  assert.equal(normalizeIsbn('0-306-40615-3'), null);
+  assert.equal(normalizeIsbn('12345'), null);
+});
+
+test('normalizeAuthors splits on semicolons and new lines, not commas', () => {
+  assert.deepEqual(normalizeAuthors('Doe, Jane; Roe, Richard\nPoe,  Edgar'), ['Doe, Jane', 'Roe, Richard', 'Poe, Edgar']);
+  assert.deepEqual(normalizeAuthors(['Jane Doe', 'Jane Doe', 'https://example.com/jane', ' ']), ['Jane Doe']);
+  assert.deepEqual(normalizeAuthors(null), []);
+});
+
+test('normalizeMetadata drops empty and invalid values', () => {
+  assert.deepEqual(normalizeMetadata({
+    title: '  A   Title ',
+    authors: [],
+    published_date: 'not a date',
+    description: '',
+    language: 'en_GB',
+    doi: 'doi:10.1000/182',
+    isbn: '123',
+  }), { title: 'A Title', language: 'en-GB', doi: '10.1000/182' });
+});
+
+test('findIdentifiers finds a DOI and an ISBN near the start of a text', () => {
+  const text = 'Journal of Tests\nhttps://doi.org/10.1234/jot.2020.5, published 2020\nISBN 978-0-306-40615-7\n\nBody...';
+  assert.deepEqual(findIdentifiers(text), { doi: '10.1234/jot.2020.5', isbn: '9780306406157' });
+  assert.deepEqual(findIdentifiers(`${'x '.repeat(6000)} doi 10.1234/late`), {});
+  assert.deepEqual(findIdentifiers(null), {});
+});
+
+test('extractHtmlMetadata prefers citation tags, then JSON-LD, then generic tags', () => {
+  const html = `<html lang="fr"><head>
+    <meta name="citation_title" content="Scholarly Title">
+    <meta name="citation_author" content="Doe, Jane">
+    <meta name="citation_author" content="Roe, Richard">
+    <meta property="og:title" content="Site Title">
+    <meta property="og:site_name" content="The Site">
+    <meta name="description" content="What it is about">
+    <script type="application/ld+json">{"@type": "ScholarlyArticle", "datePublished": "2021-04-01",
+      "identifier": "https://doi.org/10.5555/abc"}</script>
+    <script type="application/ld+json">{ broken</script>
+  </head><body></body></html>`;
+
+  assert.deepEqual(extractHtmlMetadata(html), {
+    title: 'Scholarly Title',
+    authors: ['Doe, Jane', 'Roe, Richard'],
+    published_date: '2021-04-01',
+    description: 'What it is about',
+    language: 'fr',
+    publisher: 'The Site',
+    doi: '10.5555/abc',
+  });
+});
+
+test('validateMetadataUpdate normalizes values and clears fields with null', () => {
+  assert.deepEqual(
+    validateMetadataUpdate({ isbn: '0-306-40615-2', authors: ['Jane Doe'], description: null, doi: '' }),
+    { values: { isbn: '0306406152', authors: ['Jane Doe'], description: null, doi: null } }
+  );
+  assert.deepEqual(validateMetadataUpdate({ authors: null }), { values: { authors: [] } });
+});
+
+test('validateMetadataUpdate rejects invalid updates', () => {
+  assert.match(validateMetadataUpdate({}).error, /Provide at least one/);
+  assert.match(validateMetadataUpdate({ pages: 3 }).error, /Unknown field "pages"/);
+  assert.equal(validateMetadataUpdate({ title: '' }).error, 'Title cannot be empty');
+  assert.equal(validateMetadataUpdate({ authors: 'Jane Doe' }).error, 'authors must be an array of names');
+  assert.equal(validateMetadataUpdate({ isbn: '123' }).error, 'Invalid isbn: "123"');
+  assert.equal(validateMetadataUpdate({ publisher: 'x'.repeat(256) }).error, 'publisher must be at most 255 characters');
+});
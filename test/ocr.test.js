@@ -0,0 +1,171 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import UTIF from 'utif2';
+import { createCanvas } from '@napi-rs/canvas';
+import config from '../src/config/index.js';
+import { recognizeImage, stopOcrWorker } from '../src/services/ocr.js';
+import { extractPdfText } from '../src/services/pdf.js';
+import { findExtractor } from '../src/services/extractors/index.js';
+
+let directory;
+
+before(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+});
+
+after(async () => {
+  await stopOcrWorker();
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+// A scan of a line of text: black on white, large enough to recognize reliably
+const scanOf = (text, width = 1000, height = 160) => {
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = 'black';
+  context.font = '48px sans-serif';
+  context.fillText(text, 30, 95);
+  return canvas;
+};
+
+// A multi-page TIFF with uncompressed RGBA strips, one page per canvas
+const tiffOf = (canvases) => {
+  const DATA_OFFSET = 4000;  // Room for the directories before the pixel data
+  let offset = DATA_OFFSET;
+  const strips = canvases.map(canvas => canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data);
+  const ifds = canvases.map((canvas, i) => {
+    const ifd = {
+      t256: [canvas.width], t257: [canvas.height], t258: [8, 8, 8, 8], t259: [1], t262: [2], t273: [offset],
+      t277: [4], t278: [canvas.height], t279: [strips[i].length], t284: [1], t338: [1],
+    };
+    offset += strips[i].length;
+    return ifd;
+  });
+  const data = new Uint8Array(offset);
+  data.set(new Uint8Array(UTIF.encode(ifds)));
+  strips.reduce((position, strip) => {
+    data.set(strip, position);
+    return position + strip.length;
+  }, DATA_OFFSET);
+  return Buffer.from(data);
+};
+
+// A PDF whose pages either have a text layer ({ text }) or are a scanned image ({ scan })
+const pdfOf = (pages) => {
+  const objects = [];
+  // Adds an object, returning its number
+  const add = (parts) => {
+    objects.push(parts);
+    return objects.length;
+  };
+  const catalog = add(null);
+  const pageTree = add(null);
+  const font = add(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>']);
+
+  const stream = (dictionary, data) => [`<< ${dictionary} /Length ${data.length} >>\nstream\n`, data, '\nendstream'];
+  const pageIds = pages.map(({ text, scan }) => {
+    if (text) {
+      const content = add(stream('', Buffer.from(`BT /F1 14 Tf 72 720 Td (${text}) Tj ET`)));
+      return add([`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`]);
+    }
+    const image = add(stream(
+      `/Type /XObject /Subtype /Image /Width ${scan.width} /Height ${scan.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+      scan.toBuffer('image/jpeg')
+    ));
+    // Drawn at half size, as a 144 dpi scan would be
+    const content = add(stream('', Buffer.from(`q ${scan.width / 2} 0 0 ${scan.height / 2} 0 0 cm /Im0 Do Q`)));
+    return add([`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${scan.width / 2} ${scan.height / 2}] /Resources << /XObject << /Im0 ${image} 0 R >> >> /Contents ${content} 0 R >>`]);
+  });
+  objects[catalog - 1] = [`<< /Type /Catalog /Pages ${pageTree} 0 R >>`];
+  objects[pageTree - 1] = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`];
+
+  const chunks = [Buffer.from('%PDF-1.4\n')];
+  let length = chunks[0].length;
+  const offsets = objects.map((parts, i) => {
+    const offset = length;
+    for (const part of [`${i + 1} 0 obj\n`, ...parts, '\nendobj\n']) {
+      const buffer = Buffer.from(part);
+      chunks.push(buffer);
+      length += buffer.length;
+    }
+    return offset;
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+  ].join('\n');
+  return new Uint8Array(Buffer.concat([...chunks, Buffer.from(xref)]));
+};
+
+// Runs a test with OCR turned off in the configuration
+const withoutOcr = async (callback) => {
+  const { enabled } = config.ocr;
+  config.ocr.enabled = false;
+  try {
+    await callback();
+  } finally {
+    config.ocr.enabled = enabled;
+  }
+};
+
+test('recognizeImage reads the text of an image, with its confidence', async () => {
+  const { text, confidence } = await recognizeImage(scanOf('The river floods every spring.').toBuffer('image/png'));
+  assert.equal(text, 'The river floods every spring.');
+  assert.ok(confidence > 80 && confidence <= 100, `confidence ${confidence}`);
+});
+
+test('extractPdfText OCRs pages without a text layer and keeps the others', async () => {
+  const { content, pages } = await extractPdfText(pdfOf([
+    { text: 'A page with a real text layer.' },
+    { scan: scanOf('Scanned pages are recognized.') },
+  ]));
+
+  assert.deepEqual(pages[0], { page: 1, start: 0, end: 30 });
+  assert.equal(content.slice(pages[0].start, pages[0].end), 'A page with a real text layer.');
+  assert.equal(content.slice(pages[1].start, pages[1].end), 'Scanned pages are recognized.');
+  assert.equal(pages[1].ocr, true);
+  assert.ok(pages[1].confidence > 80, `confidence ${pages[1].confidence}`);
+});
+
+test('extractPdfText leaves scanned pages empty when OCR is off', async () => {
+  await withoutOcr(async () => {
+    const { content, pages } = await extractPdfText(pdfOf([{ scan: scanOf('Nothing reads this.') }]));
+    assert.deepEqual(pages, [{ page: 1, start: 0, end: 0 }]);
+    assert.equal(content.trim(), '');
+  });
+});
+
+test('the image extractor turns each page of a TIFF into a page of the document', async () => {
+  const filePath = path.join(directory, 'scan.tiff');
+  await fs.promises.writeFile(filePath, tiffOf([scanOf('First page of the scan.'), scanOf('Second page of the scan.')]));
+
+  const progress = [];
+  const { content, pages } = await findExtractor('image/tiff', 'scan.tiff').extract(filePath, {
+    onProgress: async (stage, done, total) => progress.push([stage, done, total]),
+  });
+
+  assert.deepEqual(pages.map(page => content.slice(page.start, page.end)), ['First page of the scan.', 'Second page of the scan.']);
+  assert.ok(pages.every(page => page.ocr && page.confidence > 80));
+  assert.deepEqual(progress, [['ocr', 0, 2], ['ocr', 1, 2]]);
+});
+
+test('the image extractor fails when OCR is off', async () => {
+  const filePath = path.join(directory, 'scan.png');
+  await fs.promises.writeFile(filePath, scanOf('Unread').toBuffer('image/png'));
+
+  await withoutOcr(async () => {
+    await assert.rejects(findExtractor('image/png', 'scan.png').extract(filePath), /OCR is disabled/);
+  });
+});
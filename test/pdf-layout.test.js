@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toItems, groupLines, findColumnSplit, orderLines, joinLines, removeHeadersAndFooters,
+} from '../src/services/pdf-layout.js';
+
+const PAGE_WIDTH = 600;
+const FONT_SIZE = 10;
+
+// A text item as pdf.js returns it; each character is about half the font size wide
+const pdfItem = (str, x, y, fontSize = FONT_SIZE) => ({
+  str,
+  transform: [fontSize, 0, 0, fontSize, x, y],
+  width: str.length * fontSize * 0.5,
+  height: fontSize,
+});
+
+const pageLines = (items) => groupLines(toItems({ items }));
+
+// Plain lines for joinLines, top of the page first
+const textLines = (entries) => entries.map(([text, y, blockStart = false]) => ({ text, y, fontSize: FONT_SIZE, blockStart }));
+
+test('groupLines puts items sharing a baseline on one line, left to right', () => {
+  const lines = pageLines([
+    pdfItem('world', 80, 700.5),
+    pdfItem('Hello', 50, 700),
+    pdfItem('', 120, 700),
+    pdfItem('Next line', 50, 688),
+  ]);
+
+  assert.deepEqual(lines.map(line => line.text), ['Hello world', 'Next line']);
+  assert.equal(lines[0].y, 700.5);
+});
+
+test('groupLines only adds spaces where items are apart', () => {
+  const [line] = pageLines([pdfItem('some', 50, 700), pdfItem('thing', 70, 700), pdfItem('else', 100, 700)]);
+  assert.equal(line.text, 'something else');
+});
+
+test('findColumnSplit finds the gutter of a two-column page', () => {
+  const items = [];
+  for (let i = 0; i < 10; i++) {
+    items.push(pdfItem(`Left column line ${i}`, 50, 700 - 12 * i));
+    items.push(pdfItem(`Right column line ${i}`, 330, 700 - 12 * i));
+  }
+  const split = findColumnSplit(pageLines(items), PAGE_WIDTH);
+
+  assert.ok(split > 50 + 'Left column line 0'.length * 5 && split < 330, `split at ${split}`);
+});
+
+test('findColumnSplit leaves single-column and short pages alone', () => {
+  const single = Array.from({ length: 10 }, (_, i) => pdfItem('A line of text running across most of the page width here', 50, 700 - 12 * i));
+  assert.equal(findColumnSplit(pageLines(single), PAGE_WIDTH), null);
+
+  const short = [pdfItem('Left', 50, 700), pdfItem('Right', 330, 700)];
+  assert.equal(findColumnSplit(pageLines(short), PAGE_WIDTH), null);
+});
+
+test('orderLines reads the left column before the right one, keeping spanning lines in place', () => {
+  const items = [pdfItem('A title that spans both of the columns on the page', 100, 740)];
+  for (let i = 0; i < 10; i++) {
+    items.push(pdfItem(`L${i}`, 50, 700 - 12 * i));
+    items.push(pdfItem(`R${i}`, 330, 700 - 12 * i));
+  }
+  const lines = pageLines(items);
+  const ordered = orderLines(lines, findColumnSplit(lines, PAGE_WIDTH));
+
+  assert.deepEqual(ordered.map(line => line.text), [
+    'A title that spans both of the columns on the page',
+    ...Array.from({ length: 10 }, (_, i) => `L${i}`),
+    ...Array.from({ length: 10 }, (_, i) => `R${i}`),
+  ]);
+  assert.deepEqual(ordered.filter(line => line.blockStart).map(line => line.text), [ordered[0].text, 'L0', 'R0']);
+  assert.ok(orderLines(lines, null).every(line => !line.blockStart));
+});
+
+test('joinLines starts a paragraph where the spacing is well over the usual', () => {
+  const text = joinLines(textLines([
+    ['First paragraph,', 700],
+    ['still the first.', 688],
+    ['A bit further down,', 674],  // 14 apart: under 1.4 x 12
+    ['Second paragraph.', 650],    // 24 apart
+  ]));
+  assert.equal(text, 'First paragraph,\nstill the first.\nA bit further down,\n\nSecond paragraph.');
+});
+
+test('joinLines measures spacing within blocks only', () => {
+  // Two columns of 12-point spacing; the left one has a paragraph break (24 apart). Pairing each
+  // line with the wrong predecessor across the column starts would make the usual spacing 24.
+  const left = [['L0', 700, true], ['L1', 688], ['L2', 676], ['L3', 652], ['L4', 640]];
+  const right = [['R0', 700, true], ['R1', 688], ['R2', 676], ['R3', 664], ['R4', 652]];
+  const text = joinLines(textLines([['Title', 760, true], ...left, ...right]));
+
+  assert.equal(text, 'Title\n\nL0\nL1\nL2\n\nL3\nL4\n\nR0\nR1\nR2\nR3\nR4');
+});
+
+test('joinLines starts a paragraph where text goes back up the page', () => {
+  assert.equal(joinLines(textLines([['One', 700], ['Two', 688], ['Three', 720]])), 'One\nTwo\n\nThree');
+});
+
+test('joinLines falls back to the font size when no spacing can be measured', () => {
+  assert.equal(joinLines(textLines([['One', 700, true], ['Two', 688, true]])), 'One\n\nTwo');
+  assert.equal(joinLines(textLines([['One', 700]])), 'One');
+});
+
+test('joinLines joins words hyphenated across lines', () => {
+  const text = joinLines(textLines([
+    ['an inter-', 700],
+    ['national study by Smith-', 688],
+    ['Jones with co­', 676],
+    ['operation from the well-', 664],
+  ]));
+  assert.equal(text, 'an international study by Smith-\nJones with cooperation from the well-');
+
+  // Not across paragraphs
+  assert.equal(joinLines(textLines([['inter-', 700], ['national', 688, true]])), 'inter-\n\nnational');
+});
+
+test('removeHeadersAndFooters drops running headers, footers and page numbers', () => {
+  const openings = ['Rivers flood.', 'Levees hold back the water.', 'Deltas move.', 'Harbors silt up.'];
+  const pages = [1, 2, 3, 4].map(page => pageLines([
+    pdfItem('Journal of Tests, Vol. 12', 50, 780),
+    pdfItem(openings[page - 1], 50, 700),
+    pdfItem('Repeated body line', 50, 688),
+    pdfItem('More body text.', 50, 676),
+    pdfItem(page === 2 ? 'Closing words of page two.' : 'Body end.', 50, 664),
+    pdfItem(`Chapter ${page}: Results`, 50, 60),
+    pdfItem(`${page}`, 300, 40),
+  ]));
+  const cleaned = removeHeadersAndFooters(pages);
+
+  assert.deepEqual(cleaned[1].map(line => line.text), [
+    'Levees hold back the water.', 'Repeated body line', 'More body text.', 'Closing words of page two.',
+  ]);
+  cleaned.forEach(lines => assert.ok(lines.every(line => !/Journal|Chapter|^\d+$/.test(line.text))));
+});
+
+test('removeHeadersAndFooters keeps edge lines that don\'t repeat often enough', () => {
+  const pages = [1, 2].map(page => pageLines([
+    pdfItem('Journal of Tests', 50, 780),
+    pdfItem(`Body of page ${page}.`, 50, 700),
+    pdfItem(`Page ${page} of 2`, 50, 40),
+  ]));
+  const cleaned = removeHeadersAndFooters(pages);
+
+  // Too few pages for a running header, but page numbers always go
+  assert.deepEqual(cleaned[0].map(line => line.text), ['Journal of Tests', 'Body of page 1.']);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery } from '../src/services/query.js';
+
+test('parseSearchQuery passes plain words through', () => {
+  const { query } = parseSearchQuery('climate adaptation');
+  assert.equal(query.text, 'climate adaptation');
+  assert.equal(query.keywords, 'climate adaptation');
+  assert.equal(query.title, null);
+  assert.equal(query.exclude, null);
+  assert.deepEqual(query.filters.tags, []);
+});
+
+test('parseSearchQuery reads phrases, exclusions and OR', () => {
+  const { query } = parseSearchQuery('"sea level" rise -model -"press release" wind OR solar');
+  assert.equal(query.text, 'sea level rise wind solar');
+  assert.equal(query.keywords, '"sea level" rise wind or solar');
+  assert.equal(query.exclude, 'model or "press release"');
+});
+
+test('parseSearchQuery quotes a lowercase "or" so it stays a word', () => {
+  const { query } = parseSearchQuery('either or neither');
+  assert.equal(query.keywords, 'either "or" neither');
+});
+
+test('parseSearchQuery turns fields into filters', () => {
+  const { query } = parseSearchQuery('energy type:pdf type:URL tag:"to read" tag:physics lang:DE after:2024-01-01 before:2024-06-30');
+  assert.equal(query.text, 'energy');
+  assert.deepEqual(query.filters.mimeTypes, ['application/pdf']);
+  assert.deepEqual(query.filters.sourceTypes, ['url']);
+  assert.deepEqual(query.filters.tags, ['to read', 'physics']);
+  assert.deepEqual(query.filters.languages, ['de']);
+  assert.equal(query.filters.dateFrom, '2024-01-01');
+  assert.equal(query.filters.dateTo, '2024-06-30');
+});
+
+test('parseSearchQuery narrows the range with repeated dates', () => {
+  const { query } = parseSearchQuery('energy after:2024-01-01 after:2024-03-01 before:2024-12-31 before:2024-06-30');
+  assert.equal(query.filters.dateFrom, '2024-03-01');
+  assert.equal(query.filters.dateTo, '2024-06-30');
+});
+
+test('parseSearchQuery searches titles, and by title alone when there are no other words', () => {
+  assert.equal(parseSearchQuery('energy title:"annual report"').query.title, '"annual report"');
+
+  const { query } = parseSearchQuery('title:budget tag:finance');
+  assert.equal(query.text, 'budget');
+  assert.equal(query.keywords, 'budget');
+  assert.equal(query.title, 'budget');
+});
+
+test('parseSearchQuery leaves unknown fields as words', () => {
+  const { query } = parseSearchQuery('author:smith http://example.com');
+  assert.equal(query.text, 'author:smith http://example.com');
+});
+
+test('parseSearchQuery reports syntax errors with their position', () => {
+  assert.equal(parseSearchQuery('energy "sea level').error, 'Missing closing quote for the phrase at character 8');
+  assert.equal(parseSearchQuery('energy tag:').error, 'Missing value after "tag:" at character 8');
+  assert.equal(parseSearchQuery('energy tag:""').error, 'Missing value after "tag:" at character 8');
+  assert.equal(parseSearchQuery('energy -tag:old').error, 'Field filters can\'t be excluded: "-tag:old" at character 8');
+  assert.match(parseSearchQuery('energy type:exe').error, /^Unknown type "exe" at character 8/);
+  assert.equal(parseSearchQuery('energy after:yesterday').error, '"after:" must be followed by a date (YYYY-MM-DD) at character 8');
+  assert.equal(parseSearchQuery('energy after:2024-06-01 before:2024-01-01').error, '"after:" must not be later than "before:"');
+});
+
+test('parseSearchQuery requires OR between two terms', () => {
+  assert.equal(parseSearchQuery('OR energy').error, 'OR must be between two words or phrases, at character 1');
+  assert.equal(parseSearchQuery('energy OR').error, 'OR must be between two words or phrases, at character 8');
+  assert.equal(parseSearchQuery('wind OR OR solar').error, 'OR must be between two words or phrases, at character 9');
+});
+
+test('parseSearchQuery requires something to search for', () => {
+  for (const input of ['', '   ', '-coal', 'tag:energy', undefined]) {
+    assert.match(parseSearchQuery(input).error, /^The query has no words to search for/, String(input));
+  }
+});
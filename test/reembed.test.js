@@ -0,0 +1,90 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../src/db/index.js';
+import config from '../src/config/index.js';
+import { getReembedTarget, estimateReembedding, throttle } from '../src/services/reembed.js';
+
+// Runs a test with other EMBEDDING_* settings
+const withEmbeddingConfig = async (settings, callback) => {
+  const saved = { ...config.embedding };
+  Object.assign(config.embedding, settings);
+  try {
+    await callback();
+  } finally {
+    Object.assign(config.embedding, saved);
+  }
+};
+
+// Lets pending timers and promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('getReembedTarget re-embeds with the configured model unless told otherwise', async () => {
+  await withEmbeddingConfig({ provider: 'openai', model: 'text-embedding-3-large', dimensions: 1024 }, () => {
+    assert.equal(getReembedTarget().id, 'openai:text-embedding-3-large@1024');
+    assert.equal(getReembedTarget({ model: 'text-embedding-3-small' }).id, 'openai:text-embedding-3-small@1024');
+    assert.equal(getReembedTarget({ dimensions: '256' }).id, 'openai:text-embedding-3-large@256');
+    // Another provider doesn't inherit the configured model or size
+    assert.equal(getReembedTarget({ provider: 'local' }).id, 'local:Xenova/all-MiniLM-L6-v2');
+  });
+});
+
+test('estimateReembedding counts the documents left and prices their tokens', async (t) => {
+  const documents = [
+    { id: 4, content: 'The river rose. '.repeat(25).trim(), page_offsets: null },
+    { id: 9, content: 'Levees held. '.repeat(60).trim(), page_offsets: null },
+  ];
+  const queries = [];
+  t.mock.method(pool, 'query', async (sql, params) => {
+    queries.push(params);
+    if (/FROM settings/.test(sql)) {
+      return { rows: [{ value: { id: 'local:Xenova/all-MiniLM-L6-v2', provider: 'local', model: 'Xenova/all-MiniLM-L6-v2', dimensions: null } }] };
+    }
+    if (/COUNT\(\*\)/.test(sql)) {
+      return { rows: [{ count: 3 }] };
+    }
+    // Pages through the pending documents after the last id seen
+    return { rows: documents.filter(document => document.id > params[1]) };
+  });
+
+  const target = getReembedTarget({ provider: 'openai', model: 'text-embedding-3-small' });
+  const estimate = await estimateReembedding(target);
+
+  const characters = documents[0].content.length + documents[1].content.length;
+  assert.deepEqual(estimate, {
+    activeModel: 'local:Xenova/all-MiniLM-L6-v2',
+    targetModel: 'openai:text-embedding-3-small',
+    stagedDocuments: 3,
+    remainingDocuments: 2,
+    estimatedTokens: Math.ceil(characters / 4),
+    estimatedCost: Number(((Math.ceil(characters / 4) / 1000) * 0.00002).toFixed(4)),
+  });
+  // The pending documents are only read until a page comes back empty
+  assert.deepEqual(queries.filter(params => params?.length === 3).map(params => params[1]), [0, 9]);
+});
+
+test('throttle holds requests back until the last minute is under the limit', async () => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  try {
+    await throttle(600, 1000);
+    await throttle(400, 1000);
+
+    let sent = false;
+    const waiting = throttle(100, 1000).then(() => { sent = true; });
+    await settle();
+    assert.equal(sent, false);
+
+    mock.timers.tick(59999);
+    await settle();
+    assert.equal(sent, false);
+
+    mock.timers.tick(1);
+    await waiting;
+    assert.equal(sent, true);
+
+    // A request larger than the limit goes through once the minute is clear
+    mock.timers.tick(60000);
+    await throttle(5000, 1000);
+  } finally {
+    mock.timers.reset();
+  }
+});
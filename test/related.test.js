@@ -0,0 +1,82 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import pool from '../src/db/index.js';
+import documentRoutes from '../src/routes/documents.js';
+import { findRelatedDocuments } from '../src/services/search.js';
+import { parseDocumentFilters } from '../src/services/filters.js';
+
+const RELATED = [
+  { id: 12, title: 'Levee failures of 1927', similarity: 0.91 },
+  { id: 4, title: 'River gauges', similarity: 0.74 },
+];
+
+// The documents in the library, by id, and the queries for related ones
+let documents;
+let queries;
+
+beforeEach((t) => {
+  documents = { 3: { id: 3, embedded: true }, 5: { id: 5, embedded: false } };
+  queries = [];
+  t.mock.method(pool, 'query', async (sql, params) => {
+    if (/FROM documents WHERE id = \$1/.test(sql)) {
+      return { rows: documents[params[0]] ? [documents[params[0]]] : [] };
+    }
+    queries.push({ sql, params });
+    return { rows: RELATED };
+  });
+});
+
+test('findRelatedDocuments compares a document with others of its embedding model, leaving out copies', async () => {
+  const { filters } = parseDocumentFilters({});
+  assert.deepEqual(await findRelatedDocuments(3, { filters }), RELATED);
+
+  const [{ sql, params }] = queries;
+  assert.deepEqual(params, [3, 5, 0.02]);
+  assert.match(sql, /d\.embedding_model = s\.embedding_model AND d\.id <> s\.id/);
+  assert.match(sql, /d\.content_hash IS DISTINCT FROM s\.content_hash/);
+  assert.match(sql, /d\.canonical_url IS DISTINCT FROM s\.canonical_url/);
+  assert.match(sql, /d\.embedding <=> s\.embedding >= \$3/);
+  assert.match(sql, /ORDER BY d\.embedding <=> s\.embedding\s+LIMIT \$2/);
+});
+
+test('findRelatedDocuments applies filters to the related documents', async () => {
+  const { filters } = parseDocumentFilters({ mimeTypes: 'application/pdf', languages: 'de' });
+  await findRelatedDocuments(3, { filters, limit: 10 });
+
+  const [{ sql, params }] = queries;
+  assert.deepEqual(params, [3, 10, 0.02, ['application/pdf'], ['de']]);
+  assert.match(sql, /AND lower\(d\.mime_type\) = ANY\(\$4::text\[\]\)/);
+  assert.match(sql, /AND lower\(split_part\(d\.language, '-', 1\)\) = ANY\(\$5::text\[\]\)/);
+});
+
+test('findRelatedDocuments finds nothing for missing documents or ones not embedded yet', async () => {
+  const { filters } = parseDocumentFilters({});
+  assert.equal(await findRelatedDocuments(99, { filters }), null);
+  assert.deepEqual(await findRelatedDocuments(5, { filters }), []);
+  assert.deepEqual(queries, []);
+});
+
+test('GET /documents/:id/related checks the limit and reports missing documents', async (t) => {
+  const fastify = Fastify();
+  fastify.register(documentRoutes, { prefix: '/api' });
+  t.after(() => fastify.close());
+
+  const related = await fastify.inject({ url: '/api/documents/3/related?limit=2&sourceTypes=file' });
+  assert.equal(related.statusCode, 200);
+  assert.deepEqual(related.json(), RELATED);
+  assert.equal(queries[0].params[1], 2);
+
+  for (const limit of ['0', '21', 'two']) {
+    const response = await fastify.inject({ url: `/api/documents/3/related?limit=${limit}` });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(response.json(), { error: 'limit must be between 1 and 20' });
+  }
+
+  const badFilter = await fastify.inject({ url: '/api/documents/3/related?sourceTypes=fax' });
+  assert.equal(badFilter.statusCode, 400);
+
+  const missing = await fastify.inject({ url: '/api/documents/99/related' });
+  assert.equal(missing.statusCode, 404);
+  assert.deepEqual(missing.json(), { error: 'Document not found' });
+});
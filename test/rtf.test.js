@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rtfToText } from '../src/services/extractors/rtf.js';
+
+test('rtfToText keeps the text and paragraph breaks', () => {
+  const rtf = '{\\rtf1\\ansi\\deff0 {\\b Bold} and plain.\\par Second paragraph.\\par}';
+  assert.equal(rtfToText(rtf), 'Bold and plain.\nSecond paragraph.');
+});
+
+test('rtfToText skips font tables, metadata and ignorable destinations', () => {
+  const rtf = [
+    '{\\rtf1\\ansi',
+    '{\\fonttbl{\\f0\\froman Times New Roman;}}',
+    '{\\colortbl;\\red0\\green0\\blue0;}',
+    '{\\info{\\title Hidden title}{\\author Someone}}',
+    '{\\*\\generator Some Writer;}',
+    '\\f0 Visible text.}',
+  ].join('\n');
+  assert.equal(rtfToText(rtf), 'Visible text.');
+});
+
+test('rtfToText decodes escaped and Unicode characters', () => {
+  assert.equal(rtfToText("{\\rtf1 caf\\'e9 \\'93quoted\\'94}"), 'café “quoted”');
+  // \u skips its ASCII fallback, per \uc
+  assert.equal(rtfToText('{\\rtf1 \\u8364?5 and \\uc2\\u8212--x}'), '€5 and —x');
+  // The space after a control word only ends it
+  assert.equal(rtfToText('{\\rtf1 a\\~b \\{braces\\} \\\\ \\emdash c\\tab d}'), 'a\u00a0b {braces} \\ —c\td');
+});
+
+test('rtfToText separates table cells', () => {
+  const rtf = '{\\rtf1 \\trowd A\\cell B\\cell\\row C\\cell D\\cell\\row}';
+  assert.equal(rtfToText(rtf), 'A | B |\nC | D |');
+});
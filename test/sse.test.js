@@ -0,0 +1,116 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import pool from '../src/db/index.js';
+import documentRoutes from '../src/routes/documents.js';
+import { registerCompletionProvider } from '../src/services/completions/index.js';
+import { wantsEventStream, streamCompletion } from '../src/services/sse.js';
+
+const PIECES = ['The river ', 'rose, ', 'and the levees held.'];
+
+// Replies with PIECES, streamed one at a time; when failing, fails after the first one
+let failing;
+registerCompletionProvider('scripted', ({ model = 'scripted-1' }) => ({
+  name: 'scripted',
+  model,
+  complete: async () => {
+    if (failing) {
+      throw new Error('Connection reset');
+    }
+    return { text: PIECES.join('') };
+  },
+  stream: async (request, onText) => {
+    for (const piece of PIECES) {
+      onText(piece);
+      if (failing) {
+        throw new Error('Connection reset');
+      }
+    }
+    return { text: PIECES.join('') };
+  },
+}));
+
+let fastify;
+
+before(() => {
+  fastify = Fastify();
+  fastify.register(documentRoutes, { prefix: '/api' });
+  fastify.get('/broken', (request, reply) => streamCompletion(reply, async () => {
+    throw new Error('Database is down');
+  }));
+});
+
+after(() => fastify.close());
+
+beforeEach((t) => {
+  failing = false;
+  t.mock.method(pool, 'query', async (sql, params) => ({
+    rows: params[0] === '3' ? [{ content: 'The river rose in April. The levees held.', page_offsets: null }] : [],
+  }));
+});
+
+// Reads a Server-Sent Events body as [event, data] pairs
+const readEvents = body => body.split('\n\n').filter(Boolean).map((message) => {
+  const [, event, data] = message.match(/^event: (.*)\ndata: (.*)$/);
+  return [event, JSON.parse(data)];
+});
+
+const getSummary = (id, headers = {}) => fastify.inject({ url: `/api/documents/${id}/summary?provider=scripted`, headers });
+
+test('wantsEventStream looks for text/event-stream in the Accept header', () => {
+  assert.equal(wantsEventStream({ headers: { accept: 'text/event-stream' } }), true);
+  assert.equal(wantsEventStream({ headers: { accept: 'application/json, text/event-stream;q=0.9' } }), true);
+  assert.equal(wantsEventStream({ headers: { accept: 'application/json' } }), false);
+  assert.equal(wantsEventStream({ headers: {} }), false);
+});
+
+test('a summary is streamed as token events followed by the usual body', async () => {
+  const response = await getSummary(3, { accept: 'text/event-stream' });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['content-type'], 'text/event-stream');
+  assert.equal(response.headers['cache-control'], 'no-cache');
+  assert.equal(response.headers['x-accel-buffering'], 'no');
+  assert.deepEqual(readEvents(response.body), [
+    ...PIECES.map(text => ['token', { text }]),
+    ['done', { id: '3', summary: PIECES.join('') }],
+  ]);
+});
+
+test('a summary is sent as JSON without the Accept header', async () => {
+  const response = await getSummary(3);
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.json(), { id: '3', summary: PIECES.join('') });
+});
+
+test('a completion failing mid-stream ends with an error event', async () => {
+  failing = true;
+  const response = await getSummary(3, { accept: 'text/event-stream' });
+
+  // The status was sent with the first event
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(readEvents(response.body), [
+    ['token', { text: 'The river ' }],
+    ['error', { error: 'Failed to generate summary' }],
+  ]);
+
+  const json = await getSummary(3);
+  assert.equal(json.statusCode, 500);
+  assert.deepEqual(json.json(), { error: 'Failed to generate summary' });
+});
+
+test('requests are checked before a stream is opened', async () => {
+  const missing = await getSummary(99, { accept: 'text/event-stream' });
+  assert.equal(missing.statusCode, 404);
+  assert.deepEqual(missing.json(), { error: 'Document not found' });
+
+  const unknown = await fastify.inject({ url: '/api/documents/3/summary?provider=nope', headers: { accept: 'text/event-stream' } });
+  assert.equal(unknown.statusCode, 400);
+  assert.match(unknown.json().error, /Unknown completion provider "nope"/);
+});
+
+test('streamCompletion reports unexpected errors without their details', async () => {
+  const response = await fastify.inject({ url: '/broken' });
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(readEvents(response.body), [['error', { error: 'Internal Server Error' }]]);
+});